@@ -122,6 +122,34 @@ export async function initializeDatabase() {
   }
 }
 
+// Add columns to an existing table, skipping the ones already there
+// (CREATE TABLE IF NOT EXISTS never changes tables created by older versions)
+async function addColumnsIfMissing(connection, table, columns) {
+  for (const column of columns) {
+    try {
+      await connection.query(`ALTER TABLE ${table} ADD COLUMN ${column}`);
+    } catch (error) {
+      if (error.code !== 'ER_DUP_FIELDNAME') {
+        throw error;
+      }
+    }
+  }
+}
+
+// Change the type of an existing column, e.g. to add ENUM values
+// (MODIFY COLUMN rebuilds the table, so it only runs when the type differs)
+async function modifyColumnIfDifferent(connection, table, column, columnType, options = '') {
+  const [columns] = await connection.query(
+    `SELECT COLUMN_TYPE FROM INFORMATION_SCHEMA.COLUMNS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+    [table, column]
+  );
+
+  if (columns.length > 0 && columns[0].COLUMN_TYPE.toLowerCase() !== columnType.toLowerCase()) {
+    await connection.query(`ALTER TABLE ${table} MODIFY COLUMN ${column} ${columnType} ${options}`);
+  }
+}
+
 async function createTables(connection) {
   // Users table with optimized settings
   await connection.query(`
@@ -205,6 +233,78 @@ async function createTables(connection) {
     );
   `);
 
+  // Spam scoring results on received emails
+  await addColumnsIfMissing(connection, 'received_emails', [
+    'is_spam BOOLEAN DEFAULT FALSE',
+    'spam_score DECIMAL(6,2) DEFAULT 0',
+    "spam_verdict VARCHAR(20) DEFAULT 'clean'",
+    'spam_reasons JSON'
+  ]);
+
+  // Message-ID and dedupe key for idempotent ingestion
+  await addColumnsIfMissing(connection, 'received_emails', [
+    'message_id VARCHAR(255)',
+    'dedupe_key CHAR(64)'
+  ]);
+  // Detected one-time code and verification links
+  await addColumnsIfMissing(connection, 'received_emails', [
+    'otp_code VARCHAR(32)',
+    'otp_confidence DECIMAL(3,2)',
+    'verification_links JSON'
+  ]);
+
+  // Extracted hyperlinks with their classification
+  await addColumnsIfMissing(connection, 'received_emails', [
+    'links JSON'
+  ]);
+
+  // Parsed bounce / delivery status notification
+  await addColumnsIfMissing(connection, 'received_emails', [
+    'is_bounce BOOLEAN DEFAULT FALSE',
+    'bounce JSON'
+  ]);
+
+  // Read flag and labels (set by inbox filters)
+  await addColumnsIfMissing(connection, 'received_emails', [
+    'is_read BOOLEAN DEFAULT FALSE',
+    'labels JSON'
+  ]);
+
+  // Starred and archived state (read/unread uses is_read)
+  await addColumnsIfMissing(connection, 'received_emails', [
+    'is_starred BOOLEAN DEFAULT FALSE',
+    'is_archived BOOLEAN DEFAULT FALSE'
+  ]);
+
+  // Conversation threads (subject before cleanSubject, normalized subject, thread = ID of its first message)
+  await addColumnsIfMissing(connection, 'received_emails', [
+    'original_subject TEXT',
+    'thread_subject VARCHAR(255)',
+    'thread_id VARCHAR(36)'
+  ]);
+
+  // Messages rejected by the inbox's sender rules
+  await addColumnsIfMissing(connection, 'temp_emails', [
+    'blocked_count INT DEFAULT 0',
+    'forwarding_address_id VARCHAR(36) NULL'
+  ]);
+
+  for (const index of [
+    'idx_received_emails_dedupe ON received_emails (temp_email_id, dedupe_key)',
+    'idx_received_emails_message_id ON received_emails (temp_email_id, message_id)',
+    'idx_received_emails_thread ON received_emails (temp_email_id, thread_id)',
+    'idx_received_emails_thread_subject ON received_emails (temp_email_id, thread_subject)',
+    'idx_received_emails_state ON received_emails (temp_email_id, is_archived, is_read)'
+  ]) {
+    try {
+      await connection.query(`CREATE INDEX ${index}`);
+    } catch (error) {
+      if (error.code !== 'ER_DUP_KEYNAME') {
+        throw error;
+      }
+    }
+  }
+
   // Email attachments table
   await connection.query(`
     CREATE TABLE IF NOT EXISTS email_attachments (
@@ -221,6 +321,274 @@ async function createTables(connection) {
     ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
   `);
 
+  // Content-ID of inline attachments, for cid: images in safe-render mode
+  await addColumnsIfMissing(connection, 'email_attachments', [
+    'content_id VARCHAR(255)'
+  ]);
+
+  // Raw MIME source of received emails (kept out of received_emails to keep listings light)
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS email_raw_sources (
+      email_id VARCHAR(36) PRIMARY KEY,
+      raw_source LONGBLOB NOT NULL,
+      size BIGINT NOT NULL,
+      is_truncated BOOLEAN DEFAULT FALSE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_raw_created_at (created_at)
+    ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+  `);
+
+  // Important headers of received emails (Message-ID, Authentication-Results, Received chain...)
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS email_headers (
+      email_id VARCHAR(36) PRIMARY KEY,
+      headers JSON NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_email_headers_created_at (created_at)
+    ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+  `);
+
+  // Admin-tunable keyword rules for spam scoring
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS spam_rules (
+      id VARCHAR(36) PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      pattern VARCHAR(500) NOT NULL,
+      target ENUM('subject', 'body', 'from', 'any') NOT NULL DEFAULT 'any',
+      is_regex BOOLEAN DEFAULT FALSE,
+      weight DECIMAL(5,2) NOT NULL DEFAULT 1,
+      category ENUM('spam', 'phishing') NOT NULL DEFAULT 'spam',
+      is_active BOOLEAN DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_spam_rules_active (is_active)
+    ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+  `);
+
+  // Local sender/domain/URL blocklist for spam scoring
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS spam_blocklist (
+      id VARCHAR(36) PRIMARY KEY,
+      type ENUM('sender', 'domain', 'url') NOT NULL,
+      value VARCHAR(255) NOT NULL,
+      reason VARCHAR(255),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_spam_blocklist (type, value)
+    ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+  `);
+
+  // Filter rules of registered users (temp_email_id NULL = every inbox of the account)
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS inbox_filters (
+      id VARCHAR(36) PRIMARY KEY,
+      user_id VARCHAR(36) NOT NULL,
+      temp_email_id VARCHAR(36) NULL,
+      name VARCHAR(100) NOT NULL,
+      match_type ENUM('all', 'any') NOT NULL DEFAULT 'all',
+      conditions JSON NOT NULL,
+      actions JSON NOT NULL,
+      priority INT DEFAULT 0,
+      is_active BOOLEAN DEFAULT TRUE,
+      stop_processing BOOLEAN DEFAULT FALSE,
+      match_count INT DEFAULT 0,
+      last_matched_at TIMESTAMP NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      INDEX idx_inbox_filters_user (user_id, is_active)
+    ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+  `);
+
+  // Sender allow/block rules of an inbox (temp_email_id set) or a whole account (temp_email_id NULL)
+  // temp_email_id may also be an API email ID, those inboxes only live in memory
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS sender_rules (
+      id VARCHAR(36) PRIMARY KEY,
+      user_id VARCHAR(36) NOT NULL,
+      temp_email_id VARCHAR(36) NULL,
+      action ENUM('allow', 'block') NOT NULL,
+      match_type ENUM('email', 'domain', 'wildcard') NOT NULL,
+      pattern VARCHAR(255) NOT NULL,
+      blocked_count INT DEFAULT 0,
+      last_blocked_at TIMESTAMP NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      INDEX idx_sender_rules_user (user_id),
+      INDEX idx_sender_rules_inbox (temp_email_id)
+    ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+  `);
+
+  // Personal addresses registered users forward temp email mail to
+  // Only the SHA-256 hash of the confirmation token is stored
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS forwarding_addresses (
+      id VARCHAR(36) PRIMARY KEY,
+      user_id VARCHAR(36) NOT NULL,
+      address VARCHAR(255) NOT NULL,
+      token_hash CHAR(64) NULL,
+      token_expires_at TIMESTAMP NULL,
+      confirmation_sent_at TIMESTAMP NULL,
+      verified_at TIMESTAMP NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      UNIQUE KEY unique_forwarding_address (user_id, address),
+      INDEX idx_forwarding_token (token_hash)
+    ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+  `);
+
+  // Confirmation emails sent to forwarding addresses, for the send limits
+  // (no foreign keys: the log outlives deleted addresses so deleting and re-adding one does not reset them)
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS forwarding_confirmations (
+      id VARCHAR(36) PRIMARY KEY,
+      user_id VARCHAR(36) NOT NULL,
+      address VARCHAR(255) NOT NULL,
+      sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_forwarding_confirmations_user (user_id, sent_at),
+      INDEX idx_forwarding_confirmations_address (address, sent_at)
+    ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+  `);
+
+  // Log of automatic forwards, also used for the per-day caps
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS email_forwards (
+      id VARCHAR(36) PRIMARY KEY,
+      user_id VARCHAR(36) NOT NULL,
+      temp_email_id VARCHAR(36) NOT NULL,
+      received_email_id VARCHAR(36) NULL,
+      forwarded_to VARCHAR(255) NOT NULL,
+      status ENUM('sent', 'skipped', 'failed') NOT NULL,
+      reason VARCHAR(255) NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      INDEX idx_email_forwards_user (user_id, status, created_at),
+      INDEX idx_email_forwards_inbox (temp_email_id, created_at)
+    ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+  `);
+
+  // Mail sent from temp email addresses (the "sent" view, also used for the send limits)
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS sent_emails (
+      id VARCHAR(36) PRIMARY KEY,
+      temp_email_id VARCHAR(36) NOT NULL,
+      user_id VARCHAR(36) NOT NULL,
+      message_id VARCHAR(255) NOT NULL,
+      from_address VARCHAR(255) NOT NULL,
+      from_domain VARCHAR(255) NOT NULL,
+      to_addresses JSON NOT NULL,
+      cc_addresses JSON,
+      subject TEXT,
+      body_text LONGTEXT,
+      body_html LONGTEXT,
+      in_reply_to VARCHAR(255) NULL,
+      references_header JSON,
+      reply_to_email_id VARCHAR(36) NULL,
+      relay ENUM('relay', 'smtp') NOT NULL,
+      status ENUM('pending', 'sent', 'failed') NOT NULL,
+      error VARCHAR(255) NULL,
+      sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (temp_email_id) REFERENCES temp_emails(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      INDEX idx_sent_emails_inbox (temp_email_id, sent_at),
+      INDEX idx_sent_emails_user (user_id, sent_at),
+      INDEX idx_sent_emails_domain (from_domain, sent_at)
+    ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+  `);
+
+  // Thread of a sent email (replies join the thread of the message they answer)
+  await addColumnsIfMissing(connection, 'sent_emails', [
+    'thread_id VARCHAR(36) NULL'
+  ]);
+  // Messages are stored as pending while they are being sent
+  await modifyColumnIfDifferent(connection, 'sent_emails', 'status', "enum('pending','sent','failed')", 'NOT NULL');
+
+  // Searchable copy of registered users' received emails
+  // (received_emails is partitioned and cannot have a FULLTEXT index)
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS email_search (
+      email_id VARCHAR(36) PRIMARY KEY,
+      user_id VARCHAR(36) NOT NULL,
+      temp_email_id VARCHAR(36) NOT NULL,
+      from_email VARCHAR(255) NOT NULL,
+      from_name VARCHAR(255) NOT NULL,
+      subject TEXT,
+      body_text MEDIUMTEXT,
+      has_attachments BOOLEAN DEFAULT FALSE,
+      received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (temp_email_id) REFERENCES temp_emails(id) ON DELETE CASCADE,
+      INDEX idx_email_search_user (user_id, received_at),
+      FULLTEXT INDEX ft_email_search (from_email, from_name, subject, body_text)
+    ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+  `);
+
+  // Callback URLs called when mail arrives (email_id: one API or temp email, NULL: every inbox of the account)
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS webhooks (
+      id VARCHAR(36) PRIMARY KEY,
+      user_id VARCHAR(36) NOT NULL,
+      email_id VARCHAR(36) NULL,
+      url VARCHAR(2048) NOT NULL,
+      secret VARCHAR(80) NOT NULL,
+      description VARCHAR(255) NULL,
+      is_active BOOLEAN DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      INDEX idx_webhooks_user (user_id, is_active)
+    ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+  `);
+
+  // Delivery log and retry queue of webhook calls ('dead' once the retries are used up)
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id VARCHAR(36) PRIMARY KEY,
+      webhook_id VARCHAR(36) NOT NULL,
+      event VARCHAR(50) NOT NULL,
+      email_id VARCHAR(36) NULL,
+      message_id VARCHAR(36) NULL,
+      payload LONGTEXT NOT NULL,
+      status ENUM('pending', 'delivered', 'dead') NOT NULL DEFAULT 'pending',
+      attempts INT DEFAULT 0,
+      next_attempt_at TIMESTAMP NULL,
+      last_attempt_at TIMESTAMP NULL,
+      response_status INT NULL,
+      last_error VARCHAR(255) NULL,
+      delivered_at TIMESTAMP NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (webhook_id) REFERENCES webhooks(id) ON DELETE CASCADE,
+      INDEX idx_webhook_deliveries_webhook (webhook_id, created_at),
+      INDEX idx_webhook_deliveries_due (status, next_attempt_at)
+    ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+  `);
+
+  // Write-behind copy of the in-memory API inboxes, restored on startup (apiMemoryStore.js)
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS api_emails (
+      id VARCHAR(36) PRIMARY KEY,
+      user_id VARCHAR(36) NOT NULL,
+      email VARCHAR(255) NOT NULL,
+      time_tier VARCHAR(10) NOT NULL,
+      domain VARCHAR(255) NOT NULL,
+      is_custom_domain BOOLEAN DEFAULT FALSE,
+      blocked_count INT DEFAULT 0,
+      created_at DATETIME NOT NULL,
+      expires_at DATETIME NOT NULL,
+      INDEX idx_api_emails_user (user_id),
+      INDEX idx_api_emails_expires (expires_at)
+    ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+  `);
+
+  // Messages of API inboxes, stored as JSON (Buffers as base64)
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS api_email_messages (
+      id VARCHAR(36) PRIMARY KEY,
+      api_email_id VARCHAR(36) NOT NULL,
+      data LONGTEXT NOT NULL,
+      received_at DATETIME NOT NULL,
+      FOREIGN KEY (api_email_id) REFERENCES api_emails(id) ON DELETE CASCADE,
+      INDEX idx_api_email_messages_email (api_email_id, received_at)
+    ) ENGINE=InnoDB ROW_FORMAT=DYNAMIC;
+  `);
+
   // Custom messages table
   await connection.query(`
     CREATE TABLE IF NOT EXISTS custom_messages (
@@ -340,8 +708,8 @@ async function createTables(connection) {
   `);
 }
 
-// Cleanup function with stats logging
-async function cleanup() {
+// Close the pool with stats logging (last step of the shutdown sequence in index.js)
+export async function closeDatabase() {
   try {
     const stats = await checkDatabaseConnection();
     console.log('Connection stats before cleanup:', stats);
@@ -353,8 +721,4 @@ async function cleanup() {
   }
 }
 
-// Handle graceful shutdown
-process.on('SIGTERM', cleanup);
-process.on('SIGINT', cleanup);
-
 export { pool };
@@ -4,6 +4,12 @@ import { v4 as uuidv4 } from 'uuid';
 import bcrypt from 'bcryptjs';
 import { pool } from './db/init.js';
 import { recentRequests } from './middleware/requestTracker.js'; // Import recentRequests for migration tracking
+import { loadAttachmentMetadata, saveAttachments } from './utils/attachments.js';
+import { saveRawSource } from './utils/rawMessages.js';
+import { saveMessageHeaders } from './utils/messageHeaders.js';
+import { indexReceivedEmail } from './services/emailSearch.js';
+import { groupIntoThreads } from './services/threading.js';
+import { publishInboxEvent, guestOwner, toMessageEventData } from './services/inboxEvents.js';
 
 // In-memory storage for guest sessions
 // Using Map for better performance
@@ -119,7 +125,7 @@ export async function cacheUserEmails(userId, emails) {
       );
       
       if (receivedEmails.length > 0) {
-        userCache.inbox.set(email.id, receivedEmails);
+        userCache.inbox.set(email.id, await loadAttachmentMetadata(receivedEmails));
       }
     } catch (error) {
       console.error(`Failed to cache received emails for ${email.id}:`, error);
@@ -401,6 +407,12 @@ export function storeReceivedEmail(token, tempEmailId, emailData) {
     const inbox = session.inbox.get(tempEmailId);
     inbox.push(emailData);
 
+    publishInboxEvent('message.received', {
+      owner: guestOwner(session.id),
+      emailId: tempEmailId,
+      address: session.emails.get(tempEmailId).email
+    }, { message: toMessageEventData(emailData) });
+
     return true;
   } catch (error) {
     console.error('Error storing received email:', error);
@@ -408,6 +420,41 @@ export function storeReceivedEmail(token, tempEmailId, emailData) {
   }
 }
 
+/**
+ * Gets a single received email from a guest inbox
+ * @param {string} token - Guest JWT token
+ * @param {string} tempEmailId - ID of the temporary email
+ * @param {string} receivedEmailId - ID of the received email
+ * @returns {object|null} - Received email data or null if not found
+ */
+export function getReceivedEmailById(token, tempEmailId, receivedEmailId) {
+  try {
+    const session = guestSessions.get(token);
+    if (!session) return null;
+
+    const inbox = session.inbox.get(tempEmailId) || [];
+    return inbox.find(email => email.id === receivedEmailId) || null;
+  } catch (error) {
+    console.error('Error retrieving received email:', error);
+    return null;
+  }
+}
+
+/**
+ * Finds a received email in a guest inbox by its dedupe key
+ * @param {string} token - Guest JWT token
+ * @param {string} tempEmailId - ID of the temporary email
+ * @param {string} dedupeKey - Dedupe key of the message
+ * @returns {object|null} - Received email data or null if not found
+ */
+export function findReceivedEmailByDedupeKey(token, tempEmailId, dedupeKey) {
+  const session = guestSessions.get(token);
+  if (!session || !dedupeKey) return null;
+
+  const inbox = session.inbox.get(tempEmailId) || [];
+  return inbox.find(email => email.dedupe_key === dedupeKey) || null;
+}
+
 /**
  * Gets inbox content for a temporary email
  * @param {string} token - Guest JWT token
@@ -547,6 +594,8 @@ export async function migrateGuestSessionToUser(token, userId, realEmail, realPa
 
       // Get the inbox for this email
       const inbox = session.inbox.get(emailId) || [];
+      const threadIds = new Map(groupIntoThreads(inbox)
+        .flatMap(thread => thread.messages.map(message => [message.id, thread.thread_id])));
       
       // Migrate all received emails for this temp email
       for (const receivedEmail of inbox) {
@@ -554,7 +603,11 @@ export async function migrateGuestSessionToUser(token, userId, realEmail, realPa
         
         // Insert the received email
         await connection.query(
-          'INSERT INTO received_emails (id, temp_email_id, from_email, from_name, subject, body_html, body_text, received_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+          `INSERT INTO received_emails (id, temp_email_id, from_email, from_name, subject, body_html, body_text, received_at,
+            is_spam, spam_score, spam_verdict, spam_reasons, message_id, dedupe_key,
+            otp_code, otp_confidence, verification_links, links, is_bounce, bounce, is_read, labels,
+            original_subject, thread_subject, thread_id, is_starred, is_archived)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
           [
             receivedEmail.id,
             emailId,
@@ -563,9 +616,34 @@ export async function migrateGuestSessionToUser(token, userId, realEmail, realPa
             receivedEmail.subject,
             receivedEmail.body_html,
             receivedEmail.body_text,
-            formattedReceivedAt
+            formattedReceivedAt,
+            !!receivedEmail.is_spam,
+            receivedEmail.spam_score || 0,
+            receivedEmail.spam_verdict || 'clean',
+            JSON.stringify(receivedEmail.spam_reasons || []),
+            receivedEmail.message_id || null,
+            receivedEmail.dedupe_key || null,
+            receivedEmail.otp_code || null,
+            receivedEmail.otp_confidence || null,
+            JSON.stringify(receivedEmail.verification_links || []),
+            JSON.stringify(receivedEmail.links || []),
+            !!receivedEmail.is_bounce,
+            receivedEmail.bounce ? JSON.stringify(receivedEmail.bounce) : null,
+            !!receivedEmail.is_read,
+            JSON.stringify(receivedEmail.labels || []),
+            receivedEmail.original_subject || null,
+            receivedEmail.thread_subject || null,
+            threadIds.get(receivedEmail.id) || receivedEmail.id,
+            !!receivedEmail.is_starred,
+            !!receivedEmail.is_archived
           ]
         );
+
+        // Carry attachments, the raw source and headers over with the message
+        await saveAttachments(receivedEmail.id, receivedEmail.attachments, connection);
+        await saveRawSource(receivedEmail.id, receivedEmail, connection);
+        await saveMessageHeaders(receivedEmail.id, receivedEmail, connection);
+        await indexReceivedEmail(emailId, receivedEmail, connection, formattedReceivedAt);
       }
     }
 
@@ -3,9 +3,10 @@ import cors from 'cors';
 import dotenv from 'dotenv';
 import helmet from 'helmet';
 import compression from 'compression';
-import { initializeDatabase, checkDatabaseConnection, pool } from './db/init.js';
+import { initializeDatabase, checkDatabaseConnection, closeDatabase, pool } from './db/init.js';
 import { cleanupOldEmails } from './utils/cleanup.js';
-import { requestTrackerMiddleware } from './middleware/requestTracker.js';
+import { requestTrackerMiddleware, stopRequestTracker } from './middleware/requestTracker.js';
+import { flushCustomDomainUsage } from './middleware/customDomainRateLimit.js';
 import { checkBlockedIp } from './middleware/ipBlocker.js'; // Added import
 import { activityTrackerMiddleware } from './middleware/activityTrackerMiddleware.js'; // Add activity tracker
 import authRoutes from './routes/auth.js';
@@ -18,15 +19,26 @@ import monitorRoutes from './routes/monitor.js';
 import gmailRoutes from './routes/gmailRoutes.js'; // Added Gmail routes
 import debugRoutes from './routes/debug.js'; // Added Debug routes
 import guestRoutes from './routes/guest.js'; // Added Guest routes
+import linkRoutes from './routes/links.js'; // Safe-link interstitial redirects
+import filterRoutes from './routes/filters.js'; // Inbox filter rules
+import forwardingRoutes from './routes/forwarding.js'; // Verified forwarding addresses
 import apiRoutes from './routes/apiRoutes.js'; // Added API routes
 import apiKeyRoutes from './routes/apiKeyRoutes.js'; // Added API key management routes
+import eventRoutes from './routes/events.js'; // Server-Sent Events inbox streams
 import { encryptResponse } from './middleware/encryption.js'; // Added encryption middleware
 import nodemailer from 'nodemailer';
 import http from 'http'; // Added for WebSocket support
-import { setupWebSocketServer } from './services/gmailImapService.js'; // Added for WebSocket
+import { setupInboxSocketHub } from './services/inboxSocketHub.js'; // Authenticated inbox WebSocket hub
 import { setupActivityTracker } from './services/activityTracker.js'; // Add activity tracker
 import { syncAllDomainsToMailserver, checkMailserverHealth } from './services/domainSyncService.js'; // Add domain sync service
-import { initializeApiMemoryStore } from './services/apiMemoryStore.js'; // Add API memory store
+import { initializeApiMemoryStore, flushApiMemoryStore } from './services/apiMemoryStore.js'; // Add API memory store
+import { startInboundSmtpServer } from './services/inboundSmtpServer.js'; // Optional SMTP/LMTP ingestion
+import { startInboundSpoolWorker } from './services/inboundSpool.js';
+import { initializeSpamScoring } from './services/spamScoring.js';
+import { backfillSearchIndex } from './services/emailSearch.js';
+import { startWebhookWorker } from './services/outboundWebhooks.js';
+import { startInboxExpiryNotifier } from './services/inboxExpiryNotifier.js';
+import { webhookBodyParsers } from './middleware/webhookAuth.js';
 
 dotenv.config();
 
@@ -50,6 +62,36 @@ app.set('trust proxy', true);
 // Create HTTP server (instead of using app.listen)
 const server = http.createServer(app);
 
+// Graceful shutdown (deploys): flush the write-behind caches, then close the database pool.
+// This is the only SIGTERM / SIGINT handler, so no flush races pool.end() or process.exit().
+let shuttingDown = false;
+const shutdown = async (signal) => {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`Received ${signal}, gracefully shutting down...`);
+  server.close();
+  
+  const flushSteps = [
+    ['API memory store', flushApiMemoryStore],
+    ['custom domain usage', flushCustomDomainUsage],
+    ['request logs', stopRequestTracker]
+  ];
+  for (const [name, flush] of flushSteps) {
+    try {
+      await flush();
+    } catch (error) {
+      console.error(`Failed to flush ${name} on shutdown:`, error);
+    }
+  }
+  
+  await closeDatabase();
+  console.log('Exiting process');
+  process.exit(0);
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 // Create mail transporter
 export const mailTransporter = nodemailer.createTransport({
   host: process.env.SMTP_HOST,
@@ -114,11 +156,14 @@ app.use((req, res, next) => {
 app.use(cors({
   origin: '*',
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'Admin-Access', 'X-API-Key'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Admin-Access', 'X-API-Key', 'Last-Event-ID'],
   credentials: true,
   exposedHeaders: ['Content-Length', 'X-Requested-With', 'X-Request-ID']
 }));
 
+// Inbound mail webhooks keep their raw body for signature verification
+app.use(['/webhook/email/incoming', '/guest/receive-email'], webhookBodyParsers);
+
 // Configure body parser with increased size limits
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
@@ -182,7 +227,11 @@ app.use('/monitor', monitorRoutes);
 app.use('/gmail', gmailRoutes); // Add Gmail routes
 app.use('/debug', debugRoutes); // Add Debug routes
 app.use('/guest', guestRoutes); // Add Guest routes
+app.use('/links', linkRoutes); // Safe-link redirects
+app.use('/filters', filterRoutes); // Inbox filter rules
+app.use('/forwarding', forwardingRoutes); // Forwarding addresses and confirmation links
 app.use('/api/v1', apiRoutes); // Add API routes (separate from encrypted routes)
+app.use('/events', eventRoutes); // Inbox event streams (SSE)
 
 // Handle preflight requests for /admin/all
 app.options('/emails/admin/all', cors());
@@ -219,22 +268,45 @@ function scheduleCleanup() {
 
 // Initialize database and start server
 initializeDatabase().then(async () => {
+  // Initialize API memory store before accepting mail, it restores the API inboxes saved
+  // before the restart
+  await initializeApiMemoryStore();
+  console.log('API memory store initialized for temp email API');
+  
   server.listen(port, '0.0.0.0', async () => {
     console.log(`Server running on port ${port}`);
     scheduleCleanup();
     console.log('Email cleanup scheduler started');
     
-    // Setup WebSocket server for real-time email updates
-    setupWebSocketServer(server);
-    console.log('WebSocket server initialized for real-time email updates');
+    // Setup WebSocket hub for real-time email updates (all inbox types, /ws/inboxes)
+    setupInboxSocketHub(server);
+    console.log('WebSocket hub initialized for real-time email updates');
     
     // Setup WebSocket server for real-time activity tracking
     setupActivityTracker(server);
     console.log('Real-time activity tracking system initialized');
     
-    // Initialize API memory store
-    initializeApiMemoryStore();
-    console.log('API memory store initialized for temp email API');
+    // Load spam rules (seeds the defaults on first run)
+    await initializeSpamScoring();
+    
+    // Index emails received before full-text search existed (runs in the background)
+    backfillSearchIndex()
+      .then(count => count > 0 && console.log(`Search index backfilled with ${count} emails`))
+      .catch(error => console.error('Search index backfill failed:', error));
+    
+    // Retry inbound mail spooled while the database was unavailable
+    await startInboundSpoolWorker();
+    
+    // Retry failed webhook deliveries to API users
+    startWebhookWorker();
+    
+    // inbox.expiring / inbox.expired events for open event streams
+    startInboxExpiryNotifier();
+    
+    // Start the built-in SMTP/LMTP listener (INBOUND_SMTP_ENABLED=true)
+    if (startInboundSmtpServer()) {
+      console.log('Inbound mail listener initialized alongside the webhook');
+    }
     
     // Check mailserver health and sync domains on startup
     console.log('\n🏥 Checking mailserver health...');
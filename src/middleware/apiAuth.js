@@ -15,6 +15,75 @@ setInterval(() => {
   }
 }, 5 * 60 * 1000); // Clean every 5 minutes
 
+/**
+ * Look up the user of an API key (cached)
+ * Also used outside of Express, e.g. for WebSocket upgrades
+ * @param {string} apiKey - API key
+ * @returns {Promise<object>} - { userInfo, cached } or { error, message }
+ */
+export const resolveApiKey = async (apiKey) => {
+  // Validate API key format
+  if (typeof apiKey !== 'string' || !apiKey.startsWith('api_') || apiKey.length < 20) {
+    return {
+      error: 'Invalid API key format',
+      message: 'API key must start with "api_" and be at least 20 characters long'
+    };
+  }
+
+  // Check cache first for instant response
+  const cached = tokenCache.get(apiKey);
+  if (cached && cached.expiresAt > Date.now()) {
+    return { userInfo: cached.userInfo, cached: true };
+  }
+
+  // Cache miss - check database
+  const [settings] = await pool.query(`
+    SELECT 
+      ps.*, 
+      u.id as user_id, 
+      u.email as user_email,
+      u.premium_tier,
+      u.created_at as user_created_at
+    FROM premium_settings ps 
+    JOIN users u ON ps.user_id = u.id 
+    WHERE ps.api_key = ? AND u.id IS NOT NULL
+  `, [apiKey]);
+  
+  if (settings.length === 0) {
+    return { 
+      error: 'Invalid API key',
+      message: 'The provided API key is not valid or has been revoked'
+    };
+  }
+
+  const userSettings = settings[0];
+
+  // Check if user account is active (basic validation)
+  if (!userSettings.user_email || userSettings.user_email.trim() === '') {
+    return { 
+      error: 'User account inactive',
+      message: 'The user account associated with this API key is inactive'
+    };
+  }
+  
+  const userInfo = {
+    id: userSettings.user_id,
+    email: userSettings.user_email,
+    tier: userSettings.premium_tier || 'free', // Default to free tier
+    apiKey: apiKey,
+    userCreatedAt: userSettings.user_created_at,
+    settingsId: userSettings.id
+  };
+
+  // Cache the result for future requests
+  tokenCache.set(apiKey, {
+    userInfo: userInfo,
+    expiresAt: Date.now() + CACHE_TTL
+  });
+
+  return { userInfo, cached: false };
+};
+
 /**
  * Authenticate API key from X-API-Key header
  * Checks against existing premium_settings table
@@ -30,73 +99,18 @@ export const authenticateApiKey = async (req, res, next) => {
     });
   }
 
-  // Validate API key format
-  if (!apiKey.startsWith('api_') || apiKey.length < 20) {
-    return res.status(401).json({ 
-      error: 'Invalid API key format',
-      message: 'API key must start with "api_" and be at least 20 characters long'
-    });
-  }
-
   try {
-    // Check cache first for instant response
-    const cached = tokenCache.get(apiKey);
-    if (cached && cached.expiresAt > Date.now()) {
-      req.apiUser = cached.userInfo;
-      console.log(`API request from user ${req.apiUser.email} (${req.apiUser.id}) - ${req.method} ${req.path} [CACHED]`);
-      return next();
-    }
+    const { userInfo, cached, error, message } = await resolveApiKey(apiKey);
 
-    // Cache miss - check database
-    const [settings] = await pool.query(`
-      SELECT 
-        ps.*, 
-        u.id as user_id, 
-        u.email as user_email,
-        u.premium_tier,
-        u.created_at as user_created_at
-      FROM premium_settings ps 
-      JOIN users u ON ps.user_id = u.id 
-      WHERE ps.api_key = ? AND u.id IS NOT NULL
-    `, [apiKey]);
-    
-    if (settings.length === 0) {
-      return res.status(401).json({ 
-        error: 'Invalid API key',
-        message: 'The provided API key is not valid or has been revoked'
-      });
-    }
-
-    const userSettings = settings[0];
-
-    // Check if user account is active (basic validation)
-    if (!userSettings.user_email || userSettings.user_email.trim() === '') {
-      return res.status(401).json({ 
-        error: 'User account inactive',
-        message: 'The user account associated with this API key is inactive'
-      });
+    if (error) {
+      return res.status(401).json({ error, message });
     }
     
     // Attach user info to request object
-    const userInfo = {
-      id: userSettings.user_id,
-      email: userSettings.user_email,
-      tier: userSettings.premium_tier || 'free', // Default to free tier
-      apiKey: apiKey,
-      userCreatedAt: userSettings.user_created_at,
-      settingsId: userSettings.id
-    };
-    
     req.apiUser = userInfo;
 
-    // Cache the result for future requests
-    tokenCache.set(apiKey, {
-      userInfo: userInfo,
-      expiresAt: Date.now() + CACHE_TTL
-    });
-
     // Log API usage (optional - for monitoring)
-    console.log(`API request from user ${req.apiUser.email} (${req.apiUser.id}) - ${req.method} ${req.path} [DB]`);
+    console.log(`API request from user ${req.apiUser.email} (${req.apiUser.id}) - ${req.method} ${req.path} [${cached ? 'CACHED' : 'DB'}]`);
     
     next();
   } catch (error) {
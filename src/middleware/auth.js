@@ -52,6 +52,39 @@ export function authenticateAnyToken(req, res, next) {
   });
 }
 
+// Verify a JWT or guest token outside of Express (WebSocket upgrades)
+// Resolves to the token payload, or null when the token is invalid
+export function verifyAnyToken(token) {
+  return new Promise(resolve => {
+    jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
+      if (err || (user.isGuest === true && !isValidGuestToken(token))) {
+        return resolve(null);
+      }
+      resolve(user);
+    });
+  });
+}
+
+// Attach the user of a valid token when one is sent, anonymous requests pass through
+export function optionalAnyToken(req, res, next) {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    return next();
+  }
+
+  verifyAnyToken(token).then(user => {
+    if (user) {
+      req.user = user;
+      if (user.isGuest === true) {
+        req.guestToken = token;
+      }
+    }
+    next();
+  });
+}
+
 // Function that only authenticates guest tokens
 export function authenticateGuestToken(req, res, next) {
   const authHeader = req.headers['authorization'];
@@ -379,25 +379,11 @@ setInterval(() => {
   customDomainUsageCache.cleanup();
 }, 60 * 60 * 1000); // Every hour
 
-// Graceful shutdown - flush pending operations
-process.on('SIGTERM', async () => {
+// Flush pending operations (graceful shutdown, called from index.js before the pool closes)
+export async function flushCustomDomainUsage() {
   console.log('🔄 Graceful shutdown: flushing pending custom domain operations...');
-  try {
-    await customDomainUsageCache.flushPendingOperations();
-    console.log('✅ Pending operations flushed successfully');
-  } catch (error) {
-    console.error('❌ Error flushing operations during shutdown:', error);
-  }
-});
-
-process.on('SIGINT', async () => {
-  console.log('🔄 Graceful shutdown: flushing pending custom domain operations...');
-  try {
-    await customDomainUsageCache.flushPendingOperations();
-    console.log('✅ Pending operations flushed successfully');
-  } catch (error) {
-    console.error('❌ Error flushing operations during shutdown:', error);
-  }
-});
+  await customDomainUsageCache.flushPendingOperations();
+  console.log('✅ Pending operations flushed successfully');
+}
 
 export { CUSTOM_DOMAIN_LIMITS }; 
\ No newline at end of file
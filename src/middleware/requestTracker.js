@@ -87,32 +87,19 @@ process.on('exit', () => {
   }
 });
 
-// Better handlers for graceful shutdown
-['SIGINT', 'SIGTERM'].forEach(signal => {
-  process.on(signal, async () => {
-    console.log(`Received ${signal}, gracefully shutting down...`);
-    clearInterval(cleanupInterval);
-    clearInterval(flushInterval);
-    
-    // On shutdown, we should flush any remaining logs regardless of buffer size
-    // to prevent data loss, even though during normal operation we only flush at maxSize
-    if (requestBuffer.logs.length > 0) {
-      console.log(`Flushing ${requestBuffer.logs.length} remaining logs before shutdown (emergency flush)`);
-      try {
-        await flushRequestLogs();
-        console.log('Final log flush completed successfully');
-      } catch (error) {
-        console.error('Error during final log flush:', error);
-      }
-    }
-    
-    // Allow time for flush to complete
-    setTimeout(() => {
-      console.log('Exiting process');
-      process.exit(0);
-    }, 1000);
-  });
-});
+// Stop the intervals and flush the remaining logs (graceful shutdown, called from index.js)
+export async function stopRequestTracker() {
+  clearInterval(cleanupInterval);
+  clearInterval(flushInterval);
+  
+  // On shutdown, we should flush any remaining logs regardless of buffer size
+  // to prevent data loss, even though during normal operation we only flush at maxSize
+  if (requestBuffer.logs.length > 0) {
+    console.log(`Flushing ${requestBuffer.logs.length} remaining logs before shutdown (emergency flush)`);
+    await flushRequestLogs();
+    console.log('Final log flush completed successfully');
+  }
+}
 
 // Function to flush request logs in batch
 async function flushRequestLogs() {
@@ -0,0 +1,241 @@
+// webhookAuth.js - HMAC signature verification for inbound mail webhooks
+//
+// Senders sign every request with a shared secret:
+//   X-Webhook-Timestamp: <unix seconds>
+//   X-Webhook-Signature: v1=<hex HMAC-SHA256 of "<timestamp>.<raw body>">
+//
+// Env:
+// - WEBHOOK_SIGNING_SECRETS: comma-separated secrets. Any of them is accepted, so a
+//   secret is rotated by adding the new one, moving senders over, then removing the old one
+// - WEBHOOK_SIGNATURE_TOLERANCE: max clock skew in seconds (default 300)
+// - WEBHOOK_IP_ALLOWLIST: optional comma-separated IPs / IPv4 CIDR ranges
+// - WEBHOOK_TRUSTED_PROXY_HOPS: reverse proxies in front of the server whose X-Forwarded-For
+//   entries are trusted for the allowlist (default 0, the socket address is used)
+// - WEBHOOK_ALLOW_UNSIGNED: 'true' to accept unsigned requests while no secret is configured
+import crypto from 'crypto';
+import express from 'express';
+
+const SIGNATURE_VERSION = 'v1';
+const DEFAULT_TOLERANCE = 300; // 5 minutes
+
+// Signatures of requests already accepted inside the tolerance window (replay protection)
+const acceptedSignatures = new Map(); // { signature: expiresAt }
+// Accepted signatures whose request has not been answered yet
+const pendingSignatures = new Set();
+
+// Clean expired signatures periodically
+setInterval(() => {
+  const now = Date.now();
+  for (const [signature, expiresAt] of acceptedSignatures.entries()) {
+    if (expiresAt <= now) {
+      acceptedSignatures.delete(signature);
+    }
+  }
+}, 60 * 1000); // Clean every minute
+
+const getSigningSecrets = () => {
+  return (process.env.WEBHOOK_SIGNING_SECRETS || '')
+    .split(',')
+    .map(secret => secret.trim())
+    .filter(Boolean);
+};
+
+const getTolerance = () => {
+  return parseInt(process.env.WEBHOOK_SIGNATURE_TOLERANCE) || DEFAULT_TOLERANCE;
+};
+
+// Body parser `verify` hook that keeps the raw request body for signature checks
+const captureRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+
+/**
+ * Body parsers for the inbound webhook routes, they keep the raw body next to the parsed one
+ * Mounted on those routes only, ahead of the app-wide parsers (which then skip the request).
+ */
+export const webhookBodyParsers = [
+  express.json({ limit: '50mb', verify: captureRawBody }),
+  express.urlencoded({ extended: true, limit: '50mb', verify: captureRawBody })
+];
+
+/**
+ * Compute the signature header value for a payload
+ * @param {string} secret - Shared signing secret
+ * @param {string|number} timestamp - Unix timestamp in seconds
+ * @param {string|Buffer} body - Raw request body
+ * @returns {string} - Signature header value ("v1=<hex>")
+ */
+export const signWebhookPayload = (secret, timestamp, body) => {
+  const digest = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.`)
+    .update(body || '')
+    .digest('hex');
+  return `${SIGNATURE_VERSION}=${digest}`;
+};
+
+const safeEqual = (a, b) => {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+const ipv4ToInt = (ip) => {
+  const parts = ip.split('.').map(Number);
+  if (parts.length !== 4 || parts.some(part => !Number.isInteger(part) || part < 0 || part > 255)) {
+    return null;
+  }
+  return ((parts[0] << 24) >>> 0) + (parts[1] << 16) + (parts[2] << 8) + parts[3];
+};
+
+/**
+ * Check an IP against the allowlist (exact IPs and IPv4 CIDR ranges)
+ */
+const isIpAllowed = (ip, allowlist) => {
+  const normalizedIp = ip.replace(/^::ffff:/, '');
+
+  return allowlist.some(entry => {
+    if (!entry.includes('/')) {
+      return entry === normalizedIp;
+    }
+
+    const [range, bits] = entry.split('/');
+    const rangeInt = ipv4ToInt(range);
+    const ipInt = ipv4ToInt(normalizedIp);
+    const prefix = parseInt(bits);
+    if (rangeInt === null || ipInt === null || !(prefix >= 0 && prefix <= 32)) {
+      return false;
+    }
+
+    const mask = prefix === 0 ? 0 : (~0 << (32 - prefix)) >>> 0;
+    return ((rangeInt & mask) >>> 0) === ((ipInt & mask) >>> 0);
+  });
+};
+
+/**
+ * Client IP for the allowlist
+ * X-Forwarded-For is client-controlled except for the entries appended by our own proxies,
+ * so the address is taken WEBHOOK_TRUSTED_PROXY_HOPS entries from the right.
+ */
+const getClientIp = (req) => {
+  const socketIp = req.socket.remoteAddress || '';
+  const hops = parseInt(process.env.WEBHOOK_TRUSTED_PROXY_HOPS) || 0;
+  if (hops <= 0) {
+    return socketIp;
+  }
+
+  const chain = (req.headers['x-forwarded-for'] || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+  chain.push(socketIp);
+
+  return chain[Math.max(chain.length - 1 - hops, 0)];
+};
+
+const reject = (res, status, code, message) => {
+  return res.status(status).json({
+    success: false,
+    error: 'Webhook authentication failed',
+    code,
+    message
+  });
+};
+
+/**
+ * Verify the source IP, timestamp and HMAC signature of a webhook request
+ * Must run after webhookBodyParsers
+ */
+export const verifyWebhookSignature = (req, res, next) => {
+  const allowlist = (process.env.WEBHOOK_IP_ALLOWLIST || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+
+  if (allowlist.length > 0) {
+    const clientIp = getClientIp(req);
+
+    if (!isIpAllowed(clientIp, allowlist)) {
+      console.warn(`Webhook request rejected: IP ${clientIp} is not allowlisted`);
+      return reject(res, 403, 'WEBHOOK_IP_NOT_ALLOWED', 'Requests from this IP address are not allowed');
+    }
+  }
+
+  const secrets = getSigningSecrets();
+  if (secrets.length === 0) {
+    if (process.env.WEBHOOK_ALLOW_UNSIGNED === 'true') {
+      return next();
+    }
+    console.error('Webhook request rejected: WEBHOOK_SIGNING_SECRETS is not configured');
+    return reject(res, 503, 'WEBHOOK_NOT_CONFIGURED', 'Webhook signing is not configured on this server');
+  }
+
+  const timestamp = req.headers['x-webhook-timestamp'];
+  const signatureHeader = req.headers['x-webhook-signature'];
+
+  if (!timestamp || !signatureHeader) {
+    return reject(res, 401, 'WEBHOOK_SIGNATURE_MISSING', 'X-Webhook-Timestamp and X-Webhook-Signature headers are required');
+  }
+
+  const timestampSeconds = Number(timestamp);
+  if (!Number.isInteger(timestampSeconds)) {
+    return reject(res, 401, 'WEBHOOK_TIMESTAMP_INVALID', 'X-Webhook-Timestamp must be a unix timestamp in seconds');
+  }
+
+  const tolerance = getTolerance();
+  if (Math.abs(Date.now() / 1000 - timestampSeconds) > tolerance) {
+    return reject(res, 401, 'WEBHOOK_TIMESTAMP_EXPIRED', `Request timestamp is outside the ${tolerance}s tolerance window`);
+  }
+
+  // Several signatures may be sent (comma-separated) while a sender rotates secrets
+  const provided = signatureHeader
+    .split(',')
+    .map(signature => signature.trim())
+    .filter(signature => signature.startsWith(`${SIGNATURE_VERSION}=`));
+
+  if (provided.length === 0) {
+    return reject(res, 401, 'WEBHOOK_SIGNATURE_INVALID', `Unsupported signature version, expected ${SIGNATURE_VERSION}`);
+  }
+
+  const expected = secrets.map(secret => signWebhookPayload(secret, timestamp, req.rawBody));
+  const matched = provided.find(signature => expected.some(candidate => safeEqual(signature, candidate)));
+
+  if (!matched) {
+    return reject(res, 401, 'WEBHOOK_SIGNATURE_INVALID', 'Signature does not match the request body');
+  }
+
+  // A replay of an accepted request gets the same success answer without being processed again.
+  // The signature is recorded before the handler runs so concurrent replays are caught too, and
+  // dropped again if the request fails, so a retry of a failed one goes through.
+  if (acceptedSignatures.has(matched)) {
+    if (pendingSignatures.has(matched)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Request in progress',
+        message: 'This request is still being processed, retry later'
+      });
+    }
+    return res.status(200).json({
+      success: true,
+      duplicate: true,
+      message: 'This request has already been processed'
+    });
+  }
+
+  acceptedSignatures.set(matched, Date.now() + tolerance * 2 * 1000);
+  pendingSignatures.add(matched);
+
+  const settle = () => {
+    if (!pendingSignatures.delete(matched)) {
+      return;
+    }
+    // Aborted before an answer, or answered with an error
+    if (!res.writableFinished || res.statusCode < 200 || res.statusCode >= 300) {
+      acceptedSignatures.delete(matched);
+    }
+  };
+  res.on('finish', settle);
+  res.on('close', settle);
+
+  next();
+};
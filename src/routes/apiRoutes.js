@@ -1,5 +1,6 @@
 // apiRoutes.js - Main API Endpoints (No Encryption)
 import express from 'express';
+import { pool } from '../db/init.js';
 import { 
   authenticateApiKey, 
   apiRateLimit, 
@@ -12,11 +13,43 @@ import {
   getApiEmail, 
   getUserUsageStats,
   getTomorrowMidnight,
-  deleteApiEmail
+  deleteApiEmail,
+  getApiEmailMessage,
+  waitForApiEmailMessage,
+  markApiEmailMessagesChanged
 } from '../services/apiMemoryStore.js';
+import { toAttachmentMetadata, sendAttachment } from '../utils/attachments.js';
+import { sendRawMessage } from '../utils/rawMessages.js';
+import { filterBySpam } from '../services/spamScoring.js';
+import { summarizeAuthentication } from '../utils/messageHeaders.js';
+import { rewriteLinks, getPublicBaseUrl, isLinkSigningEnabled } from '../services/linkExtractor.js';
+import { withSafeRender } from '../services/safeRender.js';
+import { parseSearchQuery, searchMessages } from '../services/emailSearch.js';
+import { normalizeSenderRule, listSenderRules, createSenderRule, deleteSenderRule } from '../services/senderRules.js';
+import { groupIntoThreads } from '../services/threading.js';
+import {
+  BULK_ACTIONS,
+  normalizeStateUpdate,
+  validateBulkIds,
+  applyStateToMessages,
+  filterByState,
+  countMessageState
+} from '../services/messageState.js';
+import {
+  normalizeWebhook,
+  listWebhooks,
+  createWebhook,
+  deleteWebhook,
+  listWebhookDeliveries,
+  redeliverWebhook
+} from '../services/outboundWebhooks.js';
 
 const router = express.Router();
 
+// Long-poll timeouts of /emails/:id/messages/wait, in seconds
+const WAIT_DEFAULT_SECONDS = 30;
+const WAIT_MAX_SECONDS = 60;
+
 // Apply CORS headers to all API routes
 router.use(apiCorsHeaders);
 
@@ -157,6 +190,8 @@ router.get('/emails', async (req, res) => {
         created_at: email.createdAt.toISOString(),
         is_custom_domain: email.isCustomDomain,
         message_count: email.messages.length,
+        unread_count: countMessageState(email.messages).unread_count,
+        blocked_count: email.blockedCount || 0,
         is_expired: isExpired,
         time_remaining: isExpired ? null : {
           total_ms: timeRemaining,
@@ -188,6 +223,80 @@ router.get('/emails', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/v1/messages/search
+ * Search messages across all of the user's API emails
+ * Query params:
+ * - q: words or "quoted phrases" to find in the sender, subject or body
+ * - from, subject: only messages whose sender / subject contains this
+ * - email_id, address: only messages of one API email
+ * - has_attachment: 'true' or 'false'
+ * - after, before: received date range (ISO 8601)
+ * - spam: include (default), exclude or only
+ * - limit: number of messages to return (default: 50, max: 100)
+ * - offset: number of messages to skip (default: 0)
+ */
+router.get('/messages/search', async (req, res) => {
+  try {
+    const userId = req.apiUser.id;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const { criteria, error } = parseSearchQuery({ ...req.query, temp_email_id: req.query.email_id });
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid search',
+        message: error
+      });
+    }
+
+    const inboxes = getUserApiEmails(userId).map(email => ({
+      id: email.id,
+      address: email.email,
+      messages: email.messages
+    }));
+    const results = searchMessages(inboxes, criteria);
+
+    res.json({
+      success: true,
+      messages: results.slice(offset, offset + limit).map(message => ({
+        id: message.id,
+        email_id: message.email_id,
+        address: message.address,
+        from_email: message.from_email,
+        from_name: message.from_name,
+        subject: message.subject,
+        snippet: message.snippet,
+        received_at: message.received_at,
+        is_read: message.is_read || false,
+        is_starred: message.is_starred || false,
+        is_archived: message.is_archived || false,
+        is_spam: message.is_spam || false,
+        otp_code: message.otp_code || null,
+        attachments: (message.attachments || []).map(toAttachmentMetadata)
+      })),
+      pagination: {
+        limit: limit,
+        offset: offset,
+        total: results.length,
+        has_more: (offset + limit) < results.length
+      },
+      meta: {
+        user_id: userId,
+        tier: req.apiUser.tier,
+        request_time: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('API message search failed:', error);
+    res.status(500).json({ 
+      error: 'Failed to search messages',
+      message: 'An internal error occurred while searching messages'
+    });
+  }
+});
+
 /**
  * GET /api/v1/emails/:id
  * Get specific API email details
@@ -230,6 +339,8 @@ router.get('/emails/:id', async (req, res) => {
         created_at: email.createdAt.toISOString(),
         is_custom_domain: email.isCustomDomain,
         message_count: email.messages.length,
+        unread_count: countMessageState(email.messages).unread_count,
+        blocked_count: email.blockedCount || 0,
         is_expired: isExpired,
         time_remaining: isExpired ? null : {
           total_ms: timeRemaining,
@@ -253,12 +364,37 @@ router.get('/emails/:id', async (req, res) => {
   }
 });
 
+// Message as returned by the message list and the long-poll wait
+const formatMessage = (message) => ({
+  id: message.id,
+  from_email: message.from_email,
+  from_name: message.from_name,
+  subject: message.subject,
+  body_text: message.body_text,
+  body_html: message.body_html,
+  received_at: message.received_at,
+  is_read: message.is_read || false,
+  is_starred: message.is_starred || false,
+  is_archived: message.is_archived || false,
+  is_spam: message.is_spam || false,
+  spam_score: message.spam_score || 0,
+  spam_verdict: message.spam_verdict || 'clean',
+  otp_code: message.otp_code || null,
+  verification_links: message.verification_links || [],
+  is_bounce: message.is_bounce || false,
+  bounce: message.bounce || null,
+  attachments: (message.attachments || []).map(toAttachmentMetadata)
+});
+
 /**
  * GET /api/v1/emails/:id/messages
  * Get messages for a specific API email
  * Query params:
  * - limit: number of messages to return (default: 50, max: 100)
  * - offset: number of messages to skip (default: 0)
+ * - spam: include (default), exclude or only
+ * - archived: exclude (default), include or only
+ * - unread, starred: 'true' to only return unread / starred messages
  */
 router.get('/emails/:id/messages', async (req, res) => {
   try {
@@ -277,21 +413,11 @@ router.get('/emails/:id/messages', async (req, res) => {
     }
 
     // Get messages with pagination
-    const allMessages = email.messages || [];
+    const allMessages = filterByState(filterBySpam(email.messages || [], req.query.spam), req.query);
     const paginatedMessages = allMessages.slice(offset, offset + limit);
 
     // Format messages for response
-    const formattedMessages = paginatedMessages.map(message => ({
-      id: message.id,
-      from_email: message.from_email,
-      from_name: message.from_name,
-      subject: message.subject,
-      body_text: message.body_text,
-      body_html: message.body_html,
-      received_at: message.received_at,
-      is_read: message.is_read || false,
-      is_spam: message.is_spam || false
-    }));
+    const formattedMessages = paginatedMessages.map(formatMessage);
 
     res.json({
       success: true,
@@ -324,47 +450,977 @@ router.get('/emails/:id/messages', async (req, res) => {
 });
 
 /**
- * DELETE /api/v1/emails/:id
- * Delete a specific API email
+ * GET /api/v1/emails/:id/messages/wait
+ * Long-poll for the next message, instead of polling /messages in a loop
+ * Returns at once when a message after the cursor already matches, otherwise when one
+ * arrives or the timeout passes (message: null, timed_out: true). Pass the returned
+ * cursor as `after` to get the following message.
+ * Query params:
+ * - after: message ID cursor, only messages received after it
+ * - since: only messages received after this ISO timestamp
+ * - from: sender address or name contains this
+ * - subject_contains: subject contains this
+ * - timeout: seconds to wait (default: 30, max: 60)
+ * Without `after` or `since`, only messages arriving during the request are returned.
  */
-router.delete('/emails/:id', async (req, res) => {
+router.get('/emails/:id/messages/wait', async (req, res) => {
   try {
-    const emailId = req.params.id;
     const userId = req.apiUser.id;
+    const timeout = Math.min(Math.max(parseInt(req.query.timeout) || WAIT_DEFAULT_SECONDS, 1), WAIT_MAX_SECONDS);
+    const email = getApiEmail(req.params.id, userId);
 
-    // Validate email ID format
-    if (!emailId || typeof emailId !== 'string') {
+    if (!email) {
+      return res.status(404).json({ 
+        error: 'Email not found',
+        message: 'The requested email was not found or has expired'
+      });
+    }
+
+    const since = req.query.since ? new Date(req.query.since) : null;
+    if (since && Number.isNaN(since.getTime())) {
       return res.status(400).json({ 
-        error: 'Invalid email ID',
-        message: 'Email ID must be a valid string'
+        error: 'Invalid since',
+        message: 'since must be an ISO 8601 timestamp'
       });
     }
 
-    // Attempt to delete the email
-    const deleted = deleteApiEmail(emailId, userId);
-    
-    if (!deleted) {
+    // Messages are kept newest first, the ones after the cursor come before it
+    let earlier = [];
+    if (req.query.after) {
+      const cursorIndex = email.messages.findIndex(message => message.id === req.query.after);
+      if (cursorIndex === -1) {
+        return res.status(400).json({ 
+          error: 'Invalid cursor',
+          message: 'after must be the ID of a message of this email'
+        });
+      }
+      earlier = email.messages.slice(0, cursorIndex);
+    } else if (since) {
+      earlier = email.messages;
+    }
+
+    const from = (req.query.from || '').toLowerCase();
+    const subjectContains = (req.query.subject_contains || '').toLowerCase();
+    const matches = (message) =>
+      (!since || new Date(message.received_at) > since) &&
+      (!from || `${message.from_email || ''} ${message.from_name || ''}`.toLowerCase().includes(from)) &&
+      (!subjectContains || (message.subject || '').toLowerCase().includes(subjectContains));
+
+    // Oldest match first, so following the cursor visits every message
+    let message = [...earlier].reverse().find(matches) || null;
+
+    if (!message) {
+      const controller = new AbortController();
+      res.on('close', () => controller.abort());
+
+      message = await waitForApiEmailMessage(email.id, userId, matches, timeout * 1000, controller.signal);
+      if (res.writableEnded || res.destroyed) {
+        return;
+      }
+    }
+
+    res.setHeader('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      message: message ? formatMessage(message) : null,
+      timed_out: !message,
+      cursor: message ? message.id : (req.query.after || null),
+      meta: {
+        user_id: userId,
+        tier: req.apiUser.tier,
+        request_time: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    if (error.message.includes('Too many pending waits')) {
+      return res.status(429).json({ 
+        error: 'Too many pending waits',
+        message: error.message
+      });
+    }
+
+    console.error('API message wait failed:', error);
+    res.status(500).json({ 
+      error: 'Failed to wait for message',
+      message: 'An internal error occurred while waiting for a message'
+    });
+  }
+});
+
+/**
+ * GET /api/v1/emails/:id/threads
+ * Conversation threads of an API email, most recently active first
+ * Query params:
+ * - limit: number of threads to return (default: 20, max: 100)
+ * - offset: number of threads to skip (default: 0)
+ */
+router.get('/emails/:id/threads', async (req, res) => {
+  try {
+    const userId = req.apiUser.id;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const email = getApiEmail(req.params.id, userId);
+
+    if (!email) {
       return res.status(404).json({ 
         error: 'Email not found',
-        message: 'The requested email was not found or has already expired'
+        message: 'The requested email was not found or has expired'
       });
     }
 
+    const threads = groupIntoThreads(email.messages || []);
+
     res.json({
       success: true,
-      message: 'Email deleted successfully',
+      threads: threads.slice(offset, offset + limit).map(({ messages, ...thread }) => thread),
+      email: {
+        id: email.id,
+        address: email.email,
+        thread_count: threads.length
+      },
+      pagination: {
+        limit: limit,
+        offset: offset,
+        total: threads.length,
+        has_more: (offset + limit) < threads.length
+      },
       meta: {
         user_id: userId,
-        email_id: emailId,
-        deleted_at: new Date().toISOString()
+        tier: req.apiUser.tier,
+        request_time: new Date().toISOString()
       }
     });
 
   } catch (error) {
-    console.error('API email deletion failed:', error);
+    console.error('API threads fetch failed:', error);
     res.status(500).json({ 
-      error: 'Failed to delete email',
-      message: 'An internal error occurred while deleting the email'
+      error: 'Failed to fetch threads',
+      message: 'An internal error occurred while fetching threads'
+    });
+  }
+});
+
+/**
+ * GET /api/v1/emails/:id/threads/:threadId
+ * Messages of a thread, oldest first
+ * Query params:
+ * - render: 'safe' to sanitize body_html, proxy remote images and inline cid: images
+ */
+router.get('/emails/:id/threads/:threadId', async (req, res) => {
+  try {
+    const userId = req.apiUser.id;
+    const email = getApiEmail(req.params.id, userId);
+
+    if (!email) {
+      return res.status(404).json({ 
+        error: 'Email not found',
+        message: 'The requested email was not found or has expired'
+      });
+    }
+
+    const thread = groupIntoThreads(email.messages || [])
+      .find(candidate => candidate.thread_id === req.params.threadId);
+
+    if (!thread) {
+      return res.status(404).json({ 
+        error: 'Thread not found',
+        message: 'The requested thread was not found in this email'
+      });
+    }
+
+    const { messages, ...summary } = thread;
+
+    res.json({
+      success: true,
+      thread: {
+        ...summary,
+        messages: messages.map(message => {
+          const rendered = withSafeRender(message, req);
+
+          return {
+            id: message.id,
+            message_id: message.message_id || null,
+            in_reply_to: message.headers?.in_reply_to || null,
+            from_email: message.from_email,
+            from_name: message.from_name,
+            subject: message.subject,
+            body_text: message.body_text,
+            body_html: rendered.body_html,
+            ...(rendered.safe_render ? { safe_render: rendered.safe_render } : {}),
+            received_at: message.received_at,
+            is_read: message.is_read || false,
+            is_starred: message.is_starred || false,
+            is_archived: message.is_archived || false,
+            is_spam: message.is_spam || false,
+            otp_code: message.otp_code || null,
+            attachments: (message.attachments || []).map(toAttachmentMetadata)
+          };
+        })
+      },
+      meta: {
+        user_id: userId,
+        tier: req.apiUser.tier,
+        request_time: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('API thread fetch failed:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch thread',
+      message: 'An internal error occurred while fetching the thread'
+    });
+  }
+});
+
+/**
+ * GET /api/v1/emails/:id/otp
+ * Get the latest one-time code (and verification link) received by an API email
+ * Query params:
+ * - since: only consider messages received after this ISO timestamp
+ * - min_confidence: minimum confidence between 0 and 1 (default: server threshold)
+ */
+router.get('/emails/:id/otp', async (req, res) => {
+  try {
+    const userId = req.apiUser.id;
+    const email = getApiEmail(req.params.id, userId);
+
+    if (!email) {
+      return res.status(404).json({ 
+        error: 'Email not found',
+        message: 'The requested email was not found or has expired'
+      });
+    }
+
+    const since = req.query.since ? new Date(req.query.since) : null;
+    if (since && isNaN(since.getTime())) {
+      return res.status(400).json({
+        error: 'Invalid since parameter',
+        message: 'since must be an ISO 8601 timestamp'
+      });
+    }
+    const minConfidence = parseFloat(req.query.min_confidence) || 0;
+
+    // Messages are stored newest first
+    const candidates = (email.messages || [])
+      .filter(message => !since || new Date(message.received_at) > since);
+    const codeMessage = candidates.find(message =>
+      message.otp_code && message.otp_confidence >= minConfidence
+    );
+    const linkMessage = candidates.find(message =>
+      (message.verification_links || []).some(link => link.confidence >= minConfidence)
+    );
+
+    if (!codeMessage && !linkMessage) {
+      return res.status(404).json({
+        error: 'No code found',
+        message: 'No one-time code or verification link has been received yet'
+      });
+    }
+
+    const link = linkMessage?.verification_links.find(l => l.confidence >= minConfidence);
+
+    res.json({
+      success: true,
+      otp: codeMessage ? {
+        code: codeMessage.otp_code,
+        confidence: codeMessage.otp_confidence,
+        message_id: codeMessage.id,
+        from_email: codeMessage.from_email,
+        subject: codeMessage.subject,
+        received_at: codeMessage.received_at
+      } : null,
+      verification_link: link ? {
+        url: link.url,
+        text: link.text,
+        confidence: link.confidence,
+        message_id: linkMessage.id,
+        received_at: linkMessage.received_at
+      } : null,
+      meta: {
+        user_id: userId,
+        tier: req.apiUser.tier,
+        request_time: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('API OTP fetch failed:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch code',
+      message: 'An internal error occurred while fetching the code'
+    });
+  }
+});
+
+/**
+ * GET /api/v1/emails/:id/messages/:messageId
+ * Get a single message with its headers, links and SPF/DKIM/DMARC summary
+ * Query params:
+ * - safe_links: 'true' to also return body_html_safe, with links going through /links/redirect
+ * - render: 'safe' to sanitize body_html, proxy remote images and inline cid: images
+ */
+router.get('/emails/:id/messages/:messageId', async (req, res) => {
+  try {
+    const userId = req.apiUser.id;
+    const message = getApiEmailMessage(req.params.id, userId, req.params.messageId);
+
+    if (!message) {
+      return res.status(404).json({ 
+        error: 'Message not found',
+        message: 'The requested message was not found or the email has expired'
+      });
+    }
+
+    const rendered = withSafeRender(message, req);
+
+    res.json({
+      success: true,
+      message: {
+        id: message.id,
+        from_email: message.from_email,
+        from_name: message.from_name,
+        subject: message.subject,
+        body_text: message.body_text,
+        body_html: rendered.body_html,
+        ...(rendered.safe_render ? { safe_render: rendered.safe_render } : {}),
+        received_at: message.received_at,
+        is_read: message.is_read || false,
+        is_starred: message.is_starred || false,
+        is_archived: message.is_archived || false,
+        is_spam: message.is_spam || false,
+        spam_score: message.spam_score || 0,
+        spam_verdict: message.spam_verdict || 'clean',
+        otp_code: message.otp_code || null,
+        otp_confidence: message.otp_confidence || null,
+        verification_links: message.verification_links || [],
+        links: message.links || [],
+        is_bounce: message.is_bounce || false,
+        bounce: message.bounce || null,
+        ...(req.query.safe_links === 'true' && isLinkSigningEnabled()
+          ? { body_html_safe: rewriteLinks(rendered.body_html, getPublicBaseUrl(req)) }
+          : {}),
+        attachments: (message.attachments || []).map(toAttachmentMetadata),
+        headers: message.headers || null,
+        authentication: summarizeAuthentication(message.headers)
+      },
+      meta: {
+        user_id: userId,
+        tier: req.apiUser.tier,
+        request_time: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('API message fetch failed:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch message',
+      message: 'An internal error occurred while fetching the message'
+    });
+  }
+});
+
+/**
+ * PATCH /api/v1/emails/:id/messages/:messageId
+ * Set the read, starred and/or archived state of a message
+ * Body: { is_read, is_starred, is_archived } (booleans, at least one)
+ */
+router.patch('/emails/:id/messages/:messageId', async (req, res) => {
+  try {
+    const userId = req.apiUser.id;
+    const { update, error } = normalizeStateUpdate(req.body);
+
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Invalid state',
+        message: error
+      });
+    }
+
+    const message = getApiEmailMessage(req.params.id, userId, req.params.messageId);
+
+    if (!message) {
+      return res.status(404).json({ 
+        error: 'Message not found',
+        message: 'The requested message was not found or the email has expired'
+      });
+    }
+
+    Object.assign(message, update);
+    markApiEmailMessagesChanged(req.params.id, [message.id]);
+
+    res.json({
+      success: true,
+      message: {
+        id: message.id,
+        is_read: message.is_read || false,
+        is_starred: message.is_starred || false,
+        is_archived: message.is_archived || false
+      },
+      meta: {
+        user_id: userId,
+        tier: req.apiUser.tier,
+        request_time: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('API message update failed:', error);
+    res.status(500).json({ 
+      error: 'Failed to update message',
+      message: 'An internal error occurred while updating the message'
+    });
+  }
+});
+
+/**
+ * POST /api/v1/emails/:id/messages/bulk/:action
+ * Mark several messages read, unread, starred, unstarred, archived or unarchived
+ * Actions: read, unread, star, unstar, archive, unarchive
+ * Body: { message_ids: [...] }
+ */
+router.post('/emails/:id/messages/bulk/:action', async (req, res) => {
+  try {
+    const userId = req.apiUser.id;
+
+    if (!Object.hasOwn(BULK_ACTIONS, req.params.action)) {
+      return res.status(404).json({ 
+        error: 'Unknown bulk action',
+        message: `Supported actions: ${Object.keys(BULK_ACTIONS).join(', ')}`
+      });
+    }
+
+    const idsError = validateBulkIds(req.body.message_ids);
+    if (idsError) {
+      return res.status(400).json({ 
+        error: 'Invalid message IDs',
+        message: idsError
+      });
+    }
+
+    const email = getApiEmail(req.params.id, userId);
+
+    if (!email) {
+      return res.status(404).json({ 
+        error: 'Email not found',
+        message: 'The requested email was not found or has expired'
+      });
+    }
+
+    const count = applyStateToMessages(email.messages, req.body.message_ids, BULK_ACTIONS[req.params.action]);
+    markApiEmailMessagesChanged(email.id, req.body.message_ids);
+
+    res.json({
+      success: true,
+      updated_count: count,
+      email: {
+        id: email.id,
+        address: email.email,
+        unread_count: countMessageState(email.messages).unread_count
+      },
+      meta: {
+        user_id: userId,
+        tier: req.apiUser.tier,
+        request_time: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('API bulk message update failed:', error);
+    res.status(500).json({ 
+      error: 'Failed to update messages',
+      message: 'An internal error occurred while updating messages'
+    });
+  }
+});
+
+/**
+ * GET /api/v1/emails/:id/messages/:messageId/attachments
+ * List attachments of a message
+ */
+router.get('/emails/:id/messages/:messageId/attachments', async (req, res) => {
+  try {
+    const userId = req.apiUser.id;
+    const message = getApiEmailMessage(req.params.id, userId, req.params.messageId);
+
+    if (!message) {
+      return res.status(404).json({ 
+        error: 'Message not found',
+        message: 'The requested message was not found or the email has expired'
+      });
+    }
+
+    const attachments = (message.attachments || []).map(toAttachmentMetadata);
+
+    res.json({
+      success: true,
+      attachments,
+      message: {
+        id: message.id,
+        subject: message.subject,
+        attachment_count: attachments.length
+      },
+      meta: {
+        user_id: userId,
+        tier: req.apiUser.tier,
+        request_time: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('API attachments fetch failed:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch attachments',
+      message: 'An internal error occurred while fetching attachments'
+    });
+  }
+});
+
+/**
+ * GET /api/v1/emails/:id/messages/:messageId/attachments/:attachmentId
+ * Download a single attachment
+ */
+router.get('/emails/:id/messages/:messageId/attachments/:attachmentId', async (req, res) => {
+  try {
+    const message = getApiEmailMessage(req.params.id, req.apiUser.id, req.params.messageId);
+    const attachment = message?.attachments?.find(a => a.id === req.params.attachmentId);
+
+    if (!attachment) {
+      return res.status(404).json({ 
+        error: 'Attachment not found',
+        message: 'The requested attachment was not found or the email has expired'
+      });
+    }
+
+    sendAttachment(res, attachment);
+
+  } catch (error) {
+    console.error('API attachment download failed:', error);
+    res.status(500).json({ 
+      error: 'Failed to download attachment',
+      message: 'An internal error occurred while downloading the attachment'
+    });
+  }
+});
+
+/**
+ * GET /api/v1/emails/:id/messages/:messageId/raw
+ * Download the original message source (message/rfc822)
+ */
+router.get('/emails/:id/messages/:messageId/raw', async (req, res) => {
+  try {
+    const message = getApiEmailMessage(req.params.id, req.apiUser.id, req.params.messageId);
+
+    if (!message || !message.raw_source) {
+      return res.status(404).json({ 
+        error: 'Raw message not found',
+        message: 'The requested message was not found or the email has expired'
+      });
+    }
+
+    sendRawMessage(res, message.id, message);
+
+  } catch (error) {
+    console.error('API raw message download failed:', error);
+    res.status(500).json({ 
+      error: 'Failed to download raw message',
+      message: 'An internal error occurred while downloading the raw message'
+    });
+  }
+});
+
+/**
+ * DELETE /api/v1/emails/:id
+ * Delete a specific API email
+ */
+router.delete('/emails/:id', async (req, res) => {
+  try {
+    const emailId = req.params.id;
+    const userId = req.apiUser.id;
+
+    // Validate email ID format
+    if (!emailId || typeof emailId !== 'string') {
+      return res.status(400).json({ 
+        error: 'Invalid email ID',
+        message: 'Email ID must be a valid string'
+      });
+    }
+
+    // Attempt to delete the email
+    const deleted = deleteApiEmail(emailId, userId);
+    
+    if (!deleted) {
+      return res.status(404).json({ 
+        error: 'Email not found',
+        message: 'The requested email was not found or has already expired'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Email deleted successfully',
+      meta: {
+        user_id: userId,
+        email_id: emailId,
+        deleted_at: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('API email deletion failed:', error);
+    res.status(500).json({ 
+      error: 'Failed to delete email',
+      message: 'An internal error occurred while deleting the email'
+    });
+  }
+});
+
+/**
+ * GET /api/v1/emails/:id/rules
+ * Get the sender allow/block rules of an API email, including the account-wide rules
+ */
+router.get('/emails/:id/rules', async (req, res) => {
+  try {
+    const userId = req.apiUser.id;
+    const email = getApiEmail(req.params.id, userId);
+
+    if (!email) {
+      return res.status(404).json({ 
+        error: 'Email not found',
+        message: 'The requested email was not found or has expired'
+      });
+    }
+
+    const rules = await listSenderRules(userId, email.id);
+
+    res.json({
+      success: true,
+      rules,
+      blocked_count: email.blockedCount || 0,
+      meta: {
+        user_id: userId,
+        tier: req.apiUser.tier,
+        request_time: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('API sender rules fetch failed:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch sender rules',
+      message: 'An internal error occurred while fetching the sender rules'
+    });
+  }
+});
+
+/**
+ * POST /api/v1/emails/:id/rules
+ * Add a sender rule to an API email
+ * Body:
+ * - action: 'allow' or 'block'
+ * - pattern: sender address, domain or wildcard (e.g. *@news.example.com)
+ * - match_type: email, domain or wildcard (detected from the pattern when omitted)
+ * - scope: 'inbox' (default) or 'account' to apply the rule to every inbox
+ */
+router.post('/emails/:id/rules', async (req, res) => {
+  try {
+    const userId = req.apiUser.id;
+    const email = getApiEmail(req.params.id, userId);
+
+    if (!email) {
+      return res.status(404).json({ 
+        error: 'Email not found',
+        message: 'The requested email was not found or has expired'
+      });
+    }
+
+    const { rule, error } = normalizeSenderRule(req.body);
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Invalid sender rule',
+        message: error
+      });
+    }
+
+    const created = await createSenderRule(userId, req.body.scope === 'account' ? null : email.id, rule);
+
+    res.status(201).json({
+      success: true,
+      rule: created,
+      meta: {
+        user_id: userId,
+        tier: req.apiUser.tier,
+        request_time: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('API sender rule creation failed:', error);
+
+    if (error.message.includes('rule limit')) {
+      return res.status(400).json({ 
+        error: 'Sender rule limit reached',
+        message: error.message,
+        code: 'RULE_LIMIT_REACHED'
+      });
+    }
+
+    res.status(500).json({ 
+      error: 'Failed to create sender rule',
+      message: 'An internal error occurred while creating the sender rule'
+    });
+  }
+});
+
+/**
+ * DELETE /api/v1/emails/:id/rules/:ruleId
+ * Delete a sender rule of an API email (or an account-wide rule)
+ */
+router.delete('/emails/:id/rules/:ruleId', async (req, res) => {
+  try {
+    const userId = req.apiUser.id;
+    const email = getApiEmail(req.params.id, userId);
+
+    if (!email) {
+      return res.status(404).json({ 
+        error: 'Email not found',
+        message: 'The requested email was not found or has expired'
+      });
+    }
+
+    const deleted = await deleteSenderRule(userId, email.id, req.params.ruleId);
+    if (!deleted) {
+      return res.status(404).json({ 
+        error: 'Rule not found',
+        message: 'The requested sender rule does not exist'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Sender rule deleted successfully',
+      meta: {
+        user_id: userId,
+        rule_id: req.params.ruleId,
+        deleted_at: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('API sender rule deletion failed:', error);
+    res.status(500).json({ 
+      error: 'Failed to delete sender rule',
+      message: 'An internal error occurred while deleting the sender rule'
+    });
+  }
+});
+
+/**
+ * GET /api/v1/webhooks
+ * List the account's webhooks (secrets are only shown on creation)
+ */
+router.get('/webhooks', async (req, res) => {
+  try {
+    const userId = req.apiUser.id;
+    const webhooks = await listWebhooks(userId);
+
+    res.json({
+      success: true,
+      webhooks,
+      meta: {
+        user_id: userId,
+        tier: req.apiUser.tier,
+        request_time: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('API webhooks fetch failed:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch webhooks',
+      message: 'An internal error occurred while fetching webhooks'
+    });
+  }
+});
+
+/**
+ * POST /api/v1/webhooks
+ * Register a callback URL, called with a signed message.received event for every new message
+ * Body:
+ * - url: public http(s) URL
+ * - email_id: only messages of this API email (or temp email of the account), every inbox when omitted
+ * - description: optional note
+ * The response contains the signing secret, it is not shown again.
+ */
+router.post('/webhooks', async (req, res) => {
+  try {
+    const userId = req.apiUser.id;
+    const { webhook, error } = normalizeWebhook(req.body);
+
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Invalid webhook',
+        message: error
+      });
+    }
+
+    if (webhook.email_id && !getApiEmail(webhook.email_id, userId)) {
+      const [tempEmails] = await pool.query(
+        'SELECT id FROM temp_emails WHERE id = ? AND user_id = ?',
+        [webhook.email_id, userId]
+      );
+      if (tempEmails.length === 0) {
+        return res.status(404).json({ 
+          error: 'Email not found',
+          message: 'email_id must be one of your emails'
+        });
+      }
+    }
+
+    const created = await createWebhook(userId, webhook);
+
+    res.status(201).json({
+      success: true,
+      webhook: created,
+      meta: {
+        user_id: userId,
+        tier: req.apiUser.tier,
+        request_time: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    if (error.message.includes('Webhook limit')) {
+      return res.status(400).json({ 
+        error: 'Webhook limit reached',
+        message: error.message
+      });
+    }
+
+    console.error('API webhook creation failed:', error);
+    res.status(500).json({ 
+      error: 'Failed to create webhook',
+      message: 'An internal error occurred while creating the webhook'
+    });
+  }
+});
+
+/**
+ * DELETE /api/v1/webhooks/:id
+ * Delete a webhook and its delivery log
+ */
+router.delete('/webhooks/:id', async (req, res) => {
+  try {
+    const userId = req.apiUser.id;
+    const deleted = await deleteWebhook(userId, req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({ 
+        error: 'Webhook not found',
+        message: 'The requested webhook was not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Webhook deleted successfully',
+      meta: {
+        user_id: userId,
+        tier: req.apiUser.tier,
+        request_time: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('API webhook deletion failed:', error);
+    res.status(500).json({ 
+      error: 'Failed to delete webhook',
+      message: 'An internal error occurred while deleting the webhook'
+    });
+  }
+});
+
+/**
+ * GET /api/v1/webhooks/:id/deliveries
+ * Delivery log of a webhook, newest first
+ * Query params:
+ * - status: pending (being retried), delivered or dead (retries used up)
+ * - limit: number of deliveries to return (default: 50, max: 100)
+ * - offset: number of deliveries to skip (default: 0)
+ */
+router.get('/webhooks/:id/deliveries', async (req, res) => {
+  try {
+    const userId = req.apiUser.id;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const result = await listWebhookDeliveries(userId, req.params.id, { status: req.query.status, limit, offset });
+
+    if (!result) {
+      return res.status(404).json({ 
+        error: 'Webhook not found',
+        message: 'The requested webhook was not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      deliveries: result.deliveries,
+      pagination: {
+        limit: limit,
+        offset: offset,
+        total: result.total,
+        has_more: (offset + limit) < result.total
+      },
+      meta: {
+        user_id: userId,
+        tier: req.apiUser.tier,
+        request_time: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('API webhook deliveries fetch failed:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch webhook deliveries',
+      message: 'An internal error occurred while fetching webhook deliveries'
+    });
+  }
+});
+
+/**
+ * POST /api/v1/webhooks/:id/deliveries/:deliveryId/redeliver
+ * Send a delivery again now (typically a dead one), with a fresh set of retries
+ */
+router.post('/webhooks/:id/deliveries/:deliveryId/redeliver', async (req, res) => {
+  try {
+    const userId = req.apiUser.id;
+    const result = await redeliverWebhook(userId, req.params.id, req.params.deliveryId);
+
+    if (!result) {
+      return res.status(404).json({ 
+        error: 'Delivery not found',
+        message: 'The requested webhook delivery was not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      delivered: result.delivered,
+      meta: {
+        user_id: userId,
+        tier: req.apiUser.tier,
+        request_time: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('API webhook redelivery failed:', error);
+    res.status(500).json({ 
+      error: 'Failed to redeliver webhook',
+      message: 'An internal error occurred while redelivering the webhook'
     });
   }
 });
@@ -8,6 +8,7 @@ import { validateDomain, sanitizeText, createValidationMiddleware } from '../uti
 import { checkCustomDomainLimits } from '../middleware/customDomainRateLimit.js';
 import { syncAllDomainsToMailserver, checkMailserverHealth } from '../services/domainSyncService.js';
 import { invalidateUserDomainsCache } from '../services/apiMemoryStore.js';
+import { invalidateAcceptedDomainsCache } from '../services/inboundMailService.js';
 
 const router = express.Router();
 
@@ -333,6 +334,7 @@ router.post('/custom/:id/verify', authenticateToken, async (req, res) => {
 
       // Invalidate user's domains cache so API calls can use verified domain immediately
       invalidateUserDomainsCache(req.user.id);
+      invalidateAcceptedDomainsCache();
 
       // Push verified domain to mailserver
       const pushResult = await pushDomainToMailserver(domain.domain, 'add');
@@ -390,6 +392,7 @@ router.delete('/custom/:id', authenticateToken, async (req, res) => {
 
     // Invalidate user's domains cache so API calls reject deleted domain immediately
     invalidateUserDomainsCache(req.user.id);
+    invalidateAcceptedDomainsCache();
 
     // Push domain deletion to mailserver (only if it was verified)
     if (domain.status === 'verified') {
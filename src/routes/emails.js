@@ -7,10 +7,34 @@ import { rateLimitMiddleware, verifyCaptcha, checkCaptchaRequired, rateLimitStor
 import { customDomainRateLimitMiddleware, incrementCustomDomainUsage, decrementCustomDomainUsage } from '../middleware/customDomainRateLimit.js';
 import nodemailer from 'nodemailer';
 import { validateEmail, sanitizeText, validateInteger, validateUUID, createValidationMiddleware } from '../utils/inputValidation.js';
+import { withAttachmentMetadata, loadAttachmentMetadata, loadInlineAttachments, sendAttachment } from '../utils/attachments.js';
+import { withoutRawSource, sendRawMessage } from '../utils/rawMessages.js';
+import { filterBySpam, spamFilterClause } from '../services/spamScoring.js';
+import { loadMessageHeaders, withHeaderDetails } from '../utils/messageHeaders.js';
+import { withSafeLinks } from '../services/linkExtractor.js';
+import { withSafeRender } from '../services/safeRender.js';
+import { parseSearchQuery, searchReceivedEmails, searchMessages } from '../services/emailSearch.js';
+import { normalizeSenderRule, listSenderRules, createSenderRule, deleteSenderRule } from '../services/senderRules.js';
+import { getTempEmailForwarding, setTempEmailForwarding } from '../services/forwardingAddresses.js';
+import { FORWARDING_DAILY_LIMIT_PER_INBOX } from '../services/mailForwarder.js';
+import { normalizeOutgoingMessage, getReplyContext, sendFromTempEmail, listSentEmails, getSentEmail } from '../services/outboundMail.js';
+import { listThreads, getThreadMessages } from '../services/threading.js';
+import {
+  BULK_ACTIONS,
+  normalizeStateUpdate,
+  validateBulkIds,
+  applyStateToMessages,
+  updateMessageState,
+  filterByState,
+  stateFilterClause,
+  countMessageState,
+  getMessageStateCounts
+} from '../services/messageState.js';
 import { 
   getTempEmails, 
   getTempEmailById, 
   getInbox, 
+  getReceivedEmailById,
   storeTempEmail, 
   isEmailAddressInUse,
   // New cache functions for registered users
@@ -26,6 +50,51 @@ import {
 
 const router = express.Router();
 
+// Search received emails across every inbox of the user (registered before /:id)
+// Query: q, from, subject, temp_email_id, address, has_attachment, after, before, spam, sort (relevance|date), page, limit
+router.get('/search', authenticateAnyToken, async (req, res) => {
+  try {
+    const { criteria, error } = parseSearchQuery(req.query);
+
+    if (error) {
+      return res.status(400).json({ error: 'Invalid search', details: error });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    // Guest inboxes keep everything in memory
+    if (req.user.isGuest) {
+      const inboxes = getTempEmails(req.guestToken).map(tempEmail => ({
+        id: tempEmail.id,
+        address: tempEmail.email,
+        messages: getInbox(req.guestToken, tempEmail.id)
+      }));
+      const results = searchMessages(inboxes, criteria)
+        .map(({ email_id, address, ...message }) => ({
+          ...withoutRawSource(withAttachmentMetadata(message)),
+          temp_email_id: email_id,
+          temp_email: address
+        }));
+
+      return res.json({
+        data: results.slice((page - 1) * limit, page * limit),
+        metadata: {
+          total: results.length,
+          page,
+          limit,
+          pages: Math.ceil(results.length / limit)
+        }
+      });
+    }
+
+    res.json(await searchReceivedEmails(req.user.id, criteria, { page, limit }));
+  } catch (error) {
+    console.error('Failed to search emails:', error);
+    res.status(400).json({ error: 'Failed to search emails' });
+  }
+});
+
 // Get a specific temporary email
 router.get('/:id', authenticateAnyToken, async (req, res) => {
   try {
@@ -185,13 +254,18 @@ router.post('/admin/batch-bulk-send', async (req, res) => {
 });
 
 // Get received emails for a specific temporary email with pagination
+// ?render=safe returns sanitized HTML bodies (see GET /:id/received/:emailId)
+// Archived emails are left out unless ?archived=include or ?archived=only, ?unread=true and ?starred=true narrow the list
 router.get('/:id/received', authenticateAnyToken, async (req, res) => {
   try {
     const emailId = req.params.id;
+    // Spam filter: include (default, spam is flagged with is_spam), exclude or only
+    const spamMode = req.query.spam;
     
     // Check if this is a guest user
     if (req.user.isGuest) {
-      const emails = getInbox(req.guestToken, emailId);
+      const emails = filterByState(filterBySpam(getInbox(req.guestToken, emailId), spamMode), req.query)
+        .map(email => withoutRawSource(withAttachmentMetadata(withSafeRender(email, req))));
       
       // Sort by received_at in descending order
       const sortedEmails = [...emails].sort((a, b) => 
@@ -218,13 +292,16 @@ router.get('/:id/received', authenticateAnyToken, async (req, res) => {
     let cachedEmails = skipCache ? null : getCachedUserInbox(userId, emailId);
     
     if (cachedEmails && cachedEmails.length > 0) {
+      cachedEmails = filterByState(filterBySpam(cachedEmails, spamMode), req.query);
+
       // Get pagination parameters with defaults
       const page = parseInt(req.query.page) || 1;
       const limit = parseInt(req.query.limit) || 10;
       const offset = (page - 1) * limit;
       
       // Paginate the results (emails are already sorted newest first)
-      const paginatedEmails = cachedEmails.slice(offset, offset + limit);
+      const paginatedEmails = cachedEmails.slice(offset, offset + limit)
+        .map(email => withSafeRender(email, req));
       
       // Return the data with pagination metadata
       res.json({
@@ -252,7 +329,7 @@ router.get('/:id/received', authenticateAnyToken, async (req, res) => {
       SELECT COUNT(*) as total
       FROM received_emails re
       JOIN temp_emails te ON re.temp_email_id = te.id
-      WHERE te.id = ? AND te.user_id = ?
+      WHERE te.id = ? AND te.user_id = ?${spamFilterClause(spamMode)}${stateFilterClause(req.query)}
     `, [req.params.id, req.user.id]);
 
     const totalCount = countResult[0].total;
@@ -262,14 +339,16 @@ router.get('/:id/received', authenticateAnyToken, async (req, res) => {
       SELECT re.*, te.email as temp_email
       FROM received_emails re
       JOIN temp_emails te ON re.temp_email_id = te.id
-      WHERE te.id = ? AND te.user_id = ?
+      WHERE te.id = ? AND te.user_id = ?${spamFilterClause(spamMode)}${stateFilterClause(req.query)}
       ORDER BY re.received_at DESC
       LIMIT ? OFFSET ?
     `, [req.params.id, req.user.id, limit, offset]);
 
+    await loadAttachmentMetadata(emails);
+
     // Return the data with pagination metadata
     res.json({
-      data: emails,
+      data: emails.map(email => withSafeRender(email, req)),
       metadata: {
         total: totalCount,
         page: page,
@@ -283,6 +362,489 @@ router.get('/:id/received', authenticateAnyToken, async (req, res) => {
   }
 });
 
+// Get a single received email with its headers and SPF/DKIM/DMARC summary
+// ?safe_links=true adds body_html_safe, with links going through /links/redirect
+// ?render=safe sanitizes body_html, proxies remote images and inlines cid: images
+router.get('/:id/received/:emailId', authenticateAnyToken, async (req, res) => {
+  try {
+    // Guest inboxes keep everything in memory
+    if (req.user.isGuest) {
+      const receivedEmail = getReceivedEmailById(req.guestToken, req.params.id, req.params.emailId);
+      
+      if (!receivedEmail) {
+        return res.status(404).json({ error: 'Received email not found' });
+      }
+      
+      res.json(withSafeLinks(withHeaderDetails(withoutRawSource(withAttachmentMetadata(withSafeRender(receivedEmail, req)))), req));
+      return;
+    }
+    
+    const [emails] = await pool.query(`
+      SELECT re.*, te.email as temp_email
+      FROM received_emails re
+      JOIN temp_emails te ON re.temp_email_id = te.id
+      WHERE re.id = ? AND te.id = ? AND te.user_id = ?
+    `, [req.params.emailId, req.params.id, req.user.id]);
+    
+    if (emails.length === 0) {
+      return res.status(404).json({ error: 'Received email not found' });
+    }
+    
+    await loadAttachmentMetadata(emails);
+    const headers = await loadMessageHeaders(emails[0].id);
+    const inlineAttachments = req.query.render === 'safe' ? await loadInlineAttachments(emails[0].id) : [];
+    
+    res.json(withSafeLinks(withSafeRender(withHeaderDetails(emails[0], headers), req, inlineAttachments), req));
+  } catch (error) {
+    console.error('Failed to fetch received email:', error);
+    res.status(400).json({ error: 'Failed to fetch received email' });
+  }
+});
+
+/**
+ * Apply a state update to received emails of a guest or database inbox
+ * @returns {Promise<number|null>} - Number of emails found, null if the inbox is not the user's
+ */
+const updateReceivedState = async (req, tempEmailId, emailIds, update) => {
+  if (req.user.isGuest) {
+    if (!getTempEmailById(req.guestToken, tempEmailId)) {
+      return null;
+    }
+    return applyStateToMessages(getInbox(req.guestToken, tempEmailId), emailIds, update);
+  }
+
+  const [tempEmails] = await pool.query(
+    'SELECT id FROM temp_emails WHERE id = ? AND user_id = ?',
+    [tempEmailId, req.user.id]
+  );
+  if (tempEmails.length === 0) {
+    return null;
+  }
+
+  const count = await updateMessageState(tempEmailId, emailIds, update);
+
+  // Keep the cached inbox in line with the database
+  const cachedInbox = getCachedUserInbox(req.user.id, tempEmailId);
+  if (cachedInbox) {
+    applyStateToMessages(cachedInbox, emailIds, update);
+  }
+
+  return count;
+};
+
+// Set is_read, is_starred and/or is_archived of a received email
+router.patch('/:id/received/:emailId', authenticateAnyToken, async (req, res) => {
+  const { update, error } = normalizeStateUpdate(req.body);
+
+  if (error) {
+    return res.status(400).json({ error: 'Invalid state', details: error });
+  }
+
+  try {
+    const count = await updateReceivedState(req, req.params.id, [req.params.emailId], update);
+
+    if (count === null) {
+      return res.status(404).json({ error: 'Temporary email not found' });
+    }
+    if (count === 0) {
+      return res.status(404).json({ error: 'Received email not found' });
+    }
+
+    res.json({ id: req.params.emailId, ...update });
+  } catch (error) {
+    console.error('Failed to update received email:', error);
+    res.status(400).json({ error: 'Failed to update received email' });
+  }
+});
+
+// Download an attachment from a received email
+router.get('/:id/received/:emailId/attachments/:attachmentId', authenticateAnyToken, async (req, res) => {
+  try {
+    // Guest inboxes keep attachments in memory
+    if (req.user.isGuest) {
+      const receivedEmail = getReceivedEmailById(req.guestToken, req.params.id, req.params.emailId);
+      const attachment = receivedEmail?.attachments?.find(a => a.id === req.params.attachmentId);
+      
+      if (!attachment) {
+        return res.status(404).json({ error: 'Attachment not found' });
+      }
+      
+      sendAttachment(res, attachment);
+      return;
+    }
+    
+    const [attachments] = await pool.query(`
+      SELECT ea.*
+      FROM email_attachments ea
+      JOIN received_emails re ON ea.email_id = re.id
+      JOIN temp_emails te ON re.temp_email_id = te.id
+      WHERE ea.id = ? AND re.id = ? AND te.id = ? AND te.user_id = ?
+    `, [req.params.attachmentId, req.params.emailId, req.params.id, req.user.id]);
+    
+    if (attachments.length === 0) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+    
+    sendAttachment(res, attachments[0]);
+  } catch (error) {
+    console.error('Failed to fetch attachment:', error);
+    res.status(400).json({ error: 'Failed to fetch attachment' });
+  }
+});
+
+// Download the original message source (.eml)
+router.get('/:id/received/:emailId/raw', authenticateAnyToken, async (req, res) => {
+  try {
+    // Guest inboxes keep the raw source in memory
+    if (req.user.isGuest) {
+      const receivedEmail = getReceivedEmailById(req.guestToken, req.params.id, req.params.emailId);
+      
+      if (!receivedEmail || !receivedEmail.raw_source) {
+        return res.status(404).json({ error: 'Raw message not found' });
+      }
+      
+      sendRawMessage(res, receivedEmail.id, receivedEmail);
+      return;
+    }
+    
+    const [rawSources] = await pool.query(`
+      SELECT rs.raw_source, rs.is_truncated as raw_truncated
+      FROM email_raw_sources rs
+      JOIN received_emails re ON rs.email_id = re.id
+      JOIN temp_emails te ON re.temp_email_id = te.id
+      WHERE re.id = ? AND te.id = ? AND te.user_id = ?
+    `, [req.params.emailId, req.params.id, req.user.id]);
+    
+    if (rawSources.length === 0) {
+      return res.status(404).json({ error: 'Raw message not found' });
+    }
+    
+    sendRawMessage(res, req.params.emailId, rawSources[0]);
+  } catch (error) {
+    console.error('Failed to fetch raw message:', error);
+    res.status(400).json({ error: 'Failed to fetch raw message' });
+  }
+});
+
+// Sender allow/block rules of an inbox, including the account-wide rules
+router.get('/:id/rules', authenticateToken, async (req, res) => {
+  try {
+    const [tempEmails] = await pool.query(
+      'SELECT id, blocked_count FROM temp_emails WHERE id = ? AND user_id = ?',
+      [req.params.id, req.user.id]
+    );
+
+    if (tempEmails.length === 0) {
+      return res.status(404).json({ error: 'Temporary email not found' });
+    }
+
+    const rules = await listSenderRules(req.user.id, req.params.id);
+
+    res.json({
+      rules,
+      blocked_count: tempEmails[0].blocked_count || 0
+    });
+  } catch (error) {
+    console.error('Failed to fetch sender rules:', error);
+    res.status(400).json({ error: 'Failed to fetch sender rules' });
+  }
+});
+
+// Add a sender rule to an inbox, or to every inbox of the account with scope: 'account'
+router.post('/:id/rules', authenticateToken, async (req, res) => {
+  try {
+    const [tempEmails] = await pool.query(
+      'SELECT id FROM temp_emails WHERE id = ? AND user_id = ?',
+      [req.params.id, req.user.id]
+    );
+
+    if (tempEmails.length === 0) {
+      return res.status(404).json({ error: 'Temporary email not found' });
+    }
+
+    const { rule, error } = normalizeSenderRule(req.body);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid sender rule', details: error });
+    }
+
+    const inboxId = req.body.scope === 'account' ? null : req.params.id;
+    const created = await createSenderRule(req.user.id, inboxId, rule);
+
+    res.status(201).json(created);
+  } catch (error) {
+    if (error.message.includes('rule limit')) {
+      return res.status(400).json({ error: 'Sender rule limit reached', details: error.message });
+    }
+
+    console.error('Failed to create sender rule:', error);
+    res.status(400).json({ error: 'Failed to create sender rule' });
+  }
+});
+
+// Delete a sender rule of an inbox (or an account-wide rule)
+router.delete('/:id/rules/:ruleId', authenticateToken, async (req, res) => {
+  try {
+    const [tempEmails] = await pool.query(
+      'SELECT id FROM temp_emails WHERE id = ? AND user_id = ?',
+      [req.params.id, req.user.id]
+    );
+
+    if (tempEmails.length === 0) {
+      return res.status(404).json({ error: 'Temporary email not found' });
+    }
+
+    const deleted = await deleteSenderRule(req.user.id, req.params.id, req.params.ruleId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Sender rule not found' });
+    }
+
+    res.json({ message: 'Sender rule deleted successfully' });
+  } catch (error) {
+    console.error('Failed to delete sender rule:', error);
+    res.status(400).json({ error: 'Failed to delete sender rule' });
+  }
+});
+
+// Get the forwarding address of a temp email and how many messages it forwarded today
+router.get('/:id/forwarding', authenticateToken, async (req, res) => {
+  try {
+    const forwarding = await getTempEmailForwarding(req.user.id, req.params.id);
+
+    if (!forwarding) {
+      return res.status(404).json({ error: 'Temporary email not found' });
+    }
+
+    res.json({
+      ...forwarding,
+      daily_limit: FORWARDING_DAILY_LIMIT_PER_INBOX
+    });
+  } catch (error) {
+    console.error('Failed to fetch forwarding settings:', error);
+    res.status(400).json({ error: 'Failed to fetch forwarding settings' });
+  }
+});
+
+// Forward new mail of a temp email to a verified forwarding address (forwarding_address_id)
+router.put('/:id/forwarding', authenticateToken, async (req, res) => {
+  try {
+    const { forwarding_address_id } = req.body;
+
+    if (!forwarding_address_id) {
+      return res.status(400).json({ error: 'Forwarding address is required' });
+    }
+
+    const result = await setTempEmailForwarding(req.user.id, req.params.id, forwarding_address_id);
+
+    if (!result) {
+      return res.status(404).json({ error: 'Temporary email not found' });
+    }
+
+    res.json(result);
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: 'Forwarding address not found' });
+    }
+    if (error.message.includes('not verified')) {
+      return res.status(400).json({ error: 'Forwarding address not verified', details: error.message });
+    }
+
+    console.error('Failed to update forwarding settings:', error);
+    res.status(400).json({ error: 'Failed to update forwarding settings' });
+  }
+});
+
+// Stop forwarding a temp email
+router.delete('/:id/forwarding', authenticateToken, async (req, res) => {
+  try {
+    const result = await setTempEmailForwarding(req.user.id, req.params.id, null);
+
+    if (!result) {
+      return res.status(404).json({ error: 'Temporary email not found' });
+    }
+
+    res.json({ message: 'Forwarding disabled successfully' });
+  } catch (error) {
+    console.error('Failed to disable forwarding:', error);
+    res.status(400).json({ error: 'Failed to disable forwarding' });
+  }
+});
+
+/**
+ * Send errors of sendFromTempEmail as responses
+ */
+const sendErrorResponse = (res, error) => {
+  if (error.message.includes('Sending limit')) {
+    return res.status(429).json({ error: 'Sending limit reached', details: error.message });
+  }
+  if (error.message.includes('not available')) {
+    return res.status(503).json({ error: 'Sending is not available for this address', details: error.message });
+  }
+  if (error.message.includes('Failed to send')) {
+    return res.status(502).json({ error: 'Failed to send message', details: error.message });
+  }
+
+  console.error('Failed to send message:', error);
+  res.status(400).json({ error: 'Failed to send message' });
+};
+
+/**
+ * Active temp email of a registered user that may send mail
+ */
+const getSendingTempEmail = async (req) => {
+  if (req.user.isGuest) return null;
+
+  const [tempEmails] = await pool.query(
+    'SELECT id, email FROM temp_emails WHERE id = ? AND user_id = ? AND expires_at > NOW()',
+    [req.params.id, req.user.id]
+  );
+  return tempEmails[0] || null;
+};
+
+// Send a new message from a temp email address
+router.post('/:id/send', authenticateToken, async (req, res) => {
+  try {
+    const tempEmail = await getSendingTempEmail(req);
+
+    if (!tempEmail) {
+      return res.status(404).json({ error: 'Temporary email not found' });
+    }
+
+    const { message, error } = normalizeOutgoingMessage(req.body);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid message', details: error });
+    }
+
+    const sent = await sendFromTempEmail(req.user.id, tempEmail, message);
+    res.status(201).json(sent);
+  } catch (error) {
+    sendErrorResponse(res, error);
+  }
+});
+
+// Reply to a received email (recipient, subject and threading headers default to the original)
+router.post('/:id/received/:emailId/reply', authenticateToken, async (req, res) => {
+  try {
+    const tempEmail = await getSendingTempEmail(req);
+
+    if (!tempEmail) {
+      return res.status(404).json({ error: 'Temporary email not found' });
+    }
+
+    const thread = await getReplyContext(tempEmail.id, req.params.emailId);
+    if (!thread) {
+      return res.status(404).json({ error: 'Received email not found' });
+    }
+
+    const { message, error } = normalizeOutgoingMessage(req.body, thread);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid message', details: error });
+    }
+
+    const sent = await sendFromTempEmail(req.user.id, tempEmail, message, thread);
+    res.status(201).json(sent);
+  } catch (error) {
+    sendErrorResponse(res, error);
+  }
+});
+
+// Sent view of a temp email
+router.get('/:id/sent', authenticateToken, async (req, res) => {
+  try {
+    const [tempEmails] = await pool.query(
+      'SELECT id FROM temp_emails WHERE id = ? AND user_id = ?',
+      [req.params.id, req.user.id]
+    );
+
+    if (tempEmails.length === 0) {
+      return res.status(404).json({ error: 'Temporary email not found' });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+
+    res.json(await listSentEmails(req.params.id, { page, limit }));
+  } catch (error) {
+    console.error('Failed to fetch sent emails:', error);
+    res.status(400).json({ error: 'Failed to fetch sent emails' });
+  }
+});
+
+// Get a single sent email
+router.get('/:id/sent/:sentId', authenticateToken, async (req, res) => {
+  try {
+    const [tempEmails] = await pool.query(
+      'SELECT id FROM temp_emails WHERE id = ? AND user_id = ?',
+      [req.params.id, req.user.id]
+    );
+
+    if (tempEmails.length === 0) {
+      return res.status(404).json({ error: 'Temporary email not found' });
+    }
+
+    const sent = await getSentEmail(req.params.id, req.params.sentId);
+    if (!sent) {
+      return res.status(404).json({ error: 'Sent email not found' });
+    }
+
+    res.json(sent);
+  } catch (error) {
+    console.error('Failed to fetch sent email:', error);
+    res.status(400).json({ error: 'Failed to fetch sent email' });
+  }
+});
+
+// Conversation threads of a temp email, most recently active first
+router.get('/:id/threads', authenticateToken, async (req, res) => {
+  try {
+    const [tempEmails] = await pool.query(
+      'SELECT id FROM temp_emails WHERE id = ? AND user_id = ?',
+      [req.params.id, req.user.id]
+    );
+
+    if (tempEmails.length === 0) {
+      return res.status(404).json({ error: 'Temporary email not found' });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    res.json(await listThreads(req.params.id, { page, limit }));
+  } catch (error) {
+    console.error('Failed to fetch threads:', error);
+    res.status(400).json({ error: 'Failed to fetch threads' });
+  }
+});
+
+// Messages of a thread, received and sent, oldest first (?render=safe as for single emails)
+router.get('/:id/threads/:threadId', authenticateToken, async (req, res) => {
+  try {
+    const [tempEmails] = await pool.query(
+      'SELECT id FROM temp_emails WHERE id = ? AND user_id = ?',
+      [req.params.id, req.user.id]
+    );
+
+    if (tempEmails.length === 0) {
+      return res.status(404).json({ error: 'Temporary email not found' });
+    }
+
+    const thread = await getThreadMessages(req.params.id, req.params.threadId);
+    if (!thread) {
+      return res.status(404).json({ error: 'Thread not found' });
+    }
+
+    const received = thread.messages.filter(message => message.direction === 'received');
+    await loadAttachmentMetadata(received);
+
+    res.json({
+      ...thread,
+      messages: thread.messages.map(message => (message.direction === 'received' ? withSafeRender(message, req) : message))
+    });
+  } catch (error) {
+    console.error('Failed to fetch thread:', error);
+    res.status(400).json({ error: 'Failed to fetch thread' });
+  }
+});
+
 // Create a new temporary email
 router.post('/create', authenticateAnyToken, rateLimitMiddleware, checkCaptchaRequired, verifyCaptcha, customDomainRateLimitMiddleware, async (req, res) => {
   try {
@@ -492,7 +1054,16 @@ router.delete('/delete/:id', authenticateToken, async (req, res) => {
   }
 });
 
-// Get user emails with pagination
+// Unread and message counts of database temp emails (counts are not cached, state changes often)
+const withUnreadCounts = async (emails) => {
+  const counts = await getMessageStateCounts(emails.map(email => email.id));
+  return emails.map(email => ({
+    ...email,
+    ...(counts.get(email.id) || { unread_count: 0, message_count: 0 })
+  }));
+};
+
+// Get user emails with pagination, each with unread_count and message_count
 router.get('/', authenticateAnyToken, async (req, res) => {
   try {
     // Check if this is a guest user
@@ -516,7 +1087,8 @@ router.get('/', authenticateAnyToken, async (req, res) => {
       const offset = (page - 1) * limit;
       
       // Paginate the results
-      const paginatedEmails = filteredEmails.slice(offset, offset + limit);
+      const paginatedEmails = filteredEmails.slice(offset, offset + limit)
+        .map(email => ({ ...email, ...countMessageState(getInbox(req.guestToken, email.id)) }));
       
       // Return the data with pagination metadata
       res.json({
@@ -587,7 +1159,7 @@ router.get('/', authenticateAnyToken, async (req, res) => {
       
       // Return the data with pagination metadata
       res.json({
-        data: paginatedEmails,
+        data: await withUnreadCounts(paginatedEmails),
         metadata: {
           total: totalCount,
           page: page,
@@ -622,7 +1194,7 @@ router.get('/', authenticateAnyToken, async (req, res) => {
     
     // Return the data with pagination metadata
     res.json({
-      data: paginatedEmails,
+      data: await withUnreadCounts(paginatedEmails),
       metadata: {
         total: filteredEmails.length,
         page: page,
@@ -702,7 +1274,38 @@ router.post('/:tempEmailId/received/bulk/delete', authenticateToken, async (req,
   }
 });
 
-// Get public emails (no auth required)
+// Bulk read/unread, star/unstar and archive/unarchive of received emails
+router.post('/:tempEmailId/received/bulk/:action', authenticateAnyToken, async (req, res) => {
+  const { emailIds } = req.body;
+
+  if (!Object.hasOwn(BULK_ACTIONS, req.params.action)) {
+    return res.status(404).json({ error: 'Unknown bulk action' });
+  }
+  const update = BULK_ACTIONS[req.params.action];
+
+  const idsError = validateBulkIds(emailIds);
+  if (idsError) {
+    return res.status(400).json({ error: idsError });
+  }
+
+  try {
+    const count = await updateReceivedState(req, req.params.tempEmailId, emailIds, update);
+
+    if (count === null) {
+      return res.status(404).json({ error: 'Temporary email not found' });
+    }
+
+    res.json({ 
+      message: 'Emails updated successfully',
+      count
+    });
+  } catch (error) {
+    console.error('Failed to update received emails:', error);
+    res.status(400).json({ error: 'Failed to update received emails' });
+  }
+});
+
+// Get public emails (no auth required, ?render=safe for sanitized HTML bodies)
 router.get('/public/:email', async (req, res) => {
   try {
     res.setHeader('Cache-Control', 'public, max-age=5'); // Cache for 5 seconds
@@ -714,7 +1317,7 @@ router.get('/public/:email', async (req, res) => {
       ORDER BY re.received_at DESC
     `, [req.params.email]);
 
-    res.json(emails);
+    res.json(emails.map(email => withSafeRender(email, req)));
   } catch (error) {
     console.error('Failed to fetch public emails:', error);
     res.status(400).json({ error: 'Failed to fetch emails' });
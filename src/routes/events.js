@@ -0,0 +1,123 @@
+import express from 'express';
+import { authenticateAnyToken } from '../middleware/auth.js';
+import { authenticateApiKey } from '../middleware/apiAuth.js';
+import { pool } from '../db/init.js';
+import { getTempEmailById } from '../guestSessionHandler.js';
+import { getApiEmail } from '../services/apiMemoryStore.js';
+import { subscribeInboxEvents, getInboxEventsSince, formatInboxEvent, userOwner, guestOwner } from '../services/inboxEvents.js';
+
+const router = express.Router();
+
+const HEARTBEAT_INTERVAL = 25 * 1000;
+const MAX_STREAMS_PER_OWNER = 10;
+
+const openStreams = new Map(); // { owner: count }
+
+// EventSource cannot set headers, so the JWT / guest token may also be sent as ?access_token=
+// (API keys already work as ?api_key=)
+const authenticateStream = (req, res, next) => {
+  if (req.headers['x-api-key'] || req.query.api_key) {
+    return authenticateApiKey(req, res, next);
+  }
+
+  if (!req.headers.authorization && typeof req.query.access_token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  authenticateAnyToken(req, res, next);
+};
+
+// Events are addressed to accounts (registered and API inboxes) or guest sessions
+const getOwner = (req) => {
+  if (req.apiUser) {
+    return userOwner(req.apiUser.id);
+  }
+  return req.user.isGuest ? guestOwner(req.user.id) : userOwner(req.user.id);
+};
+
+const writeEvent = (res, event) => {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(formatInboxEvent(event))}\n\n`);
+};
+
+/**
+ * Stream the events of an owner that pass `matches` until the client disconnects
+ * Resumes after Last-Event-ID (or ?last_event_id=), a stream.reset event tells the client
+ * that events were missed and its inboxes should be refetched.
+ */
+const openStream = (req, res, owner, matches) => {
+  if ((openStreams.get(owner) || 0) >= MAX_STREAMS_PER_OWNER) {
+    return res.status(429).json({ error: `At most ${MAX_STREAMS_PER_OWNER} event streams can be open at once` });
+  }
+  openStreams.set(owner, (openStreams.get(owner) || 0) + 1);
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    // no-transform keeps the compression middleware from buffering the stream
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 3000\n\n');
+
+  const lastEventId = req.headers['last-event-id'] || req.query.last_event_id;
+  if (lastEventId) {
+    const { events, complete } = getInboxEventsSince(owner, lastEventId, matches);
+    if (!complete) {
+      res.write(`event: stream.reset\ndata: ${JSON.stringify({ last_event_id: String(lastEventId) })}\n\n`);
+    }
+    events.forEach(event => writeEvent(res, event));
+  }
+
+  const unsubscribe = subscribeInboxEvents(owner, matches, event => writeEvent(res, event));
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+
+    const count = (openStreams.get(owner) || 1) - 1;
+    if (count > 0) {
+      openStreams.set(owner, count);
+    } else {
+      openStreams.delete(owner);
+    }
+  });
+};
+
+// Events of every inbox of the account or guest session
+router.get('/', authenticateStream, (req, res) => {
+  openStream(req, res, getOwner(req), () => true);
+});
+
+// Events of a single inbox (registered, guest or API)
+router.get('/inboxes/:emailId', authenticateStream, async (req, res) => {
+  try {
+    const emailId = req.params.emailId;
+    let found;
+
+    if (req.user?.isGuest) {
+      found = !!getTempEmailById(req.guestToken, emailId);
+    } else {
+      const userId = req.apiUser ? req.apiUser.id : req.user.id;
+      found = !!getApiEmail(emailId, userId);
+
+      if (!found) {
+        const [tempEmails] = await pool.query(
+          'SELECT id FROM temp_emails WHERE id = ? AND user_id = ?',
+          [emailId, userId]
+        );
+        found = tempEmails.length > 0;
+      }
+    }
+
+    if (!found) {
+      return res.status(404).json({ error: 'Temporary email not found' });
+    }
+
+    openStream(req, res, getOwner(req), event => event.email_id === emailId);
+  } catch (error) {
+    console.error('Failed to open event stream:', error);
+    res.status(400).json({ error: 'Failed to open event stream' });
+  }
+});
+
+export default router;
@@ -0,0 +1,139 @@
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { pool } from '../db/init.js';
+import {
+  normalizeFilter,
+  listFilters,
+  getFilter,
+  createFilter,
+  updateFilter,
+  deleteFilter
+} from '../services/inboxFilters.js';
+import { getVerifiedForwardingAddresses } from '../services/forwardingAddresses.js';
+
+const router = express.Router();
+
+// Filters only exist for registered accounts
+const requireRegisteredUser = (req, res, next) => {
+  if (req.user.isGuest) {
+    return res.status(403).json({ error: 'Filters require a registered account' });
+  }
+  next();
+};
+
+router.use(authenticateToken, requireRegisteredUser);
+
+/**
+ * Validate a filter body and the temp email it is scoped to
+ * @returns {Promise<object>} - { filter, tempEmailId } or { status, error, details }
+ */
+const prepareFilter = async (req) => {
+  const forwardAddresses = await getVerifiedForwardingAddresses(req.user.id);
+  const { filter, error } = normalizeFilter(req.body, forwardAddresses);
+
+  if (error) {
+    return { status: 400, error: 'Invalid filter', details: error };
+  }
+
+  const tempEmailId = req.body.temp_email_id || null;
+  if (tempEmailId) {
+    const [tempEmails] = await pool.query(
+      'SELECT id FROM temp_emails WHERE id = ? AND user_id = ?',
+      [tempEmailId, req.user.id]
+    );
+
+    if (tempEmails.length === 0) {
+      return { status: 404, error: 'Temporary email not found' };
+    }
+  }
+
+  return { filter, tempEmailId };
+};
+
+// List filters (?temp_email_id= to only get the ones applying to one inbox)
+router.get('/', async (req, res) => {
+  try {
+    const filters = await listFilters(req.user.id, req.query.temp_email_id);
+    res.json(filters);
+  } catch (error) {
+    console.error('Failed to fetch filters:', error);
+    res.status(400).json({ error: 'Failed to fetch filters' });
+  }
+});
+
+// Get a single filter
+router.get('/:id', async (req, res) => {
+  try {
+    const filter = await getFilter(req.user.id, req.params.id);
+
+    if (!filter) {
+      return res.status(404).json({ error: 'Filter not found' });
+    }
+
+    res.json(filter);
+  } catch (error) {
+    console.error('Failed to fetch filter:', error);
+    res.status(400).json({ error: 'Failed to fetch filter' });
+  }
+});
+
+// Create a filter for one temp email (temp_email_id) or for every inbox of the account
+router.post('/', async (req, res) => {
+  try {
+    const { filter, tempEmailId, status, error, details } = await prepareFilter(req);
+
+    if (error) {
+      return res.status(status).json({ error, details });
+    }
+
+    const created = await createFilter(req.user.id, tempEmailId, filter);
+    res.status(201).json(created);
+  } catch (error) {
+    if (error.message.includes('Filter limit')) {
+      return res.status(400).json({ error: 'Filter limit reached', details: error.message });
+    }
+
+    console.error('Failed to create filter:', error);
+    res.status(400).json({ error: 'Failed to create filter' });
+  }
+});
+
+// Replace a filter
+router.put('/:id', async (req, res) => {
+  try {
+    const { filter, tempEmailId, status, error, details } = await prepareFilter(req);
+
+    if (error) {
+      return res.status(status).json({ error, details });
+    }
+
+    const updated = await updateFilter(req.user.id, req.params.id, tempEmailId, filter);
+
+    if (!updated) {
+      return res.status(404).json({ error: 'Filter not found' });
+    }
+
+    res.json(updated);
+  } catch (error) {
+    console.error('Failed to update filter:', error);
+    res.status(400).json({ error: 'Failed to update filter' });
+  }
+});
+
+// Delete a filter
+router.delete('/:id', async (req, res) => {
+  try {
+    const deleted = await deleteFilter(req.user.id, req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Filter not found' });
+    }
+
+    res.json({ message: 'Filter deleted successfully' });
+  } catch (error) {
+    console.error('Failed to delete filter:', error);
+    res.status(400).json({ error: 'Failed to delete filter' });
+  }
+});
+
+export default router;
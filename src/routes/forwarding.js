@@ -0,0 +1,163 @@
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { pool } from '../db/init.js';
+import {
+  normalizeForwardingAddress,
+  listForwardingAddresses,
+  addForwardingAddress,
+  resendForwardingConfirmation,
+  confirmForwardingAddress,
+  deleteForwardingAddress
+} from '../services/forwardingAddresses.js';
+
+const router = express.Router();
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Forwarding only exists for registered accounts
+const requireRegisteredUser = (req, res, next) => {
+  if (req.user.isGuest) {
+    return res.status(403).json({ error: 'Forwarding requires a registered account' });
+  }
+  next();
+};
+
+const getAccountEmail = async (userId) => {
+  const [users] = await pool.query('SELECT email FROM users WHERE id = ?', [userId]);
+  return users[0]?.email;
+};
+
+/**
+ * Landing page of the link in the confirmation email (no login needed)
+ */
+router.get('/confirm/:token', async (req, res) => {
+  try {
+    const confirmed = await confirmForwardingAddress(req.params.token);
+
+    const message = confirmed
+      ? `<strong>${escapeHtml(confirmed.address)}</strong> is confirmed. Mail of the temporary emails you choose will now be forwarded to it.`
+      : 'This confirmation link is invalid, expired or was already used.';
+
+    res.setHeader('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'");
+    res.setHeader('Referrer-Policy', 'no-referrer');
+    res.setHeader('Cache-Control', 'no-store');
+    res.status(confirmed ? 200 : 400).send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex, nofollow">
+  <title>Email forwarding</title>
+  <style>
+    body { font-family: Arial, sans-serif; color: #333; max-width: 560px; margin: 60px auto; padding: 0 20px; line-height: 1.5; }
+    h1 { font-size: 22px; }
+  </style>
+</head>
+<body>
+  <h1>${confirmed ? 'Forwarding confirmed' : 'Confirmation failed'}</h1>
+  <p>${message}</p>
+</body>
+</html>`);
+  } catch (error) {
+    console.error('Failed to confirm forwarding address:', error);
+    res.status(500).json({ error: 'Failed to confirm forwarding address' });
+  }
+});
+
+router.use(authenticateToken, requireRegisteredUser);
+
+// List forwarding addresses
+router.get('/', async (req, res) => {
+  try {
+    const addresses = await listForwardingAddresses(req.user.id);
+    res.json(addresses);
+  } catch (error) {
+    console.error('Failed to fetch forwarding addresses:', error);
+    res.status(400).json({ error: 'Failed to fetch forwarding addresses' });
+  }
+});
+
+// Add a forwarding address, it receives a confirmation email
+router.post('/', async (req, res) => {
+  try {
+    const { address, error } = await normalizeForwardingAddress(req.body.address);
+
+    if (error) {
+      return res.status(400).json({ error: 'Invalid forwarding address', details: error });
+    }
+
+    const accountEmail = await getAccountEmail(req.user.id);
+    const created = await addForwardingAddress(req.user.id, accountEmail, address);
+
+    res.status(201).json(created);
+  } catch (error) {
+    if (error.message.includes('address limit')) {
+      return res.status(400).json({ error: 'Forwarding address limit reached', details: error.message });
+    }
+    if (error.message.includes('already exists')) {
+      return res.status(409).json({ error: 'Forwarding address already exists' });
+    }
+    if (error.message.includes('not configured')) {
+      return res.status(503).json({ error: 'Forwarding is not available on this server' });
+    }
+    if (error.message.includes('sent recently') || error.message.includes('email limit reached')) {
+      return res.status(429).json({ error: 'Too many confirmation emails', details: error.message });
+    }
+    if (error.message.includes('confirmation email')) {
+      return res.status(502).json({ error: 'Failed to send confirmation email' });
+    }
+
+    console.error('Failed to add forwarding address:', error);
+    res.status(400).json({ error: 'Failed to add forwarding address' });
+  }
+});
+
+// Send the confirmation email again
+router.post('/:id/resend', async (req, res) => {
+  try {
+    const accountEmail = await getAccountEmail(req.user.id);
+    const address = await resendForwardingConfirmation(req.user.id, accountEmail, req.params.id);
+
+    if (!address) {
+      return res.status(404).json({ error: 'Forwarding address not found' });
+    }
+
+    res.json(address);
+  } catch (error) {
+    if (error.message.includes('already verified')) {
+      return res.status(400).json({ error: 'Forwarding address is already verified' });
+    }
+    if (error.message.includes('not configured')) {
+      return res.status(503).json({ error: 'Forwarding is not available on this server' });
+    }
+    if (error.message.includes('sent recently') || error.message.includes('email limit reached')) {
+      return res.status(429).json({ error: 'Too many confirmation emails', details: error.message });
+    }
+
+    console.error('Failed to resend forwarding confirmation:', error);
+    res.status(400).json({ error: 'Failed to resend forwarding confirmation' });
+  }
+});
+
+// Delete a forwarding address (temp emails using it stop forwarding)
+router.delete('/:id', async (req, res) => {
+  try {
+    const deleted = await deleteForwardingAddress(req.user.id, req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Forwarding address not found' });
+    }
+
+    res.json({ message: 'Forwarding address deleted successfully' });
+  } catch (error) {
+    console.error('Failed to delete forwarding address:', error);
+    res.status(400).json({ error: 'Failed to delete forwarding address' });
+  }
+});
+
+export default router;
@@ -1,7 +1,7 @@
 import express from 'express';
 import { v4 as uuidv4 } from 'uuid';
 import { pool } from '../db/init.js';
-import { authenticateToken, requireAdmin, authenticateMasterPassword } from '../middleware/auth.js';
+import { authenticateToken, optionalAnyToken, requireAdmin, authenticateMasterPassword } from '../middleware/auth.js';
 import { 
   addGmailAccount, 
   generateGmailAlias, 
@@ -21,9 +21,11 @@ initializeImapService().catch(error => {
 });
 
 // ==================== User Routes ====================
+// Signed-in users and guests own the aliases they create, which lets them subscribe
+// to the alias on the inbox WebSocket hub
 
 // Create a new Gmail alias
-router.post('/create', async (req, res) => {
+router.post('/create', optionalAnyToken, async (req, res) => {
   try {
     // Allow both authenticated and unauthenticated users
     const userId = req.user?.id || `anon_${uuidv4()}`;
@@ -46,7 +48,7 @@ router.post('/create', async (req, res) => {
 });
 
 // Get all Gmail aliases for the user
-router.get('/aliases', async (req, res) => {
+router.get('/aliases', optionalAnyToken, async (req, res) => {
   try {
     // Allow both authenticated and unauthenticated users
     const userId = req.user?.id || req.query.userId || `anon_${uuidv4()}`;
@@ -63,7 +65,7 @@ router.get('/aliases', async (req, res) => {
 });
 
 // Fetch emails for a specific alias
-router.get('/:alias/emails', async (req, res) => {
+router.get('/:alias/emails', optionalAnyToken, async (req, res) => {
   try {
     // Allow both authenticated and unauthenticated users
     const userId = req.user?.id || req.query.userId || `anon_${uuidv4()}`;
@@ -82,7 +84,7 @@ router.get('/:alias/emails', async (req, res) => {
 });
 
 // Rotate to a new Gmail alias
-router.post('/rotate', async (req, res) => {
+router.post('/rotate', optionalAnyToken, async (req, res) => {
   try {
     // Allow both authenticated and unauthenticated users
     const userId = req.user?.id || req.body.userId || `anon_${uuidv4()}`;
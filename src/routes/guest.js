@@ -4,12 +4,19 @@ import jwt from 'jsonwebtoken';
 import bcrypt from 'bcryptjs';
 import { pool } from '../db/init.js';
 import { authenticateGuestToken, authenticateAnyToken } from '../middleware/auth.js';
+import { withAttachmentMetadata, sendAttachment } from '../utils/attachments.js';
+import { withoutRawSource, sendRawMessage } from '../utils/rawMessages.js';
+import { filterBySpam } from '../services/spamScoring.js';
+import { verifyWebhookSignature } from '../middleware/webhookAuth.js';
+import { withHeaderDetails } from '../utils/messageHeaders.js';
+import { withSafeLinks } from '../services/linkExtractor.js';
 import { 
   generateGuestJWT, 
   getTempEmails, 
   getTempEmailById,
   storeTempEmail, 
   getInbox, 
+  getReceivedEmailById,
   storeReceivedEmail,
   migrateGuestSessionToUser,
   deleteGuestSession,
@@ -148,7 +155,9 @@ router.post('/emails/create', authenticateGuestToken, async (req, res) => {
 router.get('/emails/:id/received', authenticateGuestToken, async (req, res) => {
   try {
     const emailId = req.params.id;
-    const emails = getInbox(req.guestToken, emailId);
+    // Spam filter: include (default), exclude or only
+    const emails = filterBySpam(getInbox(req.guestToken, emailId), req.query.spam)
+      .map(email => withoutRawSource(withAttachmentMetadata(email)));
     
     res.json({
       data: emails,
@@ -168,6 +177,70 @@ router.get('/emails/:id/received', authenticateGuestToken, async (req, res) => {
   }
 });
 
+// Get a single received email with its headers and SPF/DKIM/DMARC summary
+// ?safe_links=true adds body_html_safe, with links going through /links/redirect
+router.get('/emails/:id/received/:emailId', authenticateGuestToken, async (req, res) => {
+  try {
+    const receivedEmail = getReceivedEmailById(req.guestToken, req.params.id, req.params.emailId);
+    
+    if (!receivedEmail) {
+      return res.status(404).json({ error: 'Received email not found' });
+    }
+    
+    res.json(withSafeLinks(withHeaderDetails(withoutRawSource(withAttachmentMetadata(receivedEmail))), req));
+  } catch (error) {
+    console.error('Get guest received email error:', error);
+    res.status(500).json({ 
+      error: 'Failed to retrieve received email',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Download an attachment from a received email
+router.get('/emails/:id/received/:emailId/attachments/:attachmentId', authenticateGuestToken, async (req, res) => {
+  try {
+    const receivedEmail = getReceivedEmailById(req.guestToken, req.params.id, req.params.emailId);
+    
+    if (!receivedEmail) {
+      return res.status(404).json({ error: 'Received email not found' });
+    }
+    
+    const attachment = (receivedEmail.attachments || []).find(a => a.id === req.params.attachmentId);
+    
+    if (!attachment) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+    
+    sendAttachment(res, attachment);
+  } catch (error) {
+    console.error('Get guest attachment error:', error);
+    res.status(500).json({ 
+      error: 'Failed to retrieve attachment',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Download the original message source (.eml)
+router.get('/emails/:id/received/:emailId/raw', authenticateGuestToken, async (req, res) => {
+  try {
+    const receivedEmail = getReceivedEmailById(req.guestToken, req.params.id, req.params.emailId);
+    
+    if (!receivedEmail || !receivedEmail.raw_source) {
+      return res.status(404).json({ error: 'Raw message not found' });
+    }
+    
+    sendRawMessage(res, receivedEmail.id, receivedEmail);
+  } catch (error) {
+    console.error('Get guest raw message error:', error);
+    res.status(500).json({ 
+      error: 'Failed to retrieve raw message',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 // Save inbox (register user and migrate data)
 router.post('/save-inbox', authenticateGuestToken, async (req, res) => {
   try {
@@ -234,8 +307,8 @@ router.post('/save-inbox', authenticateGuestToken, async (req, res) => {
 });
 
 // Endpoint to add a received email to a temp email inbox
-// This would typically be called by your mail server
-router.post('/receive-email/:emailId', async (req, res) => {
+// This would typically be called by your mail server (requests must be signed, see middleware/webhookAuth.js)
+router.post('/receive-email/:emailId', verifyWebhookSignature, async (req, res) => {
   try {
     const { guestToken, from_email, from_name, subject, body_html, body_text } = req.body;
     const emailId = req.params.emailId;
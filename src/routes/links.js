@@ -0,0 +1,126 @@
+import express from 'express';
+import axios from 'axios';
+import { verifyLinkSignature } from '../services/linkExtractor.js';
+import { verifyImageSignature } from '../services/safeRender.js';
+import { isPrivateHost, publicRequestOptions } from '../utils/privateHosts.js';
+
+const router = express.Router();
+
+// Image proxy limits (IMAGE_PROXY_MAX_BYTES, default 5 MB)
+const IMAGE_PROXY_MAX_BYTES = parseInt(process.env.IMAGE_PROXY_MAX_BYTES) || 5 * 1024 * 1024;
+const IMAGE_PROXY_TIMEOUT = 10000;
+// SVG is left out on purpose: it can carry scripts and would be served from our origin
+const PROXIED_IMAGE_TYPES = /^image\/(png|jpe?g|gif|webp|bmp|x-icon|vnd\.microsoft\.icon|avif)$/i;
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Interstitial page for links rewritten in safe-link mode
+ * Shows the real destination and lets the user decide whether to continue.
+ * Only URLs signed by this server are accepted (no open redirect).
+ */
+router.get('/redirect', (req, res) => {
+  const { url, sig } = req.query;
+
+  if (typeof url !== 'string' || !/^https?:\/\//i.test(url) || !verifyLinkSignature(url, sig)) {
+    return res.status(400).json({ error: 'Invalid or tampered link' });
+  }
+
+  let hostname;
+  try {
+    hostname = new URL(url).hostname;
+  } catch {
+    return res.status(400).json({ error: 'Invalid or tampered link' });
+  }
+
+  res.setHeader('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'");
+  res.setHeader('Referrer-Policy', 'no-referrer');
+  res.setHeader('Cache-Control', 'no-store');
+  res.send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex, nofollow">
+  <title>You are leaving Boomlify</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; background: #f5f5f7; margin: 0; padding: 40px 16px; color: #1d1d1f; }
+    main { max-width: 560px; margin: 0 auto; background: #fff; border-radius: 12px; padding: 32px; box-shadow: 0 2px 12px rgba(0, 0, 0, 0.08); }
+    h1 { font-size: 20px; margin-top: 0; }
+    .domain { font-size: 18px; font-weight: 600; }
+    .url { word-break: break-all; color: #555; font-size: 14px; background: #f5f5f7; padding: 12px; border-radius: 8px; }
+    a.button { display: inline-block; margin-top: 16px; background: #0071e3; color: #fff; padding: 10px 20px; border-radius: 8px; text-decoration: none; }
+  </style>
+</head>
+<body>
+  <main>
+    <h1>This link leads to another website</h1>
+    <p>The email you were reading links to <span class="domain">${escapeHtml(hostname)}</span>.</p>
+    <p class="url">${escapeHtml(url)}</p>
+    <p>Only continue if you trust the sender and expected this link.</p>
+    <a class="button" href="${escapeHtml(url)}" rel="noopener noreferrer nofollow">Continue to ${escapeHtml(hostname)}</a>
+  </main>
+</body>
+</html>`);
+});
+
+/**
+ * Image proxy for safe-render mode
+ * Remote images of a message are fetched by the server, so the sender never sees the
+ * reader's IP address, cookies or referrer. Only URLs signed by this server are accepted.
+ */
+router.get('/image', async (req, res) => {
+  const { url, sig } = req.query;
+
+  if (typeof url !== 'string' || !/^https?:\/\//i.test(url) || !verifyImageSignature(url, sig)) {
+    return res.status(400).json({ error: 'Invalid or tampered image link' });
+  }
+
+  try {
+    // Names are checked on every connection (redirects too) by publicRequestOptions
+    const { hostname } = new URL(url);
+    if (isPrivateHost(hostname)) {
+      return res.status(403).json({ error: 'Image host is not allowed' });
+    }
+
+    const response = await axios.get(url, {
+      ...publicRequestOptions,
+      responseType: 'arraybuffer',
+      timeout: IMAGE_PROXY_TIMEOUT,
+      maxContentLength: IMAGE_PROXY_MAX_BYTES,
+      maxRedirects: 3,
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (compatible; BoomlifyImageProxy/1.0)',
+        Accept: 'image/*'
+      },
+      validateStatus: status => status === 200
+    });
+
+    const contentType = String(response.headers['content-type'] || '').split(';')[0].trim();
+    if (!PROXIED_IMAGE_TYPES.test(contentType)) {
+      return res.status(415).json({ error: 'Not a supported image' });
+    }
+
+    res.setHeader('Content-Type', contentType.toLowerCase());
+    res.setHeader('Content-Length', response.data.length);
+    res.setHeader('Content-Security-Policy', "default-src 'none'");
+    res.setHeader('Cache-Control', 'private, max-age=86400');
+    res.send(Buffer.from(response.data));
+  } catch (error) {
+    if (error.message?.includes('maxContentLength')) {
+      return res.status(413).json({ error: 'Image is too large' });
+    }
+    if (error.code === 'EPRIVATEHOST' || error.cause?.code === 'EPRIVATEHOST') {
+      return res.status(403).json({ error: 'Image host is not allowed' });
+    }
+
+    res.status(502).json({ error: 'Failed to load image' });
+  }
+});
+
+export default router;
@@ -8,6 +8,15 @@ import {
 } from '../middleware/requestTracker.js';
 import { manualCleanup } from '../utils/cleanup.js';
 import { getActivitySummary } from '../services/activityTracker.js';
+import {
+  SPAM_THRESHOLDS,
+  scoreEmail,
+  validateRulePattern,
+  invalidateSpamDataCache
+} from '../services/spamScoring.js';
+import { parseEmailContent, buildEmailData } from '../services/inboundMailService.js';
+import { getSpoolStatus, retrySpoolItem, deleteSpoolItem } from '../services/inboundSpool.js';
+import { v4 as uuidv4 } from 'uuid';
 
 const router = express.Router();
 
@@ -133,7 +142,14 @@ router.post('/cleanup', async (req, res) => {
     res.json({
       message: 'Cleanup completed successfully',
       deletedEmails: result.deletedEmails,
-      deletedAttachments: result.deletedAttachments
+      deletedAttachments: result.deletedAttachments,
+      deletedRawSources: result.deletedRawSources,
+      deletedHeaders: result.deletedHeaders,
+      deletedSearchEntries: result.deletedSearchEntries,
+      deletedSenderRules: result.deletedSenderRules,
+      deletedFilters: result.deletedFilters,
+      deletedForwardLogs: result.deletedForwardLogs,
+      deletedWebhookDeliveries: result.deletedWebhookDeliveries
     });
   } catch (error) {
     console.error('Failed to perform cleanup:', error);
@@ -877,4 +893,260 @@ router.get('/lookup-migration/:id', async (req, res) => {
   }
 });
 
+const SPAM_RULE_TARGETS = ['subject', 'body', 'from', 'any'];
+const SPAM_RULE_CATEGORIES = ['spam', 'phishing'];
+const SPAM_BLOCKLIST_TYPES = ['sender', 'domain', 'url'];
+
+// List spam keyword rules and the verdict thresholds
+router.get('/spam/rules', async (req, res) => {
+  if (!checkAdminPassphrase(req)) {
+    return res.status(403).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const [rules] = await pool.query('SELECT * FROM spam_rules ORDER BY created_at ASC');
+    res.json({ rules, thresholds: SPAM_THRESHOLDS });
+  } catch (error) {
+    console.error('Failed to fetch spam rules:', error);
+    res.status(500).json({ error: 'Failed to fetch spam rules' });
+  }
+});
+
+// Create a spam keyword rule
+router.post('/spam/rules', async (req, res) => {
+  if (!checkAdminPassphrase(req)) {
+    return res.status(403).json({ error: 'Unauthorized' });
+  }
+
+  const { name, pattern, target = 'any', is_regex = false, weight = 1, category = 'spam', is_active = true } = req.body;
+
+  const patternError = validateRulePattern(pattern, is_regex);
+  if (!name || patternError || !SPAM_RULE_TARGETS.includes(target) ||
+      !SPAM_RULE_CATEGORIES.includes(category) || !Number.isFinite(Number(weight))) {
+    return res.status(400).json({
+      error: 'Invalid spam rule',
+      details: patternError || `name is required, target must be one of ${SPAM_RULE_TARGETS.join(', ')}, category one of ${SPAM_RULE_CATEGORIES.join(', ')} and weight a number`
+    });
+  }
+
+  try {
+    const id = uuidv4();
+    await pool.query(
+      `INSERT INTO spam_rules (id, name, pattern, target, is_regex, weight, category, is_active)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [id, name, pattern, target, !!is_regex, Number(weight), category, !!is_active]
+    );
+    invalidateSpamDataCache();
+
+    const [rules] = await pool.query('SELECT * FROM spam_rules WHERE id = ?', [id]);
+    res.status(201).json(rules[0]);
+  } catch (error) {
+    console.error('Failed to create spam rule:', error);
+    res.status(500).json({ error: 'Failed to create spam rule' });
+  }
+});
+
+// Update a spam keyword rule (weight, pattern, enable/disable...)
+router.put('/spam/rules/:id', async (req, res) => {
+  if (!checkAdminPassphrase(req)) {
+    return res.status(403).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const [existing] = await pool.query('SELECT * FROM spam_rules WHERE id = ?', [req.params.id]);
+    if (existing.length === 0) {
+      return res.status(404).json({ error: 'Spam rule not found' });
+    }
+
+    const rule = { ...existing[0], ...req.body };
+    const patternError = validateRulePattern(rule.pattern, !!rule.is_regex);
+    if (!rule.name || patternError || !SPAM_RULE_TARGETS.includes(rule.target) ||
+        !SPAM_RULE_CATEGORIES.includes(rule.category) || !Number.isFinite(Number(rule.weight))) {
+      return res.status(400).json({
+        error: 'Invalid spam rule',
+        details: patternError || `target must be one of ${SPAM_RULE_TARGETS.join(', ')}, category one of ${SPAM_RULE_CATEGORIES.join(', ')} and weight a number`
+      });
+    }
+
+    await pool.query(
+      `UPDATE spam_rules
+       SET name = ?, pattern = ?, target = ?, is_regex = ?, weight = ?, category = ?, is_active = ?
+       WHERE id = ?`,
+      [rule.name, rule.pattern, rule.target, !!rule.is_regex, Number(rule.weight), rule.category, !!rule.is_active, req.params.id]
+    );
+    invalidateSpamDataCache();
+
+    const [rules] = await pool.query('SELECT * FROM spam_rules WHERE id = ?', [req.params.id]);
+    res.json(rules[0]);
+  } catch (error) {
+    console.error('Failed to update spam rule:', error);
+    res.status(500).json({ error: 'Failed to update spam rule' });
+  }
+});
+
+// Delete a spam keyword rule
+router.delete('/spam/rules/:id', async (req, res) => {
+  if (!checkAdminPassphrase(req)) {
+    return res.status(403).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const [result] = await pool.query('DELETE FROM spam_rules WHERE id = ?', [req.params.id]);
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Spam rule not found' });
+    }
+    invalidateSpamDataCache();
+
+    res.json({ message: 'Spam rule deleted successfully' });
+  } catch (error) {
+    console.error('Failed to delete spam rule:', error);
+    res.status(500).json({ error: 'Failed to delete spam rule' });
+  }
+});
+
+// List the local spam blocklist
+router.get('/spam/blocklist', async (req, res) => {
+  if (!checkAdminPassphrase(req)) {
+    return res.status(403).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const [entries] = await pool.query('SELECT * FROM spam_blocklist ORDER BY created_at DESC');
+    res.json(entries);
+  } catch (error) {
+    console.error('Failed to fetch spam blocklist:', error);
+    res.status(500).json({ error: 'Failed to fetch spam blocklist' });
+  }
+});
+
+// Add a sender, domain or URL to the spam blocklist
+router.post('/spam/blocklist', async (req, res) => {
+  if (!checkAdminPassphrase(req)) {
+    return res.status(403).json({ error: 'Unauthorized' });
+  }
+
+  const { type, value, reason } = req.body;
+
+  if (!SPAM_BLOCKLIST_TYPES.includes(type) || !value || typeof value !== 'string' || value.length > 255) {
+    return res.status(400).json({
+      error: 'Invalid blocklist entry',
+      details: `type must be one of ${SPAM_BLOCKLIST_TYPES.join(', ')} and value a string of at most 255 characters`
+    });
+  }
+
+  try {
+    await pool.query(
+      `INSERT INTO spam_blocklist (id, type, value, reason) VALUES (?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE reason = VALUES(reason)`,
+      [uuidv4(), type, value.trim().toLowerCase(), reason || null]
+    );
+    invalidateSpamDataCache();
+
+    res.json({ message: 'Blocklist entry saved successfully' });
+  } catch (error) {
+    console.error('Failed to add blocklist entry:', error);
+    res.status(500).json({ error: 'Failed to add blocklist entry' });
+  }
+});
+
+// Remove a spam blocklist entry
+router.delete('/spam/blocklist/:id', async (req, res) => {
+  if (!checkAdminPassphrase(req)) {
+    return res.status(403).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const [result] = await pool.query('DELETE FROM spam_blocklist WHERE id = ?', [req.params.id]);
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Blocklist entry not found' });
+    }
+    invalidateSpamDataCache();
+
+    res.json({ message: 'Blocklist entry removed successfully' });
+  } catch (error) {
+    console.error('Failed to remove blocklist entry:', error);
+    res.status(500).json({ error: 'Failed to remove blocklist entry' });
+  }
+});
+
+// Score a raw message without delivering it (for tuning rules)
+router.post('/spam/test', async (req, res) => {
+  if (!checkAdminPassphrase(req)) {
+    return res.status(403).json({ error: 'Unauthorized' });
+  }
+
+  const { raw } = req.body;
+  if (!raw || typeof raw !== 'string') {
+    return res.status(400).json({ error: 'raw (the MIME source) is required' });
+  }
+
+  try {
+    const parsedEmail = await parseEmailContent(raw);
+    const emailData = buildEmailData(parsedEmail, null, raw);
+    const result = await scoreEmail(parsedEmail, emailData);
+
+    res.json({ ...result, thresholds: SPAM_THRESHOLDS });
+  } catch (error) {
+    console.error('Failed to score test message:', error);
+    res.status(500).json({ error: 'Failed to score test message' });
+  }
+});
+
+// Inbound spool status (messages waiting for a delivery retry)
+router.get('/inbound-spool', async (req, res) => {
+  if (!checkAdminPassphrase(req)) {
+    return res.status(403).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const status = getSpoolStatus();
+    const statusFilter = req.query.status;
+    res.json({
+      ...status,
+      items: statusFilter ? status.items.filter(item => item.status === statusFilter) : status.items
+    });
+  } catch (error) {
+    console.error('Failed to fetch inbound spool status:', error);
+    res.status(500).json({ error: 'Failed to fetch inbound spool status' });
+  }
+});
+
+// Retry a spooled inbound message now
+router.post('/inbound-spool/:id/retry', async (req, res) => {
+  if (!checkAdminPassphrase(req)) {
+    return res.status(403).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const scheduled = await retrySpoolItem(req.params.id);
+    if (!scheduled) {
+      return res.status(404).json({ error: 'Spool item not found or currently being delivered' });
+    }
+
+    res.json({ message: 'Spool item scheduled for retry' });
+  } catch (error) {
+    console.error('Failed to retry spool item:', error);
+    res.status(500).json({ error: 'Failed to retry spool item' });
+  }
+});
+
+// Drop a spooled inbound message
+router.delete('/inbound-spool/:id', async (req, res) => {
+  if (!checkAdminPassphrase(req)) {
+    return res.status(403).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const deleted = await deleteSpoolItem(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Spool item not found or currently being delivered' });
+    }
+
+    res.json({ message: 'Spool item deleted successfully' });
+  } catch (error) {
+    console.error('Failed to delete spool item:', error);
+    res.status(500).json({ error: 'Failed to delete spool item' });
+  }
+});
+
 export default router;
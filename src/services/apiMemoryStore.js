@@ -1,7 +1,22 @@
 // apiMemoryStore.js - API Email Memory Storage System
 // Similar architecture to guestSessionHandler.js but for API users
+// Inboxes and messages are written behind to MySQL (apiStorePersistence.js) and restored
+// by initializeApiMemoryStore, so addresses keep receiving mail across restarts.
+//
+// Env:
+// - API_STORE_PERSIST: set to false to keep API inboxes in memory only
+// - API_STORE_FLUSH_INTERVAL: how often pending changes are written, in ms (default 2s)
 import { v4 as uuidv4 } from 'uuid';
 import { pool } from '../db/init.js';
+import {
+  saveStoredApiEmail,
+  saveStoredApiMessage,
+  pruneStoredApiMessages,
+  deleteStoredApiEmails,
+  loadStoredApiEmails
+} from './apiStorePersistence.js';
+import { queueMessageWebhooks } from './outboundWebhooks.js';
+import { publishInboxEvent, userOwner, toMessageEventData } from './inboxEvents.js';
 
 // In-memory storage for API emails (similar to guest system)
 export const apiEmailStore = new Map(); // { emailId: emailData }
@@ -11,6 +26,20 @@ export const usageCounters = new Map(); // { userId-date: usage }
 // Email address to API user lookup (for webhook handling)
 export const emailToApiUserMap = new Map(); // { email: { userId, emailId } }
 
+// Long-poll requests waiting for the next message of an API email
+const messageWaiters = new Map(); // { emailId: Set({ userId, matches, settle }) }
+const MAX_WAITERS_PER_USER = 10;
+
+// Write-behind of inboxes to the database
+const PERSIST_ENABLED = process.env.API_STORE_PERSIST !== 'false';
+const FLUSH_INTERVAL = parseInt(process.env.API_STORE_FLUSH_INTERVAL) || 2000;
+const dirtyEmails = new Map(); // { emailId: Set(changed message IDs) }
+const deletedEmails = new Set(); // emailIds
+// Rows that keep failing (e.g. a message over max_allowed_packet) are dropped after a few flushes
+const MAX_WRITE_ATTEMPTS = 5;
+const writeFailures = new Map(); // { 'emailId' | 'emailId:messageId' | 'delete:emailId': count }
+let flushPromise = null;
+
 // FREE tier limits
 const FREE_LIMITS = {
   '10min': { daily: 20 },
@@ -137,6 +166,38 @@ const validateUserDomain = async (userId, domain) => {
   }
 };
 
+/**
+ * Queue an inbox (and the given messages of it) to be written to the database
+ */
+const markApiEmailDirty = (emailId, messageIds = []) => {
+  if (!PERSIST_ENABLED) return;
+
+  if (!dirtyEmails.has(emailId)) {
+    dirtyEmails.set(emailId, new Set());
+  }
+  messageIds.forEach(messageId => dirtyEmails.get(emailId).add(messageId));
+};
+
+/**
+ * Remove an API email from all maps and queue its deletion from the database
+ */
+const removeApiEmail = (emailId, email) => {
+  apiEmailStore.delete(emailId);
+  userApiEmailIndex.get(email.userId)?.delete(emailId);
+  emailToApiUserMap.delete(email.email);
+
+  if (PERSIST_ENABLED) {
+    dirtyEmails.delete(emailId);
+    deletedEmails.add(emailId);
+    
+    for (const key of writeFailures.keys()) {
+      if (key === emailId || key.startsWith(`${emailId}:`)) {
+        writeFailures.delete(key);
+      }
+    }
+  }
+};
+
 /**
  * Schedule automatic cleanup for expired email
  */
@@ -147,10 +208,12 @@ const scheduleEmailCleanup = (emailId, expiresAt) => {
     setTimeout(() => {
       const email = apiEmailStore.get(emailId);
       if (email) {
+        publishInboxEvent('inbox.expired', { owner: userOwner(email.userId), emailId, address: email.email }, {
+          expires_at: email.expiresAt.toISOString()
+        });
+        
         // Remove from all maps
-        apiEmailStore.delete(emailId);
-        userApiEmailIndex.get(email.userId)?.delete(emailId);
-        emailToApiUserMap.delete(email.email);
+        removeApiEmail(emailId, email);
         
         console.log(`API email ${email.email} automatically expired and cleaned up`);
       }
@@ -224,6 +287,7 @@ export const createApiEmail = async (
     expiresAt,
     messages: [],
     isApiEmail: true, // Flag to distinguish from regular emails
+    blockedCount: 0, // Messages rejected by sender rules
     domain: domain,
     isCustomDomain: !!customDomain
   };
@@ -243,6 +307,8 @@ export const createApiEmail = async (
   // Update usage counter in memory
   updateUsageCounter(userId, timeTier);
   
+  markApiEmailDirty(emailId);
+  
   // Schedule automatic cleanup
   scheduleEmailCleanup(emailId, expiresAt);
   
@@ -264,9 +330,7 @@ export const getUserApiEmails = (userId) => {
       emails.push(email);
     } else if (email && email.expiresAt <= new Date()) {
       // Clean up expired email
-      apiEmailStore.delete(emailId);
-      userApiEmailIndex.get(userId)?.delete(emailId);
-      emailToApiUserMap.delete(email.email);
+      removeApiEmail(emailId, email);
     }
   }
   
@@ -287,9 +351,7 @@ export const getApiEmail = (emailId, userId) => {
   // Check if expired
   if (email.expiresAt <= new Date()) {
     // Clean up expired email
-    apiEmailStore.delete(emailId);
-    userApiEmailIndex.get(userId)?.delete(emailId);
-    emailToApiUserMap.delete(email.email);
+    removeApiEmail(emailId, email);
     return null;
   }
   
@@ -307,9 +369,12 @@ export const deleteApiEmail = (emailId, userId) => {
   }
   
   // Remove from all maps and indexes
-  apiEmailStore.delete(emailId);
-  userApiEmailIndex.get(userId)?.delete(emailId);
-  emailToApiUserMap.delete(email.email);
+  removeApiEmail(emailId, email);
+  
+  // Nothing will arrive anymore, pending long-polls return empty
+  for (const waiter of messageWaiters.get(emailId) || []) {
+    waiter.settle(null);
+  }
   
   console.log(`API email ${email.email} deleted by user ${userId}`);
   
@@ -338,12 +403,131 @@ export const addApiEmailMessage = (emailId, messageData) => {
   }
   
   apiEmailStore.set(emailId, email);
+  markApiEmailDirty(emailId, [email.messages[0].id]);
   
   console.log(`Added message to API email ${email.email}: ${messageData.subject}`);
   
+  // Wake long-polls waiting for a message like this one
+  const message = email.messages[0];
+  for (const waiter of messageWaiters.get(emailId) || []) {
+    if (waiter.matches(message)) {
+      waiter.settle(message);
+    }
+  }
+  
+  publishInboxEvent('message.received', { owner: userOwner(email.userId), emailId, address: email.email }, {
+    message: toMessageEventData(message)
+  });
+  
+  queueMessageWebhooks(email.userId, { id: emailId, address: email.email }, message)
+    .catch(error => console.error(`Failed to queue webhooks for message ${message.id}:`, error.message));
+  
   return true;
 };
 
+/**
+ * Wait for the next message of an API email
+ * Resolves with the first message added after the call that matches, or null on timeout,
+ * abort or deletion of the email. Throws when the user has too many pending waits.
+ * @param {string} emailId - API email ID
+ * @param {string} userId - API user ID
+ * @param {Function} matches - (message) => boolean
+ * @param {number} timeoutMs - Maximum wait
+ * @param {AbortSignal} signal - Aborts the wait (client disconnected)
+ * @returns {Promise<object|null>}
+ */
+export const waitForApiEmailMessage = (emailId, userId, matches, timeoutMs, signal) => {
+  let pending = 0;
+  for (const waiters of messageWaiters.values()) {
+    for (const waiter of waiters) {
+      if (waiter.userId === userId) pending++;
+    }
+  }
+  if (pending >= MAX_WAITERS_PER_USER) {
+    throw new Error(`Too many pending waits (maximum ${MAX_WAITERS_PER_USER} per user)`);
+  }
+
+  return new Promise((resolve) => {
+    const waiter = { userId, matches };
+    let timer;
+
+    const onAbort = () => waiter.settle(null);
+
+    waiter.settle = (message) => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+
+      const waiters = messageWaiters.get(emailId);
+      waiters?.delete(waiter);
+      if (waiters?.size === 0) {
+        messageWaiters.delete(emailId);
+      }
+
+      resolve(message);
+    };
+
+    if (signal?.aborted) {
+      resolve(null);
+      return;
+    }
+
+    if (!messageWaiters.has(emailId)) {
+      messageWaiters.set(emailId, new Set());
+    }
+    messageWaiters.get(emailId).add(waiter);
+
+    timer = setTimeout(() => waiter.settle(null), timeoutMs);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+};
+
+/**
+ * Count a message rejected by the sender rules of an API email
+ */
+export const recordApiEmailBlocked = (emailId) => {
+  const email = apiEmailStore.get(emailId);
+  
+  if (email) {
+    email.blockedCount = (email.blockedCount || 0) + 1;
+    markApiEmailDirty(emailId);
+  }
+};
+
+/**
+ * Persist messages changed in place (read, starred and archived state)
+ */
+export const markApiEmailMessagesChanged = (emailId, messageIds) => {
+  if (apiEmailStore.has(emailId)) {
+    markApiEmailDirty(emailId, messageIds);
+  }
+};
+
+/**
+ * Get a single message from a user's API email
+ */
+export const getApiEmailMessage = (emailId, userId, messageId) => {
+  const email = getApiEmail(emailId, userId);
+  
+  if (!email) {
+    return null;
+  }
+  
+  return email.messages.find(message => message.id === messageId) || null;
+};
+
+/**
+ * Find a message in an API email by its dedupe key
+ */
+export const findApiEmailMessageByDedupeKey = (emailId, dedupeKey) => {
+  const email = apiEmailStore.get(emailId);
+  
+  if (!email || !dedupeKey) {
+    return null;
+  }
+  
+  return email.messages.find(message => message.dedupe_key === dedupeKey) || null;
+};
+
 /**
  * Get usage statistics for a user
  */
@@ -415,6 +599,137 @@ const syncUsageToDatabase = async () => {
   }
 };
 
+/**
+ * Count a failed write, false once the row should be given up on
+ */
+const shouldRetryWrite = (key, error) => {
+  const failures = (writeFailures.get(key) || 0) + 1;
+  
+  if (failures >= MAX_WRITE_ATTEMPTS) {
+    writeFailures.delete(key);
+    console.error(`Giving up persisting API email ${key} after ${failures} attempts:`, error.message);
+    return false;
+  }
+  
+  writeFailures.set(key, failures);
+  console.error(`Failed to persist API email ${key} (attempt ${failures}):`, error.message);
+  return true;
+};
+
+/**
+ * Write pending inbox changes and deletions to the database
+ * Every inbox and message is written on its own, failed ones are queued again for the
+ * next flush without holding up the others.
+ */
+const writePendingChanges = async () => {
+  const deletedIds = [...deletedEmails];
+  const changes = [...dirtyEmails];
+  deletedEmails.clear();
+  dirtyEmails.clear();
+  
+  if (deletedIds.length > 0) {
+    try {
+      await deleteStoredApiEmails(deletedIds);
+      deletedIds.forEach(emailId => writeFailures.delete(`delete:${emailId}`));
+    } catch (error) {
+      for (const emailId of deletedIds) {
+        if (shouldRetryWrite(`delete:${emailId}`, error)) {
+          deletedEmails.add(emailId);
+        }
+      }
+    }
+  }
+  
+  for (const [emailId, messageIds] of changes) {
+    const email = apiEmailStore.get(emailId);
+    
+    // Removed in the meantime, the deletion is already queued
+    if (!email) continue;
+    
+    // The inbox row first, its messages reference it
+    try {
+      await saveStoredApiEmail(email);
+      writeFailures.delete(emailId);
+    } catch (error) {
+      if (shouldRetryWrite(emailId, error)) {
+        markApiEmailDirty(emailId, [...messageIds]);
+      }
+      continue;
+    }
+    
+    if (messageIds.size === 0) continue;
+    
+    for (const messageId of messageIds) {
+      const message = email.messages.find(candidate => candidate.id === messageId);
+      if (!message) continue;
+      
+      const key = `${emailId}:${messageId}`;
+      try {
+        await saveStoredApiMessage(emailId, message);
+        writeFailures.delete(key);
+      } catch (error) {
+        if (shouldRetryWrite(key, error)) {
+          markApiEmailDirty(emailId, [messageId]);
+        }
+      }
+    }
+    
+    try {
+      await pruneStoredApiMessages(email);
+    } catch (error) {
+      // Pruned again with the next message of the inbox, or with its deletion
+      console.error(`Failed to prune stored messages of API email ${emailId}:`, error.message);
+    }
+  }
+};
+
+/**
+ * Flush pending inbox changes (also called before the process exits)
+ */
+export const flushApiMemoryStore = async () => {
+  // One flush at a time, a flush requested during another one runs after it
+  while (flushPromise) {
+    await flushPromise;
+  }
+  
+  if (dirtyEmails.size === 0 && deletedEmails.size === 0) {
+    return;
+  }
+  
+  flushPromise = writePendingChanges().finally(() => {
+    flushPromise = null;
+  });
+  return flushPromise;
+};
+
+/**
+ * Restore the inboxes saved before the last restart, with their expiry timers
+ */
+const restoreApiEmails = async () => {
+  const emails = await loadStoredApiEmails();
+  let restored = 0;
+  
+  for (const emailData of emails) {
+    if (apiEmailStore.has(emailData.id) || emailData.expiresAt <= new Date()) {
+      continue;
+    }
+    
+    apiEmailStore.set(emailData.id, emailData);
+    
+    if (!userApiEmailIndex.has(emailData.userId)) {
+      userApiEmailIndex.set(emailData.userId, new Set());
+    }
+    userApiEmailIndex.get(emailData.userId).add(emailData.id);
+    
+    emailToApiUserMap.set(emailData.email, { userId: emailData.userId, emailId: emailData.id });
+    
+    scheduleEmailCleanup(emailData.id, emailData.expiresAt);
+    restored++;
+  }
+  
+  return restored;
+};
+
 /**
  * Clean up expired emails and old usage counters
  */
@@ -426,9 +741,7 @@ const cleanupExpiredData = () => {
   // Clean expired emails
   for (const [emailId, email] of apiEmailStore.entries()) {
     if (email.expiresAt <= now) {
-      apiEmailStore.delete(emailId);
-      userApiEmailIndex.get(email.userId)?.delete(emailId);
-      emailToApiUserMap.delete(email.email);
+      removeApiEmail(emailId, email);
       cleanedEmails++;
     }
   }
@@ -470,13 +783,29 @@ setInterval(syncUsageToDatabase, 5 * 60 * 1000);
 // Cleanup expired data every hour
 setInterval(cleanupExpiredData, 60 * 60 * 1000);
 
+// Write inbox changes behind to the database
+if (PERSIST_ENABLED) {
+  setInterval(() => {
+    flushApiMemoryStore().catch(error => console.error('API email flush failed:', error));
+  }, FLUSH_INTERVAL);
+}
+
 // Initial cleanup on startup
 setTimeout(cleanupExpiredData, 5000);
 
 /**
  * Initialize the API memory store
  */
-export const initializeApiMemoryStore = () => {
+export const initializeApiMemoryStore = async () => {
+  if (PERSIST_ENABLED) {
+    try {
+      const restored = await restoreApiEmails();
+      console.log(`Restored ${restored} API emails from the database`);
+    } catch (error) {
+      console.error('Failed to restore API emails:', error);
+    }
+  }
+  
   console.log('API Memory Store initialized with periodic sync and cleanup');
   
   // Run initial cleanup
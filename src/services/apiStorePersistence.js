@@ -0,0 +1,148 @@
+// apiStorePersistence.js - MySQL copy of the in-memory API inboxes
+// apiMemoryStore.js stays the source of truth while running and writes its changes behind
+// into api_emails / api_email_messages; the copy is only read back on startup.
+import { pool } from '../db/init.js';
+
+const BUFFER_TAG = '__buffer';
+
+/**
+ * Serialize a message for storage
+ * Buffers (raw source, attachment content) are stored as base64, plain JSON would turn
+ * them into byte arrays that do not come back as Buffers.
+ * @param {object} message - API email message
+ * @returns {string}
+ */
+export const serializeMessage = (message) => JSON.stringify(message, function (key, value) {
+  // Buffer#toJSON already ran on `value`, the holder still has the Buffer
+  const original = this[key];
+  return Buffer.isBuffer(original) ? { [BUFFER_TAG]: original.toString('base64') } : value;
+});
+
+/**
+ * Restore a message stored by serializeMessage
+ * @param {string} data - Stored JSON
+ * @returns {object}
+ */
+export const deserializeMessage = (data) => JSON.parse(data, (key, value) => {
+  if (value && typeof value === 'object' && typeof value[BUFFER_TAG] === 'string' && Object.keys(value).length === 1) {
+    return Buffer.from(value[BUFFER_TAG], 'base64');
+  }
+  return value;
+});
+
+const toDate = (value) => {
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? new Date() : date;
+};
+
+/**
+ * Save an API inbox (without its messages)
+ * @param {object} email - API email data
+ */
+export const saveStoredApiEmail = async (email) => {
+  await pool.query(
+    `INSERT INTO api_emails
+       (id, user_id, email, time_tier, domain, is_custom_domain, blocked_count, created_at, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE blocked_count = VALUES(blocked_count), expires_at = VALUES(expires_at)`,
+    [
+      email.id,
+      email.userId,
+      email.email,
+      email.timeTier,
+      email.domain,
+      !!email.isCustomDomain,
+      email.blockedCount || 0,
+      email.createdAt,
+      email.expiresAt
+    ]
+  );
+};
+
+/**
+ * Save one message of an API inbox
+ * One row per query, so a message too large for the server only fails on its own.
+ * @param {string} emailId - API email ID
+ * @param {object} message - API email message
+ */
+export const saveStoredApiMessage = async (emailId, message) => {
+  await pool.query(
+    `INSERT INTO api_email_messages (id, api_email_id, data, received_at) VALUES (?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE data = VALUES(data)`,
+    [message.id, emailId, serializeMessage(message), toDate(message.received_at)]
+  );
+};
+
+/**
+ * Remove stored messages that are no longer in the inbox (dropped over the message limit)
+ * @param {object} email - API email data
+ */
+export const pruneStoredApiMessages = async (email) => {
+  if (email.messages.length > 0) {
+    await pool.query(
+      'DELETE FROM api_email_messages WHERE api_email_id = ? AND id NOT IN (?)',
+      [email.id, email.messages.map(message => message.id)]
+    );
+  } else {
+    await pool.query('DELETE FROM api_email_messages WHERE api_email_id = ?', [email.id]);
+  }
+};
+
+/**
+ * Delete stored API inboxes (their messages cascade)
+ * @param {string[]} emailIds - API email IDs
+ */
+export const deleteStoredApiEmails = async (emailIds) => {
+  if (emailIds.length === 0) return;
+  await pool.query('DELETE FROM api_emails WHERE id IN (?)', [emailIds]);
+};
+
+/**
+ * Load the stored API inboxes that have not expired, in the shape of apiEmailStore entries
+ * Expired inboxes (e.g. expired while the server was down) are deleted.
+ * @returns {Promise<object[]>}
+ */
+export const loadStoredApiEmails = async () => {
+  // Compared with a JS date, the DATETIME columns are written in the server's local time
+  const now = new Date();
+  await pool.query('DELETE FROM api_emails WHERE expires_at <= ?', [now]);
+
+  const [rows] = await pool.query('SELECT * FROM api_emails WHERE expires_at > ?', [now]);
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const emails = new Map();
+  for (const row of rows) {
+    emails.set(row.id, {
+      id: row.id,
+      email: row.email,
+      userId: row.user_id,
+      timeTier: row.time_tier,
+      createdAt: new Date(row.created_at),
+      expiresAt: new Date(row.expires_at),
+      messages: [],
+      isApiEmail: true,
+      blockedCount: row.blocked_count || 0,
+      domain: row.domain,
+      isCustomDomain: !!row.is_custom_domain
+    });
+  }
+
+  const [messageRows] = await pool.query(
+    `SELECT api_email_id, data FROM api_email_messages
+     WHERE api_email_id IN (?)
+     ORDER BY received_at DESC`,
+    [[...emails.keys()]]
+  );
+
+  for (const row of messageRows) {
+    try {
+      emails.get(row.api_email_id)?.messages.push(deserializeMessage(row.data));
+    } catch (error) {
+      console.error(`Skipping unreadable stored message of API email ${row.api_email_id}:`, error.message);
+    }
+  }
+
+  return [...emails.values()];
+};
@@ -0,0 +1,281 @@
+// bounceParser.js - Bounce and delivery status notification parsing for inbound mail
+// RFC 3464 reports (multipart/report; report-type=delivery-status) are read from the raw
+// MIME source, because mailparser folds the delivery-status part into the text body.
+// Bounces that are not in DSN format get a best-effort parse of the text.
+
+const MAX_PART_DEPTH = 5;
+const MAX_RECIPIENTS = 50;
+const MAX_DIAGNOSTIC_LENGTH = 1000;
+
+const DELIVERY_STATUS_TYPES = ['message/delivery-status', 'message/global-delivery-status'];
+const ORIGINAL_MESSAGE_TYPES = ['message/rfc822', 'message/global', 'text/rfc822-headers', 'message/global-headers'];
+
+const BOUNCE_SENDER_PATTERN = /^(mailer-daemon|postmaster|mail-daemon)(@|$)/i;
+const BOUNCE_SUBJECT_PATTERN = /(undeliver|returned mail|failure notice|delivery (status notification|failure|has failed|incomplete)|mail delivery (failed|subsystem)|could not be delivered|nicht zustellbar|non remis|no se pudo entregar|non recapitato)/i;
+const STATUS_CODE_PATTERN = /\b([245]\.\d{1,3}\.\d{1,3})\b/;
+
+/**
+ * Split a MIME entity into its header block and body
+ */
+const splitEntity = (source) => {
+  if (/^\r?\n/.test(source)) {
+    return { headerText: '', body: source.replace(/^\r?\n/, '') };
+  }
+
+  const match = source.match(/\r?\n\r?\n/);
+  if (!match) {
+    return { headerText: source, body: '' };
+  }
+
+  return {
+    headerText: source.slice(0, match.index),
+    body: source.slice(match.index + match[0].length)
+  };
+};
+
+/**
+ * Parse "Name: value" fields (unfolded, lowercase names, first occurrence wins)
+ * Used for MIME part headers and for delivery-status field blocks
+ */
+const parseFields = (text) => {
+  const fields = [];
+
+  for (const line of text.split(/\r?\n/)) {
+    if (/^[ \t]/.test(line) && fields.length > 0) {
+      fields[fields.length - 1][1] += ` ${line.trim()}`;
+      continue;
+    }
+
+    const index = line.indexOf(':');
+    if (index > 0) {
+      fields.push([line.slice(0, index).trim().toLowerCase(), line.slice(index + 1).trim()]);
+    }
+  }
+
+  const result = {};
+  for (const [name, value] of fields) {
+    if (!(name in result)) result[name] = value;
+  }
+  return result;
+};
+
+const parseContentType = (value) => {
+  const [type, ...rest] = (value || 'text/plain').split(';');
+  const params = {};
+  for (const [, name, quoted, plain] of rest.join(';').matchAll(/([\w-]+)\s*=\s*(?:"([^"]*)"|([^;\s]+))/g)) {
+    params[name.toLowerCase()] = quoted ?? plain;
+  }
+  return { type: type.trim().toLowerCase(), params };
+};
+
+const decodeBody = (body, encoding) => {
+  switch ((encoding || '').trim().toLowerCase()) {
+    case 'base64':
+      return Buffer.from(body.replace(/\s+/g, ''), 'base64').toString('utf8');
+    case 'quoted-printable':
+      return Buffer.from(
+        body
+          .replace(/=\r?\n/g, '')
+          .replace(/=([0-9A-F]{2})/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16))),
+        'latin1'
+      ).toString('utf8');
+    default:
+      return body;
+  }
+};
+
+/**
+ * Flatten a MIME entity into its leaf parts ({ type, body })
+ * message/rfc822 parts are kept whole, their inner structure is not walked
+ */
+const collectParts = (source, depth = 0) => {
+  const { headerText, body } = splitEntity(source);
+  const headers = parseFields(headerText);
+  const { type, params } = parseContentType(headers['content-type']);
+
+  if (type.startsWith('multipart/') && params.boundary && depth < MAX_PART_DEPTH) {
+    const parts = [];
+    for (const section of body.split(`--${params.boundary}`).slice(1)) {
+      if (section.startsWith('--')) break; // closing delimiter
+      parts.push(...collectParts(section.replace(/^[ \t]*\r?\n/, ''), depth + 1));
+    }
+    return parts;
+  }
+
+  return [{ type, body: decodeBody(body, headers['content-transfer-encoding']) }];
+};
+
+// "rfc822; user@example.com" -> "user@example.com"
+const stripTypePrefix = (value) => value ? value.replace(/^[\w-]+\s*;\s*/, '').trim() : null;
+
+/**
+ * RFC 3463 status class of a recipient
+ * @returns {string} - 'permanent' | 'transient' | 'success' | 'unknown'
+ */
+const classifyStatus = (status, action) => {
+  const statusClass = status?.charAt(0);
+
+  if (statusClass === '5') return 'permanent';
+  if (statusClass === '4' || action === 'delayed') return 'transient';
+  if (statusClass === '2' || ['delivered', 'relayed', 'expanded'].includes(action)) return 'success';
+  if (action === 'failed') return 'permanent';
+  return 'unknown';
+};
+
+/**
+ * Overall classification: the worst recipient result wins
+ */
+const summarizeClassification = (recipients) => {
+  for (const classification of ['permanent', 'transient', 'success']) {
+    if (recipients.some(recipient => recipient.classification === classification)) {
+      return classification;
+    }
+  }
+  return 'unknown';
+};
+
+/**
+ * Message-ID of the returned message (attached message or its headers)
+ */
+const findOriginalMessageId = (source) => {
+  if (!source) return null;
+  const { headerText } = splitEntity(source);
+  return parseFields(headerText)['message-id']?.match(/<[^>]+>/)?.[0] || null;
+};
+
+/**
+ * Parse a message/delivery-status body into per-message and per-recipient fields
+ */
+const parseDeliveryStatus = (text) => {
+  const [messageBlock = '', ...recipientBlocks] = text
+    .split(/\r?\n[ \t]*\r?\n/)
+    .filter(block => block.trim());
+  const messageFields = parseFields(messageBlock);
+
+  const recipients = recipientBlocks
+    .map(parseFields)
+    .filter(fields => fields['final-recipient'] || fields['original-recipient'])
+    .slice(0, MAX_RECIPIENTS)
+    .map(fields => {
+      const action = fields.action?.toLowerCase() || null;
+      const diagnosticCode = stripTypePrefix(fields['diagnostic-code'])?.substring(0, MAX_DIAGNOSTIC_LENGTH) || null;
+      // Some MTAs only put the enhanced status code in the diagnostic
+      const status = fields.status?.match(STATUS_CODE_PATTERN)?.[1] ||
+        diagnosticCode?.match(STATUS_CODE_PATTERN)?.[1] || null;
+
+      return {
+        final_recipient: stripTypePrefix(fields['final-recipient']),
+        original_recipient: stripTypePrefix(fields['original-recipient']),
+        action,
+        status,
+        classification: classifyStatus(status, action),
+        diagnostic_code: diagnosticCode,
+        remote_mta: stripTypePrefix(fields['remote-mta']),
+        last_attempt_date: fields['last-attempt-date'] || null
+      };
+    });
+
+  return {
+    reporting_mta: stripTypePrefix(messageFields['reporting-mta']),
+    arrival_date: messageFields['arrival-date'] || null,
+    original_envelope_id: messageFields['original-envelope-id'] || null,
+    recipients
+  };
+};
+
+/**
+ * Best-effort parse of a bounce that is not an RFC 3464 report (qmail, Exchange, ...)
+ */
+const parseNonStandardBounce = (parsedEmail, emailData, parts) => {
+  const text = parsedEmail.text || '';
+  const statusMatch = text.match(STATUS_CODE_PATTERN);
+  const smtpMatch = text.match(/\b([45]\d{2})[ -](?=\S)/);
+  if (!statusMatch && !smtpMatch) {
+    return null;
+  }
+
+  // Skip the reporting system and the inbox the bounce was sent to
+  const ownAddresses = [emailData.from_email, ...(parsedEmail.recipients?.to || [])]
+    .filter(Boolean)
+    .map(address => address.toLowerCase());
+  const recipient = [...text.matchAll(/<?([^\s<>"():;,]+@[^\s<>"():;,]+\.[a-z]{2,})>?/gi)]
+    .map(match => match[1])
+    .find(address => !ownAddresses.includes(address.toLowerCase())) || null;
+
+  const diagnosticLine = text
+    .split(/\r?\n/)
+    .find(line => (statusMatch && line.includes(statusMatch[1])) || (smtpMatch && line.includes(smtpMatch[0])));
+
+  const status = statusMatch?.[1] || null;
+  const classification = status
+    ? classifyStatus(status, null)
+    : (smtpMatch[1].startsWith('5') ? 'permanent' : 'transient');
+
+  // The returned message is usually appended to the body (part bodies exclude the bounce's own headers)
+  const originalMessageId = parts
+    .map(part => part.body.match(/^Message-ID:\s*(<[^>]+>)/im)?.[1])
+    .find(Boolean) || null;
+
+  return {
+    format: 'heuristic',
+    classification,
+    reporting_mta: null,
+    arrival_date: null,
+    original_envelope_id: null,
+    original_message_id: originalMessageId,
+    recipients: [{
+      final_recipient: recipient,
+      original_recipient: null,
+      action: classification === 'success' ? 'delivered' : (classification === 'transient' ? 'delayed' : 'failed'),
+      status,
+      classification,
+      diagnostic_code: diagnosticLine ? diagnosticLine.trim().substring(0, MAX_DIAGNOSTIC_LENGTH) : null,
+      remote_mta: null,
+      last_attempt_date: null
+    }]
+  };
+};
+
+/**
+ * Detect and parse a bounce / delivery status notification
+ * @param {object} parsedEmail - Result of parseEmailContent
+ * @param {object} emailData - Received email data (raw_source, from_email, subject)
+ * @returns {object|null} - { format: 'dsn'|'heuristic', classification, reporting_mta, arrival_date,
+ *   original_envelope_id, original_message_id, recipients: [{ final_recipient, original_recipient,
+ *   action, status, classification, diagnostic_code, remote_mta, last_attempt_date }] },
+ *   or null if the message is not a bounce
+ */
+export const parseBounce = (parsedEmail, emailData) => {
+  try {
+    const raw = Buffer.isBuffer(emailData.raw_source)
+      ? emailData.raw_source.toString('utf8')
+      : (emailData.raw_source || '');
+    const parts = raw ? collectParts(raw) : [];
+
+    const statusPart = parts.find(part => DELIVERY_STATUS_TYPES.includes(part.type));
+    if (statusPart) {
+      const report = parseDeliveryStatus(statusPart.body);
+      const originalPart = parts.find(part => ORIGINAL_MESSAGE_TYPES.includes(part.type));
+
+      return {
+        format: 'dsn',
+        classification: summarizeClassification(report.recipients),
+        reporting_mta: report.reporting_mta,
+        arrival_date: report.arrival_date,
+        original_envelope_id: report.original_envelope_id,
+        original_message_id: findOriginalMessageId(originalPart?.body),
+        recipients: report.recipients
+      };
+    }
+
+    if (BOUNCE_SENDER_PATTERN.test(emailData.from_email || '') ||
+        BOUNCE_SUBJECT_PATTERN.test(emailData.subject || '')) {
+      return parseNonStandardBounce(parsedEmail, emailData, parts);
+    }
+
+    return null;
+  } catch (error) {
+    console.error('Bounce parsing failed:', error);
+    return null;
+  }
+};
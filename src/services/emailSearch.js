@@ -0,0 +1,317 @@
+// emailSearch.js - Full-text search across a registered user's received emails
+// received_emails is partitioned, and partitioned InnoDB tables cannot have FULLTEXT
+// indexes, so searchable fields are copied into email_search when a message is stored.
+// Rows of deleted emails are skipped by joining received_emails and removed by the cleanup.
+// API inboxes only live in memory and are searched with searchMessages.
+import { pool } from '../db/init.js';
+import { spamFilterClause } from './spamScoring.js';
+
+const MAX_INDEXED_BODY = 64 * 1024; // characters of body text kept in the index
+const MAX_TERMS = 10;
+const MIN_TERM_LENGTH = 3; // innodb_ft_min_token_size
+const SNIPPET_LENGTH = 160;
+const BACKFILL_BATCH = 500;
+
+const htmlToText = (html) => String(html || '')
+  .replace(/<(style|script)[\s\S]*?<\/\1>/gi, ' ')
+  .replace(/<[^>]+>/g, ' ')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&amp;/g, '&')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const searchableBody = (email) => (email.body_text || htmlToText(email.body_html)).substring(0, MAX_INDEXED_BODY);
+
+/**
+ * Add a stored received email to the search index
+ * Only inboxes of registered users are indexed.
+ * @param {string} tempEmailId - Temp email ID
+ * @param {object} emailData - Received email data
+ * @param {object} db - Pool or transaction connection
+ * @param {string} receivedAt - MySQL timestamp (defaults to now)
+ */
+export const indexReceivedEmail = async (tempEmailId, emailData, db = pool, receivedAt = null) => {
+  await db.query(
+    `INSERT IGNORE INTO email_search
+      (email_id, user_id, temp_email_id, from_email, from_name, subject, body_text, has_attachments, received_at)
+     SELECT ?, te.user_id, te.id, ?, ?, ?, ?, ?, COALESCE(?, NOW())
+     FROM temp_emails te
+     WHERE te.id = ? AND te.user_id IS NOT NULL`,
+    [
+      emailData.id,
+      emailData.from_email || '',
+      emailData.from_name || '',
+      emailData.subject || '',
+      searchableBody(emailData),
+      (emailData.attachments || []).length > 0,
+      receivedAt,
+      tempEmailId
+    ]
+  );
+};
+
+/**
+ * Index received emails stored before the search index existed (in batches)
+ * @returns {Promise<number>} - Number of emails indexed
+ */
+export const backfillSearchIndex = async () => {
+  let total = 0;
+
+  for (;;) {
+    const [rows] = await pool.query(
+      `SELECT re.id, re.temp_email_id, re.from_email, re.from_name, re.subject, re.body_text, re.body_html, re.received_at
+       FROM received_emails re
+       JOIN temp_emails te ON te.id = re.temp_email_id
+       LEFT JOIN email_search es ON es.email_id = re.id
+       WHERE te.user_id IS NOT NULL AND es.email_id IS NULL
+       LIMIT ?`,
+      [BACKFILL_BATCH]
+    );
+    if (rows.length === 0) break;
+
+    const [attachmentRows] = await pool.query(
+      'SELECT DISTINCT email_id FROM email_attachments WHERE email_id IN (?)',
+      [rows.map(row => row.id)]
+    );
+    const withAttachments = new Set(attachmentRows.map(row => row.email_id));
+
+    for (const row of rows) {
+      await indexReceivedEmail(row.temp_email_id, {
+        ...row,
+        attachments: withAttachments.has(row.id) ? [{}] : []
+      }, pool, row.received_at);
+    }
+
+    total += rows.length;
+    if (rows.length < BACKFILL_BATCH) break;
+  }
+
+  return total;
+};
+
+/**
+ * Split a search string into terms and "quoted phrases"
+ */
+const tokenize = (q) => {
+  const phrases = [...q.matchAll(/"([^"]+)"/g)].map(match => match[1].trim()).filter(Boolean);
+  const words = q.replace(/"[^"]*"/g, ' ').match(/[\p{L}\p{N}][\p{L}\p{N}._@'-]*/gu) || [];
+  return { phrases, words };
+};
+
+/**
+ * Validate the search query parameters
+ * @param {object} query - { q, from, subject, temp_email_id, address, has_attachment, after, before, spam, sort }
+ * @returns {object} - { criteria } or { error }
+ */
+export const parseSearchQuery = (query = {}) => {
+  const criteria = {
+    q: typeof query.q === 'string' ? query.q.trim().substring(0, 200) : '',
+    from: typeof query.from === 'string' ? query.from.trim().toLowerCase().substring(0, 255) : '',
+    subject: typeof query.subject === 'string' ? query.subject.trim().substring(0, 255) : '',
+    tempEmailId: query.temp_email_id || null,
+    address: typeof query.address === 'string' ? query.address.trim().toLowerCase() : '',
+    hasAttachment: query.has_attachment === 'true' ? true : (query.has_attachment === 'false' ? false : null),
+    after: null,
+    before: null,
+    spam: query.spam,
+    sort: query.sort === 'date' ? 'date' : 'relevance'
+  };
+
+  for (const field of ['after', 'before']) {
+    if (query[field]) {
+      const date = new Date(query[field]);
+      if (Number.isNaN(date.getTime())) {
+        return { error: `${field} must be a date (ISO 8601)` };
+      }
+      criteria[field] = date;
+    }
+  }
+
+  if (!criteria.q && !criteria.from && !criteria.subject) {
+    return { error: 'At least one of q, from or subject is required' };
+  }
+
+  return { criteria };
+};
+
+/**
+ * Boolean-mode query for the FULLTEXT index, or null if no term is long enough
+ */
+const buildBooleanQuery = (q) => {
+  const { phrases, words } = tokenize(q);
+  const terms = [
+    ...phrases.map(phrase => `+"${phrase.replace(/[^\p{L}\p{N}\s._@'-]/gu, ' ')}"`),
+    ...words
+      .map(word => word.replace(/[^\p{L}\p{N}]/gu, ' ').trim())
+      .flatMap(word => word.split(/\s+/))
+      .filter(word => word.length >= MIN_TERM_LENGTH)
+      .map(word => `+${word}*`)
+  ].slice(0, MAX_TERMS);
+
+  return terms.length > 0 ? terms.join(' ') : null;
+};
+
+const escapeLike = (value) => value.replace(/[\\%_]/g, '\\$&');
+
+/**
+ * Short excerpt of the body around the first search term
+ */
+const buildSnippet = (body, q) => {
+  const text = (body || '').replace(/\s+/g, ' ').trim();
+  const { phrases, words } = tokenize(q || '');
+  const lower = text.toLowerCase();
+
+  let index = -1;
+  for (const term of [...phrases, ...words]) {
+    index = lower.indexOf(term.toLowerCase());
+    if (index !== -1) break;
+  }
+
+  const start = Math.max(0, index - SNIPPET_LENGTH / 4);
+  const snippet = text.substring(start, start + SNIPPET_LENGTH);
+  return `${start > 0 ? '…' : ''}${snippet}${start + SNIPPET_LENGTH < text.length ? '…' : ''}`;
+};
+
+/**
+ * Search the received emails of every inbox of a registered user
+ * @param {string} userId - Account owner
+ * @param {object} criteria - Output of parseSearchQuery
+ * @param {object} options - { page, limit }
+ * @returns {Promise<object>} - { data, metadata }
+ */
+export const searchReceivedEmails = async (userId, criteria, { page = 1, limit = 20 } = {}) => {
+  const conditions = ['es.user_id = ?', 'te.user_id = ?'];
+  const params = [userId, userId];
+  let relevance = '0';
+  const relevanceParams = [];
+
+  if (criteria.q) {
+    const booleanQuery = buildBooleanQuery(criteria.q);
+
+    if (booleanQuery) {
+      conditions.push('MATCH(es.from_email, es.from_name, es.subject, es.body_text) AGAINST (? IN BOOLEAN MODE)');
+      params.push(booleanQuery);
+      relevance = 'MATCH(es.from_email, es.from_name, es.subject, es.body_text) AGAINST (? IN BOOLEAN MODE)';
+      relevanceParams.push(booleanQuery);
+    } else {
+      // Terms shorter than the FULLTEXT minimum token size
+      const like = `%${escapeLike(criteria.q)}%`;
+      conditions.push('(es.subject LIKE ? OR es.from_email LIKE ? OR es.from_name LIKE ? OR es.body_text LIKE ?)');
+      params.push(like, like, like, like);
+    }
+  }
+  if (criteria.from) {
+    const like = `%${escapeLike(criteria.from)}%`;
+    conditions.push('(es.from_email LIKE ? OR es.from_name LIKE ?)');
+    params.push(like, like);
+  }
+  if (criteria.subject) {
+    conditions.push('es.subject LIKE ?');
+    params.push(`%${escapeLike(criteria.subject)}%`);
+  }
+  if (criteria.tempEmailId) {
+    conditions.push('es.temp_email_id = ?');
+    params.push(criteria.tempEmailId);
+  }
+  if (criteria.address) {
+    conditions.push('te.email = ?');
+    params.push(criteria.address);
+  }
+  if (criteria.hasAttachment !== null) {
+    conditions.push('es.has_attachments = ?');
+    params.push(criteria.hasAttachment);
+  }
+  if (criteria.after) {
+    conditions.push('es.received_at >= ?');
+    params.push(criteria.after);
+  }
+  if (criteria.before) {
+    conditions.push('es.received_at < ?');
+    params.push(criteria.before);
+  }
+
+  const from = `
+    FROM email_search es
+    JOIN temp_emails te ON te.id = es.temp_email_id
+    JOIN received_emails re ON re.id = es.email_id
+    WHERE ${conditions.join(' AND ')}${spamFilterClause(criteria.spam)}`;
+
+  const [[{ total }]] = await pool.query(`SELECT COUNT(*) as total ${from}`, params);
+
+  const order = criteria.sort === 'relevance' && relevanceParams.length > 0
+    ? 'relevance DESC, es.received_at DESC'
+    : 'es.received_at DESC';
+  const offset = (page - 1) * limit;
+
+  const [rows] = await pool.query(
+    `SELECT es.email_id as id, es.temp_email_id, te.email as temp_email, es.from_email, es.from_name,
+       es.subject, SUBSTRING(es.body_text, 1, 4000) as body_excerpt, es.has_attachments, es.received_at,
+       re.is_read, re.is_spam, ${relevance} as relevance
+     ${from}
+     ORDER BY ${order}
+     LIMIT ? OFFSET ?`,
+    [...relevanceParams, ...params, limit, offset]
+  );
+
+  return {
+    data: rows.map(({ body_excerpt, ...row }) => ({
+      ...row,
+      has_attachments: Boolean(row.has_attachments),
+      is_read: Boolean(row.is_read),
+      is_spam: Boolean(row.is_spam),
+      relevance: Number(row.relevance) || 0,
+      snippet: buildSnippet(body_excerpt, criteria.q)
+    })),
+    metadata: {
+      total,
+      page,
+      limit,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+/**
+ * Search in-memory messages (API inboxes) with the same criteria
+ * Every term must appear in the sender, subject or body.
+ * @param {Array} inboxes - [{ id, address, messages }]
+ * @param {object} criteria - Output of parseSearchQuery
+ * @returns {Array} - Matching messages with email_id and address, newest first
+ */
+export const searchMessages = (inboxes, criteria) => {
+  const { phrases, words } = tokenize(criteria.q);
+  const terms = [...phrases, ...words].map(term => term.toLowerCase()).slice(0, MAX_TERMS);
+  const results = [];
+
+  for (const inbox of inboxes) {
+    if (criteria.tempEmailId && inbox.id !== criteria.tempEmailId) continue;
+    if (criteria.address && inbox.address !== criteria.address) continue;
+
+    for (const message of inbox.messages || []) {
+      const sender = `${message.from_email || ''} ${message.from_name || ''}`.toLowerCase();
+      const subject = (message.subject || '').toLowerCase();
+      const body = searchableBody(message).toLowerCase();
+      const receivedAt = new Date(message.received_at);
+
+      if (terms.some(term => !sender.includes(term) && !subject.includes(term) && !body.includes(term))) continue;
+      if (criteria.from && !sender.includes(criteria.from)) continue;
+      if (criteria.subject && !subject.includes(criteria.subject.toLowerCase())) continue;
+      if (criteria.hasAttachment !== null && ((message.attachments || []).length > 0) !== criteria.hasAttachment) continue;
+      if (criteria.after && receivedAt < criteria.after) continue;
+      if (criteria.before && receivedAt >= criteria.before) continue;
+      if (criteria.spam === 'exclude' && message.is_spam) continue;
+      if (criteria.spam === 'only' && !message.is_spam) continue;
+
+      results.push({
+        ...message,
+        email_id: inbox.id,
+        address: inbox.address,
+        snippet: buildSnippet(searchableBody(message), criteria.q)
+      });
+    }
+  }
+
+  return results.sort((a, b) => new Date(b.received_at) - new Date(a.received_at));
+};
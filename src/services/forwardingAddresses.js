@@ -0,0 +1,355 @@
+// forwardingAddresses.js - Verified personal addresses registered users forward mail to
+// An address only receives mail once its owner clicked the one-time link of the
+// confirmation email. A temp email forwards to at most one verified address.
+//
+// Env:
+// - FORWARDING_MAX_ADDRESSES: maximum number of forwarding addresses per account (default 5)
+// - FORWARDING_CONFIRMATION_TTL_HOURS: lifetime of confirmation links (default 48)
+// - FORWARDING_CONFIRMATIONS_PER_DAY: confirmation emails per account per day (default 10)
+// - FORWARDING_CONFIRMATIONS_PER_ADDRESS_DAY: confirmation emails per destination per day,
+//   across all accounts (default 3)
+// - API_URL: public URL of this server for the confirmation links, required to add addresses
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { pool } from '../db/init.js';
+import { isAcceptedDomain } from './inboundMailService.js';
+import { getSmtpManager } from './mailForwarder.js';
+import { forwardingConfirmationTemplate } from '../templates/emails/index.js';
+
+export const MAX_FORWARDING_ADDRESSES = parseInt(process.env.FORWARDING_MAX_ADDRESSES) || 5;
+const CONFIRMATION_TTL_HOURS = parseInt(process.env.FORWARDING_CONFIRMATION_TTL_HOURS) || 48;
+const CONFIRMATIONS_PER_DAY = parseInt(process.env.FORWARDING_CONFIRMATIONS_PER_DAY) || 10;
+const CONFIRMATIONS_PER_ADDRESS_DAY = parseInt(process.env.FORWARDING_CONFIRMATIONS_PER_ADDRESS_DAY) || 3;
+const RESEND_COOLDOWN = 2 * 60; // 2 minutes, in seconds
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const toPublic = (row) => ({
+  id: row.id,
+  address: row.address,
+  verified: Boolean(row.verified_at),
+  verified_at: row.verified_at,
+  confirmation_sent_at: row.confirmation_sent_at,
+  created_at: row.created_at
+});
+
+/**
+ * Normalize and validate a forwarding address
+ * @param {string} address - Address from the request body
+ * @returns {Promise<object>} - { address } or { error }
+ */
+export const normalizeForwardingAddress = async (address) => {
+  const normalized = typeof address === 'string' ? address.trim().toLowerCase() : '';
+
+  if (!normalized || normalized.length > 255 || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalized)) {
+    return { error: 'A valid email address is required' };
+  }
+
+  // Our own domains would feed the forwarded mail straight back into an inbox
+  if (await isAcceptedDomain(normalized.split('@')[1])) {
+    return { error: 'Mail cannot be forwarded to a temporary email address' };
+  }
+
+  return { address: normalized };
+};
+
+/**
+ * Public URL the confirmation links point to
+ * Only taken from the configuration: a Host header would let the requester choose
+ * where the token is sent.
+ */
+const getConfirmationBaseUrl = () => {
+  const baseUrl = (process.env.API_URL || '').replace(/\/+$/, '');
+  if (!baseUrl) {
+    throw new Error('Forwarding confirmation links are not configured (API_URL is not set)');
+  }
+  return baseUrl;
+};
+
+/**
+ * Record a confirmation email about to be sent, throw if it goes over the send limits
+ * The log is kept apart from forwarding_addresses so deleting and re-adding an address
+ * does not reset the limits. The new entry is counted too and removed when it went over,
+ * so concurrent requests cannot all pass the check.
+ */
+const reserveConfirmation = async (userId, address) => {
+  const id = uuidv4();
+  await pool.query(
+    'INSERT INTO forwarding_confirmations (id, user_id, address) VALUES (?, ?, ?)',
+    [id, userId, address]
+  );
+
+  const [[counts]] = await pool.query(
+    `SELECT
+       COALESCE(SUM(user_id = ?), 0) as account_day,
+       COALESCE(SUM(address = ?), 0) as address_day,
+       COALESCE(SUM(address = ? AND id != ? AND sent_at > DATE_SUB(NOW(), INTERVAL ? SECOND)), 0) as address_recent
+     FROM forwarding_confirmations
+     WHERE sent_at > DATE_SUB(NOW(), INTERVAL 1 DAY) AND (user_id = ? OR address = ?)`,
+    [userId, address, address, id, RESEND_COOLDOWN, userId, address]
+  );
+
+  let limitError = null;
+  if (Number(counts.address_recent) > 0) {
+    limitError = 'Confirmation email was sent recently, please wait before requesting another one';
+  } else if (Number(counts.account_day) > CONFIRMATIONS_PER_DAY) {
+    limitError = `Confirmation email limit reached (${CONFIRMATIONS_PER_DAY} per day)`;
+  } else if (Number(counts.address_day) > CONFIRMATIONS_PER_ADDRESS_DAY) {
+    limitError = `Confirmation email limit reached for ${address} (${CONFIRMATIONS_PER_ADDRESS_DAY} per day)`;
+  }
+
+  if (limitError) {
+    await pool.query('DELETE FROM forwarding_confirmations WHERE id = ?', [id]);
+    throw new Error(limitError);
+  }
+};
+
+/**
+ * Issue a new confirmation token for an address and email the link to it
+ */
+const sendConfirmation = async (row, accountEmail, baseUrl) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await pool.query(
+    `UPDATE forwarding_addresses
+     SET token_hash = ?, token_expires_at = DATE_ADD(NOW(), INTERVAL ? HOUR), confirmation_sent_at = NOW()
+     WHERE id = ?`,
+    [hashToken(token), CONFIRMATION_TTL_HOURS, row.id]
+  );
+
+  const html = forwardingConfirmationTemplate.html
+    .replace('{{account_email}}', accountEmail)
+    .replace('{{forward_address}}', row.address)
+    .replace('{{expires_hours}}', CONFIRMATION_TTL_HOURS)
+    .replace('{{confirm_url}}', `${baseUrl}/forwarding/confirm/${token}`);
+
+  const smtpManager = await getSmtpManager();
+  await smtpManager.sendEmail(
+    row.address,
+    forwardingConfirmationTemplate.subject.replace('{{forward_address}}', row.address),
+    html
+  );
+};
+
+/**
+ * Forwarding addresses of an account
+ * @param {string} userId - Account owner
+ * @returns {Promise<Array>} - Addresses, oldest first
+ */
+export const listForwardingAddresses = async (userId) => {
+  const [rows] = await pool.query(
+    'SELECT * FROM forwarding_addresses WHERE user_id = ? ORDER BY created_at ASC',
+    [userId]
+  );
+  return rows.map(toPublic);
+};
+
+/**
+ * Verified forwarding addresses of an account (valid forward destinations)
+ * @param {string} userId - Account owner
+ * @returns {Promise<string[]>}
+ */
+export const getVerifiedForwardingAddresses = async (userId) => {
+  const [rows] = await pool.query(
+    'SELECT address FROM forwarding_addresses WHERE user_id = ? AND verified_at IS NOT NULL',
+    [userId]
+  );
+  return rows.map(row => row.address);
+};
+
+/**
+ * Add a forwarding address and send it a confirmation email
+ * @param {string} userId - Account owner
+ * @param {string} accountEmail - Address of the account, shown in the confirmation email
+ * @param {string} address - Output of normalizeForwardingAddress
+ * @returns {Promise<object>} - Stored address
+ */
+export const addForwardingAddress = async (userId, accountEmail, address) => {
+  const baseUrl = getConfirmationBaseUrl();
+
+  const [[{ total }]] = await pool.query(
+    'SELECT COUNT(*) as total FROM forwarding_addresses WHERE user_id = ?',
+    [userId]
+  );
+  if (total >= MAX_FORWARDING_ADDRESSES) {
+    throw new Error(`Forwarding address limit reached (${MAX_FORWARDING_ADDRESSES} per account)`);
+  }
+
+  const id = uuidv4();
+  try {
+    await pool.query(
+      'INSERT INTO forwarding_addresses (id, user_id, address) VALUES (?, ?, ?)',
+      [id, userId, address]
+    );
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      throw new Error('Forwarding address already exists');
+    }
+    throw error;
+  }
+
+  const row = { id, address };
+  try {
+    await reserveConfirmation(userId, address);
+  } catch (error) {
+    await pool.query('DELETE FROM forwarding_addresses WHERE id = ?', [id]);
+    throw error;
+  }
+
+  try {
+    await sendConfirmation(row, accountEmail, baseUrl);
+  } catch (error) {
+    // Without the email the address could never be confirmed
+    await pool.query('DELETE FROM forwarding_addresses WHERE id = ?', [id]);
+    throw new Error(`Failed to send confirmation email: ${error.message}`);
+  }
+
+  const [rows] = await pool.query('SELECT * FROM forwarding_addresses WHERE id = ?', [id]);
+  return toPublic(rows[0]);
+};
+
+/**
+ * Send a new confirmation email for an unverified address
+ * @param {string} userId - Account owner
+ * @param {string} accountEmail - Address of the account
+ * @param {string} addressId - Forwarding address ID
+ * @returns {Promise<object|null>} - Address, or null if no such address exists
+ */
+export const resendForwardingConfirmation = async (userId, accountEmail, addressId) => {
+  const baseUrl = getConfirmationBaseUrl();
+
+  const [rows] = await pool.query(
+    'SELECT * FROM forwarding_addresses WHERE id = ? AND user_id = ?',
+    [addressId, userId]
+  );
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const row = rows[0];
+  if (row.verified_at) {
+    throw new Error('Forwarding address is already verified');
+  }
+
+  await reserveConfirmation(userId, row.address);
+  await sendConfirmation(row, accountEmail, baseUrl);
+
+  const [updated] = await pool.query('SELECT * FROM forwarding_addresses WHERE id = ?', [addressId]);
+  return toPublic(updated[0]);
+};
+
+/**
+ * Verify an address with the token from its confirmation email
+ * Tokens can only be used once.
+ * @param {string} token - Token from the confirmation link
+ * @returns {Promise<object|null>} - Verified address, or null if the token is unknown or expired
+ */
+export const confirmForwardingAddress = async (token) => {
+  if (typeof token !== 'string' || !/^[a-f0-9]{64}$/.test(token)) {
+    return null;
+  }
+
+  const [rows] = await pool.query(
+    `SELECT * FROM forwarding_addresses
+     WHERE token_hash = ? AND token_expires_at > NOW() AND verified_at IS NULL`,
+    [hashToken(token)]
+  );
+  if (rows.length === 0) {
+    return null;
+  }
+
+  await pool.query(
+    'UPDATE forwarding_addresses SET verified_at = NOW(), token_hash = NULL, token_expires_at = NULL WHERE id = ?',
+    [rows[0].id]
+  );
+
+  return { ...toPublic(rows[0]), verified: true };
+};
+
+/**
+ * Delete a forwarding address and stop forwarding to it
+ * @param {string} userId - Account owner
+ * @param {string} addressId - Forwarding address ID
+ * @returns {Promise<boolean>} - False if no such address exists
+ */
+export const deleteForwardingAddress = async (userId, addressId) => {
+  const [result] = await pool.query(
+    'DELETE FROM forwarding_addresses WHERE id = ? AND user_id = ?',
+    [addressId, userId]
+  );
+
+  if (result.affectedRows > 0) {
+    await pool.query(
+      'UPDATE temp_emails SET forwarding_address_id = NULL WHERE user_id = ? AND forwarding_address_id = ?',
+      [userId, addressId]
+    );
+  }
+
+  return result.affectedRows > 0;
+};
+
+/**
+ * Attach a verified forwarding address to a temp email, or detach it (null)
+ * @param {string} userId - Account owner
+ * @param {string} tempEmailId - Temp email ID
+ * @param {string|null} addressId - Forwarding address ID
+ * @returns {Promise<object|null>} - { temp_email_id, forwarding } or null if the temp email is not found
+ */
+export const setTempEmailForwarding = async (userId, tempEmailId, addressId) => {
+  let forwarding = null;
+
+  if (addressId) {
+    const [rows] = await pool.query(
+      'SELECT * FROM forwarding_addresses WHERE id = ? AND user_id = ?',
+      [addressId, userId]
+    );
+    if (rows.length === 0) {
+      throw new Error('Forwarding address not found');
+    }
+    if (!rows[0].verified_at) {
+      throw new Error('Forwarding address is not verified yet');
+    }
+    forwarding = toPublic(rows[0]);
+  }
+
+  const [result] = await pool.query(
+    'UPDATE temp_emails SET forwarding_address_id = ? WHERE id = ? AND user_id = ?',
+    [addressId || null, tempEmailId, userId]
+  );
+
+  if (result.affectedRows === 0) {
+    return null;
+  }
+
+  return { temp_email_id: tempEmailId, forwarding };
+};
+
+/**
+ * Forwarding set up for a temp email, with today's forward count
+ * @param {string} userId - Account owner
+ * @param {string} tempEmailId - Temp email ID
+ * @returns {Promise<object|null>} - { forwarding, forwarded_today } or null if the temp email is not found
+ */
+export const getTempEmailForwarding = async (userId, tempEmailId) => {
+  const [rows] = await pool.query(
+    `SELECT fa.*
+     FROM temp_emails te
+     LEFT JOIN forwarding_addresses fa ON fa.id = te.forwarding_address_id
+     WHERE te.id = ? AND te.user_id = ?`,
+    [tempEmailId, userId]
+  );
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const [[{ total }]] = await pool.query(
+    `SELECT COUNT(*) as total FROM email_forwards
+     WHERE temp_email_id = ? AND status = 'sent' AND created_at > DATE_SUB(NOW(), INTERVAL 1 DAY)`,
+    [tempEmailId]
+  );
+
+  return {
+    forwarding: rows[0].id ? toPublic(rows[0]) : null,
+    forwarded_today: Number(total)
+  };
+};
@@ -2,15 +2,14 @@ import { ImapFlow } from 'imapflow';
 import { v4 as uuidv4 } from 'uuid';
 import { pool } from '../db/init.js';
 import crypto from 'crypto';
-import { WebSocketServer } from 'ws';
 import { simpleParser } from 'mailparser';  // For better email parsing
+import { publishInboxEvent, toMessageEventData, gmailOwner } from './inboxEvents.js';
 
 // In-memory storage
 const emailCache = new Map(); // Cache for fetched emails
 const aliasCache = new Map(); // Cache for active aliases during runtime
 const activeImapAccounts = new Set(); // Track which accounts are being actively polled
 const imapClients = new Map(); // Store active IMAP clients
-const connectedClients = new Map(); // Map of userId:alias -> Set of websocket connections
 const reconnectionAttempts = new Map(); // Track reconnection attempts for exponential backoff
 const pendingDatabaseUpdates = new Map(); // Batch DB updates to reduce database load
 const aliasToAccountMap = new Map(); // Quick lookup of alias to account
@@ -86,210 +85,49 @@ function decrypt(text) {
   return decrypted.toString();
 }
 
-// Utility function to notify all connected clients for an alias
+// Publish new alias mail to the inbox event bus (WebSocket hub subscribers)
 function notifyClients(alias, email) {
   // Skip if the alias is no longer active
   if (!isAliasActive(alias)) {
     return;
   }
   
-  // Prepare notification payload once
-  const notification = {
-    type: 'new_email',
-    email,
-    alias,
-    timestamp: new Date().toISOString()
-  };
-  
-  const payload = JSON.stringify(notification);
-  let notifiedCount = 0;
-  
-  // ULTRA-FAST: Direct delivery with no extra checks
-  const clients = [];
-  
-  // Direct lookup by alias only - faster
-  for (const [clientKey, clientSet] of connectedClients.entries()) {
-    if (clientKey.includes(`:${alias}`)) {
-      clientSet.forEach(client => clients.push(client));
-    }
-  }
-  
-  // Fast batch delivery to all clients
-  if (clients.length > 0) {
-    // Use Promise.all for concurrent delivery
-    Promise.all(
-      clients
-        .filter(client => client.readyState === 1) // Only OPEN connections
-        .map(client => {
-          return new Promise(resolve => {
-            try {
-              // SPEED: Use highest priority and compression
-              client.send(payload, { 
-                binary: false, 
-                compress: true, 
-                priority: true,
-                fin: true // Ensure packet is sent immediately
-              }, () => resolve());
-              notifiedCount++;
-            } catch (err) {
-              // Silent error handling
-              resolve();
-            }
-          });
-        })
-    ).catch(() => {}); // Ignore errors in notification
-  }
-}
-
-// Setup WebSocket Server with reduced logging
-export function setupWebSocketServer(server) {
-  const wss = new WebSocketServer({ 
-    server,
-    perMessageDeflate: {
-      zlibDeflateOptions: { chunkSize: 1024, memLevel: 7, level: 3 },
-      zlibInflateOptions: { chunkSize: 10 * 1024 },
-      clientNoContextTakeover: true,
-      serverNoContextTakeover: true,
-      clientMaxWindowBits: 10,
-      serverMaxWindowBits: 10,
-      concurrencyLimit: 10,
-      threshold: 1024
-    }
+  const message = toMessageEventData({
+    id: email.id,
+    from_email: email.fromEmail,
+    from_name: email.fromName,
+    subject: email.subject,
+    received_at: email.internalDate,
+    attachments: email.attachments
   });
   
-  console.log('WebSocket server created for real-time email updates');
-  
-  wss.on('connection', (ws, req) => {
-    // Extract userId and alias from URL parameters
-    const url = new URL(req.url, `http://${req.headers.host}`);
-    const userId = url.searchParams.get('userId');
-    const alias = url.searchParams.get('alias');
-    
-    if (!userId || !alias) {
-      // Reduced log message
-      ws.close();
-      return;
-    }
-    
-    const clientKey = `${userId}:${alias}`;
-    // Only log when debugging is needed
-    // console.log(`WebSocket client connected: ${clientKey}`);
-    
-    // Add to connected clients
-    if (!connectedClients.has(clientKey)) {
-      connectedClients.set(clientKey, new Set());
-    }
-    connectedClients.get(clientKey).add(ws);
-    
-    // Send initial message
-    ws.send(JSON.stringify({
-      type: 'connected',
-      message: 'Connected successfully to real-time email updates',
-      timestamp: new Date().toISOString(),
-      alias
-    }));
-    
-    // Trigger immediate fetch to get latest emails right away
-    if (aliasToAccountMap.has(alias)) {
-      const accountEmail = aliasToAccountMap.get(alias);
-      
-      // First, check if we have a direct IDLE connection for this account
-      if (idleAccounts.has(accountEmail)) {
-        // Reduced logging
-        sendCachedEmailsToClient(clientKey, alias, ws);
-      } else {
-        // Trigger a specific fetch for this alias (in background)
-        fetchEmailsForAlias(accountEmail, alias)
-          .catch(err => console.error(`Error in immediate fetch for ${alias}:`, err));
-      }
-    }
-    
-    // Handle client disconnect
-    ws.on('close', () => {
-      // Reduced logging - no need to log every disconnect
-      if (connectedClients.has(clientKey)) {
-        connectedClients.get(clientKey).delete(ws);
-        if (connectedClients.get(clientKey).size === 0) {
-          connectedClients.delete(clientKey);
-        }
-      }
-    });
-    
-    // Handle client messages
-    ws.on('message', (message) => {
-      try {
-        const data = JSON.parse(message.toString());
-        
-        // Handle ping message to keep connection alive
-        if (data.type === 'ping') {
-          ws.send(JSON.stringify({
-            type: 'pong',
-            timestamp: Date.now()
-          }));
-        }
-        
-        // Handle explicit request to refresh emails
-        if (data.type === 'refresh_emails') {
-          if (aliasToAccountMap.has(alias)) {
-            const accountEmail = aliasToAccountMap.get(alias);
-            
-            // Send any cached emails immediately
-            sendCachedEmailsToClient(clientKey, alias, ws);
-            
-            // Also trigger a fresh fetch
-            fetchEmailsForAlias(accountEmail, alias)
-              .catch(err => console.error(`Error in refresh fetch for ${alias}:`, err));
-          }
-        }
-      } catch (err) {
-        // Only log if it's not a connection terminated error
-        if (!err.message.includes('connection') && !err.message.includes('closed')) {
-          console.error('Invalid WebSocket message:', err);
-        }
-      }
-    });
-    
-    // Handle errors
-    ws.on('error', (err) => {
-      // Only log serious errors, not disconnection errors
-      if (!err.message.includes('connection') && !err.message.includes('closed')) {
-        console.error(`WebSocket error for client ${clientKey}:`, err);
-      }
-      
-      try {
-        ws.close();
-      } catch (closeErr) {
-        // Don't log close errors
-      }
-    });
-  });
-  
-  // Handle server errors
-  wss.on('error', (err) => {
-    console.error('WebSocket server error:', err);
+  publishInboxEvent('message.received', { owner: gmailOwner(alias), emailId: alias, address: alias }, {
+    message: { ...message, snippet: email.snippet }
   });
-  
-  // Log websocket stats less frequently - changed from 5 minutes to 30 minutes
-  setInterval(() => {
-    console.log(`WebSocket stats: ${connectedClients.size} unique aliases connected`);
-    let totalConnections = 0;
-    for (const clients of connectedClients.values()) {
-      totalConnections += clients.size;
-    }
-    console.log(`Total WebSocket connections: ${totalConnections}`);
-  }, 30 * 60 * 1000);
-  
-  return wss;
 }
 
-// Send cached emails to a specific client
-function sendCachedEmailsToClient(clientKey, alias, ws) {
-  // Check if alias is still active
+// Owner (userId) of an active alias, null when the alias is unknown or expired
+export function getGmailAliasOwner(alias) {
   if (!isAliasActive(alias)) {
-    return;
+    return null;
+  }
+  return aliasCache.get(alias).userId;
+}
+
+// Cached emails of an alias (newest first) for a new subscriber, and fetch the latest in the background
+export function refreshGmailAlias(alias) {
+  if (!isAliasActive(alias)) {
+    return [];
+  }
+  
+  const accountEmail = aliasToAccountMap.get(alias);
+  
+  // IDLE connections already keep the cache current
+  if (!idleAccounts.has(accountEmail)) {
+    fetchEmailsForAlias(accountEmail, alias)
+      .catch(err => console.error(`Error in immediate fetch for ${alias}:`, err));
   }
   
-  // Get cached emails for this alias
   const cachedEmails = [];
   for (const [key, email] of emailCache.entries()) {
     if (key.startsWith(`${alias}:`)) {
@@ -297,22 +135,9 @@ function sendCachedEmailsToClient(clientKey, alias, ws) {
     }
   }
   
-  // Sort by date (newest first)
-  const sortedEmails = cachedEmails.sort((a, b) => 
-    new Date(b.internalDate) - new Date(a.internalDate)
-  );
-  
-  // Only send if we have emails and the connection is open
-  if (sortedEmails.length > 0 && ws.readyState === 1) {
-    // Send a batch notification with all emails
-    ws.send(JSON.stringify({
-      type: 'cached_emails',
-      emails: sortedEmails.slice(0, 20), // Limit to 20 most recent
-      count: sortedEmails.length,
-      alias,
-      timestamp: new Date().toISOString()
-    }));
-  }
+  return cachedEmails
+    .sort((a, b) => new Date(b.internalDate) - new Date(a.internalDate))
+    .slice(0, 20); // Limit to 20 most recent
 }
 
 // Start DB flush interval
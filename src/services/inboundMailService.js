@@ -0,0 +1,919 @@
+// inboundMailService.js - Shared delivery pipeline for inbound mail
+// Used by the HTTP webhook and the built-in SMTP/LMTP listener
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { pool } from '../db/init.js';
+import { simpleParser } from 'mailparser';
+import iconv from 'iconv-lite';
+import addressparser from 'nodemailer/lib/addressparser/index.js';
+import { 
+  findGuestByEmail, 
+  storeReceivedEmail, 
+  findRegisteredUserByEmail, 
+  cacheReceivedEmail,
+  findReceivedEmailByDedupeKey
+} from '../guestSessionHandler.js';
+import { 
+  findApiUserByEmail, 
+  addApiEmailMessage,
+  findApiEmailMessageByDedupeKey,
+  recordApiEmailBlocked
+} from './apiMemoryStore.js';
+import { prepareAttachments, saveAttachments, withAttachmentMetadata } from '../utils/attachments.js';
+import { prepareRawSource, saveRawSource, withoutRawSource } from '../utils/rawMessages.js';
+import { extractImportantHeaders, saveMessageHeaders } from '../utils/messageHeaders.js';
+import { scoreEmail } from './spamScoring.js';
+import { extractVerificationData } from './verificationExtractor.js';
+import { extractLinks } from './linkExtractor.js';
+import { parseBounce } from './bounceParser.js';
+import { checkSenderRules } from './senderRules.js';
+import { applyInboxFilters } from './inboxFilters.js';
+import { assignThread, normalizeThreadSubject } from './threading.js';
+import { autoForwardReceivedEmail } from './mailForwarder.js';
+import { indexReceivedEmail } from './emailSearch.js';
+import { queueMessageWebhooks } from './outboundWebhooks.js';
+import { publishInboxEvent, userOwner, toMessageEventData } from './inboxEvents.js';
+
+// Email parsing helper functions
+export function extractSenderEmail(emailFrom) {
+  // If no email provided, return empty string
+  if (!emailFrom) return '';
+
+  // Try to extract email from format "Name <email@domain.com>"
+  const angleEmailMatch = emailFrom.match(/<(.+?)>/);
+  if (angleEmailMatch) {
+    return angleEmailMatch[1];
+  }
+
+  // Try to extract email from format "email@domain.com"
+  const simpleEmailMatch = emailFrom.match(/([a-zA-Z0-9._-]+@[a-zA-Z0-9._-]+\.[a-zA-Z0-9._-]+)/);
+  if (simpleEmailMatch) {
+    return simpleEmailMatch[1];
+  }
+
+  // Return original if no pattern matches (e.g. a bare "MAILER-DAEMON")
+  return emailFrom.trim();
+}
+
+export function extractSenderName(emailFrom) {
+  if (!emailFrom) return 'Unknown Sender';
+
+  // Try to extract name from "Name <email@domain.com>"
+  const nameMatch = emailFrom.match(/^"?([^"<]+)"?\s*</);
+  if (nameMatch) {
+    return nameMatch[1].trim();
+  }
+
+  // Bounces and delivery reports from the mail system
+  const email = extractSenderEmail(emailFrom);
+  if (/^(mailer-daemon|postmaster)(@|$)/i.test(email)) {
+    return 'Mail Delivery System';
+  }
+
+  // If no name found, use email local part
+  return email.split('@')[0] || 'Unknown Sender';
+}
+
+export function cleanSubject(subject) {
+  if (!subject) return 'No Subject';
+
+  // Remove common prefixes
+  const prefixesToRemove = [
+    /^re:\s*/i,
+    /^fwd:\s*/i,
+    /^fw:\s*/i,
+    /^\[SPAM\]\s*/i,
+    /^bounce:/i,
+    /^auto.*reply:\s*/i,
+    /^automatic\s+reply:\s*/i
+  ];
+
+  let cleanedSubject = subject;
+  prefixesToRemove.forEach(prefix => {
+    cleanedSubject = cleanedSubject.replace(prefix, '');
+  });
+
+  // Decode HTML entities
+  cleanedSubject = cleanedSubject
+    .replace(/&quot;/g, '"')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&#(\d+);/g, (match, dec) => String.fromCharCode(dec));
+
+  // Remove excess whitespace
+  cleanedSubject = cleanedSubject.replace(/\s+/g, ' ').trim();
+
+  // Limit length
+  if (cleanedSubject.length > 100) {
+    cleanedSubject = cleanedSubject.substring(0, 97) + '...';
+  }
+
+  return cleanedSubject || 'No Subject';
+}
+
+/**
+ * Flatten mailparser address objects (possibly several headers and groups) into addresses
+ * @param {object|Array} addressObjects - parsed.to / parsed.cc / parsed.bcc
+ * @returns {string[]} - Addresses
+ */
+function collectAddresses(addressObjects) {
+  return [addressObjects].flat()
+    .filter(Boolean)
+    .flatMap(addressObject => flattenAddresses(addressObject.value || []));
+}
+
+// Addresses from parsed address entries, expanding groups ("Team: a@b.com, c@d.com;")
+function flattenAddresses(entries) {
+  return entries.flatMap(entry =>
+    entry.group ? flattenAddresses(entry.group) : (entry.address ? [entry.address] : [])
+  );
+}
+
+export async function parseEmailContent(rawContent) {
+  try {
+    // Decode content if needed
+    let decodedContent = rawContent;
+    if (typeof rawContent === 'string') {
+      try {
+        // Try UTF-8 first
+        decodedContent = iconv.decode(Buffer.from(rawContent), 'utf8');
+      } catch (err) {
+        // Fallback to latin1
+        decodedContent = iconv.decode(Buffer.from(rawContent), 'latin1');
+      }
+    }
+
+    // Parse email using mailparser
+    const parsed = await simpleParser(decodedContent);
+
+    return {
+      headers: parsed.headers,
+      headerLines: parsed.headerLines || [],
+      subject: parsed.subject,
+      messageId: parsed.messageId || null,
+      from: parsed.from?.text || '',
+      to: parsed.to?.text || '',
+      recipients: {
+        to: collectAddresses(parsed.to),
+        cc: collectAddresses(parsed.cc),
+        bcc: collectAddresses(parsed.bcc)
+      },
+      text: parsed.text,
+      html: parsed.html,
+      attachments: parsed.attachments.map(attachment => ({
+        filename: attachment.filename,
+        contentType: attachment.contentType,
+        size: attachment.size,
+        contentId: attachment.cid || null,
+        content: attachment.content.toString('base64')
+      }))
+    };
+  } catch (error) {
+    console.error('Error parsing email:', error);
+    return {
+      headers: {},
+      headerLines: [],
+      subject: 'Unable to parse subject',
+      messageId: null,
+      from: '',
+      to: '',
+      recipients: { to: [], cc: [], bcc: [] },
+      text: rawContent,
+      html: '',
+      attachments: []
+    };
+  }
+}
+
+/**
+ * Extract a bare address from a recipient header or envelope value
+ * @param {string} recipient - Raw recipient ("Name <a@b.com>" or "a@b.com")
+ * @returns {string} - Clean recipient address
+ */
+export function cleanRecipientAddress(recipient) {
+  return recipient.includes('<') ? 
+    recipient.match(/<(.+)>/)[1] : 
+    recipient.trim();
+}
+
+/**
+ * Split a recipient list ("a@b.com, Name <c@d.com>" or an array of them) into clean addresses
+ * @param {string|string[]} recipients - Envelope or header recipients
+ * @returns {string[]} - Clean addresses
+ */
+export function parseRecipientList(recipients) {
+  return [recipients].flat()
+    .filter(value => typeof value === 'string' && value.trim())
+    .flatMap(value => flattenAddresses(addressparser(value)))
+    .map(address => address.trim());
+}
+
+// Accepted domains cache (regular domains + verified custom domains)
+const acceptedDomainsCache = {
+  domains: new Set(),
+  lastUpdate: 0,
+  TTL: 5 * 60 * 1000 // 5 minutes
+};
+
+/**
+ * Check if a domain is one we accept mail for (with caching)
+ * @param {string} domain - Lowercase domain
+ * @returns {Promise<boolean>}
+ */
+export async function isAcceptedDomain(domain) {
+  if (Date.now() - acceptedDomainsCache.lastUpdate > acceptedDomainsCache.TTL) {
+    const [regularDomains] = await pool.query('SELECT domain FROM domains');
+    const [customDomains] = await pool.query(
+      'SELECT domain FROM custom_domains WHERE status = ?',
+      ['verified']
+    );
+
+    acceptedDomainsCache.domains = new Set(
+      [...regularDomains, ...customDomains].map(d => d.domain.toLowerCase())
+    );
+    acceptedDomainsCache.lastUpdate = Date.now();
+  }
+
+  return acceptedDomainsCache.domains.has(domain);
+}
+
+/**
+ * Invalidate the accepted domains cache when domains are added/removed
+ */
+export function invalidateAcceptedDomainsCache() {
+  acceptedDomainsCache.lastUpdate = 0;
+}
+
+/**
+ * Resolve the full recipient list of a message
+ * Envelope recipients are always tried; header recipients (To/Cc/Bcc) are only
+ * added when they are on one of our domains. Addresses are deduplicated.
+ * @param {string|string[]} envelopeRecipients - Envelope recipient(s)
+ * @param {object} parsedEmail - Result of parseEmailContent
+ * @param {boolean} includeHeaderRecipients - Also deliver to To/Cc/Bcc addresses
+ * @returns {Promise<Array<{recipient: string, source: string}>>} - Recipients to deliver to
+ */
+export async function resolveRecipients(envelopeRecipients, parsedEmail, includeHeaderRecipients = true) {
+  const resolved = new Map(); // { lowercase address: { recipient, source } }
+
+  for (const recipient of parseRecipientList(envelopeRecipients)) {
+    const key = recipient.toLowerCase();
+    if (!resolved.has(key)) {
+      resolved.set(key, { recipient, source: 'envelope' });
+    }
+  }
+
+  if (includeHeaderRecipients) {
+    for (const source of ['to', 'cc', 'bcc']) {
+      for (const recipient of parsedEmail.recipients?.[source] || []) {
+        const key = recipient.toLowerCase();
+        const domain = key.split('@')[1];
+        if (!resolved.has(key) && domain && await isAcceptedDomain(domain)) {
+          resolved.set(key, { recipient, source });
+        }
+      }
+    }
+  }
+
+  return [...resolved.values()];
+}
+
+/**
+ * Look a recipient up in every store that can own an inbox
+ * Order: API memory store, guest sessions, registered user cache, database, custom domains
+ * @param {string} recipient - Clean recipient address
+ * @returns {Promise<object>} - Lookup results for each store
+ */
+export async function lookupRecipient(recipient) {
+  // 1. FIRST: Check if the recipient belongs to an API user
+  const apiUserInfo = findApiUserByEmail(recipient);
+  
+  // 2. SECOND: Check if the recipient belongs to a guest user
+  const guestInfo = findGuestByEmail(recipient);
+  
+  // 3. THIRD: Check if it belongs to a registered user in cache
+  const registeredInfo = findRegisteredUserByEmail(recipient);
+  
+  // 4. FOURTH: Check if it exists in the database (regular domains)
+  const [tempEmails] = await pool.query(
+    'SELECT id, user_id FROM temp_emails WHERE email = ? AND expires_at > NOW()',
+    [recipient]
+  );
+  
+  // 5. FIFTH: Check if it's from a custom domain
+  const recipientDomain = recipient.split('@')[1];
+  const [customDomainEmails] = await pool.query(
+    `SELECT te.id, te.user_id, cd.domain 
+     FROM temp_emails te 
+     JOIN custom_domains cd ON cd.user_id = te.user_id 
+     WHERE te.email = ? AND cd.domain = ? AND cd.status = 'verified' AND te.expires_at > NOW()`,
+    [recipient, recipientDomain]
+  );
+  
+  return {
+    recipient,
+    recipientDomain,
+    apiUserInfo,
+    guestInfo,
+    registeredInfo,
+    tempEmails,
+    customDomainEmails
+  };
+}
+
+/**
+ * Whether a lookup found at least one inbox that can take the message
+ * @param {object} lookup - Result of lookupRecipient
+ * @returns {boolean}
+ */
+export function hasDeliveryTarget(lookup) {
+  return !!(
+    lookup.apiUserInfo ||
+    lookup.guestInfo ||
+    lookup.registeredInfo ||
+    lookup.tempEmails.length > 0 ||
+    lookup.customDomainEmails.length > 0
+  );
+}
+
+/**
+ * Key used to recognise redelivered messages within one inbox
+ * Based on the Message-ID, or on the sender, subject, bodies and attachments when there is none
+ * @param {object} parsedEmail - Result of parseEmailContent
+ * @param {string|null} messageId - Message-ID header
+ * @returns {string} - SHA-256 hex digest
+ */
+export function computeDedupeKey(parsedEmail, messageId) {
+  const hash = crypto.createHash('sha256');
+
+  if (messageId) {
+    hash.update(`message-id:${messageId}`);
+  } else {
+    hash.update(`content:${parsedEmail.from || ''}\n${parsedEmail.subject || ''}\n`);
+    hash.update(`${parsedEmail.text || ''}\n${parsedEmail.html || ''}`);
+    for (const attachment of parsedEmail.attachments || []) {
+      hash.update(`\n${attachment.filename || ''}:${attachment.content}`);
+    }
+  }
+
+  return hash.digest('hex');
+}
+
+/**
+ * Build the received email record from a parsed message
+ * @param {object} parsedEmail - Result of parseEmailContent
+ * @param {string} [sender] - Envelope sender, preferred over the From header
+ * @param {string|Buffer} [rawContent] - Original MIME source
+ * @returns {object} - Received email data
+ */
+export function buildEmailData(parsedEmail, sender, rawContent) {
+  const messageId = parsedEmail.messageId ? parsedEmail.messageId.trim().substring(0, 255) : null;
+
+  return {
+    id: uuidv4(),
+    message_id: messageId,
+    dedupe_key: computeDedupeKey(parsedEmail, messageId),
+    from_email: extractSenderEmail(sender || parsedEmail.from),
+    from_name: extractSenderName(sender || parsedEmail.from),
+    subject: cleanSubject(parsedEmail.subject),
+    // cleanSubject drops Re:/Fwd:, threading still needs them
+    original_subject: parsedEmail.subject || null,
+    thread_subject: normalizeThreadSubject(parsedEmail.subject),
+    body_html: parsedEmail.html || '',
+    body_text: parsedEmail.text || '',
+    received_at: new Date().toISOString(),
+    is_spam: false,
+    spam_score: 0,
+    spam_verdict: 'clean',
+    spam_reasons: [],
+    is_bounce: false,
+    bounce: null,
+    attachments: prepareAttachments(parsedEmail.attachments),
+    headers: extractImportantHeaders(parsedEmail),
+    ...prepareRawSource(rawContent)
+  };
+}
+
+/**
+ * Store a received email (with its attachments, raw source and headers) in the database
+ * One transaction: a retry must not find a half-stored copy and take it for a duplicate.
+ * @param {string} tempEmailId - Temp email ID the message was delivered to
+ * @param {object} emailData - Received email data
+ */
+async function insertReceivedEmail(tempEmailId, emailData) {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    await writeReceivedEmail(connection, tempEmailId, emailData);
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// Statements of insertReceivedEmail, run on its transaction connection
+async function writeReceivedEmail(connection, tempEmailId, emailData) {
+  await assignThread(tempEmailId, emailData, connection);
+
+  await connection.query(
+    `INSERT INTO received_emails (id, temp_email_id, from_email, from_name, subject, body_html, body_text, received_at,
+      is_spam, spam_score, spam_verdict, spam_reasons, message_id, dedupe_key,
+      otp_code, otp_confidence, verification_links, links, is_bounce, bounce, is_read, labels,
+      original_subject, thread_subject, thread_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?, NOW(), ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      emailData.id,
+      tempEmailId,
+      emailData.from_email,
+      emailData.from_name,
+      emailData.subject,
+      emailData.body_html,
+      emailData.body_text,
+      emailData.is_spam,
+      emailData.spam_score,
+      emailData.spam_verdict,
+      JSON.stringify(emailData.spam_reasons),
+      emailData.message_id,
+      emailData.dedupe_key,
+      emailData.otp_code || null,
+      emailData.otp_confidence || null,
+      JSON.stringify(emailData.verification_links || []),
+      JSON.stringify(emailData.links || []),
+      !!emailData.is_bounce,
+      emailData.bounce ? JSON.stringify(emailData.bounce) : null,
+      !!emailData.is_read,
+      JSON.stringify(emailData.labels || []),
+      emailData.original_subject,
+      emailData.thread_subject,
+      emailData.thread_id
+    ]
+  );
+
+  await saveAttachments(emailData.id, emailData.attachments, connection);
+  await saveRawSource(emailData.id, emailData, connection);
+  await saveMessageHeaders(emailData.id, emailData, connection);
+  await indexReceivedEmail(tempEmailId, emailData, connection);
+}
+
+/**
+ * ID of an already stored copy of this message in a database inbox
+ * @param {string} tempEmailId - Temp email ID
+ * @param {object} emailData - Received email data
+ * @returns {Promise<string|null>} - Existing received email ID or null
+ */
+async function findDatabaseDuplicate(tempEmailId, emailData) {
+  if (!emailData.dedupe_key) return null;
+
+  const [existing] = await pool.query(
+    'SELECT id FROM received_emails WHERE temp_email_id = ? AND dedupe_key = ? LIMIT 1',
+    [tempEmailId, emailData.dedupe_key]
+  );
+
+  return existing.length > 0 ? existing[0].id : null;
+}
+
+/**
+ * Delivery result for a message the inbox already has
+ */
+function duplicateResult(existingEmailId, store) {
+  return {
+    statusCode: 200,
+    body: {
+      success: true,
+      message: 'Duplicate message ignored',
+      emailId: existingEmailId,
+      duplicate: true,
+      store
+    }
+  };
+}
+
+/**
+ * Delivery result for a message rejected by the inbox's sender rules
+ */
+function blockedResult(decision) {
+  return {
+    statusCode: 403,
+    body: {
+      success: false,
+      message: decision.reason === 'not_allowlisted'
+        ? 'Sender is not on the inbox allowlist'
+        : 'Sender blocked by inbox rules',
+      blocked: true,
+      reason: decision.reason,
+      ruleId: decision.rule?.id || null
+    }
+  };
+}
+
+/**
+ * Run the filters of a registered inbox, then store the message unless a filter deleted it
+ * Stored messages are forwarded to the verified address attached to the inbox, if any
+ * @param {string} userId - Inbox owner
+ * @param {string} tempEmailId - Temp email ID
+ * @param {string} recipient - Temp email address
+ * @param {object} emailData - Received email data
+ * @returns {Promise<object|null>} - Delivery result if a filter deleted the message, null once stored
+ */
+async function storeWithFilters(userId, tempEmailId, recipient, emailData) {
+  const filters = await applyInboxFilters(userId, tempEmailId, recipient, emailData);
+
+  if (filters.deleted) {
+    filters.runDeferredActions();
+    return {
+      statusCode: 200,
+      body: {
+        success: true,
+        message: 'Email deleted by inbox filter',
+        emailId: null,
+        filtered: true,
+        filterIds: filters.matched
+      }
+    };
+  }
+
+  await insertReceivedEmail(tempEmailId, emailData);
+  filters.runDeferredActions();
+
+  // Forwarding to the inbox's verified personal address must not hold up delivery either
+  autoForwardReceivedEmail(userId, tempEmailId, recipient, emailData)
+    .catch(error => console.error(`Auto-forward failed for email ${emailData.id}:`, error.message));
+
+  publishInboxEvent('message.received', { owner: userOwner(userId), emailId: tempEmailId, address: recipient }, {
+    message: toMessageEventData(emailData)
+  });
+
+  queueMessageWebhooks(userId, { id: tempEmailId, address: recipient }, emailData)
+    .catch(error => console.error(`Failed to queue webhooks for email ${emailData.id}:`, error.message));
+
+  return null;
+}
+
+/**
+ * Deliver a received email to the inbox found by lookupRecipient
+ * Priority:
+ * 1. API user (in-memory)
+ * 2. Conflicts between memory caches and database resolve to the database
+ * 3. Guest user (in-memory)
+ * 4. Registered user with cached data (database + cache)
+ * 5. Registered user (database), then custom domain users
+ * @param {object} lookup - Result of lookupRecipient
+ * @param {object} emailData - Received email data
+ * @returns {Promise<{statusCode: number, body: object}>} - Delivery result
+ */
+export async function deliverToRecipient(lookup, emailData) {
+  const {
+    recipient,
+    recipientDomain,
+    apiUserInfo,
+    guestInfo,
+    registeredInfo,
+    tempEmails,
+    customDomainEmails
+  } = lookup;
+  
+  // Handle API emails first (highest priority)
+  if (apiUserInfo) {
+    console.log(`Received email for API user: ${recipient}`);
+    const decision = await checkSenderRules(apiUserInfo.userId, apiUserInfo.emailId, emailData);
+    if (!decision.allowed) {
+      recordApiEmailBlocked(apiUserInfo.emailId);
+      return blockedResult(decision);
+    }
+    
+    const existing = findApiEmailMessageByDedupeKey(apiUserInfo.emailId, emailData.dedupe_key);
+    if (existing) {
+      return duplicateResult(existing.id, 'api');
+    }
+    
+    const success = addApiEmailMessage(apiUserInfo.emailId, emailData);
+    
+    if (success) {
+      return {
+        statusCode: 200,
+        body: { 
+          success: true, 
+          message: 'Email stored in API memory store',
+          emailId: emailData.id,
+          type: 'api_email'
+        }
+      };
+    } else {
+      // API email might have expired
+      return {
+        statusCode: 404,
+        body: { 
+          success: false, 
+          message: 'API email expired or not found',
+          recipient,
+          type: 'api_email_expired'
+        }
+      };
+    }
+  }
+  
+  // Handle potential conflicts between memory caches and database
+  if ((guestInfo || registeredInfo) && tempEmails.length > 0) {
+    console.warn(`CONFLICT: Email ${recipient} exists in multiple stores!`);
+    
+    // Prioritize registered user in database
+    const tempEmailId = tempEmails[0].id;
+    const userId = tempEmails[0].user_id;
+    
+    const decision = await checkSenderRules(userId, tempEmailId, emailData);
+    if (!decision.allowed) {
+      return blockedResult(decision);
+    }
+    
+    const duplicateId = await findDatabaseDuplicate(tempEmailId, emailData);
+    if (duplicateId) {
+      return duplicateResult(duplicateId, 'database');
+    }
+    
+    // Insert into the database
+    const filtered = await storeWithFilters(userId, tempEmailId, recipient, emailData);
+    if (filtered) {
+      return filtered;
+    }
+    
+    // Also update cache if it exists
+    if (registeredInfo && registeredInfo.userId === userId) {
+      cacheReceivedEmail(userId, tempEmailId, withoutRawSource(withAttachmentMetadata(emailData)));
+    }
+    
+    return {
+      statusCode: 200,
+      body: { 
+        success: true, 
+        message: 'Email stored in database (conflict resolved)',
+        emailId: emailData.id,
+        conflict: true
+      }
+    };
+  }
+  
+  // If it's a guest user, store in memory
+  if (guestInfo) {
+    console.log(`Received email for guest user: ${recipient}`);
+    const existing = findReceivedEmailByDedupeKey(guestInfo.token, guestInfo.emailId, emailData.dedupe_key);
+    if (existing) {
+      return duplicateResult(existing.id, 'guest');
+    }
+    
+    const success = storeReceivedEmail(guestInfo.token, guestInfo.emailId, emailData);
+    
+    if (success) {
+      return {
+        statusCode: 200,
+        body: { 
+          success: true, 
+          message: 'Email stored in guest session',
+          emailId: emailData.id
+        }
+      };
+    }
+  }
+  
+  // If it's a registered user with active cache, update both DB and cache
+  if (registeredInfo) {
+    console.log(`Received email for cached registered user: ${recipient}`);
+    
+    const decision = await checkSenderRules(registeredInfo.userId, registeredInfo.emailId, emailData);
+    if (!decision.allowed) {
+      return blockedResult(decision);
+    }
+    
+    const duplicateId = await findDatabaseDuplicate(registeredInfo.emailId, emailData);
+    if (duplicateId) {
+      return duplicateResult(duplicateId, 'database');
+    }
+    
+    // Store in database
+    const filtered = await storeWithFilters(registeredInfo.userId, registeredInfo.emailId, recipient, emailData);
+    if (filtered) {
+      return filtered;
+    }
+    
+    // Also update the cache
+    cacheReceivedEmail(registeredInfo.userId, registeredInfo.emailId, withoutRawSource(withAttachmentMetadata(emailData)));
+    
+    return {
+      statusCode: 200,
+      body: { 
+        success: true, 
+        message: 'Email stored in database and cache',
+        emailId: emailData.id
+      }
+    };
+  }
+  
+  // If not a guest or cached registered user, check database (regular domains)
+  if (tempEmails.length > 0) {
+    const decision = await checkSenderRules(tempEmails[0].user_id, tempEmails[0].id, emailData);
+    if (!decision.allowed) {
+      return blockedResult(decision);
+    }
+    
+    const duplicateId = await findDatabaseDuplicate(tempEmails[0].id, emailData);
+    if (duplicateId) {
+      return duplicateResult(duplicateId, 'database');
+    }
+    
+    // Store in database for registered user
+    const filtered = await storeWithFilters(tempEmails[0].user_id, tempEmails[0].id, recipient, emailData);
+    if (filtered) {
+      return filtered;
+    }
+    
+    return {
+      statusCode: 200,
+      body: { 
+        success: true, 
+        message: 'Email stored in database',
+        emailId: emailData.id
+      }
+    };
+  }
+  
+  // Check for custom domain emails
+  if (customDomainEmails.length > 0) {
+    const decision = await checkSenderRules(customDomainEmails[0].user_id, customDomainEmails[0].id, emailData);
+    if (!decision.allowed) {
+      return blockedResult(decision);
+    }
+    
+    const duplicateId = await findDatabaseDuplicate(customDomainEmails[0].id, emailData);
+    if (duplicateId) {
+      return duplicateResult(duplicateId, 'database');
+    }
+    
+    // Store in database for custom domain user
+    const filtered = await storeWithFilters(customDomainEmails[0].user_id, customDomainEmails[0].id, recipient, emailData);
+    if (filtered) {
+      return filtered;
+    }
+    
+    return {
+      statusCode: 200,
+      body: { 
+        success: true, 
+        message: 'Email stored in database (custom domain)',
+        emailId: emailData.id,
+        customDomain: customDomainEmails[0].domain
+      }
+    };
+  }
+  
+  // Check if this is from a deleted custom domain (orphaned email)
+  const [deletedDomainCheck] = await pool.query(
+    'SELECT domain FROM custom_domains WHERE domain = ? AND status != ?',
+    [recipientDomain, 'verified']
+  );
+  
+  if (deletedDomainCheck.length > 0) {
+    console.warn(`Received email for deleted/unverified custom domain: ${recipientDomain}`);
+    
+    return {
+      statusCode: 404,
+      body: { 
+        success: false, 
+        message: 'Custom domain not verified or deleted',
+        recipient,
+        domain: recipientDomain,
+        reason: 'orphaned_custom_domain'
+      }
+    };
+  }
+  
+  // If the email doesn't exist in any system, return a 404
+  return {
+    statusCode: 404,
+    body: { 
+      success: false, 
+      message: 'Recipient not found in any system',
+      recipient
+    }
+  };
+}
+
+// Recipient + dedupe keys currently being delivered
+const inFlightDeliveries = new Set();
+
+/**
+ * Copy of the received email data for an additional recipient
+ * Each inbox gets its own received email and attachment IDs
+ * @param {object} emailData - Received email data
+ * @returns {object} - Copy with fresh IDs
+ */
+function cloneForRecipient(emailData) {
+  return {
+    ...emailData,
+    id: uuidv4(),
+    attachments: emailData.attachments.map(attachment => ({ ...attachment, id: uuidv4() }))
+  };
+}
+
+/**
+ * Parse a raw message and deliver it to every matching recipient
+ * @param {object} options
+ * @param {string|Buffer} options.rawContent - Raw MIME source
+ * @param {string} [options.sender] - Envelope sender
+ * @param {string|string[]} [options.recipient] - Envelope recipient(s)
+ * @param {boolean} [options.includeHeaderRecipients=true] - Also deliver to To/Cc/Bcc addresses on our domains
+ * @returns {Promise<{statusCode: number, body: object}>} - Result of the first successful
+ *   delivery (or the first failure) with a per-recipient report in body.recipients
+ */
+export async function processInboundEmail({ rawContent, sender, recipient, includeHeaderRecipients = true }) {
+  const parsedEmail = await parseEmailContent(rawContent);
+  
+  // Extract and clean email data
+  const emailData = buildEmailData(parsedEmail, sender, rawContent);
+
+  // Spam/phishing scoring runs before the message is stored anywhere
+  Object.assign(emailData, await scoreEmail(parsedEmail, emailData));
+  
+  // One-time codes and verification links
+  Object.assign(emailData, extractVerificationData(emailData));
+  emailData.links = extractLinks(emailData);
+  
+  // Bounces / delivery status notifications (RFC 3464)
+  emailData.bounce = parseBounce(parsedEmail, emailData);
+  emailData.is_bounce = !!emailData.bounce;
+  
+  // Envelope recipients plus To/Cc/Bcc recipients on our domains
+  const recipients = await resolveRecipients(recipient, parsedEmail, includeHeaderRecipients);
+  
+  if (recipients.length === 0) {
+    return {
+      statusCode: 404,
+      body: {
+        success: false,
+        message: 'No recipients found in envelope or headers',
+        delivered_count: 0,
+        duplicate_count: 0,
+        blocked_count: 0,
+        recipients: []
+      }
+    };
+  }
+  
+  const results = [];
+  for (const [index, { recipient: address, source }] of recipients.entries()) {
+    const recipientData = index === 0 ? emailData : cloneForRecipient(emailData);
+    
+    // A retry arriving while the first attempt is still being stored is a duplicate too
+    const inFlightKey = `${address.toLowerCase()}:${recipientData.dedupe_key}`;
+    if (inFlightDeliveries.has(inFlightKey)) {
+      results.push({ recipient: address, source, ...duplicateResult(null, 'in_flight') });
+      continue;
+    }
+    inFlightDeliveries.add(inFlightKey);
+    
+    try {
+      const lookup = await lookupRecipient(address);
+      const result = await deliverToRecipient(lookup, recipientData);
+      results.push({ recipient: address, source, ...result });
+    } catch (error) {
+      console.error(`Failed to deliver email to ${address}:`, error);
+      results.push({
+        recipient: address,
+        source,
+        statusCode: 500,
+        body: { success: false, message: 'Delivery failed' }
+      });
+    } finally {
+      inFlightDeliveries.delete(inFlightKey);
+    }
+  }
+  
+  const deliveredResults = results.filter(result => result.statusCode === 200 && !result.body.duplicate);
+  const duplicateResults = results.filter(result => result.body.duplicate);
+  const blockedResults = results.filter(result => result.body.blocked);
+  const primary = deliveredResults[0] || duplicateResults[0] || results[0];
+  
+  return {
+    statusCode: primary.statusCode,
+    body: {
+      ...primary.body,
+      delivered_count: deliveredResults.length,
+      duplicate_count: duplicateResults.length,
+      blocked_count: blockedResults.length,
+      recipients: results.map(result => ({
+        recipient: result.recipient,
+        source: result.source,
+        status: result.body.duplicate ? 'duplicate'
+          : result.body.blocked ? 'blocked'
+          : result.body.filtered ? 'filtered'
+          : (result.statusCode === 200 ? 'delivered' : 'failed'),
+        statusCode: result.statusCode,
+        emailId: result.body.emailId,
+        duplicate: !!result.body.duplicate,
+        message: result.body.message
+      }))
+    }
+  };
+}
@@ -0,0 +1,215 @@
+// inboundSmtpServer.js - Optional in-process SMTP/LMTP listener for inbound mail
+// Feeds the same delivery pipeline as POST /webhook/email/incoming
+import fs from 'fs';
+import { SMTPServer } from 'smtp-server';
+import {
+  lookupRecipient,
+  hasDeliveryTarget,
+  isAcceptedDomain
+} from './inboundMailService.js';
+import { acceptInboundEmail } from './inboundSpool.js';
+
+const DEFAULT_PORT = 2525;
+const DEFAULT_MAX_SIZE = 25 * 1024 * 1024; // 25 MB
+
+let smtpServer = null;
+
+/**
+ * Build an SMTP error with a response code the client will see
+ */
+const smtpError = (responseCode, message) => {
+  const error = new Error(message);
+  error.responseCode = responseCode;
+  return error;
+};
+
+/**
+ * Reject unknown recipients at RCPT time using the webhook lookups
+ */
+const handleRcptTo = async (address, session, callback) => {
+  try {
+    const recipient = address.address;
+    const domain = recipient.split('@')[1]?.toLowerCase();
+
+    if (!domain || !(await isAcceptedDomain(domain))) {
+      return callback(smtpError(550, `5.7.1 Relaying denied for ${recipient}`));
+    }
+
+    const lookup = await lookupRecipient(recipient);
+    if (!hasDeliveryTarget(lookup)) {
+      return callback(smtpError(550, `5.1.1 Mailbox ${recipient} does not exist`));
+    }
+
+    callback();
+  } catch (error) {
+    console.error('Inbound SMTP recipient lookup failed:', error);
+    callback(smtpError(451, '4.3.0 Temporary lookup failure, try again later'));
+  }
+};
+
+/**
+ * Read the message and deliver it to every accepted recipient
+ */
+const handleData = (stream, session, onDataDone) => {
+  const chunks = [];
+  let done = false;
+
+  // 'error' and 'end' can both fire, the client gets a single answer
+  const callback = (...args) => {
+    if (done) {
+      return;
+    }
+    done = true;
+    onDataDone(...args);
+  };
+
+  stream.on('data', chunk => chunks.push(chunk));
+
+  stream.on('error', error => {
+    console.error('Inbound SMTP stream error:', error);
+    callback(smtpError(451, '4.3.0 Error reading message'));
+  });
+
+  stream.on('end', async () => {
+    if (done) {
+      return;
+    }
+
+    if (stream.sizeExceeded) {
+      return callback(smtpError(552, '5.3.4 Message exceeds fixed maximum message size'));
+    }
+
+    const rawContent = Buffer.concat(chunks);
+    const rcptAddresses = session.envelope.rcptTo.map(rcpt => rcpt.address);
+    let report;
+
+    try {
+      // The envelope is authoritative here: header recipients get their own RCPT TO.
+      // The null sender (<>, bounces) leaves the From header as the sender.
+      const result = await acceptInboundEmail({
+        rawContent,
+        sender: session.envelope.mailFrom?.address || undefined,
+        recipient: rcptAddresses,
+        includeHeaderRecipients: false
+      });
+
+      // Spooled for a later retry: the message is ours now
+      if (result.body.queued) {
+        const queued = `2.0.0 Queued as ${result.body.spoolId}`;
+        return callback(null, session.lmtp ? rcptAddresses.map(() => queued) : queued);
+      }
+
+      report = new Map(result.body.recipients.map(entry => [entry.recipient.toLowerCase(), entry]));
+    } catch (error) {
+      console.error('Inbound SMTP delivery failed:', error);
+      report = new Map();
+    }
+
+    const responses = rcptAddresses.map(address => {
+      const entry = report.get(address.toLowerCase());
+
+      if (entry?.status === 'delivered') {
+        return `2.0.0 Delivered as ${entry.emailId}`;
+      }
+      if (entry?.status === 'filtered') {
+        return '2.0.0 Accepted';
+      }
+      if (entry?.status === 'duplicate') {
+        return `2.0.0 Already delivered${entry.emailId ? ` as ${entry.emailId}` : ''}`;
+      }
+      if (entry?.status === 'blocked') {
+        return smtpError(550, `5.7.1 ${entry.message}`);
+      }
+      if (entry && entry.statusCode < 500) {
+        return smtpError(550, `5.1.1 ${entry.message}`);
+      }
+      return smtpError(451, '4.3.0 Temporary delivery failure, try again later');
+    });
+
+    // LMTP answers once per recipient
+    if (session.lmtp) {
+      return callback(null, responses);
+    }
+
+    // SMTP has a single answer: succeed if any recipient took the message
+    const delivered = responses.filter(response => typeof response === 'string');
+    if (delivered.length === 0) {
+      return callback(responses[0]);
+    }
+
+    callback(null, `2.0.0 Delivered to ${delivered.length} recipient(s)`);
+  });
+};
+
+/**
+ * Start the inbound SMTP/LMTP listener if enabled
+ * Env:
+ * - INBOUND_SMTP_ENABLED: 'true' to start the listener
+ * - INBOUND_SMTP_PORT / INBOUND_SMTP_HOST: bind address (default 0.0.0.0:2525)
+ * - INBOUND_SMTP_MODE: 'smtp' (default) or 'lmtp'
+ * - INBOUND_SMTP_MAX_SIZE: max message size in bytes (default 25 MB)
+ * - INBOUND_SMTP_TLS_KEY / INBOUND_SMTP_TLS_CERT: PEM files for STARTTLS
+ * @returns {SMTPServer|null} - Running server or null if disabled
+ */
+export const startInboundSmtpServer = () => {
+  if (process.env.INBOUND_SMTP_ENABLED !== 'true') {
+    return null;
+  }
+
+  if (smtpServer) {
+    return smtpServer;
+  }
+
+  const lmtp = process.env.INBOUND_SMTP_MODE === 'lmtp';
+  const port = parseInt(process.env.INBOUND_SMTP_PORT) || DEFAULT_PORT;
+  const host = process.env.INBOUND_SMTP_HOST || '0.0.0.0';
+
+  const options = {
+    lmtp,
+    name: process.env.INBOUND_SMTP_HOSTNAME,
+    banner: 'Boomlify inbound mail',
+    size: parseInt(process.env.INBOUND_SMTP_MAX_SIZE) || DEFAULT_MAX_SIZE,
+    authOptional: true,
+    disabledCommands: ['AUTH'],
+    logger: false,
+    onConnect(session, callback) {
+      session.lmtp = lmtp;
+      callback();
+    },
+    onRcptTo: handleRcptTo,
+    onData: handleData
+  };
+
+  if (process.env.INBOUND_SMTP_TLS_KEY && process.env.INBOUND_SMTP_TLS_CERT) {
+    options.key = fs.readFileSync(process.env.INBOUND_SMTP_TLS_KEY);
+    options.cert = fs.readFileSync(process.env.INBOUND_SMTP_TLS_CERT);
+  }
+
+  smtpServer = new SMTPServer(options);
+
+  smtpServer.on('error', error => {
+    console.error('Inbound SMTP server error:', error);
+  });
+
+  smtpServer.listen(port, host, () => {
+    console.log(`Inbound ${lmtp ? 'LMTP' : 'SMTP'} listener running on ${host}:${port}`);
+  });
+
+  return smtpServer;
+};
+
+/**
+ * Stop the inbound listener (used on shutdown)
+ */
+export const stopInboundSmtpServer = () => {
+  return new Promise(resolve => {
+    if (!smtpServer) {
+      return resolve();
+    }
+
+    smtpServer.close(() => {
+      smtpServer = null;
+      resolve();
+    });
+  });
+};
@@ -0,0 +1,279 @@
+// inboundSpool.js - Durable on-disk spool for inbound mail
+// Messages are written to disk before delivery is attempted, so a database outage
+// delays mail instead of losing it. A worker retries spooled messages with backoff.
+//
+// Env:
+// - INBOUND_SPOOL_DIR: spool directory (default ./spool/inbound)
+// - INBOUND_SPOOL_POLL_INTERVAL: worker interval in ms (default 10s)
+// - INBOUND_SPOOL_MAX_ATTEMPTS: attempts before an item is marked dead (default 20)
+import fs from 'fs/promises';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { processInboundEmail } from './inboundMailService.js';
+
+const SPOOL_DIR = process.env.INBOUND_SPOOL_DIR || path.join(process.cwd(), 'spool', 'inbound');
+const POLL_INTERVAL = parseInt(process.env.INBOUND_SPOOL_POLL_INTERVAL) || 10 * 1000;
+const MAX_ATTEMPTS = parseInt(process.env.INBOUND_SPOOL_MAX_ATTEMPTS) || 20;
+const BASE_BACKOFF = 30 * 1000; // 30 seconds
+const MAX_BACKOFF = 60 * 60 * 1000; // 1 hour
+
+// Spooled item metadata (the raw message stays on disk)
+const spoolIndex = new Map(); // { id: { id, status, attempts, next_attempt_at, created_at, last_error, ... } }
+const processingItems = new Set();
+
+let workerInterval = null;
+let workerRunning = false;
+
+const itemPath = (id) => path.join(SPOOL_DIR, `${id}.json`);
+
+const getBackoff = (attempts) => Math.min(BASE_BACKOFF * 2 ** (attempts - 1), MAX_BACKOFF);
+
+/**
+ * Write an item atomically (temp file + rename)
+ */
+const writeItem = async (item) => {
+  const tmpPath = `${itemPath(item.id)}.tmp`;
+  await fs.writeFile(tmpPath, JSON.stringify(item));
+  await fs.rename(tmpPath, itemPath(item.id));
+};
+
+const readItem = async (id) => {
+  return JSON.parse(await fs.readFile(itemPath(id), 'utf8'));
+};
+
+const toMetadata = ({ raw, ...metadata }) => metadata;
+
+/**
+ * Whether a delivery result contains a failure worth retrying (5xx on any recipient)
+ */
+const isTransientFailure = (result) => {
+  return result.statusCode >= 500 ||
+    (result.body.recipients || []).some(entry => entry.statusCode >= 500);
+};
+
+/**
+ * Try to deliver a spooled item once
+ * @returns {Promise<object|null>} - Delivery result, or null if it must be retried
+ */
+const attemptDelivery = async (item) => {
+  processingItems.add(item.id);
+
+  try {
+    const result = await processInboundEmail({
+      rawContent: item.raw_encoding === 'base64' ? Buffer.from(item.raw, 'base64') : item.raw,
+      sender: item.sender,
+      recipient: item.recipient,
+      includeHeaderRecipients: item.include_header_recipients
+    });
+
+    if (!isTransientFailure(result)) {
+      await fs.rm(itemPath(item.id), { force: true });
+      spoolIndex.delete(item.id);
+      return result;
+    }
+
+    const failed = result.body.recipients?.filter(entry => entry.statusCode >= 500) || [];
+    if (failed.length > 0) {
+      // Only the failed recipients are retried: delivering again to the others would run
+      // their filter actions (webhooks, forwards) a second time
+      item.delivered_recipients = [
+        ...(item.delivered_recipients || []),
+        ...result.body.recipients.filter(entry => entry.statusCode < 500).map(entry => entry.recipient)
+      ];
+      item.recipient = failed.map(entry => entry.recipient);
+      item.include_header_recipients = false;
+    }
+    throw new Error(`Delivery failed for ${failed.map(entry => entry.recipient).join(', ') || 'recipient'}`);
+  } catch (error) {
+    item.attempts += 1;
+    item.last_error = error.message;
+    item.last_attempt_at = new Date().toISOString();
+
+    if (item.attempts >= MAX_ATTEMPTS) {
+      item.status = 'dead';
+      item.next_attempt_at = null;
+      console.error(`Inbound spool item ${item.id} marked dead after ${item.attempts} attempts:`, error.message);
+    } else {
+      item.status = 'pending';
+      item.next_attempt_at = new Date(Date.now() + getBackoff(item.attempts)).toISOString();
+      console.warn(`Inbound spool item ${item.id} failed (attempt ${item.attempts}), retrying at ${item.next_attempt_at}:`, error.message);
+    }
+
+    try {
+      await writeItem(item);
+      spoolIndex.set(item.id, toMetadata(item));
+    } catch (writeError) {
+      console.error(`Failed to update inbound spool item ${item.id}:`, writeError);
+    }
+
+    return null;
+  } finally {
+    processingItems.delete(item.id);
+  }
+};
+
+/**
+ * Spool an inbound message, then try to deliver it right away
+ * @param {object} options - Same options as processInboundEmail
+ * @returns {Promise<{statusCode: number, body: object}>} - The delivery result, or a
+ *   202 "queued" result if delivery failed and the worker will retry it
+ */
+export const acceptInboundEmail = async ({ rawContent, sender, recipient, includeHeaderRecipients = true }) => {
+  const isBuffer = Buffer.isBuffer(rawContent);
+  const item = {
+    id: uuidv4(),
+    status: 'pending',
+    attempts: 0,
+    sender: sender || null,
+    recipient: recipient || null,
+    include_header_recipients: includeHeaderRecipients,
+    delivered_recipients: [],
+    raw_encoding: isBuffer ? 'base64' : 'utf8',
+    raw: isBuffer ? rawContent.toString('base64') : (rawContent || ''),
+    size: isBuffer ? rawContent.length : Buffer.byteLength(rawContent || ''),
+    created_at: new Date().toISOString(),
+    next_attempt_at: new Date().toISOString(),
+    last_attempt_at: null,
+    last_error: null
+  };
+
+  try {
+    await fs.mkdir(SPOOL_DIR, { recursive: true });
+    await writeItem(item);
+    spoolIndex.set(item.id, toMetadata(item));
+  } catch (error) {
+    // Without a spool we can still deliver directly, like before
+    console.error('Failed to write inbound spool item, delivering directly:', error);
+    return processInboundEmail({ rawContent, sender, recipient, includeHeaderRecipients });
+  }
+
+  const result = await attemptDelivery(item);
+  if (result) {
+    return result;
+  }
+
+  return {
+    statusCode: 202,
+    body: {
+      success: true,
+      queued: true,
+      message: 'Email accepted and queued for delivery',
+      spoolId: item.id
+    }
+  };
+};
+
+/**
+ * Deliver every spooled item that is due
+ */
+const processSpool = async () => {
+  if (workerRunning) return;
+  workerRunning = true;
+
+  try {
+    const now = Date.now();
+    const dueItems = [...spoolIndex.values()]
+      .filter(item => item.status === 'pending' && !processingItems.has(item.id) &&
+        new Date(item.next_attempt_at).getTime() <= now)
+      .sort((a, b) => new Date(a.next_attempt_at) - new Date(b.next_attempt_at));
+
+    for (const metadata of dueItems) {
+      let item;
+      try {
+        item = await readItem(metadata.id);
+      } catch (error) {
+        console.error(`Failed to read inbound spool item ${metadata.id}, dropping it from the index:`, error);
+        spoolIndex.delete(metadata.id);
+        continue;
+      }
+
+      const result = await attemptDelivery(item);
+      if (result) {
+        console.log(`Delivered spooled inbound email ${item.id} after ${item.attempts + 1} attempt(s)`);
+      }
+    }
+  } finally {
+    workerRunning = false;
+  }
+};
+
+/**
+ * Load spooled items left from a previous run and start the retry worker
+ */
+export const startInboundSpoolWorker = async () => {
+  if (workerInterval) return;
+
+  try {
+    await fs.mkdir(SPOOL_DIR, { recursive: true });
+    const files = (await fs.readdir(SPOOL_DIR)).filter(file => file.endsWith('.json'));
+
+    for (const file of files) {
+      try {
+        const item = JSON.parse(await fs.readFile(path.join(SPOOL_DIR, file), 'utf8'));
+        spoolIndex.set(item.id, toMetadata(item));
+      } catch (error) {
+        console.error(`Skipping unreadable inbound spool file ${file}:`, error.message);
+      }
+    }
+
+    if (spoolIndex.size > 0) {
+      console.log(`Loaded ${spoolIndex.size} spooled inbound email(s) from ${SPOOL_DIR}`);
+    }
+  } catch (error) {
+    console.error('Failed to load inbound spool:', error);
+  }
+
+  workerInterval = setInterval(() => {
+    processSpool().catch(error => console.error('Inbound spool worker error:', error));
+  }, POLL_INTERVAL);
+};
+
+/**
+ * Spool contents and counters for the monitor endpoint
+ */
+export const getSpoolStatus = () => {
+  const items = [...spoolIndex.values()]
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+
+  return {
+    directory: SPOOL_DIR,
+    maxAttempts: MAX_ATTEMPTS,
+    total: items.length,
+    pending: items.filter(item => item.status === 'pending').length,
+    dead: items.filter(item => item.status === 'dead').length,
+    processing: processingItems.size,
+    oldest: items[0]?.created_at || null,
+    items
+  };
+};
+
+/**
+ * Schedule a spooled item (including dead ones) for an immediate retry
+ * @returns {Promise<boolean>} - False if the item does not exist or is being delivered
+ */
+export const retrySpoolItem = async (id) => {
+  if (!spoolIndex.has(id) || processingItems.has(id)) return false;
+
+  const item = await readItem(id);
+  item.status = 'pending';
+  item.next_attempt_at = new Date().toISOString();
+  if (item.attempts >= MAX_ATTEMPTS) {
+    item.attempts = 0;
+  }
+
+  await writeItem(item);
+  spoolIndex.set(id, toMetadata(item));
+  return true;
+};
+
+/**
+ * Drop a spooled item
+ * @returns {Promise<boolean>} - False if the item does not exist or is being delivered
+ */
+export const deleteSpoolItem = async (id) => {
+  if (!spoolIndex.has(id) || processingItems.has(id)) return false;
+
+  await fs.rm(itemPath(id), { force: true });
+  spoolIndex.delete(id);
+  return true;
+};
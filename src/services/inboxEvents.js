@@ -0,0 +1,139 @@
+// inboxEvents.js - In-process event bus for inbox activity
+// Delivery paths publish message.received, the expiry notifier publishes inbox.expiring and
+// inbox.expired. Streams subscribe with a filter and resume from a replay buffer with the
+// ID of the last event they saw. Events belong to an owner: `user:<id>` for registered
+// and API inboxes (same account), `guest:<session id>` for guest inboxes and
+// `gmail:<alias>` for Gmail aliases.
+//
+// Env:
+// - INBOX_EVENTS_BUFFER_SIZE: events kept for Last-Event-ID resume (default 1000)
+// - INBOX_EVENTS_BUFFER_TTL: how long events are kept for resume, in ms (default 10 min)
+
+const BUFFER_SIZE = parseInt(process.env.INBOX_EVENTS_BUFFER_SIZE) || 1000;
+const BUFFER_TTL = parseInt(process.env.INBOX_EVENTS_BUFFER_TTL) || 10 * 60 * 1000;
+
+export const INBOX_EVENT_TYPES = ['message.received', 'inbox.expiring', 'inbox.expired'];
+
+const subscribers = new Set(); // { owner, matches, listener }
+const recentEvents = []; // oldest first
+
+// IDs start at the boot time, so IDs handed out before a restart are always lower
+let lastEventId = Date.now();
+
+export const userOwner = (userId) => `user:${userId}`;
+export const guestOwner = (sessionId) => `guest:${sessionId}`;
+export const gmailOwner = (alias) => `gmail:${alias}`;
+
+/**
+ * Message fields sent with message.received (bodies are fetched through the API)
+ * @param {object} message - Received email data
+ * @returns {object}
+ */
+export const toMessageEventData = (message) => ({
+  id: message.id,
+  from_email: message.from_email,
+  from_name: message.from_name,
+  subject: message.subject,
+  received_at: message.received_at,
+  is_spam: !!message.is_spam,
+  otp_code: message.otp_code || null,
+  attachment_count: (message.attachments || []).length
+});
+
+/**
+ * Event as sent to clients (SSE data and WebSocket messages)
+ * @param {object} event - Published event
+ * @returns {object}
+ */
+export const formatInboxEvent = (event) => ({
+  id: event.id,
+  type: event.type,
+  email_id: event.email_id,
+  address: event.address,
+  created_at: event.created_at,
+  ...event.data
+});
+
+const pruneRecentEvents = () => {
+  const cutoff = Date.now() - BUFFER_TTL;
+  while (recentEvents.length > BUFFER_SIZE || (recentEvents.length > 0 && recentEvents[0].timestamp < cutoff)) {
+    recentEvents.shift();
+  }
+};
+
+/**
+ * Publish an event to the subscribers of its owner
+ * @param {string} type - One of INBOX_EVENT_TYPES
+ * @param {object} inbox - { owner, emailId, address }
+ * @param {object} data - Event data
+ * @returns {object} - Published event
+ */
+export const publishInboxEvent = (type, { owner, emailId, address }, data = {}) => {
+  const event = {
+    id: String(++lastEventId),
+    type,
+    owner,
+    email_id: emailId,
+    address,
+    data,
+    created_at: new Date().toISOString(),
+    timestamp: Date.now()
+  };
+
+  recentEvents.push(event);
+  pruneRecentEvents();
+
+  for (const subscriber of subscribers) {
+    if (subscriber.owner !== owner || !subscriber.matches(event)) continue;
+    try {
+      subscriber.listener(event);
+    } catch (error) {
+      console.error(`Inbox event listener failed for ${type}:`, error.message);
+    }
+  }
+
+  return event;
+};
+
+/**
+ * Subscribe to the events of an owner
+ * @param {string} owner - userOwner() or guestOwner()
+ * @param {Function} matches - (event) => boolean, narrows the owner's events
+ * @param {Function} listener - (event) => void
+ * @returns {Function} - Unsubscribe
+ */
+export const subscribeInboxEvents = (owner, matches, listener) => {
+  const subscriber = { owner, matches, listener };
+  subscribers.add(subscriber);
+  return () => subscribers.delete(subscriber);
+};
+
+/**
+ * Buffered events of an owner after an event ID, for resuming a stream
+ * complete is false when events after the ID were already dropped from the buffer
+ * (or the ID is unknown), in which case the client should refetch its inboxes.
+ * @param {string} owner - userOwner() or guestOwner()
+ * @param {string} afterEventId - ID of the last event the client saw
+ * @param {Function} matches - (event) => boolean
+ * @returns {object} - { events, complete }
+ */
+export const getInboxEventsSince = (owner, afterEventId, matches) => {
+  pruneRecentEvents();
+
+  const after = Number(afterEventId);
+  if (!Number.isFinite(after) || after > lastEventId) {
+    return { events: [], complete: false };
+  }
+
+  const oldest = recentEvents.length > 0 ? Number(recentEvents[0].id) : lastEventId + 1;
+  const events = recentEvents.filter(event =>
+    Number(event.id) > after && event.owner === owner && matches(event));
+
+  return { events, complete: after >= oldest - 1 };
+};
+
+/**
+ * Owners with at least one subscriber (the expiry notifier only looks at these)
+ * @returns {Set<string>}
+ */
+export const getSubscribedOwners = () => new Set([...subscribers].map(subscriber => subscriber.owner));
@@ -0,0 +1,114 @@
+// inboxExpiryNotifier.js - inbox.expiring and inbox.expired events
+// Only inboxes of owners with an open stream are checked. API inboxes publish
+// inbox.expired from their own expiry timer (they are removed at that moment), guest and
+// database inboxes are picked up here shortly after they expire.
+//
+// Env:
+// - INBOX_EXPIRING_NOTICE: how long before expiry inbox.expiring is sent, in ms (default 5 min)
+import { pool } from '../db/init.js';
+import { apiEmailStore } from './apiMemoryStore.js';
+import { guestSessions } from '../guestSessionHandler.js';
+import { publishInboxEvent, getSubscribedOwners, userOwner, guestOwner } from './inboxEvents.js';
+
+const EXPIRING_NOTICE = parseInt(process.env.INBOX_EXPIRING_NOTICE) || 5 * 60 * 1000;
+const SWEEP_INTERVAL = 15 * 1000;
+// Inboxes that expired longer ago than this are not announced (e.g. when a stream opens)
+const EXPIRED_GRACE = 2 * SWEEP_INTERVAL;
+
+const notified = new Map(); // { emailId: { state: 'expiring' | 'expired', expiresAt } }
+
+let sweepInterval = null;
+let sweepRunning = false;
+
+/**
+ * Publish the event an inbox is due for, once per state
+ */
+const checkInbox = (inbox, expiresAt, now, { announceExpired = true } = {}) => {
+  const timeLeft = expiresAt.getTime() - now;
+  const state = notified.get(inbox.emailId)?.state;
+
+  if (timeLeft <= 0) {
+    if (announceExpired && state !== 'expired' && timeLeft > -EXPIRED_GRACE) {
+      publishInboxEvent('inbox.expired', inbox, { expires_at: expiresAt.toISOString() });
+      notified.set(inbox.emailId, { state: 'expired', expiresAt });
+    }
+    return;
+  }
+
+  if (timeLeft <= EXPIRING_NOTICE && !state) {
+    publishInboxEvent('inbox.expiring', inbox, {
+      expires_at: expiresAt.toISOString(),
+      seconds_left: Math.round(timeLeft / 1000)
+    });
+    notified.set(inbox.emailId, { state: 'expiring', expiresAt });
+  }
+};
+
+const sweep = async () => {
+  const now = Date.now();
+
+  for (const [emailId, entry] of notified) {
+    if (entry.expiresAt.getTime() < now - 60 * 60 * 1000) {
+      notified.delete(emailId);
+    }
+  }
+
+  const owners = getSubscribedOwners();
+  if (owners.size === 0) return;
+
+  for (const [emailId, email] of apiEmailStore) {
+    const owner = userOwner(email.userId);
+    if (!owners.has(owner)) continue;
+    checkInbox({ owner, emailId, address: email.email }, email.expiresAt, now, { announceExpired: false });
+  }
+
+  for (const session of guestSessions.values()) {
+    const owner = guestOwner(session.id);
+    if (!owners.has(owner)) continue;
+
+    for (const [emailId, email] of session.emails) {
+      if (!email.expires_at) continue;
+      checkInbox({ owner, emailId, address: email.email }, new Date(email.expires_at), now);
+    }
+  }
+
+  const userIds = [...owners]
+    .filter(owner => owner.startsWith('user:'))
+    .map(owner => owner.slice('user:'.length));
+  if (userIds.length === 0) return;
+
+  const [tempEmails] = await pool.query(
+    `SELECT id, user_id, email, expires_at FROM temp_emails
+     WHERE user_id IN (?) AND expires_at IS NOT NULL
+       AND expires_at BETWEEN DATE_SUB(NOW(), INTERVAL ? SECOND) AND DATE_ADD(NOW(), INTERVAL ? SECOND)`,
+    [userIds, Math.ceil(EXPIRED_GRACE / 1000), Math.ceil(EXPIRING_NOTICE / 1000)]
+  );
+
+  for (const tempEmail of tempEmails) {
+    checkInbox(
+      { owner: userOwner(tempEmail.user_id), emailId: tempEmail.id, address: tempEmail.email },
+      new Date(tempEmail.expires_at),
+      now
+    );
+  }
+};
+
+/**
+ * Start checking subscribed inboxes for upcoming and past expiry
+ */
+export const startInboxExpiryNotifier = () => {
+  if (sweepInterval) return;
+
+  sweepInterval = setInterval(async () => {
+    if (sweepRunning) return;
+    sweepRunning = true;
+
+    try {
+      await sweep();
+    } catch (error) {
+      console.error('Inbox expiry notifier error:', error);
+    } finally {
+      sweepRunning = false;
+    }
+  }, SWEEP_INTERVAL);
+};
@@ -0,0 +1,466 @@
+// inboxFilters.js - User-defined filter rules for registered users' temp emails
+// Filters run for every message delivered to a registered inbox, in priority order.
+// Conditions look at the sender, subject, body, attachments and headers. Actions label
+// the message, mark it read, delete it, forward it to a verified address or call a webhook.
+//
+// Env:
+// - INBOX_FILTERS_MAX_PER_USER: maximum number of filters per account (default 100)
+import axios from 'axios';
+import { v4 as uuidv4 } from 'uuid';
+import { pool } from '../db/init.js';
+import { getRawHeaderValues } from '../utils/messageHeaders.js';
+import { toAttachmentMetadata } from '../utils/attachments.js';
+import { isPrivateHost, publicRequestOptions } from '../utils/privateHosts.js';
+import { forwardReceivedEmailForFilter } from './mailForwarder.js';
+
+export const MAX_FILTERS_PER_USER = parseInt(process.env.INBOX_FILTERS_MAX_PER_USER) || 100;
+
+const CONDITION_FIELDS = ['from', 'subject', 'body', 'has_attachment', 'header'];
+// No regular expressions: user patterns would run on every inbound body (catastrophic backtracking)
+const OPERATORS = ['contains', 'not_contains', 'equals', 'starts_with', 'ends_with'];
+const ACTION_TYPES = ['label', 'mark_read', 'delete', 'forward', 'webhook'];
+const MAX_CONDITIONS = 10;
+const MAX_ACTIONS = 10;
+const MAX_LABEL_LENGTH = 50;
+const WEBHOOK_TIMEOUT = 5000;
+const CACHE_TTL = 60 * 1000; // 1 minute
+
+// Active filters per account, refreshed on change or after the TTL
+const filtersCache = new Map(); // { userId: { filters, expiresAt } }
+
+const validateCondition = (condition) => {
+  if (!condition || !CONDITION_FIELDS.includes(condition.field)) {
+    return { error: `Condition field must be one of: ${CONDITION_FIELDS.join(', ')}` };
+  }
+
+  if (condition.field === 'has_attachment') {
+    return { condition: { field: 'has_attachment', value: condition.value !== false } };
+  }
+
+  const operator = condition.operator || 'contains';
+  if (!OPERATORS.includes(operator)) {
+    return { error: `Condition operator must be one of: ${OPERATORS.join(', ')}` };
+  }
+  if (typeof condition.value !== 'string' || !condition.value || condition.value.length > 200) {
+    return { error: 'Condition value is required and must be at most 200 characters' };
+  }
+
+  const normalized = { field: condition.field, operator, value: condition.value };
+  if (condition.field === 'header') {
+    if (typeof condition.header !== 'string' || !/^[\x21-\x39\x3b-\x7e]{1,100}$/.test(condition.header)) {
+      return { error: 'Header conditions need a header name' };
+    }
+    normalized.header = condition.header.toLowerCase();
+  }
+
+  return { condition: normalized };
+};
+
+const validateAction = (action, forwardAddresses) => {
+  if (!action || !ACTION_TYPES.includes(action.type)) {
+    return { error: `Action type must be one of: ${ACTION_TYPES.join(', ')}` };
+  }
+
+  switch (action.type) {
+    case 'label': {
+      const label = typeof action.value === 'string' ? action.value.trim() : '';
+      if (!label || label.length > MAX_LABEL_LENGTH) {
+        return { error: `Labels must be 1-${MAX_LABEL_LENGTH} characters` };
+      }
+      return { action: { type: 'label', value: label } };
+    }
+    case 'forward': {
+      // Only verified forwarding addresses are accepted as destinations (checked again on every run)
+      const address = typeof action.address === 'string' ? action.address.trim().toLowerCase() : '';
+      if (!address || !forwardAddresses.includes(address)) {
+        return { error: 'Mail can only be forwarded to a verified forwarding address' };
+      }
+      return { action: { type: 'forward', address } };
+    }
+    case 'webhook': {
+      let url;
+      try {
+        url = new URL(action.url);
+      } catch {
+        return { error: 'Webhook actions need a valid URL' };
+      }
+      if (!['http:', 'https:'].includes(url.protocol) || isPrivateHost(url.hostname)) {
+        return { error: 'Webhook URLs must be public http(s) URLs' };
+      }
+      return { action: { type: 'webhook', url: url.toString() } };
+    }
+    default:
+      return { action: { type: action.type } };
+  }
+};
+
+/**
+ * Normalize and validate a filter from a request body
+ * @param {object} body - { name, match, conditions, actions, priority, is_active, stop_processing }
+ * @param {string[]} forwardAddresses - Allowed forward destinations (lowercase)
+ * @returns {object} - { filter } or { error }
+ */
+export const normalizeFilter = (body = {}, forwardAddresses = []) => {
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  if (!name || name.length > 100) {
+    return { error: 'Name is required and must be at most 100 characters' };
+  }
+
+  const match = body.match || 'all';
+  if (!['all', 'any'].includes(match)) {
+    return { error: "Match must be 'all' or 'any'" };
+  }
+
+  if (!Array.isArray(body.conditions) || body.conditions.length === 0 || body.conditions.length > MAX_CONDITIONS) {
+    return { error: `Filters need 1-${MAX_CONDITIONS} conditions` };
+  }
+  if (!Array.isArray(body.actions) || body.actions.length === 0 || body.actions.length > MAX_ACTIONS) {
+    return { error: `Filters need 1-${MAX_ACTIONS} actions` };
+  }
+
+  const conditions = [];
+  for (const condition of body.conditions) {
+    const result = validateCondition(condition);
+    if (result.error) return result;
+    conditions.push(result.condition);
+  }
+
+  const actions = [];
+  for (const action of body.actions) {
+    const result = validateAction(action, forwardAddresses);
+    if (result.error) return result;
+    actions.push(result.action);
+  }
+
+  return {
+    filter: {
+      name,
+      match,
+      conditions,
+      actions,
+      priority: parseInt(body.priority) || 0,
+      is_active: body.is_active !== false,
+      stop_processing: body.stop_processing === true
+    }
+  };
+};
+
+/**
+ * Text values a condition is tested against
+ */
+const getFieldValues = (condition, emailData) => {
+  switch (condition.field) {
+    case 'from':
+      return [emailData.from_email, emailData.from_name];
+    case 'subject':
+      return [emailData.subject];
+    case 'body':
+      return [emailData.body_text, (emailData.body_html || '').replace(/<[^>]+>/g, ' ')];
+    case 'header':
+      return getRawHeaderValues(emailData.raw_source, condition.header);
+    default:
+      return [];
+  }
+};
+
+const compareValue = (operator, value, expected) => {
+  switch (operator) {
+    case 'equals':
+      return value.trim().toLowerCase() === expected.toLowerCase();
+    case 'starts_with':
+      return value.trim().toLowerCase().startsWith(expected.toLowerCase());
+    case 'ends_with':
+      return value.trim().toLowerCase().endsWith(expected.toLowerCase());
+    default:
+      return value.toLowerCase().includes(expected.toLowerCase());
+  }
+};
+
+/**
+ * Whether one condition holds for a received email
+ */
+const conditionMatches = (condition, emailData) => {
+  if (condition.field === 'has_attachment') {
+    return ((emailData.attachments || []).length > 0) === condition.value;
+  }
+
+  // Conditions saved with an operator that was since removed never match
+  if (!OPERATORS.includes(condition.operator)) {
+    return false;
+  }
+
+  const values = getFieldValues(condition, emailData).filter(value => typeof value === 'string');
+  if (condition.operator === 'not_contains') {
+    return values.every(value => !compareValue('contains', value, condition.value));
+  }
+  return values.some(value => compareValue(condition.operator, value, condition.value));
+};
+
+/**
+ * Whether a filter matches a received email
+ * @param {object} filter - Filter with conditions and match mode
+ * @param {object} emailData - Received email data
+ * @returns {boolean}
+ */
+export const filterMatches = (filter, emailData) => {
+  const check = condition => conditionMatches(condition, emailData);
+  return filter.match === 'any' ? filter.conditions.some(check) : filter.conditions.every(check);
+};
+
+const parseJsonColumn = (value) => typeof value === 'string' ? JSON.parse(value) : value;
+
+// Database row -> filter ("match" is a reserved word in MySQL, the column is match_type)
+const fromRow = ({ match_type, ...row }) => ({
+  ...row,
+  match: match_type,
+  conditions: parseJsonColumn(row.conditions) || [],
+  actions: parseJsonColumn(row.actions) || [],
+  is_active: !!row.is_active,
+  stop_processing: !!row.stop_processing
+});
+
+const loadActiveFilters = async (userId) => {
+  const cached = filtersCache.get(userId);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.filters;
+  }
+
+  const [rows] = await pool.query(
+    `SELECT * FROM inbox_filters
+     WHERE user_id = ? AND is_active = TRUE
+     ORDER BY priority ASC, created_at ASC`,
+    [userId]
+  );
+  const filters = rows.map(fromRow);
+
+  filtersCache.set(userId, { filters, expiresAt: Date.now() + CACHE_TTL });
+  return filters;
+};
+
+/**
+ * Invalidate the cached filters of an account after a change
+ */
+export const invalidateFiltersCache = (userId) => {
+  filtersCache.delete(userId);
+};
+
+/**
+ * POST a matched message to a filter's webhook
+ */
+const callFilterWebhook = async (url, filter, tempEmailId, emailData, deleted) => {
+  // Checked again here for filters saved before the host checks were tightened,
+  // IP literals skip the agents' lookup
+  if (isPrivateHost(new URL(url).hostname)) {
+    throw new Error('Filter webhook URL points to a private host');
+  }
+
+  await axios.post(url, {
+    event: 'filter.matched',
+    filter: { id: filter.id, name: filter.name },
+    temp_email_id: tempEmailId,
+    deleted,
+    message: {
+      id: emailData.id,
+      from_email: emailData.from_email,
+      from_name: emailData.from_name,
+      subject: emailData.subject,
+      body_text: emailData.body_text,
+      received_at: emailData.received_at,
+      labels: emailData.labels || [],
+      is_read: !!emailData.is_read,
+      attachments: (emailData.attachments || []).map(toAttachmentMetadata)
+    }
+  }, {
+    // Names are checked on connect
+    ...publicRequestOptions,
+    timeout: WEBHOOK_TIMEOUT,
+    maxRedirects: 0,
+    headers: { 'User-Agent': 'Boomlify-Filters/1.0' }
+  });
+};
+
+/**
+ * Run the filters of a registered inbox on a message that is about to be stored
+ * Labels and the read flag are set on emailData. Forward and webhook actions are
+ * returned as deferred work, to be run once the message is stored (or dropped).
+ * @param {string} userId - Inbox owner
+ * @param {string} tempEmailId - Temp email ID
+ * @param {string} tempEmailAddress - Temp email address
+ * @param {object} emailData - Received email data
+ * @returns {Promise<object>} - { matched: filterIds, deleted, runDeferredActions }
+ */
+export const applyInboxFilters = async (userId, tempEmailId, tempEmailAddress, emailData) => {
+  const result = { matched: [], deleted: false, runDeferredActions: () => {} };
+  if (!userId) return result;
+
+  let filters;
+  try {
+    filters = (await loadActiveFilters(userId))
+      .filter(filter => !filter.temp_email_id || filter.temp_email_id === tempEmailId);
+  } catch (error) {
+    console.error('Failed to load inbox filters:', error);
+    return result;
+  }
+
+  const deferred = [];
+  for (const filter of filters) {
+    let matches = false;
+    try {
+      matches = filterMatches(filter, emailData);
+    } catch (error) {
+      console.error(`Inbox filter ${filter.id} failed:`, error.message);
+    }
+    if (!matches) continue;
+
+    result.matched.push(filter.id);
+
+    for (const action of filter.actions) {
+      switch (action.type) {
+        case 'label':
+          emailData.labels = [...new Set([...(emailData.labels || []), action.value])];
+          break;
+        case 'mark_read':
+          emailData.is_read = true;
+          break;
+        case 'delete':
+          result.deleted = true;
+          break;
+        case 'forward':
+          deferred.push(() => forwardReceivedEmailForFilter(userId, tempEmailId, tempEmailAddress, emailData, action.address));
+          break;
+        case 'webhook':
+          deferred.push(() => callFilterWebhook(action.url, filter, tempEmailId, emailData, result.deleted));
+          break;
+      }
+    }
+
+    if (filter.stop_processing) break;
+  }
+
+  if (result.matched.length > 0) {
+    pool.query(
+      'UPDATE inbox_filters SET match_count = match_count + 1, last_matched_at = NOW() WHERE id IN (?)',
+      [result.matched]
+    ).catch(error => console.error('Failed to update inbox filter counters:', error));
+  }
+
+  // Forwarding and webhooks must not hold up delivery
+  result.runDeferredActions = () => {
+    for (const run of deferred) {
+      Promise.resolve()
+        .then(run)
+        .catch(error => console.error(`Inbox filter action failed for email ${emailData.id}:`, error.message));
+    }
+  };
+
+  return result;
+};
+
+/**
+ * Filters of an account, optionally only those that apply to one temp email
+ * @param {string} userId - Account owner
+ * @param {string} [tempEmailId] - Temp email ID
+ * @returns {Promise<Array>} - Filters in evaluation order
+ */
+export const listFilters = async (userId, tempEmailId) => {
+  const [rows] = await pool.query(
+    `SELECT * FROM inbox_filters
+     WHERE user_id = ? ${tempEmailId ? 'AND (temp_email_id = ? OR temp_email_id IS NULL)' : ''}
+     ORDER BY priority ASC, created_at ASC`,
+    tempEmailId ? [userId, tempEmailId] : [userId]
+  );
+  return rows.map(fromRow);
+};
+
+/**
+ * A single filter of an account
+ * @returns {Promise<object|null>}
+ */
+export const getFilter = async (userId, filterId) => {
+  const [rows] = await pool.query(
+    'SELECT * FROM inbox_filters WHERE id = ? AND user_id = ?',
+    [filterId, userId]
+  );
+  return rows.length > 0 ? fromRow(rows[0]) : null;
+};
+
+/**
+ * Create a filter
+ * @param {string} userId - Account owner
+ * @param {string|null} tempEmailId - Temp email ID, or null for every inbox of the account
+ * @param {object} filter - Output of normalizeFilter
+ * @returns {Promise<object>} - Stored filter
+ */
+export const createFilter = async (userId, tempEmailId, filter) => {
+  const [[{ total }]] = await pool.query(
+    'SELECT COUNT(*) as total FROM inbox_filters WHERE user_id = ?',
+    [userId]
+  );
+  if (total >= MAX_FILTERS_PER_USER) {
+    throw new Error(`Filter limit reached (${MAX_FILTERS_PER_USER} per account)`);
+  }
+
+  const id = uuidv4();
+  await pool.query(
+    `INSERT INTO inbox_filters (id, user_id, temp_email_id, name, match_type, conditions, actions,
+      priority, is_active, stop_processing)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      id,
+      userId,
+      tempEmailId,
+      filter.name,
+      filter.match,
+      JSON.stringify(filter.conditions),
+      JSON.stringify(filter.actions),
+      filter.priority,
+      filter.is_active,
+      filter.stop_processing
+    ]
+  );
+  invalidateFiltersCache(userId);
+
+  return getFilter(userId, id);
+};
+
+/**
+ * Replace a filter
+ * @returns {Promise<object|null>} - Updated filter, or null if it does not exist
+ */
+export const updateFilter = async (userId, filterId, tempEmailId, filter) => {
+  const [result] = await pool.query(
+    `UPDATE inbox_filters
+     SET temp_email_id = ?, name = ?, match_type = ?, conditions = ?, actions = ?,
+       priority = ?, is_active = ?, stop_processing = ?
+     WHERE id = ? AND user_id = ?`,
+    [
+      tempEmailId,
+      filter.name,
+      filter.match,
+      JSON.stringify(filter.conditions),
+      JSON.stringify(filter.actions),
+      filter.priority,
+      filter.is_active,
+      filter.stop_processing,
+      filterId,
+      userId
+    ]
+  );
+  invalidateFiltersCache(userId);
+
+  return result.affectedRows > 0 ? getFilter(userId, filterId) : null;
+};
+
+/**
+ * Delete a filter
+ * @returns {Promise<boolean>} - False if the filter does not exist
+ */
+export const deleteFilter = async (userId, filterId) => {
+  const [result] = await pool.query(
+    'DELETE FROM inbox_filters WHERE id = ? AND user_id = ?',
+    [filterId, userId]
+  );
+  invalidateFiltersCache(userId);
+
+  return result.affectedRows > 0;
+};
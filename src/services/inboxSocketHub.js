@@ -0,0 +1,261 @@
+// inboxSocketHub.js - Authenticated WebSocket push for all inbox types
+// One connection multiplexes subscriptions to the registered, guest, API and Gmail alias
+// inboxes its user owns. Events come from the inbox event bus (inboxEvents.js), which the
+// mail webhook, SMTP listener, API store and Gmail poller all publish into.
+//
+// Connect to /ws/inboxes with ?access_token=<JWT or guest token> or ?api_key=<API key>
+// (or the Authorization / X-API-Key headers), then send JSON messages:
+// - { "type": "subscribe", "email_id": "..." } or { "type": "subscribe", "gmail_alias": "..." },
+//   optionally with "last_event_id" to replay events missed while disconnected
+// - { "type": "unsubscribe", "subscription": "..." }
+// - { "type": "ping" }
+// Events arrive as { "type": "event", "subscription": "...", "event": { ... } }.
+//
+// Env:
+// - INBOX_WS_MAX_SUBSCRIPTIONS: subscriptions per connection (default 20)
+// - INBOX_WS_HEARTBEAT: ping interval in ms, connections that miss a pong are dropped (default 30s)
+import { WebSocketServer } from 'ws';
+import { pool } from '../db/init.js';
+import { verifyAnyToken } from '../middleware/auth.js';
+import { resolveApiKey } from '../middleware/apiAuth.js';
+import { getTempEmailById } from '../guestSessionHandler.js';
+import { getApiEmail } from './apiMemoryStore.js';
+import { getGmailAliasOwner, refreshGmailAlias } from './gmailImapService.js';
+import {
+  subscribeInboxEvents,
+  getInboxEventsSince,
+  formatInboxEvent,
+  userOwner,
+  guestOwner,
+  gmailOwner
+} from './inboxEvents.js';
+
+const WS_PATH = '/ws/inboxes';
+const MAX_SUBSCRIPTIONS = parseInt(process.env.INBOX_WS_MAX_SUBSCRIPTIONS) || 20;
+const HEARTBEAT_INTERVAL = parseInt(process.env.INBOX_WS_HEARTBEAT) || 30 * 1000;
+const MAX_MESSAGE_SIZE = 16 * 1024;
+// Slow consumers are dropped instead of buffering events for them without limit
+const MAX_BUFFERED_BYTES = 1024 * 1024;
+
+/**
+ * Authenticate an upgrade request
+ * @returns {Promise<object|null>} - { id, owner, guestToken } or null
+ */
+const authenticateUpgrade = async (request, url) => {
+  const apiKey = request.headers['x-api-key'] || url.searchParams.get('api_key');
+  if (apiKey) {
+    const { userInfo } = await resolveApiKey(apiKey);
+    return userInfo ? { id: userInfo.id, owner: userOwner(userInfo.id) } : null;
+  }
+
+  const authHeader = request.headers['authorization'];
+  const token = (authHeader && authHeader.split(' ')[1]) || url.searchParams.get('access_token');
+  if (!token) {
+    return null;
+  }
+
+  const user = await verifyAnyToken(token);
+  if (!user) {
+    return null;
+  }
+
+  return user.isGuest === true
+    ? { id: user.id, owner: guestOwner(user.id), guestToken: token }
+    : { id: user.id, owner: userOwner(user.id) };
+};
+
+/**
+ * Resolve the inbox of a subscribe message, only inboxes of the connection's user are found
+ * @returns {Promise<object|null>} - { key, owner, emailId, address, gmail } or null
+ */
+const resolveInbox = async (client, message) => {
+  if (typeof message.gmail_alias === 'string') {
+    const alias = message.gmail_alias;
+    const aliasOwner = getGmailAliasOwner(alias);
+    // Aliases created without a token have no owner (anon_ ids) and are never pushed
+    if (!aliasOwner || String(aliasOwner).startsWith('anon_') || String(aliasOwner) !== String(client.id)) {
+      return null;
+    }
+    return { key: alias, owner: gmailOwner(alias), emailId: alias, address: alias, gmail: true };
+  }
+
+  if (typeof message.email_id !== 'string') {
+    return null;
+  }
+  const emailId = message.email_id;
+
+  if (client.guestToken) {
+    const tempEmail = getTempEmailById(client.guestToken, emailId);
+    return tempEmail ? { key: emailId, owner: client.owner, emailId, address: tempEmail.email } : null;
+  }
+
+  const apiEmail = getApiEmail(emailId, client.id);
+  if (apiEmail) {
+    return { key: emailId, owner: client.owner, emailId, address: apiEmail.email };
+  }
+
+  const [tempEmails] = await pool.query(
+    'SELECT email FROM temp_emails WHERE id = ? AND user_id = ?',
+    [emailId, client.id]
+  );
+  return tempEmails.length > 0
+    ? { key: emailId, owner: client.owner, emailId, address: tempEmails[0].email }
+    : null;
+};
+
+const send = (ws, payload) => {
+  if (ws.readyState !== ws.OPEN) return;
+
+  if (ws.bufferedAmount > MAX_BUFFERED_BYTES) {
+    ws.terminate();
+    return;
+  }
+  ws.send(JSON.stringify(payload));
+};
+
+const subscribe = async (ws, client, message) => {
+  if (client.subscriptions.size >= MAX_SUBSCRIPTIONS) {
+    return send(ws, { type: 'error', request: 'subscribe', error: `At most ${MAX_SUBSCRIPTIONS} subscriptions per connection` });
+  }
+
+  const inbox = await resolveInbox(client, message);
+  if (!inbox) {
+    return send(ws, { type: 'error', request: 'subscribe', error: 'Inbox not found' });
+  }
+
+  // Already subscribed (or closed while resolving)
+  if (client.subscriptions.has(inbox.key) || ws.readyState !== ws.OPEN) {
+    return send(ws, { type: 'subscribed', subscription: inbox.key, address: inbox.address });
+  }
+  if (client.subscriptions.size >= MAX_SUBSCRIPTIONS) {
+    return send(ws, { type: 'error', request: 'subscribe', error: `At most ${MAX_SUBSCRIPTIONS} subscriptions per connection` });
+  }
+
+  const matches = event => event.email_id === inbox.emailId;
+  const deliver = event => send(ws, { type: 'event', subscription: inbox.key, event: formatInboxEvent(event) });
+
+  send(ws, { type: 'subscribed', subscription: inbox.key, address: inbox.address });
+
+  if (message.last_event_id) {
+    const { events, complete } = getInboxEventsSince(inbox.owner, message.last_event_id, matches);
+    if (!complete) {
+      send(ws, { type: 'stream.reset', subscription: inbox.key });
+    }
+    events.forEach(deliver);
+  }
+
+  client.subscriptions.set(inbox.key, subscribeInboxEvents(inbox.owner, matches, deliver));
+
+  if (inbox.gmail) {
+    const emails = refreshGmailAlias(inbox.emailId);
+    if (emails.length > 0) {
+      send(ws, { type: 'cached_emails', subscription: inbox.key, emails });
+    }
+  }
+};
+
+const handleMessage = async (ws, client, raw) => {
+  let message;
+  try {
+    message = JSON.parse(raw.toString());
+  } catch (error) {
+    return send(ws, { type: 'error', error: 'Invalid JSON' });
+  }
+
+  switch (message?.type) {
+    case 'subscribe':
+      return subscribe(ws, client, message);
+
+    case 'unsubscribe': {
+      const unsubscribe = client.subscriptions.get(message.subscription);
+      if (unsubscribe) {
+        unsubscribe();
+        client.subscriptions.delete(message.subscription);
+      }
+      return send(ws, { type: 'unsubscribed', subscription: message.subscription });
+    }
+
+    case 'ping':
+      return send(ws, { type: 'pong', timestamp: Date.now() });
+
+    default:
+      return send(ws, { type: 'error', error: 'Unknown message type' });
+  }
+};
+
+const rejectUpgrade = (socket, status) => {
+  socket.write(`HTTP/1.1 ${status}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+};
+
+// Setup the inbox WebSocket hub on the HTTP server (noServer mode, like the activity tracker)
+export function setupInboxSocketHub(server) {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_MESSAGE_SIZE });
+
+  wss.on('connection', (ws, request, client) => {
+    client.subscriptions = new Map(); // { key: unsubscribe }
+    ws.isAlive = true;
+
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+
+    ws.on('message', (raw) => {
+      handleMessage(ws, client, raw).catch(error => {
+        console.error('Inbox WebSocket message failed:', error);
+        send(ws, { type: 'error', error: 'Request failed' });
+      });
+    });
+
+    ws.on('close', () => {
+      client.subscriptions.forEach(unsubscribe => unsubscribe());
+      client.subscriptions.clear();
+    });
+
+    ws.on('error', (err) => {
+      console.error('Inbox WebSocket error:', err.message);
+    });
+
+    send(ws, {
+      type: 'connected',
+      max_subscriptions: MAX_SUBSCRIPTIONS,
+      heartbeat_interval: HEARTBEAT_INTERVAL,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  server.on('upgrade', (request, socket, head) => {
+    const url = new URL(request.url, `http://${request.headers.host || 'localhost'}`);
+    if (url.pathname !== WS_PATH) return;
+
+    authenticateUpgrade(request, url)
+      .then(client => {
+        if (!client) {
+          return rejectUpgrade(socket, '401 Unauthorized');
+        }
+        wss.handleUpgrade(request, socket, head, (ws) => {
+          wss.emit('connection', ws, request, client);
+        });
+      })
+      .catch(error => {
+        console.error('Inbox WebSocket authentication failed:', error);
+        rejectUpgrade(socket, '500 Internal Server Error');
+      });
+  });
+
+  // Drop connections that did not answer the previous ping
+  const heartbeat = setInterval(() => {
+    for (const ws of wss.clients) {
+      if (!ws.isAlive) {
+        ws.terminate();
+        continue;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    }
+  }, HEARTBEAT_INTERVAL);
+
+  wss.on('close', () => clearInterval(heartbeat));
+
+  return wss;
+}
@@ -0,0 +1,184 @@
+// linkExtractor.js - Hyperlink extraction, classification and safe-link rewriting
+import crypto from 'crypto';
+
+const MAX_LINKS = 100;
+
+// Redirect wrappers of common email service providers and click trackers
+const TRACKING_HOST_PATTERN = /(^|\.)(list-manage\.com|sendgrid\.net|mandrillapp\.com|mailgun\.org|sparkpostmail\.com|hubspotlinks\.com|hs-sites\.com|mailchimp\.com|mcsv\.net|exacttarget\.com|rs6\.net|ct\.sendgrid\.net|awstrack\.me|mjt\.lu|klclick\d?\.com|cmail\d+\.com|createsend\d*\.com|lnk\.|click\.|track\.|trk\.|links?\.|email\.)/i;
+const TRACKING_PATH_PATTERN = /(\/ls\/click|\/wf\/click|\/track\/click|\/click\?|\/c\/[A-Za-z0-9_-]{20,}|\/redirect\?|[?&](upn|qs|mc_eid|_hsenc)=)/i;
+
+// Unsubscribe wording in several languages
+const UNSUBSCRIBE_PATTERN = /(unsubscribe|opt[- ]?out|manage (your )?(email )?preferences|abmelden|désinscri|desinscri|darse de baja|cancelar (la )?suscripción|annulla iscrizione|afmelden|отписаться|退订|配信停止)/i;
+
+// Signing secret for redirect links, so the endpoint cannot be used as an open redirect
+// (null when none is configured: links are then neither signed nor accepted)
+const getSigningSecret = () => process.env.LINK_SIGNING_SECRET || process.env.JWT_SECRET || null;
+
+const decodeEntities = (value) => value
+  .replace(/&amp;/g, '&')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, "'")
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>');
+
+const escapeAttribute = (value) => value
+  .replace(/&/g, '&amp;')
+  .replace(/"/g, '&quot;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+/**
+ * Classify a link
+ * @param {object} link - { url, text, hostname, path }
+ * @param {object} emailData - Received email data (verification_links, headers)
+ * @returns {string} - 'verification' | 'unsubscribe' | 'tracking' | 'other'
+ */
+const classifyLink = (link, emailData) => {
+  const listUnsubscribe = emailData.headers?.list_unsubscribe || '';
+
+  if (UNSUBSCRIBE_PATTERN.test(link.text) || UNSUBSCRIBE_PATTERN.test(link.path) ||
+      (listUnsubscribe && listUnsubscribe.includes(link.url))) {
+    return 'unsubscribe';
+  }
+
+  if ((emailData.verification_links || []).some(verification => verification.url === link.url)) {
+    return 'verification';
+  }
+
+  if (TRACKING_HOST_PATTERN.test(link.hostname) || TRACKING_PATH_PATTERN.test(link.path)) {
+    return 'tracking';
+  }
+
+  return 'other';
+};
+
+/**
+ * Extract every hyperlink of a received email with its anchor text, domain and classification
+ * Runs after extractVerificationData so verification links can be recognised
+ * @param {object} emailData - Received email data
+ * @returns {Array<{url, text, domain, classification}>} - Links in document order
+ */
+export const extractLinks = (emailData) => {
+  const links = new Map(); // { url: { url, text } }
+
+  try {
+    const anchorPattern = /<a\b[^>]*?href\s*=\s*["']([^"']+)["'][^>]*>([\s\S]*?)<\/a>/gi;
+    for (const [, href, text] of (emailData.body_html || '').matchAll(anchorPattern)) {
+      const url = decodeEntities(href.trim());
+      if (/^https?:\/\//i.test(url) && !links.has(url)) {
+        links.set(url, { url, text: decodeEntities(text.replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim() });
+      }
+    }
+
+    // Bare URLs in the text part (plain-text only mails and links not in the HTML)
+    for (const match of (emailData.body_text || '').matchAll(/https?:\/\/[^\s<>"')\]]+/g)) {
+      const url = match[0].replace(/[.,;]+$/, '');
+      if (!links.has(url)) {
+        links.set(url, { url, text: '' });
+      }
+    }
+
+    return [...links.values()]
+      .slice(0, MAX_LINKS)
+      .map(link => {
+        try {
+          const parsed = new URL(link.url);
+          const hostname = parsed.hostname.toLowerCase();
+          const path = `${parsed.pathname}${parsed.search}`;
+
+          return {
+            url: link.url,
+            text: link.text,
+            domain: hostname,
+            classification: classifyLink({ ...link, hostname, path }, emailData)
+          };
+        } catch {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  } catch (error) {
+    console.error('Link extraction failed:', error);
+    return [];
+  }
+};
+
+/**
+ * Whether a signing secret is configured (safe links and the image proxy need one)
+ * @returns {boolean}
+ */
+export const isLinkSigningEnabled = () => Boolean(getSigningSecret());
+
+/**
+ * Signature of a redirect target
+ * @param {string} url - Target URL
+ * @returns {string} - Hex HMAC
+ */
+export const signLink = (url) => {
+  const secret = getSigningSecret();
+  if (!secret) {
+    throw new Error('Link signing is not configured (LINK_SIGNING_SECRET or JWT_SECRET)');
+  }
+  return crypto.createHmac('sha256', secret).update(url).digest('hex');
+};
+
+/**
+ * Check the signature of a redirect target
+ * @param {string} url - Target URL
+ * @param {string} signature - Signature from the query string
+ * @returns {boolean}
+ */
+export const verifyLinkSignature = (url, signature) => {
+  if (!url || !signature || !isLinkSigningEnabled()) return false;
+
+  const expected = Buffer.from(signLink(url));
+  const provided = Buffer.from(String(signature));
+  return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+};
+
+/**
+ * Rewrite every http(s) link of an HTML body to go through the interstitial redirect endpoint
+ * @param {string} html - HTML body
+ * @param {string} baseUrl - Public URL of this server (e.g. https://api.example.com)
+ * @returns {string} - Rewritten HTML
+ */
+export const rewriteLinks = (html, baseUrl) => {
+  if (!html) return html;
+
+  return html.replace(/(<a\b[^>]*?href\s*=\s*)(["'])([^"']+)\2/gi, (match, prefix, quote, href) => {
+    const url = decodeEntities(href.trim());
+    if (!/^https?:\/\//i.test(url)) {
+      return match;
+    }
+
+    const redirectUrl = `${baseUrl}/links/redirect?url=${encodeURIComponent(url)}&sig=${signLink(url)}`;
+    return `${prefix}${quote}${escapeAttribute(redirectUrl)}${quote}`;
+  });
+};
+
+/**
+ * Public URL of this server for redirect links
+ * @param {object} req - Express request
+ * @returns {string} - Base URL without trailing slash
+ */
+export const getPublicBaseUrl = (req) => {
+  return (process.env.API_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+};
+
+/**
+ * Copy of a message with body_html_safe (links rewritten) added when ?safe_links=true
+ * Left out when link signing is not configured.
+ * @param {object} message - Received email
+ * @param {object} req - Express request
+ * @returns {object} - Message with body_html_safe, or unchanged
+ */
+export const withSafeLinks = (message, req) => {
+  if (req.query.safe_links !== 'true' || !isLinkSigningEnabled()) {
+    return message;
+  }
+
+  return {
+    ...message,
+    body_html_safe: rewriteLinks(message.body_html, getPublicBaseUrl(req))
+  };
+};
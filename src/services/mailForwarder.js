@@ -0,0 +1,244 @@
+// mailForwarder.js - Forwarding of received mail to real addresses
+// Mail goes out through smtpManager, which is imported lazily because it throws at
+// import time when no SMTP accounts are configured.
+//
+// Env:
+// - FORWARDING_DAILY_LIMIT: automatic forwards per account per day (default 100)
+// - FORWARDING_DAILY_LIMIT_PER_INBOX: automatic forwards per temp email per day (default 50)
+import { v4 as uuidv4 } from 'uuid';
+import { pool } from '../db/init.js';
+import { isAcceptedDomain } from './inboundMailService.js';
+import { getRawHeaderValues } from '../utils/messageHeaders.js';
+
+export const FORWARDING_DAILY_LIMIT = parseInt(process.env.FORWARDING_DAILY_LIMIT) || 100;
+export const FORWARDING_DAILY_LIMIT_PER_INBOX = parseInt(process.env.FORWARDING_DAILY_LIMIT_PER_INBOX) || 50;
+
+// Set on every forwarded message, so mail we forwarded is never forwarded again
+export const FORWARDED_HEADER = 'X-Boomlify-Forwarded';
+
+let smtpManagerPromise = null;
+
+/**
+ * smtpManager, loaded on first use
+ * @returns {Promise<object>}
+ */
+export const getSmtpManager = () => {
+  if (!smtpManagerPromise) {
+    smtpManagerPromise = import('./smtpManager.js')
+      .then(module => module.default)
+      .catch(error => {
+        smtpManagerPromise = null;
+        throw error;
+      });
+  }
+  return smtpManagerPromise;
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Whether forwarding a message to an address would create a mail loop
+ * @param {object} emailData - Received email data
+ * @param {string} to - Destination address
+ * @returns {Promise<boolean>}
+ */
+export const isForwardingLoop = async (emailData, to) => {
+  if (getRawHeaderValues(emailData.raw_source, FORWARDED_HEADER).length > 0) {
+    return true;
+  }
+
+  // Mail sent by the destination itself would go back where it came from
+  if ((emailData.from_email || '').trim().toLowerCase() === to.trim().toLowerCase()) {
+    return true;
+  }
+
+  // Forwarding into one of our own inboxes would come straight back through the webhook
+  const domain = (to.split('@')[1] || '').toLowerCase();
+  return isAcceptedDomain(domain);
+};
+
+/**
+ * Why a message must not be forwarded at all, if it must not
+ * Bounces and auto-replies are never forwarded: they are what mail loops are made of.
+ * @param {object} emailData - Received email data
+ * @param {string} to - Destination address
+ * @returns {Promise<string|null>} - 'loop' | 'bounce' | 'auto_submitted' or null
+ */
+export const getForwardSkipReason = async (emailData, to) => {
+  if (await isForwardingLoop(emailData, to)) {
+    return 'loop';
+  }
+  if (emailData.is_bounce) {
+    return 'bounce';
+  }
+
+  const autoSubmitted = getRawHeaderValues(emailData.raw_source, 'Auto-Submitted')[0];
+  if (autoSubmitted && autoSubmitted.toLowerCase() !== 'no') {
+    return 'auto_submitted';
+  }
+
+  return null;
+};
+
+/**
+ * Forward a received email (with its attachments) to a real address
+ * @param {object} emailData - Received email data
+ * @param {object} options
+ * @param {string} options.to - Destination address
+ * @param {string} options.tempEmailAddress - Temp email the message was received on
+ * @returns {Promise<object>} - { forwarded: true } or { forwarded: false, reason }
+ */
+export const forwardReceivedEmail = async (emailData, { to, tempEmailAddress }) => {
+  const skipReason = await getForwardSkipReason(emailData, to);
+  if (skipReason) {
+    return { forwarded: false, reason: skipReason };
+  }
+
+  const smtpManager = await getSmtpManager();
+  const sender = emailData.from_name && emailData.from_name !== emailData.from_email
+    ? `${emailData.from_name} <${emailData.from_email}>`
+    : emailData.from_email;
+
+  const html = `
+    <div style="font-family: sans-serif; font-size: 13px; color: #555; border-bottom: 1px solid #ddd; padding-bottom: 8px; margin-bottom: 16px;">
+      ---------- Forwarded message ----------<br>
+      From: ${escapeHtml(sender)}<br>
+      Date: ${escapeHtml(new Date(emailData.received_at).toUTCString())}<br>
+      Subject: ${escapeHtml(emailData.subject)}<br>
+      To: ${escapeHtml(tempEmailAddress)}
+    </div>
+    ${emailData.body_html || `<pre style="white-space: pre-wrap;">${escapeHtml(emailData.body_text)}</pre>`}
+  `;
+
+  const text = [
+    '---------- Forwarded message ----------',
+    `From: ${sender}`,
+    `Date: ${new Date(emailData.received_at).toUTCString()}`,
+    `Subject: ${emailData.subject}`,
+    `To: ${tempEmailAddress}`,
+    '',
+    emailData.body_text || ''
+  ].join('\n');
+
+  await smtpManager.sendEmail(to, `Fwd: ${emailData.subject || '(no subject)'}`, html, {
+    text,
+    replyTo: emailData.from_email,
+    headers: { [FORWARDED_HEADER]: tempEmailAddress },
+    attachments: (emailData.attachments || [])
+      .filter(attachment => attachment.content)
+      .map(attachment => ({
+        filename: attachment.filename,
+        contentType: attachment.content_type,
+        content: Buffer.from(attachment.content, 'base64')
+      }))
+  });
+
+  return { forwarded: true };
+};
+
+const logForward = async (userId, tempEmailId, emailData, to, status, reason = null) => {
+  try {
+    await pool.query(
+      `INSERT INTO email_forwards (id, user_id, temp_email_id, received_email_id, forwarded_to, status, reason)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [uuidv4(), userId, tempEmailId, emailData.id, to, status, reason]
+    );
+  } catch (error) {
+    console.error('Failed to log email forward:', error);
+  }
+};
+
+/**
+ * Forwards sent in the last 24 hours, per account and per temp email
+ */
+const countRecentForwards = async (userId, tempEmailId) => {
+  const [[counts]] = await pool.query(
+    `SELECT COUNT(*) as account_total, COALESCE(SUM(temp_email_id = ?), 0) as inbox_total
+     FROM email_forwards
+     WHERE user_id = ? AND status = 'sent' AND created_at > DATE_SUB(NOW(), INTERVAL 1 DAY)`,
+    [tempEmailId, userId]
+  );
+  return { account: Number(counts.account_total), inbox: Number(counts.inbox_total) };
+};
+
+/**
+ * Forward a stored email within the daily caps
+ * Every attempt is logged in email_forwards, which also backs the caps.
+ */
+const forwardWithinLimits = async (userId, tempEmailId, tempEmailAddress, emailData, to) => {
+  const counts = await countRecentForwards(userId, tempEmailId);
+  let reason = null;
+
+  if (counts.account >= FORWARDING_DAILY_LIMIT) {
+    reason = 'daily_limit';
+  } else if (counts.inbox >= FORWARDING_DAILY_LIMIT_PER_INBOX) {
+    reason = 'inbox_daily_limit';
+  }
+
+  if (reason) {
+    await logForward(userId, tempEmailId, emailData, to, 'skipped', reason);
+    return { forwarded: false, reason, to };
+  }
+
+  try {
+    const result = await forwardReceivedEmail(emailData, { to, tempEmailAddress });
+    await logForward(userId, tempEmailId, emailData, to, result.forwarded ? 'sent' : 'skipped', result.reason);
+    return { ...result, to };
+  } catch (error) {
+    await logForward(userId, tempEmailId, emailData, to, 'failed', error.message.substring(0, 255));
+    throw error;
+  }
+};
+
+/**
+ * Forward a stored email to the verified address attached to its temp email, if any
+ * @param {string} userId - Inbox owner
+ * @param {string} tempEmailId - Temp email ID
+ * @param {string} tempEmailAddress - Temp email address
+ * @param {object} emailData - Received email data
+ * @returns {Promise<object>} - { forwarded, reason, to }
+ */
+export const autoForwardReceivedEmail = async (userId, tempEmailId, tempEmailAddress, emailData) => {
+  const [rows] = await pool.query(
+    `SELECT fa.address
+     FROM temp_emails te
+     JOIN forwarding_addresses fa ON fa.id = te.forwarding_address_id
+     WHERE te.id = ? AND fa.user_id = te.user_id AND fa.verified_at IS NOT NULL`,
+    [tempEmailId]
+  );
+
+  if (rows.length === 0) {
+    return { forwarded: false, reason: 'not_configured' };
+  }
+
+  return forwardWithinLimits(userId, tempEmailId, tempEmailAddress, emailData, rows[0].address);
+};
+
+/**
+ * Forward a stored email for a filter's forward action
+ * The destination is checked on every run: it must still be a verified forwarding address
+ * of the account (it may have been deleted since the filter was saved).
+ * @param {string} userId - Inbox owner
+ * @param {string} tempEmailId - Temp email ID
+ * @param {string} tempEmailAddress - Temp email address
+ * @param {object} emailData - Received email data
+ * @param {string} to - Destination of the action
+ * @returns {Promise<object>} - { forwarded, reason, to }
+ */
+export const forwardReceivedEmailForFilter = async (userId, tempEmailId, tempEmailAddress, emailData, to) => {
+  const [rows] = await pool.query(
+    'SELECT id FROM forwarding_addresses WHERE user_id = ? AND address = ? AND verified_at IS NOT NULL',
+    [userId, to]
+  );
+
+  if (rows.length === 0) {
+    await logForward(userId, tempEmailId, emailData, to, 'skipped', 'not_verified');
+    return { forwarded: false, reason: 'not_verified', to };
+  }
+
+  return forwardWithinLimits(userId, tempEmailId, tempEmailAddress, emailData, to);
+};
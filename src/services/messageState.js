@@ -0,0 +1,194 @@
+// messageState.js - Read, starred and archived state of received messages
+// Database inboxes keep the flags on received_emails; guest and API inboxes keep them on
+// the messages in memory. Archived messages are left out of listings unless asked for.
+import { pool } from '../db/init.js';
+
+export const MESSAGE_FLAGS = ['is_read', 'is_starred', 'is_archived'];
+
+// Bulk actions, /received/bulk/:action
+export const BULK_ACTIONS = {
+  read: { is_read: true },
+  unread: { is_read: false },
+  star: { is_starred: true },
+  unstar: { is_starred: false },
+  archive: { is_archived: true },
+  unarchive: { is_archived: false }
+};
+
+const MAX_BULK_IDS = 500;
+
+/**
+ * Validate a state update from a request body
+ * @param {object} body - { is_read, is_starred, is_archived }, at least one boolean
+ * @returns {object} - { update } or { error }
+ */
+export const normalizeStateUpdate = (body = {}) => {
+  const update = {};
+
+  for (const flag of MESSAGE_FLAGS) {
+    if (body[flag] === undefined) continue;
+    if (typeof body[flag] !== 'boolean') {
+      return { error: `${flag} must be a boolean` };
+    }
+    update[flag] = body[flag];
+  }
+
+  if (Object.keys(update).length === 0) {
+    return { error: `At least one of ${MESSAGE_FLAGS.join(', ')} is required` };
+  }
+
+  return { update };
+};
+
+/**
+ * Validate the message IDs of a bulk update
+ * @param {Array} ids - Message IDs from the request body
+ * @returns {string|null} - Error message or null
+ */
+export const validateBulkIds = (ids) => {
+  if (!Array.isArray(ids) || ids.length === 0 || ids.some(id => typeof id !== 'string')) {
+    return 'Invalid email IDs';
+  }
+  if (ids.length > MAX_BULK_IDS) {
+    return `At most ${MAX_BULK_IDS} emails can be updated at once`;
+  }
+  return null;
+};
+
+/**
+ * Message state as returned by the API, with defaults for messages stored before the flags existed
+ * @param {object} message - Received email
+ * @returns {object} - { is_read, is_starred, is_archived }
+ */
+export const getMessageState = (message) => ({
+  is_read: !!message.is_read,
+  is_starred: !!message.is_starred,
+  is_archived: !!message.is_archived
+});
+
+/**
+ * Apply a state update to in-memory messages (guest, API and cached inboxes)
+ * @param {Array} messages - Inbox messages, changed in place
+ * @param {string[]|null} ids - Message IDs to update, null for all
+ * @param {object} update - Output of normalizeStateUpdate
+ * @returns {number} - Number of messages found
+ */
+export const applyStateToMessages = (messages, ids, update) => {
+  const idSet = ids ? new Set(ids) : null;
+  let count = 0;
+
+  for (const message of messages) {
+    if (idSet && !idSet.has(message.id)) continue;
+    Object.assign(message, update);
+    count++;
+  }
+
+  return count;
+};
+
+/**
+ * Update the state of received emails of a database inbox
+ * @param {string} tempEmailId - Temp email ID
+ * @param {string[]} ids - Received email IDs
+ * @param {object} update - Output of normalizeStateUpdate
+ * @returns {Promise<number>} - Number of emails found
+ */
+export const updateMessageState = async (tempEmailId, ids, update) => {
+  const flags = Object.keys(update).filter(flag => MESSAGE_FLAGS.includes(flag));
+
+  // Rows already in the requested state still count as found
+  const [result] = await pool.query(
+    `UPDATE received_emails SET ${flags.map(flag => `${flag} = ?`).join(', ')}
+     WHERE id IN (?) AND temp_email_id = ?`,
+    [...flags.map(flag => update[flag]), ids, tempEmailId]
+  );
+
+  return result.affectedRows;
+};
+
+/**
+ * Filter in-memory messages by the ?archived=, ?unread= and ?starred= query parameters
+ * @param {Array} messages - Inbox messages
+ * @param {object} query - Request query
+ * @returns {Array}
+ */
+export const filterByState = (messages, query = {}) => messages.filter(message => {
+  if (query.archived === 'only' ? !message.is_archived : (query.archived !== 'include' && message.is_archived)) {
+    return false;
+  }
+  if (query.unread === 'true' && message.is_read) {
+    return false;
+  }
+  if (query.starred === 'true' && !message.is_starred) {
+    return false;
+  }
+  return true;
+});
+
+/**
+ * SQL condition for the ?archived=, ?unread= and ?starred= query parameters
+ * @param {object} query - Request query
+ * @param {string} alias - received_emails table alias
+ * @returns {string} - Condition to append with AND (empty when nothing is filtered)
+ */
+export const stateFilterClause = (query = {}, alias = 're') => {
+  let clause = '';
+
+  if (query.archived === 'only') {
+    clause += ` AND ${alias}.is_archived = TRUE`;
+  } else if (query.archived !== 'include') {
+    clause += ` AND (${alias}.is_archived = FALSE OR ${alias}.is_archived IS NULL)`;
+  }
+  if (query.unread === 'true') {
+    clause += ` AND (${alias}.is_read = FALSE OR ${alias}.is_read IS NULL)`;
+  }
+  if (query.starred === 'true') {
+    clause += ` AND ${alias}.is_starred = TRUE`;
+  }
+
+  return clause;
+};
+
+/**
+ * Unread (and total) counts of in-memory messages, archived messages left out
+ * @param {Array} messages - Inbox messages
+ * @returns {object} - { unread_count, message_count }
+ */
+export const countMessageState = (messages = []) => {
+  const visible = messages.filter(message => !message.is_archived);
+  return {
+    unread_count: visible.filter(message => !message.is_read).length,
+    message_count: visible.length
+  };
+};
+
+/**
+ * Unread (and total) counts of database inboxes, archived messages left out
+ * @param {string[]} tempEmailIds - Temp email IDs
+ * @returns {Promise<Map>} - { tempEmailId: { unread_count, message_count } }
+ */
+export const getMessageStateCounts = async (tempEmailIds) => {
+  const counts = new Map();
+  if (tempEmailIds.length === 0) {
+    return counts;
+  }
+
+  const [rows] = await pool.query(
+    `SELECT temp_email_id,
+       COUNT(*) as message_count,
+       SUM(is_read = FALSE OR is_read IS NULL) as unread_count
+     FROM received_emails
+     WHERE temp_email_id IN (?) AND (is_archived = FALSE OR is_archived IS NULL)
+     GROUP BY temp_email_id`,
+    [tempEmailIds]
+  );
+
+  for (const row of rows) {
+    counts.set(row.temp_email_id, {
+      unread_count: Number(row.unread_count),
+      message_count: Number(row.message_count)
+    });
+  }
+
+  return counts;
+};
@@ -0,0 +1,304 @@
+// outboundMail.js - Sending new mail and replies from a temp email address
+// Mail for a domain goes through its relay (the relay must be allowed to send for the
+// domain in its SPF/DKIM records). Domains without a relay cannot send: the shared
+// transactional accounts of smtpManager would fail SPF/DMARC for them.
+// Every attempt is stored in sent_emails, which is also the "sent" view of the inbox and
+// the source of the rate limits. The row is stored as pending before the message is sent,
+// so concurrent requests cannot all pass the limits before any of them is recorded.
+//
+// Env:
+// - RELAY_DOMAIN_n, RELAY_HOST_n, RELAY_PORT_n, RELAY_USER_n, RELAY_PASS_n (n = 1-20):
+//   per-domain relays, RELAY_DOMAIN_n=* applies to every domain without its own relay
+// - SEND_LIMIT_PER_USER_HOUR: messages per account per hour (default 10)
+// - SEND_LIMIT_PER_USER_DAY: messages per account per day (default 50)
+// - SEND_LIMIT_PER_DOMAIN_HOUR: messages per sending domain per hour (default 200)
+// - SEND_MAX_RECIPIENTS: To and Cc addresses per message (default 5)
+import nodemailer from 'nodemailer';
+import { v4 as uuidv4 } from 'uuid';
+import { pool } from '../db/init.js';
+import { loadMessageHeaders } from '../utils/messageHeaders.js';
+
+export const SEND_LIMITS = {
+  userPerHour: parseInt(process.env.SEND_LIMIT_PER_USER_HOUR) || 10,
+  userPerDay: parseInt(process.env.SEND_LIMIT_PER_USER_DAY) || 50,
+  domainPerHour: parseInt(process.env.SEND_LIMIT_PER_DOMAIN_HOUR) || 200
+};
+
+const MAX_RECIPIENTS = parseInt(process.env.SEND_MAX_RECIPIENTS) || 5;
+const MAX_SUBJECT_LENGTH = 998;
+const MAX_BODY_SIZE = 256 * 1024; // 256 KB per body part
+const MAX_REFERENCES = 20;
+
+const relays = new Map(); // { domain: { config, transporter } }
+
+for (let i = 1; i <= 20; i++) {
+  const domain = process.env[`RELAY_DOMAIN_${i}`];
+  const host = process.env[`RELAY_HOST_${i}`];
+  if (!domain || !host) continue;
+
+  relays.set(domain.trim().toLowerCase(), {
+    config: {
+      host,
+      port: parseInt(process.env[`RELAY_PORT_${i}`] || '587'),
+      user: process.env[`RELAY_USER_${i}`],
+      pass: process.env[`RELAY_PASS_${i}`]
+    },
+    transporter: null
+  });
+}
+
+const getRelayTransporter = (domain) => {
+  const relay = relays.get(domain) || relays.get('*');
+  if (!relay) return null;
+
+  if (!relay.transporter) {
+    relay.transporter = nodemailer.createTransport({
+      host: relay.config.host,
+      port: relay.config.port,
+      secure: relay.config.port === 465,
+      auth: relay.config.user ? { user: relay.config.user, pass: relay.config.pass } : undefined
+    });
+  }
+  return relay.transporter;
+};
+
+const normalizeRecipients = (value) => {
+  const list = Array.isArray(value) ? value : (value ? String(value).split(',') : []);
+  return list.map(address => String(address).trim().toLowerCase()).filter(Boolean);
+};
+
+/**
+ * Normalize and validate a message from a request body
+ * @param {object} body - { to, cc, subject, text, html }
+ * @param {object} defaults - Values taken from the message being replied to
+ * @returns {object} - { message } or { error }
+ */
+export const normalizeOutgoingMessage = (body = {}, defaults = {}) => {
+  const to = normalizeRecipients(body.to ?? defaults.to);
+  const cc = normalizeRecipients(body.cc);
+
+  if (to.length === 0) {
+    return { error: 'At least one recipient is required' };
+  }
+  if (to.length + cc.length > MAX_RECIPIENTS) {
+    return { error: `Messages can have at most ${MAX_RECIPIENTS} recipients` };
+  }
+
+  const invalid = [...to, ...cc].find(address => !/^[^\s@<>,;]+@[^\s@<>,;]+\.[^\s@<>,;]+$/.test(address));
+  if (invalid) {
+    return { error: `Invalid recipient address: ${invalid}` };
+  }
+
+  const subject = typeof body.subject === 'string' ? body.subject.replace(/[\r\n]+/g, ' ').trim() : (defaults.subject || '');
+  if (subject.length > MAX_SUBJECT_LENGTH) {
+    return { error: `Subject must be at most ${MAX_SUBJECT_LENGTH} characters` };
+  }
+
+  const text = typeof body.text === 'string' ? body.text : null;
+  const html = typeof body.html === 'string' ? body.html : null;
+
+  if (!text && !html) {
+    return { error: 'A text or html body is required' };
+  }
+  if (Buffer.byteLength(text || '') > MAX_BODY_SIZE || Buffer.byteLength(html || '') > MAX_BODY_SIZE) {
+    return { error: 'Message body is too large' };
+  }
+
+  return { message: { to, cc, subject, text, html } };
+};
+
+/**
+ * Reply defaults for a received email: recipient, subject and threading headers
+ * @param {string} tempEmailId - Temp email that received the message
+ * @param {string} receivedEmailId - Received email ID
+ * @returns {Promise<object|null>} - { to, subject, in_reply_to, references, reply_to_email_id, thread_id } or null if not found
+ */
+export const getReplyContext = async (tempEmailId, receivedEmailId) => {
+  const [rows] = await pool.query(
+    `SELECT id, from_email, subject, message_id, COALESCE(thread_id, id) as thread_id
+     FROM received_emails WHERE id = ? AND temp_email_id = ?`,
+    [receivedEmailId, tempEmailId]
+  );
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const original = rows[0];
+  const headers = await loadMessageHeaders(original.id) || {};
+  const messageId = original.message_id || headers.message_id || null;
+  const replyTo = (headers.reply_to || '').match(/<([^>]+)>/)?.[1] || headers.reply_to;
+
+  // References: the parent's references followed by the parent itself
+  const references = [...(headers.references || [])];
+  if (messageId && !references.includes(messageId)) {
+    references.push(messageId);
+  }
+
+  const subject = original.subject || '';
+
+  return {
+    to: replyTo && replyTo.includes('@') ? replyTo.trim() : original.from_email,
+    subject: /^re:/i.test(subject) ? subject : `Re: ${subject}`,
+    in_reply_to: messageId,
+    references: references.slice(-MAX_REFERENCES),
+    reply_to_email_id: original.id,
+    thread_id: original.thread_id
+  };
+};
+
+/**
+ * Throw if the account or the sending domain went over its limits
+ * Runs after the pending row of the new message was stored, which is counted too.
+ */
+const checkSendLimits = async (userId, domain) => {
+  const [[counts]] = await pool.query(
+    `SELECT
+       COALESCE(SUM(user_id = ? AND sent_at > DATE_SUB(NOW(), INTERVAL 1 HOUR)), 0) as user_hour,
+       COALESCE(SUM(user_id = ?), 0) as user_day,
+       COALESCE(SUM(from_domain = ? AND sent_at > DATE_SUB(NOW(), INTERVAL 1 HOUR)), 0) as domain_hour
+     FROM sent_emails
+     WHERE status IN ('pending', 'sent') AND sent_at > DATE_SUB(NOW(), INTERVAL 1 DAY)
+       AND (user_id = ? OR from_domain = ?)`,
+    [userId, userId, domain, userId, domain]
+  );
+
+  if (Number(counts.user_hour) > SEND_LIMITS.userPerHour) {
+    throw new Error(`Sending limit reached (${SEND_LIMITS.userPerHour} messages per hour)`);
+  }
+  if (Number(counts.user_day) > SEND_LIMITS.userPerDay) {
+    throw new Error(`Sending limit reached (${SEND_LIMITS.userPerDay} messages per day)`);
+  }
+  if (Number(counts.domain_hour) > SEND_LIMITS.domainPerHour) {
+    throw new Error(`Sending limit reached for ${domain}, please try again later`);
+  }
+};
+
+const parseSentEmail = (row) => ({
+  ...row,
+  to_addresses: typeof row.to_addresses === 'string' ? JSON.parse(row.to_addresses) : row.to_addresses,
+  cc_addresses: typeof row.cc_addresses === 'string' ? JSON.parse(row.cc_addresses) : row.cc_addresses,
+  references_header: typeof row.references_header === 'string' ? JSON.parse(row.references_header) : row.references_header
+});
+
+/**
+ * Send a message from a temp email address and store it in the sent view
+ * @param {string} userId - Account owner
+ * @param {object} tempEmail - temp_emails row ({ id, email })
+ * @param {object} message - Output of normalizeOutgoingMessage
+ * @param {object} thread - Output of getReplyContext when replying
+ * @returns {Promise<object>} - Stored sent email
+ */
+export const sendFromTempEmail = async (userId, tempEmail, message, thread = null) => {
+  const from = tempEmail.email.toLowerCase();
+  const domain = from.split('@')[1];
+
+  const relay = getRelayTransporter(domain);
+  if (!relay) {
+    throw new Error(`Sending is not available for ${domain}`);
+  }
+
+  const id = uuidv4();
+  const messageId = `<${id}@${domain}>`;
+
+  // Reserve the slot: the pending row counts towards the limits and is removed if it went over
+  await pool.query(
+    `INSERT INTO sent_emails (
+      id, temp_email_id, user_id, message_id, from_address, from_domain, to_addresses, cc_addresses,
+      subject, body_text, body_html, in_reply_to, references_header, reply_to_email_id, thread_id, relay, status
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending')`,
+    [
+      id, tempEmail.id, userId, messageId, from, domain,
+      JSON.stringify(message.to), JSON.stringify(message.cc),
+      message.subject, message.text, message.html,
+      thread?.in_reply_to || null, JSON.stringify(thread?.references || []), thread?.reply_to_email_id || null,
+      // A new message starts a thread that replies to it will join
+      thread?.thread_id || id,
+      'relay'
+    ]
+  );
+
+  try {
+    await checkSendLimits(userId, domain);
+  } catch (error) {
+    await pool.query('DELETE FROM sent_emails WHERE id = ?', [id]);
+    throw error;
+  }
+
+  const mail = {
+    from,
+    to: message.to,
+    cc: message.cc.length > 0 ? message.cc : undefined,
+    subject: message.subject,
+    text: message.text || undefined,
+    html: message.html || undefined,
+    messageId,
+    inReplyTo: thread?.in_reply_to || undefined,
+    references: thread?.references?.length ? thread.references : undefined
+  };
+
+  let status = 'sent';
+  let sendError = null;
+
+  try {
+    await relay.sendMail(mail);
+  } catch (error) {
+    status = 'failed';
+    sendError = error.message.substring(0, 255);
+  }
+
+  await pool.query(
+    'UPDATE sent_emails SET status = ?, error = ? WHERE id = ?',
+    [status, sendError, id]
+  );
+
+  if (status === 'failed') {
+    throw new Error(`Failed to send message: ${sendError}`);
+  }
+
+  const [rows] = await pool.query('SELECT * FROM sent_emails WHERE id = ?', [id]);
+  return parseSentEmail(rows[0]);
+};
+
+/**
+ * Sent view of a temp email
+ * @param {string} tempEmailId - Temp email ID
+ * @param {object} options - { page, limit }
+ * @returns {Promise<object>} - { data, metadata }
+ */
+export const listSentEmails = async (tempEmailId, { page = 1, limit = 10 } = {}) => {
+  const offset = (page - 1) * limit;
+
+  const [[{ total }]] = await pool.query(
+    'SELECT COUNT(*) as total FROM sent_emails WHERE temp_email_id = ?',
+    [tempEmailId]
+  );
+  const [rows] = await pool.query(
+    `SELECT * FROM sent_emails WHERE temp_email_id = ?
+     ORDER BY sent_at DESC LIMIT ? OFFSET ?`,
+    [tempEmailId, limit, offset]
+  );
+
+  return {
+    data: rows.map(parseSentEmail),
+    metadata: {
+      total,
+      page,
+      limit,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+/**
+ * A single sent email of a temp email
+ * @param {string} tempEmailId - Temp email ID
+ * @param {string} sentEmailId - Sent email ID
+ * @returns {Promise<object|null>}
+ */
+export const getSentEmail = async (tempEmailId, sentEmailId) => {
+  const [rows] = await pool.query(
+    'SELECT * FROM sent_emails WHERE id = ? AND temp_email_id = ?',
+    [sentEmailId, tempEmailId]
+  );
+  return rows.length > 0 ? parseSentEmail(rows[0]) : null;
+};
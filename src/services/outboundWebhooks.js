@@ -0,0 +1,416 @@
+// outboundWebhooks.js - Signed callbacks to API users when mail arrives
+// A webhook belongs to an account and covers every inbox of it (API and database temp
+// emails) or a single one. Each stored message queues one delivery per matching webhook.
+// Deliveries are retried with backoff and marked dead once the attempts are used up;
+// dead deliveries stay in the log and can be redelivered by hand.
+//
+// Requests carry X-Webhook-Timestamp and X-Webhook-Signature: sha256=HMAC-SHA256(secret,
+// `${timestamp}.${body}`) in hex. Receivers should also reject old timestamps.
+//
+// Env:
+// - WEBHOOKS_MAX_PER_USER: webhooks per account (default 10)
+// - WEBHOOK_MAX_ATTEMPTS: attempts before a delivery is marked dead (default 8)
+// - WEBHOOK_TIMEOUT: request timeout in ms (default 10s)
+// - WEBHOOK_POLL_INTERVAL: retry worker interval in ms (default 15s)
+import crypto from 'crypto';
+import axios from 'axios';
+import { v4 as uuidv4 } from 'uuid';
+import { pool } from '../db/init.js';
+import { toAttachmentMetadata } from '../utils/attachments.js';
+import { isPrivateHost, publicRequestOptions } from '../utils/privateHosts.js';
+
+export const MAX_WEBHOOKS_PER_USER = parseInt(process.env.WEBHOOKS_MAX_PER_USER) || 10;
+export const DELIVERY_STATUSES = ['pending', 'delivered', 'dead'];
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const REQUEST_TIMEOUT = parseInt(process.env.WEBHOOK_TIMEOUT) || 10 * 1000;
+const POLL_INTERVAL = parseInt(process.env.WEBHOOK_POLL_INTERVAL) || 15 * 1000;
+const BASE_BACKOFF = 30 * 1000; // 30 seconds
+const MAX_BACKOFF = 6 * 60 * 60 * 1000; // 6 hours
+const MAX_URL_LENGTH = 2048;
+const MAX_DESCRIPTION_LENGTH = 255;
+const CACHE_TTL = 60 * 1000; // 1 minute
+
+// Active webhooks per account, refreshed on change or after the TTL
+const webhooksCache = new Map(); // { userId: { webhooks, expiresAt } }
+const processingDeliveries = new Set();
+
+let workerInterval = null;
+let workerRunning = false;
+
+const getBackoff = (attempts) => Math.min(BASE_BACKOFF * 2 ** (attempts - 1), MAX_BACKOFF);
+
+// The secret is only returned when the webhook is created
+const toPublicWebhook = ({ secret, ...webhook }) => ({ ...webhook, is_active: !!webhook.is_active });
+
+/**
+ * Normalize and validate a webhook from a request body
+ * @param {object} body - { url, email_id, description }
+ * @returns {object} - { webhook } or { error }
+ */
+export const normalizeWebhook = (body = {}) => {
+  let url;
+  try {
+    url = new URL(body.url);
+  } catch {
+    return { error: 'A valid url is required' };
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol) || isPrivateHost(url.hostname)) {
+    return { error: 'Webhook URLs must be public http(s) URLs' };
+  }
+  if (url.toString().length > MAX_URL_LENGTH) {
+    return { error: `Webhook URLs must be at most ${MAX_URL_LENGTH} characters` };
+  }
+  if (body.email_id !== undefined && body.email_id !== null && typeof body.email_id !== 'string') {
+    return { error: 'email_id must be a string' };
+  }
+
+  const description = typeof body.description === 'string' ? body.description.trim() : '';
+  if (description.length > MAX_DESCRIPTION_LENGTH) {
+    return { error: `Descriptions must be at most ${MAX_DESCRIPTION_LENGTH} characters` };
+  }
+
+  return {
+    webhook: {
+      url: url.toString(),
+      email_id: body.email_id || null,
+      description: description || null
+    }
+  };
+};
+
+/**
+ * Webhooks of an account (without their secrets)
+ * @param {string} userId - Account owner
+ * @returns {Promise<Array>}
+ */
+export const listWebhooks = async (userId) => {
+  const [rows] = await pool.query(
+    'SELECT * FROM webhooks WHERE user_id = ? ORDER BY created_at ASC',
+    [userId]
+  );
+  return rows.map(toPublicWebhook);
+};
+
+/**
+ * A single webhook of an account (without its secret)
+ * @param {string} userId - Account owner
+ * @param {string} webhookId - Webhook ID
+ * @returns {Promise<object|null>}
+ */
+export const getWebhook = async (userId, webhookId) => {
+  const [rows] = await pool.query(
+    'SELECT * FROM webhooks WHERE id = ? AND user_id = ?',
+    [webhookId, userId]
+  );
+  return rows.length > 0 ? toPublicWebhook(rows[0]) : null;
+};
+
+/**
+ * Create a webhook, the response is the only time its secret is shown
+ * @param {string} userId - Account owner
+ * @param {object} webhook - Output of normalizeWebhook
+ * @returns {Promise<object>} - Created webhook with its secret
+ */
+export const createWebhook = async (userId, webhook) => {
+  const [[{ count }]] = await pool.query(
+    'SELECT COUNT(*) as count FROM webhooks WHERE user_id = ?',
+    [userId]
+  );
+  if (Number(count) >= MAX_WEBHOOKS_PER_USER) {
+    throw new Error(`Webhook limit reached (${MAX_WEBHOOKS_PER_USER} per account)`);
+  }
+
+  const id = uuidv4();
+  const secret = `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+  await pool.query(
+    'INSERT INTO webhooks (id, user_id, email_id, url, secret, description) VALUES (?, ?, ?, ?, ?, ?)',
+    [id, userId, webhook.email_id, webhook.url, secret, webhook.description]
+  );
+  webhooksCache.delete(userId);
+
+  const [rows] = await pool.query('SELECT * FROM webhooks WHERE id = ?', [id]);
+  return { ...toPublicWebhook(rows[0]), secret };
+};
+
+/**
+ * Delete a webhook with its delivery log
+ * @param {string} userId - Account owner
+ * @param {string} webhookId - Webhook ID
+ * @returns {Promise<boolean>} - Whether the webhook existed
+ */
+export const deleteWebhook = async (userId, webhookId) => {
+  const [result] = await pool.query(
+    'DELETE FROM webhooks WHERE id = ? AND user_id = ?',
+    [webhookId, userId]
+  );
+  webhooksCache.delete(userId);
+
+  return result.affectedRows > 0;
+};
+
+const loadActiveWebhooks = async (userId) => {
+  const cached = webhooksCache.get(userId);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.webhooks;
+  }
+
+  const [webhooks] = await pool.query(
+    'SELECT id, email_id FROM webhooks WHERE user_id = ? AND is_active = TRUE',
+    [userId]
+  );
+
+  webhooksCache.set(userId, { webhooks, expiresAt: Date.now() + CACHE_TTL });
+  return webhooks;
+};
+
+/**
+ * Signature of a webhook request
+ * @param {string} secret - Webhook secret
+ * @param {number} timestamp - Unix time in seconds, sent as X-Webhook-Timestamp
+ * @param {string} body - Raw JSON body
+ * @returns {string} - Hex HMAC
+ */
+export const signWebhookPayload = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+/**
+ * Send a delivery once and record the outcome
+ * @param {object} delivery - webhook_deliveries row joined with the webhook's url and secret
+ * @returns {Promise<boolean>} - Whether it was delivered
+ */
+const attemptDelivery = async (delivery) => {
+  if (processingDeliveries.has(delivery.id)) return false;
+  processingDeliveries.add(delivery.id);
+
+  const attempts = delivery.attempts + 1;
+  let responseStatus = null;
+  let error = null;
+
+  try {
+    // Checked again here for webhooks stored before the host checks were tightened,
+    // IP literals skip the agents' lookup
+    if (isPrivateHost(new URL(delivery.url).hostname)) {
+      const blocked = new Error('Webhook URL points to a private host');
+      blocked.code = 'EPRIVATEHOST';
+      throw blocked;
+    }
+
+    const timestamp = Math.floor(Date.now() / 1000);
+    const response = await axios.post(delivery.url, delivery.payload, {
+      // Names are checked on connect
+      ...publicRequestOptions,
+      timeout: REQUEST_TIMEOUT,
+      maxRedirects: 0,
+      // Any status is recorded, only 2xx counts as delivered
+      validateStatus: () => true,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Boomlify-Webhooks/1.0',
+        'X-Webhook-Id': delivery.id,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${signWebhookPayload(delivery.secret, timestamp, delivery.payload)}`
+      }
+    });
+
+    responseStatus = response.status;
+    if (response.status < 200 || response.status >= 300) {
+      error = `HTTP ${response.status}`;
+    }
+  } catch (requestError) {
+    // The delivery log is visible to the user: blocked hosts, refused connections and timeouts
+    // all read the same, so it cannot be used to probe the network
+    console.warn(`Webhook delivery ${delivery.id} failed: ${requestError.code || requestError.message}`);
+    error = 'Connection failed';
+  }
+
+  try {
+    if (!error) {
+      await pool.query(
+        `UPDATE webhook_deliveries
+         SET status = 'delivered', attempts = ?, response_status = ?, last_error = NULL,
+           last_attempt_at = NOW(), delivered_at = NOW(), next_attempt_at = NULL
+         WHERE id = ?`,
+        [attempts, responseStatus, delivery.id]
+      );
+      return true;
+    }
+
+    const dead = attempts >= MAX_ATTEMPTS;
+    await pool.query(
+      `UPDATE webhook_deliveries
+       SET status = ?, attempts = ?, response_status = ?, last_error = ?, last_attempt_at = NOW(),
+         next_attempt_at = ?
+       WHERE id = ?`,
+      [
+        dead ? 'dead' : 'pending', attempts, responseStatus, error.substring(0, 255),
+        dead ? null : new Date(Date.now() + getBackoff(attempts)), delivery.id
+      ]
+    );
+
+    if (dead) {
+      console.warn(`Webhook delivery ${delivery.id} marked dead after ${attempts} attempts: ${error}`);
+    }
+    return false;
+  } finally {
+    processingDeliveries.delete(delivery.id);
+  }
+};
+
+const loadDelivery = async (deliveryId) => {
+  const [rows] = await pool.query(
+    `SELECT d.*, w.url, w.secret FROM webhook_deliveries d
+     JOIN webhooks w ON d.webhook_id = w.id
+     WHERE d.id = ?`,
+    [deliveryId]
+  );
+  return rows[0] || null;
+};
+
+/**
+ * Queue (and try right away) the message.received webhooks of a stored message
+ * @param {string} userId - Inbox owner
+ * @param {object} email - { id, address } of the API or temp email
+ * @param {object} message - Received email data
+ * @returns {Promise<number>} - Number of deliveries queued
+ */
+export const queueMessageWebhooks = async (userId, email, message) => {
+  if (!userId) return 0;
+
+  const webhooks = (await loadActiveWebhooks(userId))
+    .filter(webhook => !webhook.email_id || webhook.email_id === email.id);
+
+  for (const webhook of webhooks) {
+    const id = uuidv4();
+    const payload = JSON.stringify({
+      id,
+      event: 'message.received',
+      created_at: new Date().toISOString(),
+      webhook_id: webhook.id,
+      email: { id: email.id, address: email.address },
+      message: {
+        id: message.id,
+        message_id: message.message_id || null,
+        from_email: message.from_email,
+        from_name: message.from_name,
+        subject: message.subject,
+        body_text: message.body_text,
+        body_html: message.body_html,
+        received_at: message.received_at,
+        is_spam: !!message.is_spam,
+        otp_code: message.otp_code || null,
+        verification_links: message.verification_links || [],
+        attachments: (message.attachments || []).map(toAttachmentMetadata)
+      }
+    });
+
+    // The first attempt happens right away, the worker only picks the delivery up if that one is lost
+    await pool.query(
+      `INSERT INTO webhook_deliveries (id, webhook_id, event, email_id, message_id, payload, next_attempt_at)
+       VALUES (?, ?, 'message.received', ?, ?, ?, DATE_ADD(NOW(), INTERVAL 1 MINUTE))`,
+      [id, webhook.id, email.id, message.id, payload]
+    );
+
+    loadDelivery(id)
+      .then(delivery => delivery && attemptDelivery(delivery))
+      .catch(error => console.error(`Webhook delivery ${id} failed:`, error.message));
+  }
+
+  return webhooks.length;
+};
+
+/**
+ * Delivery log of a webhook, newest first
+ * @param {string} userId - Account owner
+ * @param {string} webhookId - Webhook ID
+ * @param {object} options - { status, limit, offset }
+ * @returns {Promise<object|null>} - { deliveries, total } or null if the webhook is not the user's
+ */
+export const listWebhookDeliveries = async (userId, webhookId, { status, limit = 50, offset = 0 } = {}) => {
+  if (!await getWebhook(userId, webhookId)) {
+    return null;
+  }
+
+  const statusClause = DELIVERY_STATUSES.includes(status) ? ' AND status = ?' : '';
+  const params = DELIVERY_STATUSES.includes(status) ? [webhookId, status] : [webhookId];
+
+  const [[{ total }]] = await pool.query(
+    `SELECT COUNT(*) as total FROM webhook_deliveries WHERE webhook_id = ?${statusClause}`,
+    params
+  );
+  const [deliveries] = await pool.query(
+    `SELECT id, event, email_id, message_id, status, attempts, next_attempt_at, last_attempt_at,
+       response_status, last_error, delivered_at, created_at
+     FROM webhook_deliveries WHERE webhook_id = ?${statusClause}
+     ORDER BY created_at DESC LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+
+  return { deliveries, total: Number(total) };
+};
+
+/**
+ * Send a delivery again (dead or delivered), with a fresh set of attempts
+ * @param {string} userId - Account owner
+ * @param {string} webhookId - Webhook ID
+ * @param {string} deliveryId - Delivery ID
+ * @returns {Promise<object|null>} - { delivered } or null if not found
+ */
+export const redeliverWebhook = async (userId, webhookId, deliveryId) => {
+  const [rows] = await pool.query(
+    `SELECT d.id FROM webhook_deliveries d
+     JOIN webhooks w ON d.webhook_id = w.id
+     WHERE d.id = ? AND d.webhook_id = ? AND w.user_id = ?`,
+    [deliveryId, webhookId, userId]
+  );
+  if (rows.length === 0) {
+    return null;
+  }
+
+  await pool.query(
+    `UPDATE webhook_deliveries SET status = 'pending', attempts = 0, next_attempt_at = DATE_ADD(NOW(), INTERVAL 1 MINUTE)
+     WHERE id = ?`,
+    [deliveryId]
+  );
+
+  const delivery = await loadDelivery(deliveryId);
+  return { delivered: await attemptDelivery(delivery) };
+};
+
+/**
+ * Retry every delivery that is due
+ */
+const processWebhookQueue = async () => {
+  if (workerRunning) return;
+  workerRunning = true;
+
+  try {
+    const [due] = await pool.query(
+      `SELECT d.*, w.url, w.secret FROM webhook_deliveries d
+       JOIN webhooks w ON d.webhook_id = w.id
+       WHERE d.status = 'pending' AND d.next_attempt_at <= NOW() AND w.is_active = TRUE
+       ORDER BY d.next_attempt_at ASC
+       LIMIT 50`
+    );
+
+    for (const delivery of due) {
+      await attemptDelivery(delivery);
+    }
+  } finally {
+    workerRunning = false;
+  }
+};
+
+/**
+ * Start the retry worker (deliveries left pending by a restart are picked up too)
+ */
+export const startWebhookWorker = () => {
+  if (workerInterval) return;
+
+  workerInterval = setInterval(() => {
+    processWebhookQueue().catch(error => console.error('Webhook worker error:', error));
+  }, POLL_INTERVAL);
+};
@@ -0,0 +1,195 @@
+// safeRender.js - Safe-render mode for HTML message bodies
+// Bodies are sanitized with an allowlist suited to email (tables, inline styles without
+// url()), tracking pixels are dropped, remote images go through the signed /links/image
+// proxy so opening a message never reaches the sender's servers (they are removed when
+// link signing is not configured), and cid: images are replaced with the matching inline
+// attachment as a data: URI.
+//
+// Env:
+// - SAFE_RENDER_MAX_INLINE_BYTES: total size of cid: images inlined per message (default 5 MB)
+import sanitizeHtml from 'sanitize-html';
+import { signLink, verifyLinkSignature, getPublicBaseUrl, isLinkSigningEnabled } from './linkExtractor.js';
+
+const MAX_INLINE_BYTES = parseInt(process.env.SAFE_RENDER_MAX_INLINE_BYTES) || 5 * 1024 * 1024;
+
+// Open-tracking endpoints of common email service providers
+const TRACKING_PIXEL_PATTERN = /(\/wf\/open|\/track\/open|\/open\.(gif|php|aspx)|\/e\/o\/|\/trk\/|[/._-](pixel|beacon|spacer)[/._?-]|[?&](open|pixel)=)/i;
+const HIDDEN_STYLE_PATTERN = /(display\s*:\s*none|visibility\s*:\s*hidden|opacity\s*:\s*0(\.0+)?\s*(;|$)|(width|height)\s*:\s*[01](px)?\s*(;|$))/i;
+
+// Style values may not load anything or run expressions
+const SAFE_STYLE_VALUE = [/^(?!.*(url|expression|image-set|@import)\s*\()[^<>]*$/i];
+const STYLE_PROPERTIES = [
+  'color', 'background-color', 'font', 'font-family', 'font-size', 'font-style', 'font-weight',
+  'text-align', 'text-decoration', 'text-transform', 'line-height', 'letter-spacing', 'white-space',
+  'vertical-align', 'display', 'width', 'max-width', 'min-width', 'height', 'max-height',
+  'margin', 'margin-top', 'margin-right', 'margin-bottom', 'margin-left',
+  'padding', 'padding-top', 'padding-right', 'padding-bottom', 'padding-left',
+  'border', 'border-top', 'border-right', 'border-bottom', 'border-left', 'border-color',
+  'border-width', 'border-style', 'border-radius', 'border-collapse', 'border-spacing',
+  'direction', 'list-style-type', 'table-layout', 'word-break', 'overflow-wrap'
+];
+
+const TABLE_ATTRIBUTES = ['width', 'height', 'align', 'valign', 'bgcolor', 'border', 'cellpadding', 'cellspacing', 'colspan', 'rowspan'];
+
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    ...sanitizeHtml.defaults.allowedTags.filter(tag => tag !== 'iframe'),
+    'img', 'font', 'center', 'u', 's', 'strike', 'small', 'big', 'sub', 'sup'
+  ],
+  allowedAttributes: {
+    '*': ['style', 'dir', 'lang', 'title', 'align'],
+    a: ['href', 'name', 'target', 'rel'],
+    img: ['src', 'alt', 'width', 'height', 'border'],
+    font: ['color', 'face', 'size'],
+    table: TABLE_ATTRIBUTES,
+    tr: TABLE_ATTRIBUTES,
+    td: TABLE_ATTRIBUTES,
+    th: TABLE_ATTRIBUTES,
+    col: ['width', 'span'],
+    colgroup: ['width', 'span']
+  },
+  allowedSchemes: ['http', 'https', 'mailto', 'tel'],
+  allowedSchemesByTag: { img: ['http', 'https', 'data'] },
+  allowedStyles: {
+    '*': Object.fromEntries(STYLE_PROPERTIES.map(property => [property, SAFE_STYLE_VALUE]))
+  },
+  // <style> blocks are dropped with their content: CSS can load remote resources
+  disallowedTagsMode: 'discard'
+};
+
+/**
+ * Whether an image looks like an open-tracking pixel
+ * @param {object} attribs - Attributes of the <img> tag
+ * @returns {boolean}
+ */
+export const isTrackingPixel = (attribs) => {
+  const width = parseInt(attribs.width);
+  const height = parseInt(attribs.height);
+
+  if ((!Number.isNaN(width) && width <= 1) || (!Number.isNaN(height) && height <= 1)) {
+    return true;
+  }
+  if (attribs.style && HIDDEN_STYLE_PATTERN.test(attribs.style)) {
+    return true;
+  }
+
+  return TRACKING_PIXEL_PATTERN.test(attribs.src || '');
+};
+
+/**
+ * Signature of an image proxy target (kept apart from redirect link signatures)
+ * @param {string} url - Image URL
+ * @returns {string} - Hex HMAC
+ */
+export const signImageUrl = (url) => signLink(`image:${url}`);
+
+/**
+ * Check the signature of an image proxy target
+ * @param {string} url - Image URL
+ * @param {string} signature - Signature from the query string
+ * @returns {boolean}
+ */
+export const verifyImageSignature = (url, signature) => verifyLinkSignature(`image:${url}`, signature);
+
+/**
+ * Sanitize an HTML body for display
+ * @param {string} html - HTML body
+ * @param {object} options
+ * @param {string} options.baseUrl - Public URL of this server, for proxied images
+ * @param {Array} options.attachments - Attachments with content_id and base64 content (for cid: images)
+ * @returns {object} - { html, stats: { trackers_removed, images_proxied, inline_images, images_removed } }
+ */
+export const renderSafeHtml = (html, { baseUrl, attachments = [] }) => {
+  const stats = { trackers_removed: 0, images_proxied: 0, inline_images: 0, images_removed: 0 };
+  if (!html) {
+    return { html: html || '', stats };
+  }
+
+  const inlineByCid = new Map(attachments
+    .filter(attachment => attachment.content_id && attachment.content)
+    .map(attachment => [attachment.content_id.toLowerCase(), attachment]));
+  let inlineBytes = 0;
+  const canProxy = isLinkSigningEnabled();
+
+  const resolveImage = (attribs) => {
+    const src = (attribs.src || '').trim();
+
+    if (/^cid:/i.test(src)) {
+      const attachment = inlineByCid.get(decodeURIComponent(src.slice(4)).replace(/^<|>$/g, '').toLowerCase());
+      if (!attachment || !/^image\/(png|jpe?g|gif|webp|bmp)$/i.test(attachment.content_type || '')) {
+        stats.images_removed++;
+        return null;
+      }
+
+      inlineBytes += attachment.content.length;
+      if (inlineBytes > MAX_INLINE_BYTES) {
+        stats.images_removed++;
+        return null;
+      }
+
+      stats.inline_images++;
+      return `data:${attachment.content_type.toLowerCase()};base64,${attachment.content}`;
+    }
+
+    if (/^data:image\/(png|jpe?g|gif|webp|bmp);base64,/i.test(src)) {
+      return src;
+    }
+
+    if (/^https?:\/\//i.test(src)) {
+      if (isTrackingPixel(attribs)) {
+        stats.trackers_removed++;
+        return null;
+      }
+      if (!canProxy) {
+        stats.images_removed++;
+        return null;
+      }
+
+      stats.images_proxied++;
+      return `${baseUrl}/links/image?url=${encodeURIComponent(src)}&sig=${signImageUrl(src)}`;
+    }
+
+    stats.images_removed++;
+    return null;
+  };
+
+  const sanitized = sanitizeHtml(html, {
+    ...SANITIZE_OPTIONS,
+    transformTags: {
+      a: (tagName, attribs) => ({
+        tagName,
+        attribs: { ...attribs, target: '_blank', rel: 'noopener noreferrer nofollow' }
+      }),
+      img: (tagName, attribs) => {
+        const src = resolveImage(attribs);
+        return { tagName, attribs: src ? { ...attribs, src } : {} };
+      }
+    },
+    // Images we could not (or would not) load are dropped instead of left broken
+    exclusiveFilter: (frame) => frame.tag === 'img' && !frame.attribs.src
+  });
+
+  return { html: sanitized, stats };
+};
+
+/**
+ * Copy of a message rendered safely when ?render=safe
+ * body_html is replaced with the sanitized body and safe_render holds what was changed.
+ * cid: images are only resolved when the attachments carry their content.
+ * @param {object} message - Received email
+ * @param {object} req - Express request
+ * @param {Array} attachments - Attachments with content (defaults to the message's own)
+ * @returns {object} - Message rendered safely, or unchanged
+ */
+export const withSafeRender = (message, req, attachments = message.attachments) => {
+  if (req.query.render !== 'safe') {
+    return message;
+  }
+
+  const { html, stats } = renderSafeHtml(message.body_html, {
+    baseUrl: getPublicBaseUrl(req),
+    attachments: attachments || []
+  });
+
+  return { ...message, body_html: html, safe_render: stats };
+};
@@ -0,0 +1,245 @@
+// senderRules.js - Per-inbox and per-account sender allowlists and blocklists
+// Rules match the sender address exactly, by domain (subdomains included) or by a
+// wildcard pattern (* and ?). Inbox rules take precedence over account rules, and
+// within one scope an allow rule beats a block rule. Once a scope has allow rules,
+// senders matching none of them are rejected.
+//
+// Env:
+// - SENDER_RULES_MAX_PER_USER: maximum number of rules per account (default 200)
+import { v4 as uuidv4 } from 'uuid';
+import { pool } from '../db/init.js';
+
+export const MAX_RULES_PER_USER = parseInt(process.env.SENDER_RULES_MAX_PER_USER) || 200;
+
+const ACTIONS = ['allow', 'block'];
+const MATCH_TYPES = ['email', 'domain', 'wildcard'];
+const CACHE_TTL = 60 * 1000; // 1 minute
+
+// Rules per account, refreshed on change or after the TTL
+const rulesCache = new Map(); // { userId: { rules, expiresAt } }
+
+const escapeRegex = (value) => value.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+
+const wildcardToRegex = (pattern) => {
+  return new RegExp(`^${escapeRegex(pattern).replace(/\*/g, '.*').replace(/\?/g, '.')}$`, 'i');
+};
+
+/**
+ * Match type implied by a pattern when none is given
+ * @param {string} pattern - Rule pattern
+ * @returns {string} - 'wildcard' | 'email' | 'domain'
+ */
+export const detectMatchType = (pattern) => {
+  if (/[*?]/.test(pattern)) return 'wildcard';
+  return /^[^@]+@/.test(pattern) ? 'email' : 'domain';
+};
+
+/**
+ * Normalize and validate a rule from a request body
+ * @param {object} body - { action, pattern, match_type }
+ * @returns {object} - { rule } or { error }
+ */
+export const normalizeSenderRule = ({ action, pattern, match_type } = {}) => {
+  if (!ACTIONS.includes(action)) {
+    return { error: `Action must be one of: ${ACTIONS.join(', ')}` };
+  }
+  if (!pattern || typeof pattern !== 'string' || pattern.trim().length > 255) {
+    return { error: 'Pattern is required and must be at most 255 characters' };
+  }
+
+  let normalizedPattern = pattern.trim().toLowerCase();
+  const matchType = match_type || detectMatchType(normalizedPattern);
+
+  if (!MATCH_TYPES.includes(matchType)) {
+    return { error: `Match type must be one of: ${MATCH_TYPES.join(', ')}` };
+  }
+
+  if (matchType === 'domain') {
+    normalizedPattern = normalizedPattern.replace(/^@/, '');
+    if (!/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(normalizedPattern)) {
+      return { error: 'Domain rules need a domain such as example.com' };
+    }
+  } else if (matchType === 'email') {
+    if (!/^[^\s@]+@[^\s@]+$/.test(normalizedPattern)) {
+      return { error: 'Email rules need a full address such as news@example.com' };
+    }
+  } else if (!/[*?]/.test(normalizedPattern)) {
+    return { error: 'Wildcard rules need at least one * or ?' };
+  }
+
+  return { rule: { action, pattern: normalizedPattern, match_type: matchType } };
+};
+
+/**
+ * Whether a rule matches a sender address
+ */
+const matchesRule = (rule, sender) => {
+  switch (rule.match_type) {
+    case 'email':
+      return sender === rule.pattern;
+    case 'domain': {
+      const domain = sender.split('@')[1] || '';
+      return domain === rule.pattern || domain.endsWith(`.${rule.pattern}`);
+    }
+    case 'wildcard':
+      return wildcardToRegex(rule.pattern).test(sender);
+    default:
+      return false;
+  }
+};
+
+/**
+ * Decide whether a sender may deliver to an inbox
+ * @param {Array} rules - Rules of the inbox owner (inbox and account scope)
+ * @param {string} sender - Sender address
+ * @param {string} inboxId - Temp email / API email ID
+ * @returns {object} - { allowed, rule, reason }
+ */
+export const evaluateSenderRules = (rules, sender, inboxId) => {
+  const address = (sender || '').trim().toLowerCase();
+  const scopes = [
+    rules.filter(rule => rule.temp_email_id === inboxId),
+    rules.filter(rule => !rule.temp_email_id)
+  ];
+
+  for (const scopeRules of scopes) {
+    const matches = scopeRules.filter(rule => matchesRule(rule, address));
+
+    const allowRule = matches.find(rule => rule.action === 'allow');
+    if (allowRule) {
+      return { allowed: true, rule: allowRule, reason: 'allowed_sender' };
+    }
+
+    const blockRule = matches.find(rule => rule.action === 'block');
+    if (blockRule) {
+      return { allowed: false, rule: blockRule, reason: 'blocked_sender' };
+    }
+
+    if (scopeRules.some(rule => rule.action === 'allow')) {
+      return { allowed: false, rule: null, reason: 'not_allowlisted' };
+    }
+  }
+
+  return { allowed: true, rule: null, reason: null };
+};
+
+const loadUserRules = async (userId) => {
+  const cached = rulesCache.get(userId);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.rules;
+  }
+
+  const [rules] = await pool.query(
+    'SELECT id, temp_email_id, action, pattern, match_type FROM sender_rules WHERE user_id = ?',
+    [userId]
+  );
+  rulesCache.set(userId, { rules, expiresAt: Date.now() + CACHE_TTL });
+  return rules;
+};
+
+/**
+ * Invalidate the cached rules of an account after a change
+ */
+export const invalidateSenderRulesCache = (userId) => {
+  rulesCache.delete(userId);
+};
+
+/**
+ * Check the sender rules of an inbox for a received email
+ * Blocked messages are counted on the matching rule and on the temp email
+ * @param {string} userId - Inbox owner
+ * @param {string} inboxId - Temp email / API email ID
+ * @param {object} emailData - Received email data
+ * @returns {Promise<object>} - { allowed, rule, reason }
+ */
+export const checkSenderRules = async (userId, inboxId, emailData) => {
+  if (!userId) {
+    return { allowed: true, rule: null, reason: null };
+  }
+
+  const rules = await loadUserRules(userId);
+  if (rules.length === 0) {
+    return { allowed: true, rule: null, reason: null };
+  }
+
+  const decision = evaluateSenderRules(rules, emailData.from_email, inboxId);
+
+  if (!decision.allowed) {
+    try {
+      if (decision.rule) {
+        await pool.query(
+          'UPDATE sender_rules SET blocked_count = blocked_count + 1, last_blocked_at = NOW() WHERE id = ?',
+          [decision.rule.id]
+        );
+      }
+      await pool.query('UPDATE temp_emails SET blocked_count = blocked_count + 1 WHERE id = ?', [inboxId]);
+    } catch (error) {
+      console.error('Failed to update sender rule counters:', error);
+    }
+  }
+
+  return decision;
+};
+
+/**
+ * Rules that apply to an inbox (its own rules and the account-wide ones)
+ * @param {string} userId - Inbox owner
+ * @param {string} inboxId - Temp email / API email ID
+ * @returns {Promise<Array>} - Rules with their scope, oldest first
+ */
+export const listSenderRules = async (userId, inboxId) => {
+  const [rules] = await pool.query(
+    `SELECT * FROM sender_rules
+     WHERE user_id = ? AND (temp_email_id = ? OR temp_email_id IS NULL)
+     ORDER BY created_at ASC`,
+    [userId, inboxId]
+  );
+
+  return rules.map(rule => ({ ...rule, scope: rule.temp_email_id ? 'inbox' : 'account' }));
+};
+
+/**
+ * Create a sender rule
+ * @param {string} userId - Account owner
+ * @param {string|null} inboxId - Temp email / API email ID, or null for an account-wide rule
+ * @param {object} rule - Output of normalizeSenderRule
+ * @returns {Promise<object>} - Stored rule
+ */
+export const createSenderRule = async (userId, inboxId, rule) => {
+  const [[{ total }]] = await pool.query(
+    'SELECT COUNT(*) as total FROM sender_rules WHERE user_id = ?',
+    [userId]
+  );
+  if (total >= MAX_RULES_PER_USER) {
+    throw new Error(`Sender rule limit reached (${MAX_RULES_PER_USER} per account)`);
+  }
+
+  const id = uuidv4();
+  await pool.query(
+    `INSERT INTO sender_rules (id, user_id, temp_email_id, action, pattern, match_type)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [id, userId, inboxId, rule.action, rule.pattern, rule.match_type]
+  );
+  invalidateSenderRulesCache(userId);
+
+  const [rows] = await pool.query('SELECT * FROM sender_rules WHERE id = ?', [id]);
+  return { ...rows[0], scope: inboxId ? 'inbox' : 'account' };
+};
+
+/**
+ * Delete a rule of an inbox or an account-wide rule
+ * @param {string} userId - Account owner
+ * @param {string} inboxId - Temp email / API email ID the request was made for
+ * @param {string} ruleId - Rule ID
+ * @returns {Promise<boolean>} - False if no such rule exists
+ */
+export const deleteSenderRule = async (userId, inboxId, ruleId) => {
+  const [result] = await pool.query(
+    `DELETE FROM sender_rules
+     WHERE id = ? AND user_id = ? AND (temp_email_id = ? OR temp_email_id IS NULL)`,
+    [ruleId, userId, inboxId]
+  );
+  invalidateSenderRulesCache(userId);
+
+  return result.affectedRows > 0;
+};
@@ -198,7 +198,8 @@ class SMTPManager {
     }
   }
 
-  async sendEmail(to, subject, html) {
+  // options: extra nodemailer message fields (text, replyTo, headers, attachments)
+  async sendEmail(to, subject, html, options = {}) {
     if (!this.transporter || !this.currentSMTP) {
       await this.initialize();
     }
@@ -221,7 +222,9 @@ class SMTPManager {
       }
 
       // Send email
+      // Options come first: the sender is always the SMTP account's own address
       const result = await this.transporter.sendMail({
+        ...options,
         from: `"${this.currentSMTP.from_name}" <${this.currentSMTP.from_email}>`,
         to,
         subject,
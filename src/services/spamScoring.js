@@ -0,0 +1,467 @@
+// spamScoring.js - Spam/phishing scoring for inbound mail
+// Runs as a stage of the inbound pipeline before the message is stored
+import { v4 as uuidv4 } from 'uuid';
+import { pool } from '../db/init.js';
+import { getHeaderValues, summarizeAuthentication } from '../utils/messageHeaders.js';
+
+// Verdict thresholds (total score / phishing score)
+export const SPAM_THRESHOLDS = {
+  suspicious: parseFloat(process.env.SPAM_SUSPICIOUS_THRESHOLD) || 2.5,
+  spam: parseFloat(process.env.SPAM_THRESHOLD) || 5,
+  phishing: parseFloat(process.env.SPAM_PHISHING_THRESHOLD) || 4
+};
+
+// Keyword rules created the first time the scorer starts with an empty table
+const DEFAULT_KEYWORD_RULES = [
+  { name: 'Lottery win', pattern: 'you have won', target: 'any', weight: 2, category: 'spam' },
+  { name: 'Free money', pattern: '\\b(free money|cash prize|100% free)\\b', target: 'any', is_regex: true, weight: 1.5, category: 'spam' },
+  { name: 'Crypto giveaway', pattern: '\\b(bitcoin|crypto|btc)\\b.*\\b(giveaway|double|investment)\\b', target: 'any', is_regex: true, weight: 2, category: 'spam' },
+  { name: 'Verify account', pattern: '\\b(verify|confirm|update) your (account|password|billing)\\b', target: 'any', is_regex: true, weight: 1.5, category: 'phishing' },
+  { name: 'Account suspended', pattern: '\\baccount (has been |will be )?(suspended|locked|disabled)\\b', target: 'any', is_regex: true, weight: 2, category: 'phishing' },
+  { name: 'Urgent action', pattern: '\\b(urgent|immediate) action required\\b', target: 'subject', is_regex: true, weight: 1, category: 'phishing' }
+];
+
+const URL_SHORTENERS = new Set(['bit.ly', 'tinyurl.com', 't.co', 'goo.gl', 'ow.ly', 'is.gd', 'buff.ly', 'cutt.ly', 'rb.gy']);
+
+// Rules and blocklist cache
+const spamDataCache = {
+  rules: [],
+  blocklist: { sender: new Set(), domain: new Set(), url: new Set() },
+  lastUpdate: 0,
+  TTL: 5 * 60 * 1000 // 5 minutes
+};
+
+// Registered checks, run in order for every inbound message
+const spamChecks = [];
+
+/**
+ * Register an additional scoring check
+ * @param {string} name - Check name (shown in spam_reasons)
+ * @param {Function} check - async (context) => ({ score, phishing, reasons }) or null
+ */
+export const registerSpamCheck = (name, check) => {
+  spamChecks.push({ name, check });
+};
+
+/**
+ * Invalidate the rules/blocklist cache after admin changes
+ */
+export const invalidateSpamDataCache = () => {
+  spamDataCache.lastUpdate = 0;
+};
+
+/**
+ * Load active rules and the blocklist (with caching)
+ */
+const loadSpamData = async () => {
+  if (Date.now() - spamDataCache.lastUpdate <= spamDataCache.TTL) {
+    return spamDataCache;
+  }
+
+  const [rules] = await pool.query('SELECT * FROM spam_rules WHERE is_active = TRUE');
+  const [entries] = await pool.query('SELECT type, value FROM spam_blocklist');
+
+  const blocklist = { sender: new Set(), domain: new Set(), url: new Set() };
+  for (const entry of entries) {
+    blocklist[entry.type]?.add(entry.value.toLowerCase());
+  }
+
+  spamDataCache.rules = rules.map(rule => ({
+    ...rule,
+    weight: parseFloat(rule.weight),
+    matcher: buildRuleMatcher(rule)
+  })).filter(rule => rule.matcher);
+  spamDataCache.blocklist = blocklist;
+  spamDataCache.lastUpdate = Date.now();
+
+  return spamDataCache;
+};
+
+/**
+ * Compile a keyword rule into a test function (null if the regex is invalid)
+ */
+const buildRuleMatcher = (rule) => {
+  if (rule.is_regex) {
+    try {
+      const regex = new RegExp(rule.pattern, 'i');
+      return (text) => regex.test(text);
+    } catch (error) {
+      console.error(`Invalid spam rule pattern (${rule.id}):`, error.message);
+      return null;
+    }
+  }
+
+  const needle = rule.pattern.toLowerCase();
+  return (text) => text.toLowerCase().includes(needle);
+};
+
+/**
+ * Validate a keyword rule pattern
+ * @param {string} pattern - Rule pattern
+ * @param {boolean} isRegex - Whether the pattern is a regular expression
+ * @returns {string|null} - Error message or null if valid
+ */
+export const validateRulePattern = (pattern, isRegex) => {
+  if (!pattern || typeof pattern !== 'string') {
+    return 'Pattern is required';
+  }
+  if (pattern.length > 500) {
+    return 'Pattern must be at most 500 characters';
+  }
+  if (isRegex) {
+    try {
+      new RegExp(pattern, 'i');
+    } catch (error) {
+      return `Invalid regular expression: ${error.message}`;
+    }
+  }
+  return null;
+};
+
+const extractAddress = (value) => {
+  if (!value) return null;
+  const match = value.match(/<([^>]+)>/) || value.match(/[^\s<>"]+@[^\s<>"]+/);
+  return match ? (match[1] || match[0]).toLowerCase() : null;
+};
+
+const domainOf = (address) => address?.split('@')[1]?.toLowerCase() || null;
+
+const hostnameOf = (url) => {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Extract http(s) URLs from the HTML and text bodies
+ */
+const extractUrls = (html, text) => {
+  const urls = new Set();
+  const pattern = /https?:\/\/[^\s"'<>()]+/gi;
+  for (const source of [html, text]) {
+    for (const match of (source || '').matchAll(pattern)) {
+      urls.add(match[0].replace(/[.,;]+$/, ''));
+    }
+  }
+  return [...urls];
+};
+
+/**
+ * Header heuristics: missing standard headers, Reply-To mismatch, shouty subjects, upstream spam flags
+ */
+const checkHeaders = async ({ headerLines, emailData, fromAddress }) => {
+  const reasons = [];
+  let score = 0;
+  let phishing = 0;
+
+  if (headerLines.length === 0) {
+    return null;
+  }
+
+  if (getHeaderValues(headerLines, 'message-id').length === 0) {
+    score += 1;
+    reasons.push('Missing Message-ID header');
+  }
+
+  if (getHeaderValues(headerLines, 'date').length === 0) {
+    score += 0.5;
+    reasons.push('Missing Date header');
+  }
+
+  const replyTo = extractAddress(getHeaderValues(headerLines, 'reply-to')[0]);
+  if (replyTo && fromAddress && domainOf(replyTo) !== domainOf(fromAddress)) {
+    score += 1;
+    phishing += 1;
+    reasons.push(`Reply-To domain differs from From (${domainOf(replyTo)})`);
+  }
+
+  // Display name pretending to be a different address
+  const fromHeader = getHeaderValues(headerLines, 'from')[0] || '';
+  const displayName = fromHeader.split('<')[0];
+  const displayAddress = extractAddress(displayName);
+  if (displayAddress && fromAddress && displayAddress !== fromAddress) {
+    score += 2;
+    phishing += 2;
+    reasons.push('From display name contains a different address');
+  }
+
+  const subject = emailData.subject || '';
+  const letters = subject.replace(/[^a-zA-Z]/g, '');
+  if (letters.length >= 10 && letters === letters.toUpperCase()) {
+    score += 1;
+    reasons.push('Subject is all capitals');
+  }
+  if (/!{3,}/.test(subject)) {
+    score += 0.5;
+    reasons.push('Subject has excessive exclamation marks');
+  }
+
+  const upstreamFlag = getHeaderValues(headerLines, 'x-spam-flag')[0] || getHeaderValues(headerLines, 'x-spam-status')[0];
+  if (upstreamFlag && /^yes\b/i.test(upstreamFlag)) {
+    score += 3;
+    reasons.push('Flagged as spam upstream');
+  }
+
+  return { score, phishing, reasons };
+};
+
+/**
+ * Authentication-Results: SPF/DKIM/DMARC failures
+ */
+const checkAuthenticationResults = async ({ emailData }) => {
+  if (!emailData.headers?.authentication_results?.length && !emailData.headers?.received_spf) {
+    return null;
+  }
+
+  const { spf, dkim, dmarc } = summarizeAuthentication(emailData.headers);
+  const reasons = [];
+  let score = 0;
+  let phishing = 0;
+
+  if (spf.result === 'fail') {
+    score += 2;
+    phishing += 1;
+    reasons.push('SPF failed');
+  } else if (spf.result === 'softfail') {
+    score += 1;
+    reasons.push('SPF soft-failed');
+  }
+
+  if (dkim.some(result => result.result === 'fail')) {
+    score += 1.5;
+    reasons.push('DKIM failed');
+  }
+
+  if (dmarc.result === 'fail') {
+    score += 3;
+    phishing += 2;
+    reasons.push('DMARC failed');
+  }
+
+  return { score, phishing, reasons };
+};
+
+/**
+ * Local blocklist (sender address, sender domain, URL hostnames) and suspicious links
+ */
+const checkBlocklistAndUrls = async ({ emailData, fromAddress, urls, spamData }) => {
+  const { blocklist } = spamData;
+  const reasons = [];
+  let score = 0;
+  let phishing = 0;
+
+  const senders = new Set([fromAddress, emailData.from_email?.toLowerCase()].filter(Boolean));
+  for (const sender of senders) {
+    if (blocklist.sender.has(sender)) {
+      score += 10;
+      reasons.push(`Sender ${sender} is blocklisted`);
+    } else if (blocklist.domain.has(domainOf(sender))) {
+      score += 10;
+      reasons.push(`Sender domain ${domainOf(sender)} is blocklisted`);
+    }
+  }
+
+  let shortenerFound = false;
+  let ipLinkFound = false;
+  for (const url of urls) {
+    const hostname = hostnameOf(url);
+    if (!hostname) continue;
+
+    const blocked = [...blocklist.url].find(entry => hostname === entry || hostname.endsWith(`.${entry}`) || url.toLowerCase().startsWith(entry));
+    if (blocked) {
+      score += 5;
+      phishing += 3;
+      reasons.push(`Link to blocklisted URL ${blocked}`);
+    }
+
+    if (!ipLinkFound && /^\d{1,3}(\.\d{1,3}){3}$/.test(hostname)) {
+      ipLinkFound = true;
+      score += 1.5;
+      phishing += 1.5;
+      reasons.push('Link to a bare IP address');
+    }
+
+    if (!shortenerFound && URL_SHORTENERS.has(hostname)) {
+      shortenerFound = true;
+      score += 0.5;
+      reasons.push('Link uses a URL shortener');
+    }
+  }
+
+  // Anchor text showing one domain while the link goes elsewhere
+  const anchorPattern = /<a\b[^>]*href=["'](https?:\/\/[^"']+)["'][^>]*>([\s\S]*?)<\/a>/gi;
+  for (const [, href, text] of (emailData.body_html || '').matchAll(anchorPattern)) {
+    const shownUrl = text.replace(/<[^>]+>/g, '').trim().match(/^(https?:\/\/)?([a-z0-9-]+\.)+[a-z]{2,}/i)?.[0];
+    const shownHost = shownUrl && hostnameOf(shownUrl.startsWith('http') ? shownUrl : `http://${shownUrl}`);
+    const actualHost = hostnameOf(href);
+    if (shownHost && actualHost && shownHost !== actualHost && !actualHost.endsWith(`.${shownHost}`)) {
+      score += 2;
+      phishing += 2;
+      reasons.push(`Link text shows ${shownHost} but points to ${actualHost}`);
+      break;
+    }
+  }
+
+  return { score, phishing, reasons };
+};
+
+/**
+ * Admin-managed keyword rules
+ */
+const checkKeywordRules = async ({ emailData, fromAddress, spamData }) => {
+  const reasons = [];
+  let score = 0;
+  let phishing = 0;
+
+  const fields = {
+    subject: emailData.subject || '',
+    body: `${emailData.body_text || ''}\n${(emailData.body_html || '').replace(/<[^>]+>/g, ' ')}`,
+    from: `${emailData.from_name || ''} ${fromAddress || emailData.from_email || ''}`
+  };
+  fields.any = `${fields.subject}\n${fields.from}\n${fields.body}`;
+
+  for (const rule of spamData.rules) {
+    if (rule.matcher(fields[rule.target] || fields.any)) {
+      score += rule.weight;
+      if (rule.category === 'phishing') {
+        phishing += rule.weight;
+      }
+      reasons.push(`Matched rule "${rule.name}"`);
+    }
+  }
+
+  return { score, phishing, reasons };
+};
+
+registerSpamCheck('headers', checkHeaders);
+registerSpamCheck('authentication', checkAuthenticationResults);
+registerSpamCheck('blocklist', checkBlocklistAndUrls);
+registerSpamCheck('keywords', checkKeywordRules);
+
+/**
+ * Turn a score into a verdict
+ * @returns {string} - 'clean' | 'suspicious' | 'spam' | 'phishing'
+ */
+const getVerdict = (score, phishingScore) => {
+  if (phishingScore >= SPAM_THRESHOLDS.phishing && score >= SPAM_THRESHOLDS.suspicious) {
+    return 'phishing';
+  }
+  if (score >= SPAM_THRESHOLDS.spam) {
+    return 'spam';
+  }
+  if (score >= SPAM_THRESHOLDS.suspicious) {
+    return 'suspicious';
+  }
+  return 'clean';
+};
+
+/**
+ * Score an inbound message
+ * A failing check is logged and skipped so scoring never blocks delivery
+ * @param {object} parsedEmail - Output of parseEmailContent
+ * @param {object} emailData - Output of buildEmailData
+ * @returns {Promise<object>} - { is_spam, spam_score, spam_verdict, spam_reasons }
+ */
+export const scoreEmail = async (parsedEmail, emailData) => {
+  let spamData;
+  try {
+    spamData = await loadSpamData();
+  } catch (error) {
+    console.error('Failed to load spam rules, scoring with built-in checks only:', error);
+    spamData = { rules: [], blocklist: { sender: new Set(), domain: new Set(), url: new Set() } };
+  }
+
+  const headerLines = parsedEmail.headerLines || [];
+  const context = {
+    parsedEmail,
+    emailData,
+    headerLines,
+    fromAddress: extractAddress(getHeaderValues(headerLines, 'from')[0]) || emailData.from_email?.toLowerCase(),
+    urls: extractUrls(emailData.body_html, emailData.body_text),
+    spamData
+  };
+
+  let score = 0;
+  let phishingScore = 0;
+  const reasons = [];
+
+  for (const { name, check } of spamChecks) {
+    try {
+      const result = await check(context);
+      if (!result) continue;
+
+      score += result.score || 0;
+      phishingScore += result.phishing || 0;
+      reasons.push(...(result.reasons || []));
+    } catch (error) {
+      console.error(`Spam check "${name}" failed:`, error);
+    }
+  }
+
+  const verdict = getVerdict(score, phishingScore);
+
+  return {
+    is_spam: verdict === 'spam' || verdict === 'phishing',
+    spam_score: Math.round(score * 100) / 100,
+    spam_verdict: verdict,
+    spam_reasons: reasons
+  };
+};
+
+/**
+ * Filter a message list by the ?spam= query parameter
+ * @param {Array} messages - Messages with is_spam set
+ * @param {string} mode - 'include' (default), 'exclude' or 'only'
+ * @returns {Array} - Filtered messages
+ */
+export const filterBySpam = (messages, mode) => {
+  if (mode === 'exclude') {
+    return messages.filter(message => !message.is_spam);
+  }
+  if (mode === 'only') {
+    return messages.filter(message => message.is_spam);
+  }
+  return messages;
+};
+
+/**
+ * SQL condition for the ?spam= query parameter
+ * @param {string} mode - 'include' (default), 'exclude' or 'only'
+ * @param {string} alias - received_emails table alias
+ * @returns {string} - Condition to append with AND (empty for 'include')
+ */
+export const spamFilterClause = (mode, alias = 're') => {
+  if (mode === 'exclude') {
+    return ` AND (${alias}.is_spam = FALSE OR ${alias}.is_spam IS NULL)`;
+  }
+  if (mode === 'only') {
+    return ` AND ${alias}.is_spam = TRUE`;
+  }
+  return '';
+};
+
+/**
+ * Seed the default keyword rules if the table is empty and warm the cache
+ */
+export const initializeSpamScoring = async () => {
+  try {
+    const [[{ count }]] = await pool.query('SELECT COUNT(*) as count FROM spam_rules');
+
+    if (Number(count) === 0) {
+      for (const rule of DEFAULT_KEYWORD_RULES) {
+        await pool.query(
+          `INSERT INTO spam_rules (id, name, pattern, target, is_regex, weight, category)
+           VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          [uuidv4(), rule.name, rule.pattern, rule.target, !!rule.is_regex, rule.weight, rule.category]
+        );
+      }
+      console.log(`Seeded ${DEFAULT_KEYWORD_RULES.length} default spam rules`);
+    }
+
+    await loadSpamData();
+  } catch (error) {
+    console.error('Failed to initialize spam scoring:', error);
+  }
+};
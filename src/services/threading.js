@@ -0,0 +1,270 @@
+// threading.js - Conversation threads of received (and sent) emails
+// A message joins the thread of the first earlier message of its inbox it refers to
+// (In-Reply-To, then References from the nearest ancestor up), including mail sent from
+// the inbox. Replies and forwards that refer to nothing we have are grouped by normalized
+// subject within THREAD_SUBJECT_WINDOW_DAYS. A thread ID is the ID of its first message.
+//
+// Env:
+// - THREAD_SUBJECT_WINDOW_DAYS: how far back subject-only matches look (default 30)
+import { pool } from '../db/init.js';
+
+const SUBJECT_WINDOW_DAYS = parseInt(process.env.THREAD_SUBJECT_WINDOW_DAYS) || 30;
+const MAX_THREAD_SUBJECT = 255;
+
+// Reply/forward prefixes in common languages, with optional counters (Re[2]:) and list tags ([list])
+const SUBJECT_PREFIX_PATTERN = /^\s*(?:(?:re|fwd?|aw|wg|sv|vs|antw|tr|rif|enc|odp|res)(?:\s*\[\d+\]|\s*\(\d+\))?\s*[:：]\s*|\[[^\]]{1,40}\]\s*)/i;
+
+/**
+ * Subject used to group messages: reply/forward prefixes and list tags removed, lowercase
+ * @param {string} subject - Original subject
+ * @returns {string}
+ */
+export const normalizeThreadSubject = (subject) => {
+  let normalized = String(subject || '');
+  let previous;
+  do {
+    previous = normalized;
+    normalized = normalized.replace(SUBJECT_PREFIX_PATTERN, '');
+  } while (normalized !== previous);
+
+  return normalized.replace(/\s+/g, ' ').trim().toLowerCase().substring(0, MAX_THREAD_SUBJECT);
+};
+
+/**
+ * Whether a subject carries a reply or forward prefix
+ * @param {string} subject - Original subject
+ * @returns {boolean}
+ */
+export const isReplySubject = (subject) => /^\s*(?:\[[^\]]{1,40}\]\s*)*(?:re|fwd?|aw|wg|sv|vs|antw|tr|rif|enc|odp|res)(?:\s*\[\d+\]|\s*\(\d+\))?\s*[:：]/i.test(subject || '');
+
+const getThreadSubject = (message) => message.thread_subject
+  ?? normalizeThreadSubject(message.original_subject ?? message.subject);
+
+/**
+ * Message-IDs a message refers to, nearest ancestor first
+ * @param {object} message - Received email data (message_id, headers)
+ * @returns {string[]}
+ */
+export const getThreadReferences = (message) => {
+  const headers = message.headers || {};
+  const references = [
+    ...(headers.in_reply_to?.match(/<[^>]+>/g) || []),
+    ...[...(headers.references || [])].reverse()
+  ];
+
+  return [...new Set(references)].filter(reference => reference !== message.message_id);
+};
+
+/**
+ * Thread of a message that is about to be stored in a database inbox
+ * Sets thread_id and thread_subject on emailData.
+ * @param {string} tempEmailId - Temp email ID
+ * @param {object} emailData - Received email data
+ * @param {object} db - Pool or transaction connection
+ * @returns {Promise<string>} - Thread ID
+ */
+export const assignThread = async (tempEmailId, emailData, db = pool) => {
+  emailData.thread_subject = getThreadSubject(emailData);
+  const references = getThreadReferences(emailData);
+
+  if (references.length > 0) {
+    const [received] = await db.query(
+      `SELECT message_id, COALESCE(thread_id, id) as thread_id FROM received_emails
+       WHERE temp_email_id = ? AND message_id IN (?)`,
+      [tempEmailId, references]
+    );
+    const [sent] = await db.query(
+      'SELECT message_id, thread_id FROM sent_emails WHERE temp_email_id = ? AND message_id IN (?) AND thread_id IS NOT NULL',
+      [tempEmailId, references]
+    );
+
+    const byMessageId = new Map([...received, ...sent].map(row => [row.message_id, row.thread_id]));
+    const reference = references.find(messageId => byMessageId.has(messageId));
+    if (reference) {
+      emailData.thread_id = byMessageId.get(reference);
+      return emailData.thread_id;
+    }
+  }
+
+  // Subject-only matches are limited to replies and forwards, "Your code" mails stay apart
+  if (emailData.thread_subject && (references.length > 0 || isReplySubject(emailData.original_subject))) {
+    const [matches] = await db.query(
+      `SELECT COALESCE(thread_id, id) as thread_id FROM received_emails
+       WHERE temp_email_id = ? AND thread_subject = ?
+         AND received_at > DATE_SUB(NOW(), INTERVAL ? DAY)
+       ORDER BY received_at DESC LIMIT 1`,
+      [tempEmailId, emailData.thread_subject, SUBJECT_WINDOW_DAYS]
+    );
+    if (matches.length > 0) {
+      emailData.thread_id = matches[0].thread_id;
+      return emailData.thread_id;
+    }
+  }
+
+  emailData.thread_id = emailData.id;
+  return emailData.thread_id;
+};
+
+const summarizeThread = (threadId, messages) => {
+  const sorted = [...messages].sort((a, b) => new Date(a.received_at) - new Date(b.received_at));
+  const last = sorted[sorted.length - 1];
+
+  return {
+    thread_id: threadId,
+    subject: sorted[0].subject,
+    message_count: sorted.length,
+    unread_count: sorted.filter(message => !message.is_read).length,
+    participants: [...new Set(sorted.map(message => message.from_email).filter(Boolean))],
+    has_attachments: sorted.some(message => (message.attachments || []).length > 0),
+    first_received_at: sorted[0].received_at,
+    last_received_at: last.received_at,
+    last_message: {
+      id: last.id,
+      from_email: last.from_email,
+      from_name: last.from_name,
+      subject: last.subject
+    }
+  };
+};
+
+/**
+ * Group in-memory messages (API inboxes) into threads, same rules as assignThread
+ * @param {Array} messages - Messages of one inbox
+ * @returns {Array} - Threads, most recently active first, each with its messages oldest first
+ */
+export const groupIntoThreads = (messages) => {
+  const sorted = [...messages].sort((a, b) => new Date(a.received_at) - new Date(b.received_at));
+  const threadByMessageId = new Map();
+  const threadBySubject = new Map(); // { subject: { threadId, receivedAt } }
+  const threads = new Map(); // { threadId: [messages] }
+  const windowMs = SUBJECT_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+
+  for (const message of sorted) {
+    const subject = getThreadSubject(message);
+    const references = getThreadReferences(message);
+    let threadId = references.map(reference => threadByMessageId.get(reference)).find(Boolean);
+
+    if (!threadId && subject && (references.length > 0 || isReplySubject(message.original_subject))) {
+      const match = threadBySubject.get(subject);
+      if (match && new Date(message.received_at) - new Date(match.receivedAt) <= windowMs) {
+        threadId = match.threadId;
+      }
+    }
+
+    threadId = threadId || message.id;
+    if (message.message_id) threadByMessageId.set(message.message_id, threadId);
+    if (subject) threadBySubject.set(subject, { threadId, receivedAt: message.received_at });
+
+    if (!threads.has(threadId)) threads.set(threadId, []);
+    threads.get(threadId).push({ ...message, thread_id: threadId });
+  }
+
+  return [...threads.entries()]
+    .map(([threadId, threadMessages]) => ({ ...summarizeThread(threadId, threadMessages), messages: threadMessages }))
+    .sort((a, b) => new Date(b.last_received_at) - new Date(a.last_received_at));
+};
+
+/**
+ * Threads of a database inbox
+ * Emails stored before threading existed are threads of their own.
+ * @param {string} tempEmailId - Temp email ID
+ * @param {object} options - { page, limit }
+ * @returns {Promise<object>} - { data, metadata }
+ */
+export const listThreads = async (tempEmailId, { page = 1, limit = 20 } = {}) => {
+  const offset = (page - 1) * limit;
+
+  const [[{ total }]] = await pool.query(
+    'SELECT COUNT(DISTINCT COALESCE(thread_id, id)) as total FROM received_emails WHERE temp_email_id = ?',
+    [tempEmailId]
+  );
+
+  const [threads] = await pool.query(
+    `SELECT COALESCE(thread_id, id) as thread_id,
+       COUNT(*) as message_count,
+       SUM(is_read = FALSE OR is_read IS NULL) as unread_count,
+       MIN(received_at) as first_received_at,
+       MAX(received_at) as last_received_at
+     FROM received_emails
+     WHERE temp_email_id = ?
+     GROUP BY COALESCE(thread_id, id)
+     ORDER BY last_received_at DESC
+     LIMIT ? OFFSET ?`,
+    [tempEmailId, limit, offset]
+  );
+
+  if (threads.length > 0) {
+    const [messages] = await pool.query(
+      `SELECT id, COALESCE(thread_id, id) as thread_id, from_email, from_name, subject, received_at
+       FROM received_emails
+       WHERE temp_email_id = ? AND COALESCE(thread_id, id) IN (?)
+       ORDER BY received_at ASC`,
+      [tempEmailId, threads.map(thread => thread.thread_id)]
+    );
+
+    const byThread = new Map();
+    for (const message of messages) {
+      if (!byThread.has(message.thread_id)) byThread.set(message.thread_id, []);
+      byThread.get(message.thread_id).push(message);
+    }
+
+    for (const thread of threads) {
+      const threadMessages = byThread.get(thread.thread_id) || [];
+      const last = threadMessages[threadMessages.length - 1];
+
+      thread.message_count = Number(thread.message_count);
+      thread.unread_count = Number(thread.unread_count);
+      thread.subject = threadMessages[0]?.subject || null;
+      thread.participants = [...new Set(threadMessages.map(message => message.from_email))];
+      thread.last_message = last
+        ? { id: last.id, from_email: last.from_email, from_name: last.from_name, subject: last.subject }
+        : null;
+    }
+  }
+
+  return {
+    data: threads,
+    metadata: {
+      total,
+      page,
+      limit,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+/**
+ * Messages of a thread in a database inbox, received and sent, oldest first
+ * @param {string} tempEmailId - Temp email ID
+ * @param {string} threadId - Thread ID
+ * @returns {Promise<object|null>} - { thread_id, subject, message_count, messages } or null if not found
+ */
+export const getThreadMessages = async (tempEmailId, threadId) => {
+  const [received] = await pool.query(
+    `SELECT *, 'received' as direction FROM received_emails
+     WHERE temp_email_id = ? AND COALESCE(thread_id, id) = ?
+     ORDER BY received_at ASC`,
+    [tempEmailId, threadId]
+  );
+  if (received.length === 0) {
+    return null;
+  }
+
+  const [sent] = await pool.query(
+    `SELECT id, message_id, from_address as from_email, subject, body_text, body_html, to_addresses, cc_addresses,
+       in_reply_to, status, sent_at as received_at, 'sent' as direction
+     FROM sent_emails
+     WHERE temp_email_id = ? AND thread_id = ?`,
+    [tempEmailId, threadId]
+  );
+
+  const messages = [...received, ...sent]
+    .sort((a, b) => new Date(a.received_at) - new Date(b.received_at));
+
+  return {
+    thread_id: threadId,
+    subject: received[0].subject,
+    message_count: messages.length,
+    messages
+  };
+};
@@ -0,0 +1,210 @@
+// verificationExtractor.js - One-time code and verification link detection for inbound mail
+// Candidates are scored by their surroundings (keywords in several languages, position,
+// subject) and only kept above a confidence threshold, so order numbers, prices, years
+// and phone numbers are not reported as codes.
+
+// Minimum confidence (0-1) for a code or link to be stored
+export const MIN_CONFIDENCE = parseFloat(process.env.OTP_MIN_CONFIDENCE) || 0.6;
+
+const MAX_LINKS = 5;
+
+// Words that introduce a one-time code, per language
+const CODE_KEYWORDS = {
+  en: ['code', 'otp', 'one-time', 'one time', 'passcode', 'verification', 'verify', 'security code', 'login code', 'pin', 'confirmation', 'token'],
+  es: ['código', 'codigo', 'verificación', 'verificacion', 'clave', 'contraseña de un solo uso'],
+  pt: ['código', 'codigo', 'verificação', 'verificacao', 'senha'],
+  fr: ['code', 'vérification', 'verification', 'mot de passe à usage unique', 'confirmation'],
+  de: ['code', 'bestätigungscode', 'verifizierungscode', 'sicherheitscode', 'einmalpasswort', 'bestätigung'],
+  it: ['codice', 'verifica', 'conferma'],
+  nl: ['code', 'verificatiecode', 'bevestigingscode'],
+  pl: ['kod', 'weryfikacyjny', 'weryfikacji'],
+  tr: ['kod', 'doğrulama', 'dogrulama'],
+  ru: ['код', 'подтверждения', 'пароль'],
+  zh: ['验证码', '校验码', '动态码', '驗證碼'],
+  ja: ['認証コード', '確認コード', 'ワンタイム', '認証番号'],
+  ko: ['인증번호', '인증 코드', '확인 코드'],
+  ar: ['رمز', 'التحقق']
+};
+
+// Words that mark a verification / magic link, per language
+const LINK_KEYWORDS = {
+  en: ['verify', 'confirm', 'activate', 'sign in', 'log in', 'login', 'magic link', 'validate', 'reset password', 'get started'],
+  es: ['verificar', 'confirmar', 'activar', 'iniciar sesión'],
+  pt: ['verificar', 'confirmar', 'ativar', 'entrar'],
+  fr: ['vérifier', 'verifier', 'confirmer', 'activer', 'se connecter'],
+  de: ['bestätigen', 'verifizieren', 'aktivieren', 'anmelden'],
+  it: ['verifica', 'conferma', 'attiva', 'accedi'],
+  nl: ['bevestigen', 'verifiëren', 'activeren', 'inloggen'],
+  ru: ['подтвердить', 'активировать', 'войти'],
+  zh: ['验证', '确认', '激活', '登录'],
+  ja: ['確認', '認証', 'ログイン'],
+  ko: ['인증', '확인', '로그인']
+};
+
+const LINK_PATH_PATTERN = /(verif|confirm|activat|magic|login|signin|sign-in|auth|token|validate|reset|invite|otp)/i;
+const LINK_EXCLUDE_PATTERN = /(unsubscribe|opt-?out|privacy|terms|preferences|help|support|\.(png|jpe?g|gif|svg|css|js)(\?|$))/i;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Latin keywords need word boundaries, CJK/Arabic ones do not
+const buildKeywordPattern = (keywords) => {
+  const parts = [...new Set(Object.values(keywords).flat())].map(keyword =>
+    /^[\p{Script=Latin}\p{Script=Cyrillic}\s-]+$/u.test(keyword)
+      ? `(?<![\\p{L}])${escapeRegex(keyword)}(?![\\p{L}])`
+      : escapeRegex(keyword)
+  );
+  return new RegExp(parts.join('|'), 'iu');
+};
+
+const CODE_KEYWORD_PATTERN = buildKeywordPattern(CODE_KEYWORDS);
+const LINK_KEYWORD_PATTERN = buildKeywordPattern(LINK_KEYWORDS);
+
+// 4-8 digits, "123 456" / "123-456", or 6-8 uppercase letters mixed with digits
+const CODE_CANDIDATE_PATTERN = /(?<![\p{L}\p{N}\-/.@#+$€£¥])(\d{3}[ -]\d{3}|\d{4,8}|[A-Z0-9]{6,8})(?![\p{L}\p{N}\-/@%])/gu;
+
+/**
+ * Plain text of the message (text part, or the HTML with tags removed)
+ */
+const getPlainText = (emailData) => {
+  if (emailData.body_text && emailData.body_text.trim()) {
+    return emailData.body_text;
+  }
+
+  return (emailData.body_html || '')
+    .replace(/<(script|style)[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<br\s*\/?>|<\/(p|div|tr|td|h\d|li)>/gi, '\n')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&');
+};
+
+/**
+ * Confidence that a candidate is a one-time code
+ */
+const scoreCodeCandidate = (candidate, text, index, subject) => {
+  const code = candidate.replace(/[ -]/g, '');
+  const isNumeric = /^\d+$/.test(code);
+
+  // Alphanumeric candidates must mix letters and digits
+  if (!isNumeric && !(/\d/.test(code) && /[A-Z]/.test(code))) {
+    return 0;
+  }
+
+  let confidence = isNumeric && code.length === 6 ? 0.25 : 0.15;
+
+  const before = text.slice(Math.max(0, index - 80), index);
+  const after = text.slice(index + candidate.length, index + candidate.length + 40);
+
+  if (CODE_KEYWORD_PATTERN.test(before)) confidence += 0.45;
+  else if (CODE_KEYWORD_PATTERN.test(after)) confidence += 0.35;
+
+  if (CODE_KEYWORD_PATTERN.test(subject)) confidence += 0.1;
+  if (subject.includes(candidate)) confidence += 0.15;
+
+  // Alone on its line (typical for big, highlighted codes)
+  const lineStart = text.lastIndexOf('\n', index) + 1;
+  const lineEnd = text.indexOf('\n', index);
+  const line = text.slice(lineStart, lineEnd === -1 ? undefined : lineEnd).trim();
+  if (line === candidate) confidence += 0.1;
+
+  // Years, times and amounts look like codes but rarely are
+  if (isNumeric && code.length === 4 && /^(19|20)\d{2}$/.test(code)) confidence -= 0.3;
+  if (/^[.,:]\d/.test(after) || /\d[.,:]$/.test(before)) confidence -= 0.3;
+  if (/(order|invoice|ticket|tracking|phone|tel|fax|account|#|no\.|nr\.?|pedido|commande|bestellung)\s*:?\s*$/i.test(before)) confidence -= 0.4;
+
+  return Math.max(0, Math.min(1, Math.round(confidence * 100) / 100));
+};
+
+/**
+ * Find the most likely one-time code in a message
+ * @returns {object|null} - { code, confidence }
+ */
+const findCode = (emailData) => {
+  const subject = emailData.subject || '';
+  const sources = [
+    // URLs are blanked out so digits inside them are not picked up
+    getPlainText(emailData).replace(/https?:\/\/\S+/g, match => ' '.repeat(match.length)),
+    subject
+  ];
+
+  let best = null;
+  for (const text of sources) {
+    for (const match of text.matchAll(CODE_CANDIDATE_PATTERN)) {
+      const confidence = scoreCodeCandidate(match[1], text, match.index, subject);
+      if (!best || confidence > best.confidence) {
+        best = { code: match[1].replace(/[ -]/g, ''), confidence };
+      }
+    }
+  }
+
+  return best && best.confidence >= MIN_CONFIDENCE ? best : null;
+};
+
+/**
+ * Find verification / magic links in a message
+ * @returns {Array<{url: string, text: string, confidence: number}>} - Best links first
+ */
+const findLinks = (emailData) => {
+  const links = new Map(); // { url: { url, text } }
+
+  for (const [, url, text] of (emailData.body_html || '').matchAll(/<a\b[^>]*href=["'](https?:\/\/[^"']+)["'][^>]*>([\s\S]*?)<\/a>/gi)) {
+    const decodedUrl = url.replace(/&amp;/g, '&');
+    if (!links.has(decodedUrl)) {
+      links.set(decodedUrl, { url: decodedUrl, text: text.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim() });
+    }
+  }
+
+  const plainText = emailData.body_text || '';
+  for (const match of plainText.matchAll(/https?:\/\/[^\s<>"')\]]+/g)) {
+    if (!links.has(match[0])) {
+      const before = plainText.slice(Math.max(0, match.index - 80), match.index);
+      links.set(match[0], { url: match[0], text: before.split('\n').pop().trim() });
+    }
+  }
+
+  const bodyMentionsVerification = LINK_KEYWORD_PATTERN.test(getPlainText(emailData)) ||
+    LINK_KEYWORD_PATTERN.test(emailData.subject || '');
+
+  return [...links.values()]
+    .filter(link => !LINK_EXCLUDE_PATTERN.test(link.url) && !LINK_EXCLUDE_PATTERN.test(link.text))
+    .map(link => {
+      let path = '';
+      try {
+        const parsed = new URL(link.url);
+        path = `${parsed.pathname}${parsed.search}`;
+      } catch {
+        return null;
+      }
+
+      let confidence = 0;
+      if (LINK_PATH_PATTERN.test(path)) confidence += 0.45;
+      if (LINK_KEYWORD_PATTERN.test(link.text)) confidence += 0.4;
+      if (/[A-Za-z0-9_-]{16,}/.test(path)) confidence += 0.1;
+      if (bodyMentionsVerification) confidence += 0.1;
+
+      return { ...link, confidence: Math.min(1, Math.round(confidence * 100) / 100) };
+    })
+    .filter(link => link && link.confidence >= MIN_CONFIDENCE)
+    .sort((a, b) => b.confidence - a.confidence)
+    .slice(0, MAX_LINKS);
+};
+
+/**
+ * Detect one-time codes and verification links in a received email
+ * @param {object} emailData - Received email data (subject, body_text, body_html)
+ * @returns {object} - { otp_code, otp_confidence, verification_links }
+ */
+export const extractVerificationData = (emailData) => {
+  try {
+    const code = findCode(emailData);
+
+    return {
+      otp_code: code ? code.code : null,
+      otp_confidence: code ? code.confidence : null,
+      verification_links: findLinks(emailData)
+    };
+  } catch (error) {
+    console.error('Verification data extraction failed:', error);
+    return { otp_code: null, otp_confidence: null, verification_links: [] };
+  }
+};
@@ -0,0 +1,67 @@
+export const forwardingConfirmationTemplate = {
+  subject: "Confirm forwarding of your Boomlify emails to {{forward_address}}",
+  html: `
+    <!DOCTYPE html>
+    <html>
+      <head>
+        <style>
+          .email-container {
+            max-width: 600px;
+            margin: 0 auto;
+            font-family: Arial, sans-serif;
+            color: #333333;
+          }
+          .header {
+            background-color: #4A90E2;
+            color: white;
+            padding: 20px;
+            text-align: center;
+          }
+          .content {
+            padding: 20px;
+            line-height: 1.5;
+          }
+          .button {
+            background-color: #4A90E2;
+            color: white;
+            padding: 12px 24px;
+            text-decoration: none;
+            border-radius: 4px;
+            display: inline-block;
+            margin: 20px 0;
+          }
+          .footer {
+            text-align: center;
+            padding: 20px;
+            font-size: 12px;
+            color: #666666;
+          }
+        </style>
+      </head>
+      <body>
+        <div class="email-container">
+          <div class="header">
+            <h1>Confirm Email Forwarding</h1>
+          </div>
+          <div class="content">
+            <p>Hello,</p>
+            <p>The Boomlify account <strong>{{account_email}}</strong> wants to forward the emails of its temporary addresses to <strong>{{forward_address}}</strong>.</p>
+
+            <p>If you requested this, confirm the address below. The link expires in {{expires_hours}} hours.</p>
+
+            <p style="text-align: center;">
+              <a href="{{confirm_url}}" class="button">Confirm Forwarding</a>
+            </p>
+
+            <p>If you didn't request this, you can safely ignore this email. Nothing will be forwarded to you.</p>
+
+            <p>Best regards,<br>The Boomlify Team</p>
+          </div>
+          <div class="footer">
+            <p>You received this email because someone entered this address as a forwarding destination on Boomlify.</p>
+          </div>
+        </div>
+      </body>
+    </html>
+  `
+};
\ No newline at end of file
@@ -1,3 +1,4 @@
+export * from './forwardingConfirmation.js';
 export * from './inactivityReminder.js';
 export * from './newEmailNotification.js';
 export * from './tempEmailExpiry.js';
\ No newline at end of file
@@ -0,0 +1,161 @@
+import { v4 as uuidv4 } from 'uuid';
+import { pool } from '../db/init.js';
+
+// email_attachments.filename is VARCHAR(255)
+const MAX_FILENAME_LENGTH = 255;
+
+/**
+ * Make a sender-supplied filename safe to store and serve
+ * Drops any path, control and reserved characters, and truncates to the
+ * column size while keeping the extension
+ * @param {string} filename - Filename from the message
+ * @param {number} index - Position of the attachment (for the fallback name)
+ * @returns {string} - Safe filename
+ */
+function sanitizeFilename(filename, index) {
+  const cleaned = String(filename || '')
+    .split(/[\\/]/).pop()
+    .replace(/[\u0000-\u001f\u007f<>:"|?*]/g, '')
+    .replace(/^[\s.]+|[\s.]+$/g, '');
+
+  if (!cleaned) {
+    return `attachment-${index + 1}`;
+  }
+
+  // Count code points so a surrogate pair is never cut in half
+  const chars = Array.from(cleaned);
+  if (chars.length <= MAX_FILENAME_LENGTH) {
+    return cleaned;
+  }
+
+  const dot = cleaned.lastIndexOf('.');
+  const extension = dot > 0 ? Array.from(cleaned.slice(dot)) : [];
+  if (extension.length === 0 || extension.length > 16) {
+    return chars.slice(0, MAX_FILENAME_LENGTH).join('');
+  }
+
+  const base = chars.slice(0, chars.length - extension.length);
+  return base.slice(0, MAX_FILENAME_LENGTH - extension.length).join('') + extension.join('');
+}
+
+/**
+ * Normalize parsed attachments into the shape we keep on stored messages
+ * @param {Array} attachments - Attachments from parseEmailContent (base64 content)
+ * @returns {Array} - Attachments with ids, ready for any store
+ */
+export function prepareAttachments(attachments = []) {
+  return attachments.map((attachment, index) => ({
+    id: uuidv4(),
+    filename: sanitizeFilename(attachment.filename, index),
+    content_type: attachment.contentType || 'application/octet-stream',
+    size: attachment.size || 0,
+    content_id: attachment.contentId ? attachment.contentId.replace(/^<|>$/g, '') : null,
+    content: attachment.content
+  }));
+}
+
+/**
+ * Strip the content from an attachment so it can be listed without the payload
+ * @param {object} attachment - Stored attachment
+ * @returns {object} - Attachment metadata
+ */
+export function toAttachmentMetadata(attachment) {
+  return {
+    id: attachment.id,
+    filename: attachment.filename,
+    content_type: attachment.content_type,
+    size: attachment.size,
+    content_id: attachment.content_id || null
+  };
+}
+
+/**
+ * Copy of a message safe for listings (attachment content removed)
+ * @param {object} message - Stored message
+ * @returns {object} - Message with attachment metadata only
+ */
+export function withAttachmentMetadata(message) {
+  return {
+    ...message,
+    attachments: (message.attachments || []).map(toAttachmentMetadata)
+  };
+}
+
+/**
+ * Insert attachments for a received email into email_attachments
+ * @param {string} emailId - received_emails.id
+ * @param {Array} attachments - Prepared attachments
+ * @param {object} db - Pool or transaction connection
+ */
+export async function saveAttachments(emailId, attachments = [], db = pool) {
+  for (const attachment of attachments) {
+    await db.query(
+      'INSERT INTO email_attachments (id, email_id, filename, content_type, size, content_id, content) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [
+        attachment.id,
+        emailId,
+        attachment.filename,
+        attachment.content_type,
+        attachment.size,
+        attachment.content_id || null,
+        attachment.content
+      ]
+    );
+  }
+}
+
+/**
+ * Load attachment metadata for a set of received emails and attach it to them
+ * @param {Array} emails - received_emails rows
+ * @returns {Promise<Array>} - Same rows with an attachments array
+ */
+export async function loadAttachmentMetadata(emails) {
+  if (!emails || emails.length === 0) return emails;
+
+  const [rows] = await pool.query(
+    'SELECT id, email_id, filename, content_type, size, content_id FROM email_attachments WHERE email_id IN (?)',
+    [emails.map(email => email.id)]
+  );
+
+  const byEmail = new Map();
+  for (const row of rows) {
+    if (!byEmail.has(row.email_id)) {
+      byEmail.set(row.email_id, []);
+    }
+    byEmail.get(row.email_id).push(toAttachmentMetadata(row));
+  }
+
+  for (const email of emails) {
+    email.attachments = byEmail.get(email.id) || [];
+  }
+
+  return emails;
+}
+
+/**
+ * Load the inline attachments (those with a Content-ID) of a received email with their content
+ * @param {string} emailId - received_emails.id
+ * @returns {Promise<Array>} - Attachments with base64 content
+ */
+export async function loadInlineAttachments(emailId) {
+  const [rows] = await pool.query(
+    'SELECT id, filename, content_type, size, content_id, content FROM email_attachments WHERE email_id = ? AND content_id IS NOT NULL',
+    [emailId]
+  );
+  return rows;
+}
+
+/**
+ * Send a stored attachment as a file download
+ * @param {object} res - Express response
+ * @param {object} attachment - Attachment with base64 content
+ */
+export function sendAttachment(res, attachment) {
+  const content = Buffer.from(attachment.content || '', 'base64');
+  const filename = (attachment.filename || 'attachment').replace(/["\r\n]/g, '');
+
+  res.setHeader('Content-Type', attachment.content_type || 'application/octet-stream');
+  res.setHeader('Content-Length', content.length);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"; filename*=UTF-8''${encodeURIComponent(filename)}`);
+  res.send(content);
+}
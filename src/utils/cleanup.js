@@ -1,5 +1,102 @@
 import { pool } from '../db/init.js';
 
+// Remove rows left behind by deleted received and temp emails, and log entries older than
+// logRetentionDays (shared by the scheduled and the manual cleanup)
+async function cleanupRelatedData(logRetentionDays) {
+  // Clean up orphaned attachments but keep temp emails
+  const [attachmentResult] = await pool.query(`
+    DELETE ea FROM email_attachments ea
+    LEFT JOIN received_emails re ON ea.email_id = re.id
+    WHERE re.id IS NULL
+  `);
+
+  console.log(`Cleaned up ${attachmentResult.affectedRows} orphaned attachments.`);
+
+  // Clean up raw sources of deleted emails
+  const [rawSourceResult] = await pool.query(`
+    DELETE rs FROM email_raw_sources rs
+    LEFT JOIN received_emails re ON rs.email_id = re.id
+    WHERE re.id IS NULL
+  `);
+
+  console.log(`Cleaned up ${rawSourceResult.affectedRows} orphaned raw sources.`);
+
+  // Clean up stored headers of deleted emails
+  const [headerResult] = await pool.query(`
+    DELETE eh FROM email_headers eh
+    LEFT JOIN received_emails re ON eh.email_id = re.id
+    WHERE re.id IS NULL
+  `);
+
+  console.log(`Cleaned up ${headerResult.affectedRows} orphaned header records.`);
+
+  // Clean up search index entries of deleted emails
+  const [searchResult] = await pool.query(`
+    DELETE es FROM email_search es
+    LEFT JOIN received_emails re ON es.email_id = re.id
+    WHERE re.id IS NULL
+  `);
+
+  console.log(`Cleaned up ${searchResult.affectedRows} orphaned search index entries.`);
+
+  // Clean up inbox sender rules of deleted temp emails
+  // API inboxes have no temp_emails row, but they live at most a day
+  const [senderRuleResult] = await pool.query(`
+    DELETE sr FROM sender_rules sr
+    LEFT JOIN temp_emails te ON sr.temp_email_id = te.id
+    WHERE sr.temp_email_id IS NOT NULL AND te.id IS NULL
+      AND sr.created_at < DATE_SUB(NOW(), INTERVAL 2 DAY)
+  `);
+
+  console.log(`Cleaned up ${senderRuleResult.affectedRows} orphaned sender rules.`);
+
+  // Clean up filters of deleted temp emails
+  const [filterResult] = await pool.query(`
+    DELETE f FROM inbox_filters f
+    LEFT JOIN temp_emails te ON f.temp_email_id = te.id
+    WHERE f.temp_email_id IS NOT NULL AND te.id IS NULL
+  `);
+
+  console.log(`Cleaned up ${filterResult.affectedRows} orphaned inbox filters.`);
+
+  // Forward log entries are only needed for the daily caps and recent history
+  // (at least a day is kept, the caps count it)
+  const [forwardResult] = await pool.query(`
+    DELETE FROM email_forwards
+    WHERE created_at < DATE_SUB(NOW(), INTERVAL ? DAY)
+  `, [Math.max(logRetentionDays, 1)]);
+
+  console.log(`Cleaned up ${forwardResult.affectedRows} old forward log entries.`);
+
+  // Confirmation emails only count towards the daily send limits
+  const [confirmationResult] = await pool.query(`
+    DELETE FROM forwarding_confirmations
+    WHERE sent_at < DATE_SUB(NOW(), INTERVAL 1 DAY)
+  `);
+
+  console.log(`Cleaned up ${confirmationResult.affectedRows} old forwarding confirmation log entries.`);
+
+  // Webhook deliveries stay queryable for the retention period, pending retries are kept
+  const [webhookDeliveryResult] = await pool.query(`
+    DELETE FROM webhook_deliveries
+    WHERE status != 'pending' AND created_at < DATE_SUB(NOW(), INTERVAL ? DAY)
+  `, [logRetentionDays]);
+
+  console.log(`Cleaned up ${webhookDeliveryResult.affectedRows} old webhook deliveries.`);
+  
+  return {
+    deletedAttachments: attachmentResult.affectedRows,
+    deletedRawSources: rawSourceResult.affectedRows,
+    deletedHeaders: headerResult.affectedRows,
+    deletedSearchEntries: searchResult.affectedRows,
+    deletedSenderRules: senderRuleResult.affectedRows,
+    deletedFilters: filterResult.affectedRows,
+    deletedForwardLogs: forwardResult.affectedRows,
+    deletedConfirmationLogs: confirmationResult.affectedRows,
+    deletedWebhookDeliveries: webhookDeliveryResult.affectedRows
+  };
+}
+
 export async function cleanupOldEmails() {
   try {
     console.log('Starting cleanup process for old received emails...');
@@ -12,18 +109,12 @@ export async function cleanupOldEmails() {
 
     console.log(`Cleanup completed. Deleted ${result.affectedRows} old received emails.`);
     
-    // Clean up orphaned attachments but keep temp emails
-    const [attachmentResult] = await pool.query(`
-      DELETE ea FROM email_attachments ea
-      LEFT JOIN received_emails re ON ea.email_id = re.id
-      WHERE re.id IS NULL
-    `);
-
-    console.log(`Cleaned up ${attachmentResult.affectedRows} orphaned attachments.`);
+    // Log tables keep 30 days of history
+    const relatedResult = await cleanupRelatedData(30);
     
     return {
       deletedEmails: result.affectedRows,
-      deletedAttachments: attachmentResult.affectedRows
+      ...relatedResult
     };
   } catch (error) {
     console.error('Error during email cleanup:', error);
@@ -43,18 +134,11 @@ export async function manualCleanup(days = 10) {
 
     console.log(`Manual cleanup completed. Deleted ${result.affectedRows} old received emails.`);
     
-    // Clean up orphaned attachments
-    const [attachmentResult] = await pool.query(`
-      DELETE ea FROM email_attachments ea
-      LEFT JOIN received_emails re ON ea.email_id = re.id
-      WHERE re.id IS NULL
-    `);
-
-    console.log(`Cleaned up ${attachmentResult.affectedRows} orphaned attachments.`);
+    const relatedResult = await cleanupRelatedData(days);
     
     return {
       deletedEmails: result.affectedRows,
-      deletedAttachments: attachmentResult.affectedRows
+      ...relatedResult
     };
   } catch (error) {
     console.error('Error during manual cleanup:', error);
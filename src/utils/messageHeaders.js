@@ -0,0 +1,229 @@
+import { pool } from '../db/init.js';
+
+// Headers kept per message (lowercase names as found in mailparser headerLines)
+const SINGLE_HEADERS = {
+  'message-id': 'message_id',
+  'in-reply-to': 'in_reply_to',
+  'reply-to': 'reply_to',
+  'list-unsubscribe': 'list_unsubscribe',
+  'list-unsubscribe-post': 'list_unsubscribe_post',
+  'return-path': 'return_path',
+  'received-spf': 'received_spf'
+};
+
+const MAX_HEADER_LENGTH = 4096;
+const MAX_RECEIVED_HOPS = 30;
+
+// authserv-ids of our own receiving servers (AUTHSERV_IDS, comma-separated)
+// Authentication-Results headers with any other id may have been written by the sender
+const getTrustedAuthservIds = () => (process.env.AUTHSERV_IDS || '')
+  .split(',')
+  .map(id => id.trim().toLowerCase())
+  .filter(Boolean);
+
+/**
+ * All values of a header from mailparser headerLines (unfolded, without the name)
+ * @param {Array} headerLines - parsed.headerLines
+ * @param {string} name - Lowercase header name
+ * @returns {string[]} - Header values in message order (topmost first)
+ */
+export function getHeaderValues(headerLines, name) {
+  return (headerLines || [])
+    .filter(header => header.key === name)
+    .map(header => header.line
+      .slice(header.line.indexOf(':') + 1)
+      .replace(/\r?\n[ \t]+/g, ' ')
+      .trim()
+      .substring(0, MAX_HEADER_LENGTH));
+}
+
+/**
+ * All values of a header read straight from a raw MIME source
+ * For headers that are not kept by extractImportantHeaders
+ * @param {Buffer|string} rawSource - Original message source
+ * @param {string} name - Header name (case-insensitive)
+ * @returns {string[]} - Header values in message order (topmost first)
+ */
+export function getRawHeaderValues(rawSource, name) {
+  const raw = Buffer.isBuffer(rawSource) ? rawSource.toString('utf8') : (rawSource || '');
+  const headerEnd = raw.search(/\r?\n\r?\n/);
+  const headerBlock = (headerEnd === -1 ? raw : raw.slice(0, headerEnd)).replace(/\r?\n[ \t]+/g, ' ');
+  const prefix = `${name.toLowerCase()}:`;
+
+  return headerBlock
+    .split(/\r?\n/)
+    .filter(line => line.toLowerCase().startsWith(prefix))
+    .map(line => line.slice(prefix.length).trim().substring(0, MAX_HEADER_LENGTH));
+}
+
+/**
+ * Parse the tags of a DKIM-Signature header (d=, s=, a=, h=)
+ */
+function parseDkimSignature(value) {
+  const tags = {};
+  for (const part of value.split(';')) {
+    const index = part.indexOf('=');
+    if (index > 0) {
+      tags[part.slice(0, index).trim().toLowerCase()] = part.slice(index + 1).replace(/\s+/g, '');
+    }
+  }
+
+  return {
+    domain: tags.d || null,
+    selector: tags.s || null,
+    algorithm: tags.a || null,
+    signed_headers: tags.h ? tags.h.split(':').map(h => h.toLowerCase()) : []
+  };
+}
+
+/**
+ * Extract the headers we keep for every received message
+ * @param {object} parsedEmail - Result of parseEmailContent
+ * @returns {object} - Important headers
+ */
+export function extractImportantHeaders(parsedEmail) {
+  const headerLines = parsedEmail.headerLines || [];
+  const headers = {};
+
+  for (const [name, field] of Object.entries(SINGLE_HEADERS)) {
+    headers[field] = getHeaderValues(headerLines, name)[0] || null;
+  }
+
+  headers.references = (getHeaderValues(headerLines, 'references')[0] || '')
+    .match(/<[^>]+>/g) || [];
+  headers.authentication_results = getHeaderValues(headerLines, 'authentication-results');
+  headers.dkim_signatures = getHeaderValues(headerLines, 'dkim-signature').map(parseDkimSignature);
+  headers.received = getHeaderValues(headerLines, 'received').slice(0, MAX_RECEIVED_HOPS);
+
+  return headers;
+}
+
+/**
+ * Parse one method result out of Authentication-Results values
+ * e.g. "dkim=pass header.d=example.com" -> { result: 'pass', 'header.d': 'example.com' }
+ */
+function parseMethodResults(authenticationResults, method) {
+  const results = [];
+
+  for (const value of authenticationResults) {
+    // First element is the authserv-id, the rest are method results
+    for (const part of value.split(';').slice(1)) {
+      const match = part.trim().match(new RegExp(`^${method}=(\\w+)`, 'i'));
+      if (!match) continue;
+
+      const properties = {};
+      for (const [, key, propertyValue] of part.matchAll(/\b((?:header|smtp|policy)\.[\w-]+)=([^\s;()]+)/gi)) {
+        properties[key.toLowerCase()] = propertyValue;
+      }
+      const policy = part.match(/\bp=(\w+)/i)?.[1];
+
+      results.push({
+        result: match[1].toLowerCase(),
+        ...properties,
+        ...(policy ? { policy: policy.toLowerCase() } : {})
+      });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * The Authentication-Results value added by our own receiving server
+ * Topmost value whose authserv-id is trusted (RFC 8601 section 5), the others are ignored
+ * @param {string[]} values - Authentication-Results values, topmost first
+ * @returns {string|null}
+ */
+function getTrustedAuthenticationResults(values) {
+  const trusted = getTrustedAuthservIds();
+  if (trusted.length === 0) return null;
+
+  return values.find(value => {
+    // "mx.example.com; spf=pass ..." or with a version: "mx.example.com 1; ..."
+    const authservId = value.split(';')[0].trim().split(/\s+/)[0].toLowerCase();
+    return trusted.includes(authservId);
+  }) || null;
+}
+
+/**
+ * SPF/DKIM/DMARC verdict summary from the stored headers
+ * Only the topmost Authentication-Results header of a trusted authserv-id (AUTHSERV_IDS) is read
+ * @param {object} headers - Output of extractImportantHeaders
+ * @returns {object} - { spf, dkim, dmarc, overall }
+ */
+export function summarizeAuthentication(headers) {
+  const trustedResults = getTrustedAuthenticationResults(headers?.authentication_results || []);
+  const authenticationResults = trustedResults ? [trustedResults] : [];
+
+  const spfResults = parseMethodResults(authenticationResults, 'spf');
+  let spf = spfResults[0] || null;
+  if (!spf && headers?.received_spf) {
+    // Received-SPF: pass (...) — used when there is no trusted Authentication-Results
+    const result = headers.received_spf.match(/^(\w+)/)?.[1];
+    spf = result ? { result: result.toLowerCase(), source: 'received-spf' } : null;
+  }
+
+  const dkim = parseMethodResults(authenticationResults, 'dkim');
+  const dmarc = parseMethodResults(authenticationResults, 'dmarc')[0] || null;
+
+  const verdicts = [spf?.result, dkim[0]?.result, dmarc?.result].filter(Boolean);
+  let overall = 'none';
+  if (verdicts.length > 0) {
+    if (verdicts.some(result => result === 'fail' || result === 'permerror')) {
+      overall = 'fail';
+    } else if (spf?.result === 'pass' && dkim.some(d => d.result === 'pass') && dmarc?.result === 'pass') {
+      overall = 'pass';
+    } else {
+      overall = 'partial';
+    }
+  }
+
+  return {
+    spf: spf || { result: 'none' },
+    dkim: dkim.length > 0 ? dkim : [{ result: 'none' }],
+    dkim_signatures: headers?.dkim_signatures || [],
+    dmarc: dmarc || { result: 'none' },
+    overall
+  };
+}
+
+/**
+ * Copy of a message with its headers and authentication summary attached (for detail views)
+ * @param {object} message - Received email
+ * @param {object} [headers] - Stored headers (defaults to message.headers)
+ * @returns {object} - Message with headers and authentication
+ */
+export function withHeaderDetails(message, headers = message.headers) {
+  return {
+    ...message,
+    headers: headers || null,
+    authentication: summarizeAuthentication(headers)
+  };
+}
+
+/**
+ * Store the important headers of a received email
+ * @param {string} emailId - received_emails.id
+ * @param {object} emailData - Received email data with headers
+ * @param {object} db - Pool or transaction connection
+ */
+export async function saveMessageHeaders(emailId, emailData, db = pool) {
+  if (!emailData.headers) return;
+
+  await db.query(
+    'INSERT INTO email_headers (email_id, headers) VALUES (?, ?)',
+    [emailId, JSON.stringify(emailData.headers)]
+  );
+}
+
+/**
+ * Load the stored headers of a received email
+ * @param {string} emailId - received_emails.id
+ * @returns {Promise<object|null>} - Headers or null if none were stored
+ */
+export async function loadMessageHeaders(emailId) {
+  const [rows] = await pool.query('SELECT headers FROM email_headers WHERE email_id = ?', [emailId]);
+  if (rows.length === 0) return null;
+
+  return typeof rows[0].headers === 'string' ? JSON.parse(rows[0].headers) : rows[0].headers;
+}
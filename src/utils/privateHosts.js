@@ -0,0 +1,103 @@
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+
+// Addresses that are not on the public internet. BlockList also matches IPv4-mapped IPv6
+// addresses against the IPv4 ranges, in either notation ([::ffff:7f00:1] is 127.0.0.1).
+const privateRanges = new net.BlockList();
+[
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16], // link-local, cloud metadata
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15], // benchmarking
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4] // reserved, includes 255.255.255.255
+].forEach(([network, prefix]) => privateRanges.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 96], // unspecified, loopback and IPv4-compatible
+  ['64:ff9b::', 96], // NAT64, embeds an IPv4 address
+  ['fc00::', 7], // unique local
+  ['fe80::', 10], // link-local
+  ['ff00::', 8] // multicast
+].forEach(([network, prefix]) => privateRanges.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Whether a host is this machine or on a private network
+ * Only literal hosts are checked, names are checked on connect by publicRequestOptions
+ * @param {string} hostname - Host name or IP literal
+ * @returns {boolean}
+ */
+export function isPrivateHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+  if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.internal')) {
+    return true;
+  }
+
+  if (net.isIPv4(host)) {
+    return privateRanges.check(host, 'ipv4');
+  }
+  if (net.isIPv6(host)) {
+    return privateRanges.check(host, 'ipv6');
+  }
+
+  return false;
+}
+
+/**
+ * dns.lookup that refuses private addresses (error code EPRIVATEHOST)
+ * Used by the agents below, so the address checked is the one connected to, on every
+ * connection including redirects. Resolving first and connecting later would let DNS
+ * rebinding reach internal hosts.
+ */
+export function publicOnlyLookup(hostname, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+
+    if (addresses.length === 0 || addresses.some(({ address }) => isPrivateHost(address))) {
+      const blocked = new Error(`${hostname} resolves to a private address`);
+      blocked.code = 'EPRIVATEHOST';
+      return callback(blocked);
+    }
+
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const publicHttpAgent = new http.Agent({ keepAlive: false, lookup: publicOnlyLookup });
+const publicHttpsAgent = new https.Agent({ keepAlive: false, lookup: publicOnlyLookup });
+
+/**
+ * axios options for requests to user- or sender-supplied URLs
+ * Host names are checked by the agents' lookup; IP literals skip the lookup, so they are
+ * checked here on redirects (check the first URL with isPrivateHost before the request).
+ * Proxies are disabled, a proxy would resolve the name itself.
+ */
+export const publicRequestOptions = {
+  httpAgent: publicHttpAgent,
+  httpsAgent: publicHttpsAgent,
+  proxy: false,
+  beforeRedirect: (options) => {
+    if (isPrivateHost(options.hostname)) {
+      const blocked = new Error('Redirect to a private host');
+      blocked.code = 'EPRIVATEHOST';
+      throw blocked;
+    }
+  }
+};
@@ -0,0 +1,66 @@
+import { pool } from '../db/init.js';
+
+// Raw sources above this size are truncated (headers and the start of the body are kept)
+const RAW_MESSAGE_MAX_SIZE = parseInt(process.env.RAW_MESSAGE_MAX_SIZE) || 5 * 1024 * 1024; // 5 MB
+
+/**
+ * Capture the original MIME source of an inbound message with the size cap applied
+ * @param {string|Buffer} rawContent - Raw message as received
+ * @returns {object} - { raw_source: Buffer, raw_size, raw_truncated }
+ */
+export function prepareRawSource(rawContent) {
+  const buffer = Buffer.isBuffer(rawContent)
+    ? rawContent
+    : Buffer.from(rawContent || '', 'utf8');
+
+  const truncated = buffer.length > RAW_MESSAGE_MAX_SIZE;
+
+  return {
+    raw_source: truncated ? buffer.subarray(0, RAW_MESSAGE_MAX_SIZE) : buffer,
+    raw_size: buffer.length,
+    raw_truncated: truncated
+  };
+}
+
+/**
+ * Copy of a message without the raw source (for listings and caches)
+ * @param {object} message - Stored message
+ * @returns {object} - Message without raw_source
+ */
+export function withoutRawSource(message) {
+  const { raw_source, ...rest } = message;
+  return rest;
+}
+
+/**
+ * Store the raw source of a received email
+ * @param {string} emailId - received_emails.id
+ * @param {object} emailData - Received email data with raw_* fields
+ * @param {object} db - Pool or transaction connection
+ */
+export async function saveRawSource(emailId, emailData, db = pool) {
+  if (!emailData.raw_source) return;
+
+  await db.query(
+    'INSERT INTO email_raw_sources (email_id, raw_source, size, is_truncated) VALUES (?, ?, ?, ?)',
+    [emailId, emailData.raw_source, emailData.raw_size, !!emailData.raw_truncated]
+  );
+}
+
+/**
+ * Send a raw source as a downloadable .eml file
+ * @param {object} res - Express response
+ * @param {string} emailId - Received email ID (used for the filename)
+ * @param {object} raw - { raw_source, raw_truncated }
+ */
+export function sendRawMessage(res, emailId, raw) {
+  const content = Buffer.isBuffer(raw.raw_source)
+    ? raw.raw_source
+    : Buffer.from(raw.raw_source || '', 'utf8');
+
+  res.setHeader('Content-Type', 'message/rfc822');
+  res.setHeader('Content-Length', content.length);
+  res.setHeader('Content-Disposition', `attachment; filename="${emailId}.eml"`);
+  res.setHeader('X-Raw-Truncated', raw.raw_truncated ? 'true' : 'false');
+  res.send(content);
+}
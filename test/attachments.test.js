@@ -0,0 +1,31 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { prepareAttachments } from '../src/utils/attachments.js';
+
+const filenameOf = (filename, index = 0) => {
+  const attachments = Array.from({ length: index + 1 }, () => ({ content: '' }));
+  attachments[index].filename = filename;
+  return prepareAttachments(attachments)[index].filename;
+};
+
+test('paths, control and reserved characters are stripped', () => {
+  assert.equal(filenameOf('../../etc/passwd'), 'passwd');
+  assert.equal(filenameOf('C:\\Users\\me\\report.pdf'), 'report.pdf');
+  assert.equal(filenameOf('in\u0000voice\r\n<1>.pdf'), 'invoice1.pdf');
+});
+
+test('empty names fall back to a numbered name', () => {
+  assert.equal(filenameOf(undefined), 'attachment-1');
+  assert.equal(filenameOf('', 2), 'attachment-3');
+  assert.equal(filenameOf(' ../ '), 'attachment-1');
+});
+
+test('long names are truncated to 255 characters keeping the extension', () => {
+  const filename = filenameOf(`${'a'.repeat(300)}.docx`);
+  assert.equal(filename.length, 255);
+  assert.ok(filename.endsWith('.docx'));
+
+  const emoji = Array.from(filenameOf(`${'😀'.repeat(300)}.png`));
+  assert.equal(emoji.length, 255);
+  assert.equal(emoji.slice(-4).join(''), '.png');
+});
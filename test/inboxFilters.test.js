@@ -0,0 +1,65 @@
+import test, { afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { pool } from '../src/db/init.js';
+import { normalizeFilter } from '../src/services/inboxFilters.js';
+import { forwardReceivedEmailForFilter } from '../src/services/mailForwarder.js';
+
+const originalQuery = pool.query;
+afterEach(() => {
+  pool.query = originalQuery;
+});
+
+// Answers queries in order and records them
+const stubQueries = (...results) => {
+  const queries = [];
+  pool.query = async (sql, params) => {
+    queries.push({ sql, params });
+    return results.shift() || [[]];
+  };
+  return queries;
+};
+
+const filterWith = (action) => ({
+  name: 'Test',
+  conditions: [{ field: 'subject', value: 'invoice' }],
+  actions: [action]
+});
+
+test('forward actions only accept verified forwarding addresses', () => {
+  assert.ok(normalizeFilter(filterWith({ type: 'forward', address: 'me@example.com' }), []).error);
+
+  const { filter } = normalizeFilter(filterWith({ type: 'forward', address: 'Me@Example.com' }), ['me@example.com']);
+  assert.deepEqual(filter.actions, [{ type: 'forward', address: 'me@example.com' }]);
+});
+
+test('webhook actions on private hosts are refused', () => {
+  for (const url of ['http://[::ffff:7f00:1]/', 'http://[::ffff:a9fe:a9fe]/', 'http://10.0.0.1/', 'ftp://example.com/']) {
+    assert.ok(normalizeFilter(filterWith({ type: 'webhook', url }), []).error, url);
+  }
+
+  const { filter } = normalizeFilter(filterWith({ type: 'webhook', url: 'https://hooks.example.com/filter' }), []);
+  assert.deepEqual(filter.actions, [{ type: 'webhook', url: 'https://hooks.example.com/filter' }]);
+});
+
+test('forward actions to an address that is no longer verified are skipped and logged', async () => {
+  const queries = stubQueries([[]]);
+
+  const result = await forwardReceivedEmailForFilter('user-1', 'inbox-1', 'box@temp.test', { id: 'mail-1' }, 'gone@example.com');
+
+  assert.deepEqual(result, { forwarded: false, reason: 'not_verified', to: 'gone@example.com' });
+  assert.match(queries[1].sql, /INSERT INTO email_forwards/);
+  assert.ok(queries[1].params.includes('skipped'));
+});
+
+test('forward actions count towards the daily forwarding caps', async () => {
+  const queries = stubQueries(
+    [[{ id: 'address-1' }]],
+    [[{ account_total: 100000, inbox_total: 0 }]]
+  );
+
+  const result = await forwardReceivedEmailForFilter('user-1', 'inbox-1', 'box@temp.test', { id: 'mail-1' }, 'me@example.com');
+
+  assert.equal(result.forwarded, false);
+  assert.equal(result.reason, 'daily_limit');
+  assert.match(queries[2].sql, /INSERT INTO email_forwards/);
+});
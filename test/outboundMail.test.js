@@ -0,0 +1,25 @@
+import test, { afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { pool } from '../src/db/init.js';
+import { sendFromTempEmail, normalizeOutgoingMessage } from '../src/services/outboundMail.js';
+
+const originalQuery = pool.query;
+afterEach(() => {
+  pool.query = originalQuery;
+});
+
+test('domains without a relay cannot send', async () => {
+  const queries = [];
+  pool.query = async (sql) => {
+    queries.push(sql);
+    return [[]];
+  };
+
+  const { message } = normalizeOutgoingMessage({ to: 'someone@example.com', subject: 'Hi', text: 'Hello' });
+  await assert.rejects(
+    sendFromTempEmail('user-1', { id: 'inbox-1', email: 'box@no-relay.test' }, message),
+    /not available/
+  );
+  // Nothing is reserved or stored
+  assert.equal(queries.length, 0);
+});
@@ -0,0 +1,28 @@
+import test, { after } from 'node:test';
+import assert from 'node:assert/strict';
+import { pool } from '../src/db/init.js';
+import { normalizeWebhook } from '../src/services/outboundWebhooks.js';
+
+// The pool keeps an idle-connection timer running
+after(() => pool.end());
+
+test('webhook URLs on private hosts are refused', () => {
+  for (const url of [
+    'http://127.0.0.1/hook',
+    'http://[::ffff:7f00:1]:3306/',
+    'http://[::ffff:a9fe:a9fe]/',
+    'http://[::ffff:127.0.0.1]/',
+    'http://169.254.169.254/latest/meta-data/',
+    'http://[64:ff9b::a9fe:a9fe]/',
+    'http://localhost:8080/'
+  ]) {
+    assert.ok(normalizeWebhook({ url }).error, url);
+  }
+});
+
+test('public webhook URLs are accepted', () => {
+  const { webhook, error } = normalizeWebhook({ url: 'https://hooks.example.com/inbound', description: ' Orders ' });
+  assert.equal(error, undefined);
+  assert.equal(webhook.url, 'https://hooks.example.com/inbound');
+  assert.equal(webhook.description, 'Orders');
+});
@@ -0,0 +1,51 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { isPrivateHost, publicOnlyLookup } from '../src/utils/privateHosts.js';
+
+// Host names as WHATWG URL hands them over
+const hostOf = (url) => new URL(url).hostname;
+
+test('private IPv4 literals are blocked', () => {
+  for (const host of [
+    '127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '0.0.0.0',
+    '100.64.0.1', '224.0.0.1', '239.255.255.250', '255.255.255.255', '198.18.0.1'
+  ]) {
+    assert.equal(isPrivateHost(host), true, host);
+  }
+});
+
+test('IPv4-mapped IPv6 literals are blocked in dotted and hex form', () => {
+  for (const url of [
+    'http://[::ffff:127.0.0.1]/',
+    'http://[::ffff:7f00:1]:3306/',
+    'http://[::ffff:a9fe:a9fe]/',
+    'http://[0:0:0:0:0:ffff:c0a8:101]/'
+  ]) {
+    assert.equal(isPrivateHost(hostOf(url)), true, url);
+  }
+});
+
+test('other private IPv6 literals are blocked', () => {
+  for (const url of [
+    'http://[::1]/', 'http://[::]/', 'http://[::7f00:1]/', 'http://[fd00::1]/',
+    'http://[fe80::1]/', 'http://[ff02::1]/', 'http://[64:ff9b::a9fe:a9fe]/'
+  ]) {
+    assert.equal(isPrivateHost(hostOf(url)), true, url);
+  }
+});
+
+test('numeric IPv4 shorthands are blocked once normalized by URL', () => {
+  assert.equal(isPrivateHost(hostOf('http://2130706433/')), true);
+  assert.equal(isPrivateHost(hostOf('http://0x7f.1/')), true);
+});
+
+test('public addresses and names pass', () => {
+  for (const host of ['93.184.216.34', '8.8.8.8', '[2606:4700::1111]', '[::ffff:5db8:d822]', 'example.com']) {
+    assert.equal(isPrivateHost(host), false, host);
+  }
+});
+
+test('lookup refuses names that resolve to private addresses', async () => {
+  const error = await new Promise(resolve => publicOnlyLookup('localhost', {}, resolve));
+  assert.equal(error?.code, 'EPRIVATEHOST');
+});
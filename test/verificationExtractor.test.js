@@ -0,0 +1,22 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { extractVerificationData } from '../src/services/verificationExtractor.js';
+
+const codeOf = (body_text, subject = '') => extractVerificationData({ subject, body_text }).otp_code;
+
+test('codes after a label and a space are found', () => {
+  assert.equal(codeOf('Your verification code is 482913'), '482913');
+  assert.equal(codeOf('验证码: 482913'), '482913');
+});
+
+test('codes glued to a label colon are found', () => {
+  assert.equal(codeOf('Code:482913'), '482913');
+  assert.equal(codeOf('验证码:482913'), '482913');
+  assert.equal(codeOf('Your verification code:482913, valid for 10 minutes'), '482913');
+});
+
+test('order numbers, amounts and times are not reported', () => {
+  assert.equal(codeOf('Order:48291377 has shipped'), null);
+  assert.equal(codeOf('Your code total is 1,482913 EUR'), null);
+  assert.equal(codeOf('Your code session starts at 10:482913'), null);
+});
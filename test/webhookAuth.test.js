@@ -0,0 +1,71 @@
+import test, { before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { webhookBodyParsers, verifyWebhookSignature, signWebhookPayload } from '../src/middleware/webhookAuth.js';
+
+const SECRET = 'test-secret';
+let server;
+let baseUrl;
+let handled = 0;
+
+before(async () => {
+  process.env.WEBHOOK_SIGNING_SECRETS = SECRET;
+
+  const app = express();
+  app.post('/hook', webhookBodyParsers, verifyWebhookSignature, async (req, res) => {
+    handled++;
+    await new Promise(resolve => setTimeout(resolve, req.body.delay || 0));
+    res.status(req.body.status || 200).json({ success: true });
+  });
+
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+const signedRequest = (payload) => {
+  const body = JSON.stringify(payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  return () => fetch(`${baseUrl}/hook`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Webhook-Timestamp': String(timestamp),
+      'X-Webhook-Signature': signWebhookPayload(SECRET, timestamp, body)
+    },
+    body
+  });
+};
+
+test('a replayed request is answered without running the handler again', async () => {
+  const send = signedRequest({ id: 'replay' });
+  handled = 0;
+
+  assert.equal((await send()).status, 200);
+  const replay = await send();
+  assert.equal(replay.status, 200);
+  assert.equal((await replay.json()).duplicate, true);
+  assert.equal(handled, 1);
+});
+
+test('a concurrent replay is refused while the first request is running', async () => {
+  const send = signedRequest({ id: 'concurrent', delay: 100 });
+  handled = 0;
+
+  const [first, second] = await Promise.all([send(), new Promise(resolve => setTimeout(resolve, 20)).then(send)]);
+  assert.equal(first.status, 200);
+  assert.equal(second.status, 409);
+  assert.equal(handled, 1);
+});
+
+test('a failed request can be retried', async () => {
+  const send = signedRequest({ id: 'failed', status: 500 });
+  handled = 0;
+
+  assert.equal((await send()).status, 500);
+  assert.equal((await send()).status, 500);
+  assert.equal(handled, 2);
+});